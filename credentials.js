@@ -0,0 +1,266 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file credentials.js
+ *
+ * Credential providers for remote SuiteQL execution.
+ *
+ * A provider resolves the OAuth credentials of a remote realm. Every provider
+ * implements the same interface:
+ *
+ *   {
+ *       name: string,                          // Shown in the admin UI
+ *       find: (realm) => Credential | null,    // Credentials for a realm
+ *       list: () => Array<Object>              // Metadata only, never secrets
+ *   }
+ *
+ * A Credential has the same shape as the entries in secret.js:
+ *
+ *   { realm, consumer: { key, secret }, token: { id, secret } }
+ *
+ * Providers:
+ * - customRecord: the customrecord_sqt_credential custom record. Secrets are
+ *   AES-encrypted with a key held in NetSuite API Secrets, so users who can
+ *   view the records only ever see ciphertext.
+ * - secretFile: the static secret.js array, kept as a fallback.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version.
+ *
+ */
+define(['N/crypto', 'N/encode', 'N/query', 'N/record', 'secret'], (crypto, encode, query, record, secret) => {
+
+    /**
+     * Custom record and field IDs of the credential store.
+     */
+    const CREDENTIAL_RECORD = Object.freeze({
+        TYPE: 'customrecord_sqt_credential',
+        REALM: 'custrecord_sqt_cred_realm',
+        CONSUMER_KEY: 'custrecord_sqt_cred_consumer_key',
+        CONSUMER_SECRET: 'custrecord_sqt_cred_consumer_secret',
+        TOKEN_ID: 'custrecord_sqt_cred_token_id',
+        TOKEN_SECRET: 'custrecord_sqt_cred_token_secret'
+    });
+
+    /** API Secret holding the AES key used to encrypt stored credentials */
+    const ENCRYPTION_SECRET_ID = 'custsecret_sqt_credential_key';
+
+    // =========================================================================
+    // ENCRYPTION
+    // =========================================================================
+
+    function getEncryptionKey() {
+        return crypto.createSecretKey({
+            secret: ENCRYPTION_SECRET_ID,
+            encoding: encode.Encoding.UTF_8
+        });
+    }
+
+    /**
+     * Encrypts a value with AES.
+     * @param {string} value - Plain text
+     * @returns {string} "iv:ciphertext", both hex-encoded
+     */
+    function encrypt(value) {
+        const cipher = crypto.createCipher({
+            algorithm: crypto.EncryptionAlg.AES,
+            key: getEncryptionKey()
+        });
+        cipher.update({ input: value, inputEncoding: encode.Encoding.UTF_8 });
+        const payload = cipher.final({ outputEncoding: encode.Encoding.HEX });
+        return payload.iv + ':' + payload.ciphertext;
+    }
+
+    /**
+     * Decrypts a value produced by encrypt().
+     * @param {string} value - "iv:ciphertext"
+     * @returns {string} Plain text
+     */
+    function decrypt(value) {
+        const [iv, ciphertext] = String(value).split(':');
+        const decipher = crypto.createDecipher({
+            algorithm: crypto.EncryptionAlg.AES,
+            key: getEncryptionKey(),
+            iv: iv
+        });
+        decipher.update({ input: ciphertext, inputEncoding: encode.Encoding.HEX });
+        return decipher.final({ outputEncoding: encode.Encoding.UTF_8 });
+    }
+
+    // =========================================================================
+    // CUSTOM RECORD PROVIDER
+    // =========================================================================
+
+    const customRecord = {
+        name: 'Custom Record',
+
+        find(realm) {
+            const rows = query.runSuiteQL({
+                query: `
+                    SELECT
+                        ${CREDENTIAL_RECORD.REALM} AS realm,
+                        ${CREDENTIAL_RECORD.CONSUMER_KEY} AS consumerkey,
+                        ${CREDENTIAL_RECORD.CONSUMER_SECRET} AS consumersecret,
+                        ${CREDENTIAL_RECORD.TOKEN_ID} AS tokenid,
+                        ${CREDENTIAL_RECORD.TOKEN_SECRET} AS tokensecret
+                    FROM ${CREDENTIAL_RECORD.TYPE}
+                    WHERE UPPER(${CREDENTIAL_RECORD.REALM}) = ? AND IsInactive = 'F'
+                `,
+                params: [String(realm).toUpperCase()]
+            }).asMappedResults();
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            const row = rows[0];
+            return {
+                realm: row.realm.toUpperCase(),
+                consumer: {
+                    key: decrypt(row.consumerkey),
+                    secret: decrypt(row.consumersecret)
+                },
+                token: {
+                    id: decrypt(row.tokenid),
+                    secret: decrypt(row.tokensecret)
+                }
+            };
+        },
+
+        list() {
+            return query.runSuiteQL({
+                query: `
+                    SELECT
+                        ID,
+                        UPPER(${CREDENTIAL_RECORD.REALM}) AS realm,
+                        TO_CHAR(LastModified, 'YYYY-MM-DD HH24:MI') AS lastmodified
+                    FROM ${CREDENTIAL_RECORD.TYPE}
+                    WHERE IsInactive = 'F'
+                    ORDER BY ${CREDENTIAL_RECORD.REALM}
+                `,
+                params: []
+            }).asMappedResults().map(row => ({
+                id: row.id,
+                realm: row.realm,
+                lastModified: row.lastmodified,
+                provider: customRecord.name
+            }));
+        },
+
+        /**
+         * Creates or rotates the credentials of a realm.
+         * Values left empty keep their stored value, so a rotation may update
+         * only the token. New realms require every value.
+         * @param {Object} entry - realm, consumerKey, consumerSecret, tokenId, tokenSecret
+         * @returns {number} Internal ID of the credential record
+         */
+        save(entry) {
+            const realm = String(entry.realm || '').trim().toUpperCase();
+            if (!realm) {
+                throw new Error('A realm is required.');
+            }
+
+            const existing = query.runSuiteQL({
+                query: `SELECT ID FROM ${CREDENTIAL_RECORD.TYPE} WHERE UPPER(${CREDENTIAL_RECORD.REALM}) = ?`,
+                params: [realm]
+            }).asMappedResults();
+
+            const values = {
+                [CREDENTIAL_RECORD.CONSUMER_KEY]: entry.consumerKey,
+                [CREDENTIAL_RECORD.CONSUMER_SECRET]: entry.consumerSecret,
+                [CREDENTIAL_RECORD.TOKEN_ID]: entry.tokenId,
+                [CREDENTIAL_RECORD.TOKEN_SECRET]: entry.tokenSecret
+            };
+
+            if (existing.length === 0 && Object.keys(values).some(fieldId => !values[fieldId])) {
+                throw new Error('All four credential values are required for a new realm.');
+            }
+
+            const credentialRecord = existing.length > 0
+                ? record.load({ type: CREDENTIAL_RECORD.TYPE, id: existing[0].id })
+                : record.create({ type: CREDENTIAL_RECORD.TYPE });
+
+            credentialRecord.setValue({ fieldId: CREDENTIAL_RECORD.REALM, value: realm });
+            credentialRecord.setValue({ fieldId: 'isinactive', value: false });
+
+            Object.keys(values).forEach(fieldId => {
+                if (values[fieldId]) {
+                    credentialRecord.setValue({ fieldId, value: encrypt(String(values[fieldId]).trim()) });
+                }
+            });
+
+            return credentialRecord.save();
+        }
+    };
+
+    // =========================================================================
+    // SECRET FILE PROVIDER (FALLBACK)
+    // =========================================================================
+
+    const secretFile = {
+        name: 'secret.js',
+
+        find(realm) {
+            return secret.find(entry => entry.realm === String(realm).toUpperCase()) || null;
+        },
+
+        list() {
+            return secret.map(entry => ({
+                realm: entry.realm,
+                lastModified: null,
+                provider: secretFile.name
+            }));
+        }
+    };
+
+    // =========================================================================
+    // PROVIDER CHAIN
+    // =========================================================================
+
+    /**
+     * Resolves credentials from the first provider that has them.
+     * @param {Array<Object>} providers - Providers in order of precedence
+     * @param {string} realm - Realm key, e.g. 1337_SB1
+     * @returns {Object|null} Credential and the name of the provider that supplied it
+     */
+    function find(providers, realm) {
+        for (const provider of providers) {
+            const credential = provider.find(realm);
+            if (credential) {
+                return { credential, provider: provider.name };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lists credential metadata from all providers.
+     * A realm is listed once, by the provider that takes precedence.
+     * @param {Array<Object>} providers - Providers in order of precedence
+     * @returns {Array<Object>} realm, lastModified, provider
+     */
+    function list(providers) {
+        const seen = new Set();
+        const entries = [];
+
+        providers.forEach(provider => {
+            provider.list().forEach(entry => {
+                if (!seen.has(entry.realm)) {
+                    seen.add(entry.realm);
+                    entries.push(entry);
+                }
+            });
+        });
+
+        return entries;
+    }
+
+    return {
+        customRecord,
+        secretFile,
+        find,
+        list
+    };
+});
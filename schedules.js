@@ -0,0 +1,678 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file schedules.js
+ *
+ * Scheduled queries: storage and cadence.
+ *
+ * A schedule runs a .sql file from the local query library on a cron-like
+ * cadence and delivers the result by email, to a File Cabinet folder, or both.
+ * With an alert rule, the result is only delivered when the rule is triggered,
+ * optionally to a webhook as well.
+ * Schedules are stored in the customrecord_sqt_schedule custom record, managed
+ * from the Suitelet and run by suiteql_scheduler.js.
+ *
+ * Cadences use the five cron fields, evaluated in UTC:
+ *
+ *   minute hour day-of-month month day-of-week
+ *
+ * Each field accepts *, numbers, ranges (1-5), lists (1,15) and steps
+ * (*\/15, 8-18/2). Day of week runs from 0 (Sunday) to 6; 7 is Sunday as well.
+ * As in cron, a day matches either field when both day fields are restricted.
+ * The shortcuts @hourly, @daily, @weekly and @monthly are also accepted.
+ *
+ * Alert rules compare a metric of the result with a threshold:
+ *
+ *   { metric, column, condition, threshold }
+ *
+ * - metric: rowCount, value (column of the first row), sum, avg, min or max
+ * - column: the result column for every metric except rowCount
+ * - condition: gt, gte, lt, lte, eq, ne, or change / changePct to compare
+ *   with the value of the previous run
+ *
+ * Schedules run with the role of the scheduler deployment, whoever created
+ * them. Their results may therefore only go to the recipients and folders of
+ * a delivery policy, checked when a schedule is saved and again before it runs:
+ *
+ *   { recipientDomains, folderIds, webhookHosts }
+ *
+ * - recipientDomains: email domains allowed besides active employees
+ * - folderIds: output folders; an empty list allows none
+ * - webhookHosts: host names alert webhooks may post to; a name starting with
+ *   a dot (.example.com) allows its subdomains. An empty list allows none
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Alert rules and webhook delivery.
+ * 1.2        19 Oct 2026    Budy Sutjijati        Delivery policy for recipients and output folders.
+ * 1.3        19 Oct 2026    Budy Sutjijati        Webhook hosts are part of the delivery policy.
+ *
+ */
+define(['N/query', 'N/record'], (query, record) => {
+
+    /**
+     * Custom record and field IDs of the schedules.
+     */
+    const SCHEDULE_RECORD = Object.freeze({
+        TYPE: 'customrecord_sqt_schedule',
+        QUERY_FILE: 'custrecord_sqt_sched_query_file',
+        CADENCE: 'custrecord_sqt_sched_cadence',
+        FORMAT: 'custrecord_sqt_sched_format',
+        RECIPIENTS: 'custrecord_sqt_sched_recipients',
+        FOLDER: 'custrecord_sqt_sched_folder',
+        OWNER: 'custrecord_sqt_sched_owner',
+        NEXT_RUN: 'custrecord_sqt_sched_next_run',
+        LAST_RUN: 'custrecord_sqt_sched_last_run',
+        LAST_STATUS: 'custrecord_sqt_sched_last_status',
+        LAST_ROW_COUNT: 'custrecord_sqt_sched_last_row_count',
+        LAST_ERROR: 'custrecord_sqt_sched_last_error',
+        ALERT: 'custrecord_sqt_sched_alert',
+        WEBHOOK_URL: 'custrecord_sqt_sched_webhook_url',
+        LAST_VALUE: 'custrecord_sqt_sched_last_value',
+        LAST_ALERT: 'custrecord_sqt_sched_last_alert'
+    });
+
+    /** Statuses written to LAST_STATUS */
+    const RUN_STATUS = Object.freeze({
+        SUCCESS: 'success',
+        WARNING: 'warning',
+        ERROR: 'error'
+    });
+
+    /** Cadence fields in cron order, with their ranges */
+    const CADENCE_FIELDS = [
+        { name: 'minute', min: 0, max: 59 },
+        { name: 'hour', min: 0, max: 23 },
+        { name: 'day of month', min: 1, max: 31 },
+        { name: 'month', min: 1, max: 12 },
+        { name: 'day of week', min: 0, max: 7 }
+    ];
+
+    /** Cadence shortcuts */
+    const CADENCE_SHORTCUTS = Object.freeze({
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *'
+    });
+
+    /** How far ahead getNextRun() looks before giving up (five years, for 29 February) */
+    const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+    /** Metrics an alert rule can measure, with their labels */
+    const ALERT_METRICS = Object.freeze({
+        rowCount: 'Row count',
+        value: 'Value of',
+        sum: 'SUM',
+        avg: 'AVG',
+        min: 'MIN',
+        max: 'MAX'
+    });
+
+    /** Alert conditions, with the test applied to the value and the previous value */
+    const ALERT_CONDITIONS = Object.freeze({
+        gt: { label: '>', test: (value, threshold) => value > threshold },
+        gte: { label: '>=', test: (value, threshold) => value >= threshold },
+        lt: { label: '<', test: (value, threshold) => value < threshold },
+        lte: { label: '<=', test: (value, threshold) => value <= threshold },
+        eq: { label: '=', test: (value, threshold) => value === threshold },
+        ne: { label: '<>', test: (value, threshold) => value !== threshold },
+        change: {
+            label: 'changes by more than',
+            test: (value, threshold, previous) => Math.abs(value - previous) > threshold
+        },
+        changePct: {
+            label: 'changes by more than',
+            suffix: '%',
+            test: (value, threshold, previous) => previous === 0
+                ? value !== 0
+                : Math.abs((value - previous) / previous) * 100 > threshold
+        }
+    });
+
+    /** Email addresses accepted in RECIPIENTS */
+    const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+    /**
+     * Webhook URLs accepted by isAllowedWebhook(): https, a host name, an optional port, then
+     * the path, query or end. Anything else after the host, such as user info, does not match.
+     */
+    const WEBHOOK_URL_PATTERN = /^https:\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::\d{1,5})?(?:[/?#]|$)/i;
+
+    // =========================================================================
+    // CADENCE
+    // =========================================================================
+
+    /**
+     * Parses a cadence expression.
+     * @param {string} expression - Five cron fields, or a shortcut
+     * @returns {Object} minutes, hours, days, months, weekdays (Sets of numbers) and
+     *          whether the day-of-month and day-of-week fields are restricted
+     */
+    function parseCadence(expression) {
+        const normalized = String(expression || '').trim();
+        const fields = (CADENCE_SHORTCUTS[normalized.toLowerCase()] || normalized).split(/\s+/);
+
+        if (fields.length !== CADENCE_FIELDS.length) {
+            throw new Error(`Invalid cadence "${normalized}": expected ${CADENCE_FIELDS.length} fields (minute hour day month weekday).`);
+        }
+
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCadenceField(field, CADENCE_FIELDS[index], normalized));
+
+        // 7 is Sunday as well
+        if (weekdays.delete(7)) {
+            weekdays.add(0);
+        }
+
+        return {
+            minutes,
+            hours,
+            days,
+            months,
+            weekdays,
+            daysRestricted: fields[2] !== '*',
+            weekdaysRestricted: fields[4] !== '*'
+        };
+    }
+
+    /**
+     * Parses one cadence field.
+     * @param {string} field - Field text, e.g. "*\/15" or "1-5"
+     * @param {Object} range - name, min and max of the field
+     * @param {string} expression - The whole expression, for error messages
+     * @returns {Set<number>} Matching values
+     */
+    function parseCadenceField(field, range, expression) {
+        const values = new Set();
+
+        field.split(',').forEach(part => {
+            const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cadence "${expression}": cannot read ${range.name} "${part}".`);
+            }
+
+            const step = match[4] ? parseInt(match[4], 10) : 1;
+            let from = range.min;
+            let to = range.max;
+
+            if (match[1] !== '*') {
+                from = parseInt(match[2], 10);
+                // "5/15" runs from 5 to the end of the range
+                to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? range.max : from);
+            }
+
+            if (from < range.min || to > range.max || from > to || step < 1) {
+                throw new Error(`Invalid cadence "${expression}": ${range.name} "${part}" is outside ${range.min}-${range.max} or not a valid range.`);
+            }
+
+            for (let value = from; value <= to; value += step) {
+                values.add(value);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Calculates the first run after a point in time.
+     * @param {string} expression - Cadence expression
+     * @param {Date} after - Runs at or before this time are skipped
+     * @returns {Date} Next run (UTC, whole minute)
+     */
+    function getNextRun(expression, after) {
+        const cadence = parseCadence(expression);
+        const date = new Date(after.getTime());
+        date.setUTCSeconds(0, 0);
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+        const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+        const dayMatches = () => {
+            const dayOfMonth = cadence.days.has(date.getUTCDate());
+            const dayOfWeek = cadence.weekdays.has(date.getUTCDay());
+
+            return cadence.daysRestricted && cadence.weekdaysRestricted
+                ? dayOfMonth || dayOfWeek
+                : dayOfMonth && dayOfWeek;
+        };
+
+        while (date.getTime() <= limit) {
+            if (!cadence.months.has(date.getUTCMonth() + 1)) {
+                date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                date.setUTCHours(0, 0, 0, 0);
+            } else if (!dayMatches()) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCHours(0, 0, 0, 0);
+            } else if (!cadence.hours.has(date.getUTCHours())) {
+                date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            } else if (!cadence.minutes.has(date.getUTCMinutes())) {
+                date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+
+        throw new Error(`Invalid cadence "${expression}": it never matches a date.`);
+    }
+
+    // =========================================================================
+    // ALERTS
+    // =========================================================================
+
+    /**
+     * Validates an alert rule.
+     * @param {Object|null} alert - metric, column, condition, threshold
+     * @returns {Object|null} The normalized rule, or null when there is no rule
+     */
+    function parseAlert(alert) {
+        if (!alert || !alert.metric) {
+            return null;
+        }
+
+        if (!ALERT_METRICS[alert.metric]) {
+            throw new Error(`Unknown alert metric: ${alert.metric}`);
+        }
+
+        if (!ALERT_CONDITIONS[alert.condition]) {
+            throw new Error(`Unknown alert condition: ${alert.condition}`);
+        }
+
+        const column = String(alert.column || '').trim().toLowerCase();
+        if (alert.metric !== 'rowCount' && !column) {
+            throw new Error('The alert needs the result column to measure.');
+        }
+
+        const threshold = parseFloat(alert.threshold);
+        if (isNaN(threshold)) {
+            throw new Error('The alert threshold must be a number.');
+        }
+
+        return {
+            metric: alert.metric,
+            column: alert.metric === 'rowCount' ? null : column,
+            condition: alert.condition,
+            threshold
+        };
+    }
+
+    /**
+     * Describes an alert rule, e.g. "SUM(amount) changes by more than 10%".
+     * @param {Object} alert - A rule from parseAlert()
+     * @returns {string} Description
+     */
+    function describeAlert(alert) {
+        const metric = alert.metric === 'rowCount'
+            ? ALERT_METRICS.rowCount
+            : alert.metric === 'value'
+                ? `${ALERT_METRICS.value} ${alert.column}`
+                : `${ALERT_METRICS[alert.metric]}(${alert.column})`;
+        const condition = ALERT_CONDITIONS[alert.condition];
+
+        return `${metric} ${condition.label} ${alert.threshold}${condition.suffix || ''}`;
+    }
+
+    /**
+     * Measures a result and checks it against an alert rule.
+     * Change conditions are never triggered without a previous value.
+     * @param {Object} alert - A rule from parseAlert()
+     * @param {Array<Object>} records - Query results
+     * @param {number|null} previousValue - The value measured by the previous run
+     * @returns {{value: number, triggered: boolean, message: string}} Outcome
+     */
+    function evaluateAlert(alert, records, previousValue) {
+        const condition = ALERT_CONDITIONS[alert.condition];
+        const description = describeAlert(alert);
+        const value = measure(alert, records);
+
+        if (value === null) {
+            return { value: null, triggered: false, message: `${description}: no value (empty result or no numeric values)` };
+        }
+
+        const comparesChange = alert.condition === 'change' || alert.condition === 'changePct';
+        if (comparesChange && (previousValue === null || previousValue === undefined)) {
+            return { value, triggered: false, message: `${description}: first value ${value}, nothing to compare with` };
+        }
+
+        const triggered = condition.test(value, alert.threshold, previousValue);
+        const detail = comparesChange ? `from ${previousValue} to ${value}` : `value ${value}`;
+
+        return { value, triggered, message: `${description}: ${triggered ? 'triggered' : 'not triggered'}, ${detail}` };
+    }
+
+    /**
+     * Computes the metric of an alert rule.
+     * @param {Object} alert - A rule from parseAlert()
+     * @param {Array<Object>} records - Query results
+     * @returns {number|null} The metric, or null when there is nothing to measure
+     */
+    function measure(alert, records) {
+        if (alert.metric === 'rowCount') {
+            return records.length;
+        }
+
+        const values = (alert.metric === 'value' ? records.slice(0, 1) : records)
+            .map(record => parseFloat(record[alert.column]))
+            .filter(value => !isNaN(value));
+
+        if (values.length === 0) {
+            return null;
+        }
+
+        switch (alert.metric) {
+            case 'sum': return values.reduce((total, value) => total + value, 0);
+            case 'avg': return values.reduce((total, value) => total + value, 0) / values.length;
+            case 'min': return Math.min(...values);
+            case 'max': return Math.max(...values);
+            default: return values[0];
+        }
+    }
+
+    // =========================================================================
+    // STORAGE
+    // =========================================================================
+
+    /**
+     * Lists all schedules, including inactive ones.
+     * @returns {Array<Object>} Schedules, with the query file and owner names
+     */
+    function list() {
+        return selectSchedules('', []);
+    }
+
+    /**
+     * Gets one schedule.
+     * @param {number|string} id - Internal ID of the schedule
+     * @returns {Object|null} The schedule
+     */
+    function get(id) {
+        return selectSchedules('WHERE s.ID = ?', [id])[0] || null;
+    }
+
+    /**
+     * Lists the active schedules that are due.
+     * @param {Date} now - Current time
+     * @returns {Array<Object>} Schedules whose next run is at or before now, oldest first
+     */
+    function getDue(now) {
+        // Next runs are stored as ISO 8601 UTC strings, which sort chronologically
+        return selectSchedules(
+            `WHERE s.IsInactive = 'F' AND s.${SCHEDULE_RECORD.NEXT_RUN} <= ?`,
+            [now.toISOString()]
+        ).sort((a, b) => a.nextRun.localeCompare(b.nextRun));
+    }
+
+    /**
+     * Runs the schedule query with an optional WHERE clause.
+     * @param {string} where - WHERE clause on alias s, or an empty string
+     * @param {Array} params - Query parameters
+     * @returns {Array<Object>} Schedules
+     */
+    function selectSchedules(where, params) {
+        return query.runSuiteQL({
+            query: `
+                SELECT
+                    s.ID AS id,
+                    s.Name AS name,
+                    s.IsInactive AS isinactive,
+                    s.${SCHEDULE_RECORD.QUERY_FILE} AS queryfile,
+                    BUILTIN.DF(s.${SCHEDULE_RECORD.QUERY_FILE}) AS queryfilename,
+                    s.${SCHEDULE_RECORD.CADENCE} AS cadence,
+                    s.${SCHEDULE_RECORD.FORMAT} AS format,
+                    s.${SCHEDULE_RECORD.RECIPIENTS} AS recipients,
+                    s.${SCHEDULE_RECORD.FOLDER} AS folder,
+                    s.${SCHEDULE_RECORD.OWNER} AS owner,
+                    BUILTIN.DF(s.${SCHEDULE_RECORD.OWNER}) AS ownername,
+                    s.${SCHEDULE_RECORD.NEXT_RUN} AS nextrun,
+                    s.${SCHEDULE_RECORD.LAST_RUN} AS lastrun,
+                    s.${SCHEDULE_RECORD.LAST_STATUS} AS laststatus,
+                    s.${SCHEDULE_RECORD.LAST_ROW_COUNT} AS lastrowcount,
+                    s.${SCHEDULE_RECORD.LAST_ERROR} AS lasterror,
+                    s.${SCHEDULE_RECORD.ALERT} AS alert,
+                    s.${SCHEDULE_RECORD.WEBHOOK_URL} AS webhookurl,
+                    s.${SCHEDULE_RECORD.LAST_VALUE} AS lastvalue,
+                    s.${SCHEDULE_RECORD.LAST_ALERT} AS lastalert
+                FROM ${SCHEDULE_RECORD.TYPE} s
+                ${where}
+                ORDER BY s.Name
+            `,
+            params
+        }).asMappedResults().map(row => {
+            const alert = row.alert ? JSON.parse(row.alert) : null;
+            const lastValue = parseFloat(row.lastvalue);
+
+            return {
+                id: row.id,
+                name: row.name,
+                active: row.isinactive !== 'T',
+                queryFile: row.queryfile,
+                queryFileName: row.queryfilename,
+                cadence: row.cadence,
+                format: row.format,
+                recipients: row.recipients || '',
+                folder: row.folder || null,
+                owner: row.owner,
+                ownerName: row.ownername,
+                nextRun: row.nextrun || null,
+                lastRun: row.lastrun || null,
+                lastStatus: row.laststatus || null,
+                lastRowCount: row.lastrowcount,
+                lastError: row.lasterror || '',
+                alert,
+                alertDescription: alert ? describeAlert(alert) : '',
+                webhookUrl: row.webhookurl || '',
+                lastValue: isNaN(lastValue) ? null : lastValue,
+                lastAlert: row.lastalert || ''
+            };
+        });
+    }
+
+    /**
+     * Creates or updates a schedule.
+     * The owner is only set when the schedule is created, so editing never changes who it runs for.
+     * @param {Object} entry - id (omit to create), name, queryFile, cadence, format,
+     *        recipients, folder, alert, webhookUrl, active, owner (used when creating)
+     * @param {Object} policy - Delivery policy (recipientDomains, folderIds, webhookHosts)
+     * @returns {number} Internal ID of the schedule
+     */
+    function save(entry, policy) {
+        const name = String(entry.name || '').trim();
+        if (!name) {
+            throw new Error('A schedule name is required.');
+        }
+
+        if (!entry.queryFile) {
+            throw new Error('A query file is required.');
+        }
+
+        const recipients = parseRecipients(entry.recipients);
+        const alert = parseAlert(entry.alert);
+        const webhookUrl = String(entry.webhookUrl || '').trim();
+
+        if (webhookUrl && !alert) {
+            throw new Error('A webhook is only called by an alert rule.');
+        }
+        if (recipients.length === 0 && !entry.folder && !webhookUrl) {
+            throw new Error('Enter email recipients, an output folder or a webhook URL.');
+        }
+        if (!entry.id && !entry.owner) {
+            throw new Error('A schedule needs an owner.');
+        }
+
+        checkDelivery(recipients, entry.folder, policy, webhookUrl);
+
+        // Validates the cadence before anything is saved
+        const nextRun = getNextRun(entry.cadence, new Date());
+
+        const scheduleRecord = entry.id
+            ? record.load({ type: SCHEDULE_RECORD.TYPE, id: entry.id })
+            : record.create({ type: SCHEDULE_RECORD.TYPE });
+
+        scheduleRecord.setValue({ fieldId: 'name', value: name });
+        scheduleRecord.setValue({ fieldId: 'isinactive', value: entry.active === false });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.QUERY_FILE, value: entry.queryFile });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.CADENCE, value: String(entry.cadence).trim() });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.FORMAT, value: entry.format });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.RECIPIENTS, value: recipients.join(', ') });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.FOLDER, value: entry.folder || null });
+        // A changed rule measures something else, so the previous value no longer applies
+        const alertJson = alert ? JSON.stringify(alert) : '';
+        if (alertJson !== (scheduleRecord.getValue({ fieldId: SCHEDULE_RECORD.ALERT }) || '')) {
+            scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.LAST_VALUE, value: '' });
+        }
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.ALERT, value: alertJson });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.WEBHOOK_URL, value: webhookUrl });
+        scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.NEXT_RUN, value: nextRun.toISOString() });
+
+        if (!entry.id) {
+            scheduleRecord.setValue({ fieldId: SCHEDULE_RECORD.OWNER, value: entry.owner });
+        }
+
+        return scheduleRecord.save();
+    }
+
+    /**
+     * Deletes a schedule.
+     * @param {number|string} id - Internal ID of the schedule
+     */
+    function remove(id) {
+        record.delete({ type: SCHEDULE_RECORD.TYPE, id });
+    }
+
+    /**
+     * Makes a schedule due immediately.
+     * @param {number|string} id - Internal ID of the schedule
+     */
+    function runNow(id) {
+        record.submitFields({
+            type: SCHEDULE_RECORD.TYPE,
+            id,
+            values: { [SCHEDULE_RECORD.NEXT_RUN]: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Stores the outcome of a run and the next run.
+     * @param {number|string} id - Internal ID of the schedule
+     * @param {Object} run - ranAt (Date), status (RUN_STATUS), rowCount, error, nextRun (Date or null),
+     *        and for alert rules value (the metric, kept for the next comparison) and alert (outcome message)
+     */
+    function recordRun(id, run) {
+        const values = {
+            [SCHEDULE_RECORD.LAST_RUN]: run.ranAt.toISOString(),
+            [SCHEDULE_RECORD.LAST_STATUS]: run.status,
+            [SCHEDULE_RECORD.LAST_ROW_COUNT]: run.rowCount === null || run.rowCount === undefined ? '' : run.rowCount,
+            [SCHEDULE_RECORD.LAST_ERROR]: String(run.error || '').substring(0, 4000),
+            [SCHEDULE_RECORD.NEXT_RUN]: run.nextRun ? run.nextRun.toISOString() : '',
+            [SCHEDULE_RECORD.LAST_ALERT]: String(run.alert || '').substring(0, 4000)
+        };
+
+        // A failed run keeps the previous value, so the next change is measured against it
+        if (typeof run.value === 'number') {
+            values[SCHEDULE_RECORD.LAST_VALUE] = String(run.value);
+        }
+
+        record.submitFields({ type: SCHEDULE_RECORD.TYPE, id, values });
+    }
+
+    /**
+     * Splits a recipient list and validates the addresses.
+     * @param {string} recipients - Addresses separated by commas, semicolons or whitespace
+     * @returns {Array<string>} Addresses
+     */
+    function parseRecipients(recipients) {
+        const addresses = String(recipients || '').split(/[\s,;]+/).filter(Boolean);
+        const invalid = addresses.filter(address => !EMAIL_PATTERN.test(address));
+
+        if (invalid.length > 0) {
+            throw new Error(`Invalid email address: ${invalid.join(', ')}`);
+        }
+
+        return addresses;
+    }
+
+    /**
+     * Checks a webhook URL against a list of host names.
+     * The host must match a name exactly, or end with a name that starts with a dot.
+     * @param {string} webhookUrl - The URL of an alert webhook
+     * @param {Array<string>} hosts - Allowed host names
+     * @returns {boolean} True for https URLs on an allowed host
+     */
+    function isAllowedWebhook(webhookUrl, hosts) {
+        const url = String(webhookUrl || '');
+        const match = url.match(WEBHOOK_URL_PATTERN);
+        if (!match || /[@\\\s]/.test(url)) {
+            return false;
+        }
+
+        const hostname = match[1].toLowerCase();
+        return (hosts || []).map(host => String(host).toLowerCase()).some(host => host.startsWith('.')
+            ? hostname.endsWith(host)
+            : hostname === host);
+    }
+
+    /**
+     * Checks the recipients, output folder and webhook of a schedule against a delivery policy.
+     * @param {Array<string>} recipients - Addresses from parseRecipients()
+     * @param {number|string|null} folder - Output folder ID
+     * @param {Object} policy - recipientDomains, folderIds and webhookHosts
+     * @param {string} [webhookUrl] - Webhook URL of the alert rule
+     * @throws {Error} When a recipient, the folder or the webhook is not allowed
+     */
+    function checkDelivery(recipients, folder, policy, webhookUrl) {
+        const webhookHosts = policy.webhookHosts || [];
+        if (webhookUrl && !isAllowedWebhook(webhookUrl, webhookHosts)) {
+            throw new Error(webhookHosts.length > 0
+                ? `The webhook URL must be an https URL on one of these hosts: ${webhookHosts.join(', ')}`
+                : 'Webhooks are not allowed.');
+        }
+
+        const folderIds = (policy.folderIds || []).map(String);
+        if (folder && !folderIds.includes(String(folder))) {
+            throw new Error(folderIds.length > 0
+                ? `Output folder ${folder} is not allowed. Allowed folders: ${folderIds.join(', ')}`
+                : 'Output folders are not allowed.');
+        }
+
+        const domains = (policy.recipientDomains || []).map(domain => String(domain).toLowerCase());
+        const others = recipients
+            .map(address => address.toLowerCase())
+            .filter(address => !domains.includes(address.split('@').pop()));
+        if (others.length === 0) {
+            return;
+        }
+
+        const employees = new Set(query.runSuiteQL({
+            query: `SELECT LOWER(Email) AS email FROM Employee WHERE IsInactive = 'F' AND LOWER(Email) IN (${others.map(() => '?').join(', ')})`,
+            params: others
+        }).asMappedResults().map(row => row.email));
+
+        const denied = others.filter(address => !employees.has(address));
+        if (denied.length > 0) {
+            throw new Error(`Recipients must be active employees${domains.length > 0 ? ` or have an address at ${domains.join(', ')}` : ''}: ${denied.join(', ')}`);
+        }
+    }
+
+    return {
+        SCHEDULE_RECORD,
+        RUN_STATUS,
+        ALERT_METRICS,
+        ALERT_CONDITIONS,
+        parseCadence,
+        getNextRun,
+        parseAlert,
+        describeAlert,
+        evaluateAlert,
+        list,
+        get,
+        getDue,
+        save,
+        remove,
+        runNow,
+        recordRun,
+        parseRecipients,
+        isAllowedWebhook,
+        checkDelivery
+    };
+});
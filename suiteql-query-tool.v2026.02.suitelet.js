@@ -58,6 +58,89 @@
  * - Improved Run toolbar to support multi-target execution
  *   - Added Run dropdown for selecting execution account
  *   - Preserves existing Run behavior and keyboard shortcuts
+ * - Added "Run on multiple accounts" mode
+ *   - Fans the same query out to the local account and selected remote accounts
+ *   - Combines results, tagging each row with its source account
+ *   - Shows per-account row counts, timings and errors above the results
+ * - Added cross-account diff view
+ *   - Compares results of the same query from two execution contexts
+ *   - Matches rows on a selectable key column
+ *   - Highlights added, removed and changed rows and cells
+ * - Added server-side audit log (CONFIG.AUDIT_LOG_ENABLED)
+ *   - Records user, role, realm, SQL text and hash, row count, elapsed time and error
+ *   - Covers local and remote executions
+ *   - Stored in the customrecord_sqt_audit_log custom record
+ *   - Also written by the proxy, scheduler and export scripts, and for health checks and credential tests (suiteql_audit.js)
+ *   - Searchable Audit Log viewer in the More dropdown
+ * - Added pluggable credential providers for remote execution (credentials.js)
+ *   - Encrypted customrecord_sqt_credential store (CONFIG.CREDENTIAL_STORE_ENABLED)
+ *   - secret.js kept as fallback provider
+ *   - Remote Credentials admin dialog to add, rotate and test credentials per realm
+ * - Added remote account health check (remoteAccountsHealth)
+ *   - Pings each configured account with SELECT 1 FROM Dual
+ *   - Distinguishes missing credentials, OAuth, permission, HTTP and network failures
+ *   - Status dots per account in the Run dropdown
+ * - Added structured remote execution errors
+ *   - Classifies HTTP, OAuth, request limit, permission, proxy query, timeout and network failures
+ *   - Errors carry the remote realm, HTTP status and NetSuite error code
+ *   - Error panel shows the category, remote account and a suggested fix
+ * - Remote execution parity
+ *   - Virtual views are expanded before dispatch, so remote accounts receive plain SQL
+ *   - Pagination and totals shared with suiteql_proxy.js through suiteql_runner.js
+ * - Added retry with exponential backoff and jitter for remote requests
+ *   - Retries request limit errors (SSS_REQUEST_LIMIT_EXCEEDED, HTTP 429) and 5xx responses
+ *   - Fresh OAuth nonce per attempt
+ *   - The browser waits between attempts, so the Suitelet never busy-waits
+ *   - Retry count shown next to the execution context in the results
+ * - Added per-account environment guardrails
+ *   - Optional environment (production/sandbox/dev) and color per account entry
+ *   - Editor, Run button and results header colored by target account
+ *   - Production runs without a WHERE clause or above a row threshold require the account ID to be typed
+ * - Added Export as Document (PDF/HTML) to the export dialog
+ *   - FreeMarker template editor with table and grouped report starters
+ *   - Preview in the dialog; templates can be saved to the File Cabinet (CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID)
+ * - Added server-side export for result sets too large for the browser (CONFIG.EXPORT_FOLDER_ID)
+ *   - suiteql_export.js Map/Reduce script pages through the query and writes CSV, Excel (XML) or JSONL
+ *   - Progress shown in the export dialog, with a download link when the file is ready
+ *   - Cancel skips the remaining pages (cancel marker file in the export folder)
+ *   - Limited to administrators and CONFIG.EXPORT_ROLE_IDS; the export script only writes to its allowed folders
+ * - Added scheduled queries for the local library (CONFIG.SCHEDULES_ENABLED)
+ *   - Cron-like cadence per .sql file, run by the suiteql_scheduler.js Scheduled script
+ *   - Results emailed as CSV, Excel (XML) or JSONL attachment and/or written to a File Cabinet folder
+ *   - Schedules dialog with next run, last run status, row count and errors
+ * - Added alert rules for scheduled queries
+ *   - Row count, column value, SUM, AVG, MIN or MAX compared with a threshold or with the previous run
+ *   - Results delivered only when the rule is triggered, by email, File Cabinet and/or webhook
+ *   - Webhook hosts limited to CONFIG.ALERT_WEBHOOK_HOSTS, checked again by the scheduler before every run
+ * - Limited schedules to CONFIG.SCHEDULE_ROLE_IDS, with recipients and output folders
+ *   limited to employees, CONFIG.SCHEDULE_RECIPIENT_DOMAINS and CONFIG.SCHEDULE_FOLDER_IDS
+ * - Added paged results
+ *   - First, previous, next and last page controls and a page size selector in the results header
+ *   - Each page fetched on demand with ROWNUM; the total row count drives the page count
+ * - "Return all rows" fetches in linear time
+ *   - Keyset pagination (WHERE id > ? ORDER BY id) when the result has a unique id or uniquekey column
+ *   - runSuiteQLPaged otherwise; ROWNUM windows re-ran the query for every batch
+ *   - Server-side export pages by key ranges for such results
+ * - Added Cancel for running queries (toolbar button or Esc)
+ *   - Aborts the request with an AbortController; the run is marked cancelled in the history
+ *   - Also stops page requests of paged results and multi-account runs, and server-side export polling
+ * - Query parameters are bound instead of substituted
+ *   - {{name:int}}, {{name:number}}, {{name:date}}, {{name:bool}} and {{name:list(...)}} render typed inputs
+ *   - List values come from a lookup query or a comma-separated list
+ *   - Values are sent as the params array of runSuiteQL, locally and through the proxy
+ * - Parameter values per query, named parameter presets and share URLs with parameter values
+ * - Added Run All Statements (Ctrl+Shift+Enter)
+ *   - Splits the editor on semicolons, or on blank lines when there are none
+ *   - Runs the statements one after the other, each with its own result tab, time and error
+ * - Autocomplete uses the Records Catalog of the account instead of a fixed table list
+ *   - Tables and columns are cached in IndexedDB per account; Options > Refresh schema reloads them
+ *   - Completes the columns of aliases, e.g. t. after FROM Transaction t
+ * - Join completions after JOIN with alias and ON condition, from the Records Catalog joins
+ * - Added Join Path to find and insert the shortest chain of joins between two tables
+ * - Added a visual Query Builder that generates SuiteQL and opens simple queries from the editor
+ * - Tables Reference: entity-relationship diagram of several tables with their joins, pan/zoom and SVG/PNG export
+ * - SuiteQL tokenizer and parser (suiteql_parser.js) for formatting, the cache buster, virtual views, parameters
+ *   and the production WHERE check, with tests in suiteql_parser.test.js
  *
  * 2026.01 - Tim Dietrich
  * - Complete UI modernization with SQL Studio-inspired design
@@ -172,18 +255,79 @@ const CONFIG = Object.freeze({
     /** Default number of rows to return */
     ROWS_RETURNED_DEFAULT: 100,
 
+    /** Page sizes offered when paging through results */
+    PAGE_SIZES: [25, 50, 100, 250, 500, 1000],
+
     /** File Cabinet folder ID for local query library (null = disabled) */
     QUERY_FOLDER_ID: null,
 
     /** Enable NetSuite Workbooks integration */
     WORKBOOKS_ENABLED: false,
 
+    /** File Cabinet folder ID for document templates (null = templates cannot be saved) */
+    DOCUMENT_TEMPLATE_FOLDER_ID: null,
+
+    /** File Cabinet folder ID for server-side exports (null = server-side export disabled) */
+    EXPORT_FOLDER_ID: null,
+
+    /** Script ID of the suiteql_export.js Map/Reduce script */
+    EXPORT_SCRIPT_ID: 'customscript_sqt_export',
+
+    /**
+     * Role IDs, besides Administrator, that may start server-side exports.
+     * Exports run with the role of the export deployment, so these roles can read
+     * everything that role can read (see README).
+     */
+    EXPORT_ROLE_IDS: [],
+
+    /** Enable scheduled queries for the local library (requires QUERY_FOLDER_ID, see README for setup) */
+    SCHEDULES_ENABLED: false,
+
+    /** Script ID of the suiteql_scheduler.js Scheduled script */
+    SCHEDULER_SCRIPT_ID: 'customscript_sqt_scheduler',
+
+    /**
+     * Role IDs, besides Administrator, that may create and run schedules.
+     * Schedules run with the role of the scheduler deployment (see README).
+     */
+    SCHEDULE_ROLE_IDS: [],
+
+    /** Email domains schedules may send to besides employees, e.g. ['example.com'] (empty = employees only) */
+    SCHEDULE_RECIPIENT_DOMAINS: [],
+
+    /** File Cabinet folder IDs schedules may write their results to (empty = no output folders) */
+    SCHEDULE_FOLDER_IDS: [],
+
+    /**
+     * Host names that scheduled query alerts may post to, e.g. ['hooks.slack.com'] (empty = webhooks disabled).
+     * A name starting with a dot, e.g. '.example.com', allows its subdomains.
+     */
+    ALERT_WEBHOOK_HOSTS: [],
+
     /** Maximum query history entries to store */
     MAX_HISTORY_ENTRIES: 50,
 
     /** Slow query threshold in milliseconds - shows optimization banner when exceeded */
     SLOW_QUERY_THRESHOLD_MS: 3000,
 
+    /** Record every executed query in the audit log custom record (see README for setup) */
+    AUDIT_LOG_ENABLED: false,
+
+    /** Resolve remote credentials from the encrypted credential custom record before secret.js */
+    CREDENTIAL_STORE_ENABLED: false,
+
+    /** Attempts per remote request; request limit errors and 5xx responses are retried (1 = no retry) */
+    REMOTE_RETRY_MAX_ATTEMPTS: 3,
+
+    /** Delay before the first retry in milliseconds, doubled for every further retry */
+    REMOTE_RETRY_BASE_DELAY_MS: 500,
+
+    /** Upper bound for a single retry delay in milliseconds */
+    REMOTE_RETRY_MAX_DELAY_MS: 8000,
+
+    /** Runs against production accounts that may return more rows than this require confirmation */
+    PRODUCTION_CONFIRM_ROW_THRESHOLD: 1000,
+
     /** Remote library base URL */
     REMOTE_LIBRARY_URL: 'https://suiteql.s3.us-east-1.amazonaws.com/queries/',
 
@@ -213,6 +357,8 @@ const CONFIG = Object.freeze({
 let modules = {};
 
 define([
+    'N/crypto',
+    'N/encode',
     'N/file',
     'N/https',
     'N/log',
@@ -220,14 +366,20 @@ define([
     'N/record',
     'N/render',
     'N/runtime',
+    'N/task',
     'N/ui/serverWidget',
     'N/url',
     'oauth',
-    'secret'
-], (file, https, log, query, record, render, runtime, serverWidget, url, oauth, secret) => {
+    'credentials',
+    'suiteql_runner',
+    'suiteql_formats',
+    'suiteql_parser',
+    'suiteql_audit',
+    'schedules'
+], (crypto, encode, file, https, log, query, record, render, runtime, task, serverWidget, url, oauth, credentials, runner, formats, parser, audit, schedules) => {
 
     // Store module references
-    modules = { file, https, log, query, record, render, runtime, serverWidget, url, oauth, secret };
+    modules = { crypto, encode, file, https, log, query, record, render, runtime, task, serverWidget, url, oauth, credentials, runner, formats, parser, audit, schedules };
 
     const remoteAccounts = (() => {
         try {
@@ -270,6 +422,12 @@ define([
             // Extract current account ID
             const currentAccountId = modules.runtime.accountId?.toLowerCase();
 
+            // The current account may have its own entry for its description and environment
+            const localAccount = resolveAccountEnvironment(
+                remoteAccounts.find(acc => (acc.account || '').toLowerCase() === currentAccountId) || {},
+                ENV_TYPE_ENVIRONMENTS[modules.runtime.envType]
+            );
+
             remoteAccounts = remoteAccounts.filter(acc => {
                 const accountId = (acc.account || '').toLowerCase();
 
@@ -279,12 +437,12 @@ define([
                 });
 
                 return accountId !== currentAccountId;
-            });
+            }).map(acc => resolveAccountEnvironment(acc));
 
             if (context.request.method === 'POST') {
-                handlePostRequest(context, scriptUrl);
+                handlePostRequest(context, scriptUrl, remoteAccounts);
             } else {
-                handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId);
+                handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId, localAccount);
             }
         }
     };
@@ -308,8 +466,11 @@ define([
  *        Account ID of the current NetSuite environment (e.g. sandbox or
  *        production). Used by the client to resolve and label local query
  *        execution context.
+ *
+ * @param {Object} localAccount
+ *        Description, environment and color of the current account.
  */
-function handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId) {
+function handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId, localAccount) {
     const params = context.request.parameters;
 
     if (params.function === 'tablesReference') {
@@ -334,7 +495,7 @@ function handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId)
         label: 'HTML'
     });
 
-    htmlField.defaultValue = generateMainHtml(scriptUrl, remoteAccounts, currentAccountId);
+    htmlField.defaultValue = generateMainHtml(scriptUrl, remoteAccounts, currentAccountId, localAccount);
     context.response.writePage(form);
 }
 
@@ -342,21 +503,37 @@ function handleGetRequest(context, scriptUrl, remoteAccounts, currentAccountId)
  * Handles POST requests - API endpoints for AJAX calls.
  * @param {Object} context - The request/response context
  * @param {string} scriptUrl - The script URL
+ * @param {Array<Object>} remoteAccounts - Configured remote NetSuite accounts
  */
-function handlePostRequest(context, scriptUrl) {
+function handlePostRequest(context, scriptUrl, remoteAccounts) {
     const requestPayload = JSON.parse(context.request.body);
     context.response.setHeader('Content-Type', 'application/json');
 
     const handlers = {
         'queryExecute': () => executeQuery(context, requestPayload),
         'documentSubmit': () => submitDocument(context, requestPayload),
+        'documentTemplatesGet': () => getDocumentTemplates(context),
+        'documentTemplateLoad': () => loadDocumentTemplate(context, requestPayload),
+        'documentTemplateSave': () => saveDocumentTemplate(context, requestPayload),
+        'exportJobSubmit': () => submitExportJob(context, requestPayload),
+        'exportJobStatus': () => getExportJobStatus(context, requestPayload),
+        'exportJobCancel': () => cancelExportJob(context, requestPayload),
         'sqlFileExists': () => checkSqlFileExists(context, requestPayload),
         'sqlFileLoad': () => loadSqlFile(context, requestPayload),
         'sqlFileSave': () => saveSqlFile(context, requestPayload),
         'localLibraryFilesGet': () => getLocalLibraryFiles(context),
+        'schedulesGet': () => getSchedules(context),
+        'scheduleSave': () => saveSchedule(context, requestPayload),
+        'scheduleDelete': () => deleteSchedule(context, requestPayload),
+        'scheduleRun': () => runScheduleNow(context, requestPayload),
         'workbookLoad': () => loadWorkbook(context, requestPayload),
         'workbooksGet': () => getWorkbooks(context),
-        'aiGenerateQuery': () => generateAIQuery(context, requestPayload)
+        'aiGenerateQuery': () => generateAIQuery(context, requestPayload),
+        'auditLogGet': () => getAuditLog(context, requestPayload),
+        'credentialsGet': () => getCredentials(context),
+        'credentialSave': () => saveCredential(context, requestPayload),
+        'credentialTest': () => testCredential(context, requestPayload),
+        'remoteAccountsHealth': () => getRemoteAccountsHealth(context, remoteAccounts)
     };
 
     const handler = handlers[requestPayload.function];
@@ -372,6 +549,40 @@ function handlePostRequest(context, scriptUrl) {
     }
 }
 
+/**
+ * Environment tags accepted in custscript_il_suiteql_accounts, with their default colors.
+ */
+const ACCOUNT_ENVIRONMENTS = Object.freeze({
+    production: { label: 'Production', color: '#ef4444' },
+    sandbox: { label: 'Sandbox', color: '#f59e0b' },
+    dev: { label: 'Development', color: '#10b981' }
+});
+
+/**
+ * Environment of the current account when it has no entry of its own (keyed by runtime.envType).
+ */
+const ENV_TYPE_ENVIRONMENTS = Object.freeze({
+    PRODUCTION: 'production',
+    SANDBOX: 'sandbox'
+});
+
+/**
+ * Resolves the environment tag and color of an account entry.
+ * @param {Object} account - Entry from custscript_il_suiteql_accounts
+ * @param {string} [fallbackEnvironment] - Used when the entry has no environment tag
+ * @returns {Object} Copy of the entry with environment, environmentLabel and color (null when unknown)
+ */
+function resolveAccountEnvironment(account, fallbackEnvironment = null) {
+    const environment = String(account.environment || fallbackEnvironment || '').toLowerCase();
+    const defaults = ACCOUNT_ENVIRONMENTS[environment] || null;
+
+    return Object.assign({}, account, {
+        environment: defaults ? environment : null,
+        environmentLabel: defaults ? defaults.label : null,
+        color: account.color || (defaults ? defaults.color : null)
+    });
+}
+
 // =============================================================================
 // SECTION 4: QUERY EXECUTION
 // =============================================================================
@@ -434,136 +645,187 @@ function executeQuery(context, payload) {
 }
 */
 
+/**
+ * Returns the bind values of a query request ({{parameters}} declared in the editor).
+ * @param {Object} payload - The request payload
+ * @returns {Array<string|number|boolean>} Values for the ? markers, in order
+ * @throws {Error} When a value is not a string, number or boolean
+ */
+function getBindParams(payload) {
+    const params = Array.isArray(payload.params) ? payload.params : [];
+
+    params.forEach((value, index) => {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new Error(`Parameter ${index + 1} must be a string, number or boolean.`);
+        }
+    });
+
+    return params;
+}
+
 function executeQuery(context, payload) {
     let responsePayload;
+    let realm = modules.runtime.accountId.toUpperCase();
 
     try {
-        if (payload.remoteUrl) {
-            const match = payload.remoteUrl.match(/^https:\/\/(.*?)\./);
-            const subdomain = match ? match[1] : null;
-            if (!subdomain) {
-                throw new Error('Invalid remoteUrl format: unable to extract subdomain');
-            }
-
-            const realmKey = subdomain.replace('-', '_').toUpperCase();
-
-            // Match against realm in secret config
-            const config = modules.secret.find((entry) => entry.realm === realmKey);
-            if (!config) {
-                throw new Error('No credentials found for remote account with realm: ' + realmKey);
-            }
+        let sqlToExecute = payload.query + '\n';
 
-            const auth = modules.oauth.OAuth({
-                realm: config.realm,
-                consumer: {
-                    key: config.consumer.key,
-                    secret: config.consumer.secret
-                },
-                signature_method: 'HMAC-SHA256',
-                hash_function: modules.oauth.sha256
-            });
+        modules.log.debug('payload', payload);
 
-            const headers = modules.oauth.getHeaders({
-                url: payload.remoteUrl,
-                method: 'POST',
-                tokenKey: config.token.id,
-                tokenSecret: config.token.secret
-            }, auth);
+        // Views live in this account's File Cabinet, so they are expanded here
+        // for remote targets too; the remote proxy receives plain SQL
+        if (payload.viewsEnabled && CONFIG.QUERY_FOLDER_ID) {
+            sqlToExecute = processVirtualViews(sqlToExecute);
+        }
 
-            headers['Content-Type'] = 'application/json';
+        modules.log.debug('sqlToExecute', sqlToExecute);
 
-            const response = modules.https.request({
-                method: 'POST',
-                url: payload.remoteUrl,
-                headers: headers,
-                body: JSON.stringify(payload)
+        if (payload.remoteUrl) {
+            realm = getRealmFromUrl(payload.remoteUrl);
+            responsePayload = executeRemoteQuery(payload.remoteUrl, {
+                query: sqlToExecute,
+                params: getBindParams(payload),
+                rowBegin: payload.rowBegin,
+                rowEnd: payload.rowEnd,
+                paginationEnabled: payload.paginationEnabled,
+                fetchAll: payload.fetchAll,
+                returnTotals: payload.returnTotals
             });
 
-            responsePayload = JSON.parse(response.body);
-
         } else {
-            const beginTime = Date.now();
-            let records = [];
-            let sqlToExecute = payload.query + '\n';
-
-            modules.log.debug('payload', payload);
-            modules.log.debug('sqlToExecute', sqlToExecute);
-
-            if (payload.viewsEnabled && CONFIG.QUERY_FOLDER_ID) {
-                sqlToExecute = processVirtualViews(sqlToExecute);
-            }
-
-            if (payload.paginationEnabled) {
-                records = executePaginatedQuery(sqlToExecute, payload.rowBegin, payload.rowEnd);
-            } else {
-                records = modules.query.runSuiteQL({
-                    query: sqlToExecute,
-                    params: []
-                }).asMappedResults();
-            }
-
-            const elapsedTime = Date.now() - beginTime;
-
-            responsePayload = {
-                records,
-                elapsedTime,
-                rowCount: records.length
-            };
-
-            if (payload.returnTotals && records.length > 0) {
-                const countSql = `SELECT COUNT(*) AS TotalRecordCount FROM (${sqlToExecute})`;
-                const countResult = modules.query.runSuiteQL({
-                    query: countSql,
-                    params: []
-                }).asMappedResults();
-                responsePayload.totalRecordCount = countResult[0]?.totalrecordcount || 0;
-            }
+            responsePayload = modules.runner.run({
+                sql: sqlToExecute,
+                params: getBindParams(payload),
+                paginationEnabled: payload.paginationEnabled,
+                fetchAll: payload.fetchAll,
+                rowBegin: payload.rowBegin,
+                rowEnd: payload.rowEnd,
+                returnTotals: payload.returnTotals
+            });
         }
 
     } catch (e) {
         modules.log.error({ title: 'Query Execution Error', details: e });
         responsePayload = { error: { message: e.message, name: e.name } };
+
+        if (e.category) {
+            Object.assign(responsePayload.error, {
+                category: e.category,
+                realm: e.realm,
+                httpCode: e.httpCode,
+                code: e.code,
+                retryable: !!e.retryable
+            });
+        }
     }
 
+    writeAuditLog({
+        sql: payload.query,
+        realm: realm,
+        remote: !!payload.remoteUrl,
+        rowCount: responsePayload.rowCount,
+        elapsedTime: responsePayload.elapsedTime,
+        error: responsePayload.error
+    });
+
     context.response.write(JSON.stringify(responsePayload, null, 2));
 }
 
 
 
 /**
- * Executes a paginated query with ROWNUM support.
- * @param {string} sql - The SQL query
- * @param {number} rowBegin - Starting row number
- * @param {number} rowEnd - Ending row number
- * @returns {Array} Query results
+ * Derives the realm key of a remote account from its RESTlet URL,
+ * e.g. https://1337-sb1.restlets.api.netsuite.com/... becomes 1337_SB1.
+ * @param {string} remoteUrl - The remote RESTlet URL
+ * @returns {string} Realm key
  */
-function executePaginatedQuery(sql, rowBegin, rowEnd) {
-    let records = [];
-    let moreRecords = true;
-    let currentBegin = rowBegin;
+function getRealmFromUrl(remoteUrl) {
+    const match = remoteUrl.match(/^https:\/\/(.*?)\./);
+    const subdomain = match ? match[1] : null;
+    if (!subdomain) {
+        throw new Error('Invalid remoteUrl format: unable to extract subdomain');
+    }
 
-    while (moreRecords) {
-        const paginatedSql = `
-            SELECT * FROM (
-                SELECT ROWNUM AS ROWNUMBER, * FROM (${sql})
-            ) WHERE ROWNUMBER BETWEEN ${currentBegin} AND ${rowEnd}
-        `;
+    return subdomain.replace('-', '_').toUpperCase();
+}
 
-        const results = modules.query.runSuiteQL({
-            query: paginatedSql,
-            params: []
-        }).asMappedResults();
+/**
+ * Sends a payload to a remote account's SuiteQL proxy RESTlet.
+ * The request is signed with the OAuth credentials of the account's realm.
+ * Each call makes one attempt: SuiteScript cannot wait without spending script time,
+ * so request limit errors and 5xx responses are marked retryable and the browser
+ * retries them with backoff (see CONFIG.REMOTE_RETRY_*).
+ * @param {string} remoteUrl - The remote RESTlet URL
+ * @param {Object} payload - The payload forwarded to the RESTlet
+ * @returns {Object} The parsed RESTlet response
+ * @throws {Error} RemoteExecutionError when the request fails (see createRemoteError), with retryable set
+ */
+function executeRemoteQuery(remoteUrl, payload) {
+    const realmKey = getRealmFromUrl(remoteUrl);
 
-        records = records.concat(results);
+    const resolved = modules.credentials.find(getCredentialProviders(), realmKey);
+    if (!resolved) {
+        throw createRemoteError('credentials', realmKey, 'No credentials found for remote account with realm: ' + realmKey);
+    }
 
-        if (results.length < 5000) {
-            moreRecords = false;
+    try {
+        let response;
+        try {
+            response = sendRemoteRequest(remoteUrl, payload, resolved.credential);
+        } catch (e) {
+            const category = REMOTE_TIMEOUT_ERROR_CODES.includes(e.name) ? 'timeout' : 'network';
+            throw createRemoteError(category, realmKey, e.message, { code: e.name });
         }
 
-        currentBegin += 5000;
+        return parseRemoteResponse(response, realmKey);
+    } catch (e) {
+        e.retryable = isRetryableRemoteError(e);
+        throw e;
     }
+}
+
+/**
+ * Checks whether a failed remote request is worth another attempt.
+ * @param {Error} e - RemoteExecutionError
+ * @returns {boolean} True for request limit errors and 5xx responses
+ */
+function isRetryableRemoteError(e) {
+    return e.category === 'rate_limit' || (e.category === 'http' && e.httpCode >= 500);
+}
+
+/**
+ * Signs and sends a payload to a remote RESTlet.
+ * @param {string} remoteUrl - The remote RESTlet URL
+ * @param {Object} payload - The payload forwarded to the RESTlet
+ * @param {Object} config - OAuth credential of the remote realm
+ * @returns {Object} The raw https.ClientResponse
+ */
+function sendRemoteRequest(remoteUrl, payload, config) {
+    const auth = modules.oauth.OAuth({
+        realm: config.realm,
+        consumer: {
+            key: config.consumer.key,
+            secret: config.consumer.secret
+        },
+        signature_method: 'HMAC-SHA256',
+        hash_function: modules.oauth.sha256
+    });
+
+    const headers = modules.oauth.getHeaders({
+        url: remoteUrl,
+        method: 'POST',
+        tokenKey: config.token.id,
+        tokenSecret: config.token.secret
+    }, auth);
 
-    return records;
+    headers['Content-Type'] = 'application/json';
+
+    return modules.https.request({
+        method: 'POST',
+        url: remoteUrl,
+        headers: headers,
+        body: JSON.stringify(payload)
+    });
 }
 
 /**
@@ -572,3269 +834,4955 @@ function executePaginatedQuery(sql, rowBegin, rowEnd) {
  * @returns {string} Processed SQL with views expanded
  */
 function processVirtualViews(sql) {
-    const viewPattern = /(?:^|\s)#(\w+)\b/gi;
-    const views = sql.match(viewPattern);
-
-    if (!views || views.length === 0) {
-        return sql;
-    }
-
-    let processedSql = sql;
+    return modules.runner.expandVirtualViews(sql, CONFIG.QUERY_FOLDER_ID);
+}
 
-    for (const view of views) {
-        const cleanView = view.replace(/\s+/g, '');
-        const viewFileName = cleanView.substring(1) + '.sql';
+// =============================================================================
+// SECTION 4.5: AUDIT LOG
+// =============================================================================
 
-        const fileSql = 'SELECT ID FROM File WHERE Folder = ? AND Name = ?';
-        const files = modules.query.runSuiteQL({
-            query: fileSql,
-            params: [CONFIG.QUERY_FOLDER_ID, viewFileName]
-        }).asMappedResults();
+/** Role ID of the Administrator role, which may view all audit log entries */
+const ADMINISTRATOR_ROLE_ID = 3;
 
-        if (files.length === 1) {
-            const fileObj = modules.file.load({ id: files[0].id });
-            const viewSql = fileObj.getContents();
-            processedSql = processedSql.replace(
-                cleanView,
-                `(${viewSql}) AS ${cleanView.substring(1)}`
-            );
-        } else {
-            throw new Error(`Unresolved view: ${viewFileName}`);
-        }
+/**
+ * Writes an audit log entry when CONFIG.AUDIT_LOG_ENABLED is set (see suiteql_audit.js).
+ * Failures are logged but never interrupt the query response.
+ * @param {Object} entry - The audit entry; source defaults to the Suitelet
+ */
+function writeAuditLog(entry) {
+    if (!CONFIG.AUDIT_LOG_ENABLED) {
+        return;
     }
 
-    return processedSql;
+    modules.audit.write(Object.assign({ source: modules.audit.SOURCES.SUITELET }, entry));
 }
 
-// =============================================================================
-// SECTION 5: FILE OPERATIONS
-// =============================================================================
-
 /**
- * Gets list of SQL files from local library.
+ * Searches the audit log.
+ * Administrators see all entries; other roles see only their own.
  * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (search, realm, errorsOnly, limit)
  */
-function getLocalLibraryFiles(context) {
+function getAuditLog(context, payload) {
     try {
-        if (!CONFIG.QUERY_FOLDER_ID) {
+        if (!CONFIG.AUDIT_LOG_ENABLED) {
             context.response.write(JSON.stringify({
-                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
+                error: 'Audit log not configured (AUDIT_LOG_ENABLED is false)'
             }));
             return;
         }
 
+        const { AUDIT_LOG_RECORD } = modules.audit;
+        const user = modules.runtime.getCurrentUser();
+        const conditions = [];
+        const params = [];
+
+        if (!isAdministrator()) {
+            conditions.push(`a.${AUDIT_LOG_RECORD.USER} = ?`);
+            params.push(user.id);
+        }
+
+        if (payload.search) {
+            conditions.push(`(LOWER(a.${AUDIT_LOG_RECORD.SQL}) LIKE ? OR a.${AUDIT_LOG_RECORD.SQL_HASH} = ?)`);
+            params.push('%' + payload.search.toLowerCase() + '%', payload.search.toLowerCase());
+        }
+
+        if (payload.realm) {
+            conditions.push(`UPPER(a.${AUDIT_LOG_RECORD.REALM}) = ?`);
+            params.push(payload.realm.toUpperCase());
+        }
+
+        if (payload.errorsOnly) {
+            conditions.push(`a.${AUDIT_LOG_RECORD.ERROR} IS NOT NULL`);
+        }
+
+        const limit = Math.min(parseInt(payload.limit, 10) || 100, 1000);
+        params.push(limit);
+
         const sql = `
-            SELECT ID, Name, Description
-            FROM File
-            WHERE Folder = ?
-            ORDER BY Name
+            SELECT * FROM (
+                SELECT
+                    a.ID,
+                    TO_CHAR(a.Created, 'YYYY-MM-DD HH24:MI:SS') AS CreatedAt,
+                    BUILTIN.DF(a.${AUDIT_LOG_RECORD.USER}) AS UserName,
+                    BUILTIN.DF(a.${AUDIT_LOG_RECORD.ROLE}) AS RoleName,
+                    a.${AUDIT_LOG_RECORD.REALM} AS Realm,
+                    a.${AUDIT_LOG_RECORD.REMOTE} AS Remote,
+                    a.${AUDIT_LOG_RECORD.SOURCE} AS Source,
+                    a.${AUDIT_LOG_RECORD.SQL_HASH} AS SqlHash,
+                    a.${AUDIT_LOG_RECORD.SQL} AS SqlText,
+                    a.${AUDIT_LOG_RECORD.ROW_COUNT} AS RowCount,
+                    a.${AUDIT_LOG_RECORD.ELAPSED_MS} AS ElapsedMs,
+                    a.${AUDIT_LOG_RECORD.ERROR} AS ErrorMessage
+                FROM ${AUDIT_LOG_RECORD.TYPE} a
+                ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                ORDER BY a.ID DESC
+            )
+            WHERE ROWNUM <= ?
         `;
 
         const records = modules.query.runSuiteQL({
             query: sql,
-            params: [CONFIG.QUERY_FOLDER_ID]
+            params: params
         }).asMappedResults();
 
-        const response = records.length > 0
-            ? { records }
-            : { error: 'No SQL Files' };
-
-        context.response.write(JSON.stringify(response, null, 2));
+        context.response.write(JSON.stringify({ records }, null, 2));
     } catch (e) {
-        modules.log.error({ title: 'Get Local Library Files Error', details: e });
+        modules.log.error({ title: 'Get Audit Log Error', details: e });
         context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
+// =============================================================================
+// SECTION 4.6: REMOTE CREDENTIALS
+// =============================================================================
+
 /**
- * Checks if a SQL file exists in the local library.
+ * Returns the credential providers in order of precedence.
+ * To add a provider, implement the interface described in credentials.js
+ * and add it to this list.
+ * @returns {Array<Object>} Credential providers
+ */
+function getCredentialProviders() {
+    const providers = [];
+
+    if (CONFIG.CREDENTIAL_STORE_ENABLED) {
+        providers.push(modules.credentials.customRecord);
+    }
+
+    providers.push(modules.credentials.secretFile);
+
+    return providers;
+}
+
+/**
+ * Checks whether the current user is logged in with the Administrator role.
+ * @returns {boolean} True for administrators
+ */
+function isAdministrator() {
+    return modules.runtime.getCurrentUser().role === ADMINISTRATOR_ROLE_ID;
+}
+
+/**
+ * Checks whether the current user may start server-side exports.
+ * Exports run with the role of the export deployment, not the role of the user.
+ * @returns {boolean} True for administrators and the roles in CONFIG.EXPORT_ROLE_IDS
+ */
+function canStartExport() {
+    return isAdministrator() || CONFIG.EXPORT_ROLE_IDS.includes(modules.runtime.getCurrentUser().role);
+}
+
+/**
+ * Lists stored credentials (metadata only). Administrators only.
  * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload
  */
-function checkSqlFileExists(context, payload) {
+function getCredentials(context) {
     try {
-        if (!CONFIG.QUERY_FOLDER_ID) {
-            context.response.write(JSON.stringify({
-                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
-            }));
+        if (!isAdministrator()) {
+            context.response.write(JSON.stringify({ error: 'Only administrators can manage credentials.' }));
             return;
         }
 
-        const sql = `
-            SELECT ID FROM File
-            WHERE Folder = ? AND Name = ?
-        `;
-
-        const records = modules.query.runSuiteQL({
-            query: sql,
-            params: [CONFIG.QUERY_FOLDER_ID, payload.filename]
-        }).asMappedResults();
-
         context.response.write(JSON.stringify({
-            exists: records.length > 0
-        }));
+            storeEnabled: CONFIG.CREDENTIAL_STORE_ENABLED,
+            records: modules.credentials.list(getCredentialProviders())
+        }, null, 2));
     } catch (e) {
-        modules.log.error({ title: 'Check SQL File Exists Error', details: e });
+        modules.log.error({ title: 'Get Credentials Error', details: e });
         context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
 /**
- * Loads a SQL file from the file cabinet.
+ * Adds or rotates the credentials of a realm in the credential store. Administrators only.
  * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload
+ * @param {Object} payload - The request payload (realm, consumerKey, consumerSecret, tokenId, tokenSecret)
  */
-function loadSqlFile(context, payload) {
+function saveCredential(context, payload) {
     try {
-        const fileObj = modules.file.load({ id: payload.fileID });
+        if (!isAdministrator()) {
+            context.response.write(JSON.stringify({ error: 'Only administrators can manage credentials.' }));
+            return;
+        }
 
-        context.response.write(JSON.stringify({
-            file: {
-                id: fileObj.id,
-                name: fileObj.name,
-                description: fileObj.description
-            },
-            sql: fileObj.getContents()
-        }));
+        if (!CONFIG.CREDENTIAL_STORE_ENABLED) {
+            context.response.write(JSON.stringify({
+                error: 'Credential store not configured (CREDENTIAL_STORE_ENABLED is false)'
+            }));
+            return;
+        }
+
+        const id = modules.credentials.customRecord.save(payload);
+
+        modules.log.audit({
+            title: 'Credential Saved',
+            details: { realm: String(payload.realm).toUpperCase(), user: modules.runtime.getCurrentUser().id }
+        });
+
+        context.response.write(JSON.stringify({ id }));
     } catch (e) {
-        modules.log.error({ title: 'Load SQL File Error', details: e });
+        modules.log.error({ title: 'Save Credential Error', details: e });
         context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
 /**
- * Saves a SQL file to the file cabinet.
+ * Tests the credentials of a remote account with a trivial query. Administrators only.
  * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload
+ * @param {Object} payload - The request payload (remoteUrl)
  */
-function saveSqlFile(context, payload) {
+function testCredential(context, payload) {
     try {
-        if (!CONFIG.QUERY_FOLDER_ID) {
-            context.response.write(JSON.stringify({
-                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
-            }));
+        if (!isAdministrator()) {
+            context.response.write(JSON.stringify({ error: 'Only administrators can manage credentials.' }));
             return;
         }
 
-        const fileObj = modules.file.create({
-            name: payload.filename,
-            contents: payload.contents,
-            description: payload.description,
-            fileType: modules.file.Type.PLAINTEXT,
-            folder: CONFIG.QUERY_FOLDER_ID,
-            isOnline: false
+        const realm = getRealmFromUrl(payload.remoteUrl);
+        const resolved = modules.credentials.find(getCredentialProviders(), realm);
+        const beginTime = Date.now();
+        let result = null;
+        let failure = null;
+
+        try {
+            result = executeRemoteQuery(payload.remoteUrl, {
+                query: REMOTE_PING_QUERY,
+                paginationEnabled: false
+            });
+        } catch (e) {
+            failure = e;
+        }
+
+        writeAuditLog({
+            sql: REMOTE_PING_QUERY,
+            realm,
+            remote: true,
+            source: modules.audit.SOURCES.CREDENTIAL_TEST,
+            rowCount: result ? result.rowCount : null,
+            elapsedTime: Date.now() - beginTime,
+            error: failure
         });
 
-        const fileId = fileObj.save();
+        if (failure) {
+            throw failure;
+        }
 
-        context.response.write(JSON.stringify({ fileID: fileId }));
+        context.response.write(JSON.stringify({
+            realm,
+            provider: resolved ? resolved.provider : null,
+            elapsedTime: result.elapsedTime
+        }));
     } catch (e) {
-        modules.log.error({ title: 'Save SQL File Error', details: e });
+        modules.log.error({ title: 'Test Credential Error', details: e });
         context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
 // =============================================================================
-// SECTION 6: WORKBOOKS
+// SECTION 4.7: REMOTE ERRORS AND HEALTH
 // =============================================================================
 
 /**
- * Gets list of available workbooks.
- * @param {Object} context - The request/response context
+ * Query run by health checks and credential tests.
  */
-function getWorkbooks(context) {
-    const sql = `
-        SELECT ScriptID, Name, Description, BUILTIN.DF(Owner) AS Owner
-        FROM UsrSavedSearch
-        ORDER BY Name
-    `;
+const REMOTE_PING_QUERY = 'SELECT 1 AS ok FROM Dual';
 
-    const records = modules.query.runSuiteQL({
-        query: sql,
-        params: []
-    }).asMappedResults();
+/**
+ * NetSuite error codes returned when OAuth authentication fails.
+ */
+const REMOTE_AUTH_ERROR_CODES = ['INVALID_LOGIN_ATTEMPT', 'INVALID_LOGIN_CREDENTIALS', 'INVALID_LOGIN'];
 
-    const response = records.length > 0
-        ? { records }
-        : { error: 'No Workbooks' };
+/**
+ * Error codes returned when the token role lacks access.
+ */
+const REMOTE_PERMISSION_ERROR_CODES = ['INSUFFICIENT_PERMISSION', 'SQT_TABLE_NOT_ALLOWED'];
 
-    context.response.write(JSON.stringify(response, null, 2));
+/**
+ * Error codes returned when the remote account is over its concurrency limit.
+ */
+const REMOTE_RATE_LIMIT_ERROR_CODES = ['SSS_REQUEST_LIMIT_EXCEEDED'];
+
+/**
+ * Error codes of requests or remote scripts that ran out of time.
+ */
+const REMOTE_TIMEOUT_ERROR_CODES = [
+    'SSS_REQUEST_TIME_EXCEEDED',
+    'SSS_CONNECTION_TIME_OUT',
+    'SSS_TIME_LIMIT_EXCEEDED',
+    'SQT_TIME_BUDGET_EXCEEDED'
+];
+
+/**
+ * Creates the typed error thrown for failed remote executions.
+ * Categories:
+ * - credentials: no credentials configured for the realm
+ * - oauth: the remote account rejected the OAuth signature or token
+ * - rate_limit: the remote account is over its concurrent request limit
+ * - permission: authenticated, but the token role may not run the query
+ * - query: the proxy RESTlet ran the query and SuiteQL rejected it
+ * - timeout: the request or the remote script ran out of time
+ * - http: the RESTlet did not answer with JSON (e.g. wrong script or deployment ID)
+ * - network: the request itself failed (e.g. DNS)
+ * @param {string} category - Error category
+ * @param {string} realm - Realm of the remote account
+ * @param {string} message - Error message
+ * @param {Object} [details] - httpCode and code (NetSuite error code)
+ * @returns {Error} Error named RemoteExecutionError
+ */
+function createRemoteError(category, realm, message, details = {}) {
+    const e = new Error(message);
+    e.name = 'RemoteExecutionError';
+    e.category = category;
+    e.realm = realm;
+    e.httpCode = details.httpCode || null;
+    e.code = details.code || null;
+    return e;
 }
 
 /**
- * Loads a workbook and converts to SuiteQL.
- * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload
+ * Parses a remote RESTlet response, throwing a RemoteExecutionError on failure.
+ * NetSuite errors carry a "code", errors from the proxy RESTlet a "name".
+ * @param {Object} response - The https.ClientResponse
+ * @param {string} realm - Realm of the remote account
+ * @returns {Object} The parsed response body
  */
-function loadWorkbook(context, payload) {
+function parseRemoteResponse(response, realm) {
+    let body = null;
     try {
-        const loadedQuery = modules.query.load({ id: payload.scriptID });
-
-        context.response.write(JSON.stringify({
-            sql: loadedQuery.toSuiteQL().query
-        }));
+        body = JSON.parse(response.body);
     } catch (e) {
-        modules.log.error({ title: 'Load Workbook Error', details: e });
-        context.response.write(JSON.stringify({ error: e.message }));
+        body = null;
     }
-}
 
-// =============================================================================
-// SECTION 6.5: AI QUERY GENERATION
-// =============================================================================
+    const remoteError = body && body.error ? body.error : null;
+    const code = remoteError ? (remoteError.code || remoteError.name || null) : null;
+    const message = remoteError ? (remoteError.message || String(remoteError)) : null;
+    const details = { httpCode: response.code, code };
 
-/**
- * System prompt optimized for SuiteQL generation.
- * This is hardcoded and not user-customizable.
- */
-const AI_SYSTEM_PROMPT = `You are a SuiteQL expert assistant for NetSuite. Your role is to help users write SuiteQL queries.
+    if (response.code === 401 || REMOTE_AUTH_ERROR_CODES.includes(code)) {
+        throw createRemoteError('oauth', realm, message || 'Authentication failed.', details);
+    }
 
-SuiteQL Key Points:
-- SuiteQL is NetSuite's SQL-like query language based on Oracle SQL syntax
-- Tables use internal IDs (e.g., "Transaction", "Customer", "Employee", "Item")
-- Use BUILTIN.DF() function to get display values for reference fields: BUILTIN.DF(fieldname)
-- Common joins: Transaction to TransactionLine, Customer to Transaction, Employee to Department
-- Date functions: TO_DATE(), TO_CHAR(), ADD_MONTHS(), TRUNC()
-- String functions: UPPER(), LOWER(), SUBSTR(), INSTR(), NVL()
-- Use NVL(field, default) for null handling
-- ROWNUM for limiting results (no LIMIT keyword)
-- Use single quotes for string literals
-- Boolean fields use 'T' and 'F' values
+    if (response.code === 429 || REMOTE_RATE_LIMIT_ERROR_CODES.includes(code)) {
+        throw createRemoteError('rate_limit', realm, message || 'Too many concurrent requests.', details);
+    }
 
-Common Table Names:
-- Transaction (sales orders, invoices, etc.) with type field for filtering
-- TransactionLine for line items
-- Customer, Vendor, Employee, Partner
-- Item, InventoryItem, ServiceItem, NonInventoryItem
-- Account, Department, Location, Subsidiary, Classification
-- EntityAddress for addresses
-- File for file cabinet files
+    if (REMOTE_TIMEOUT_ERROR_CODES.includes(code)) {
+        throw createRemoteError('timeout', realm, message, details);
+    }
 
-When generating queries:
-1. Always include relevant fields the user would need
-2. Use meaningful aliases for complex expressions
-3. Add ORDER BY when it makes sense
-4. Include comments explaining complex logic
-5. Format queries for readability
+    if (response.code === 403 || REMOTE_PERMISSION_ERROR_CODES.includes(code)) {
+        throw createRemoteError('permission', realm, message || 'Access denied.', details);
+    }
 
-If the user's request is unclear, ask clarifying questions.
-If you generate a query, wrap it in a SQL code block using triple backticks with 'sql' language identifier.
+    if (response.code < 200 || response.code >= 300 || !body) {
+        throw createRemoteError('http', realm,
+            message || 'HTTP ' + response.code + ': the remote RESTlet did not return a JSON response.', details);
+    }
 
-Example response format:
-\`\`\`sql
-SELECT
-    Customer.entityid AS customer_id,
-    Customer.companyname,
-    BUILTIN.DF(Customer.salesrep) AS sales_rep
-FROM Customer
-WHERE Customer.isinactive = 'F'
-ORDER BY Customer.companyname
-\`\`\``;
+    if (remoteError) {
+        throw createRemoteError('query', realm, message, details);
+    }
+
+    return body;
+}
 
 /**
- * System prompt for table-related AI queries in the Tables Reference.
- * Optimized for helping users understand NetSuite tables and find the right tables.
+ * Pings every configured remote account and reports whether it can run SuiteQL.
+ * Only accounts from the deployment parameter are checked, never URLs from the client.
+ * @param {Object} context - The request/response context
+ * @param {Array<Object>} remoteAccounts - Configured remote NetSuite accounts
  */
-const AI_TABLE_SYSTEM_PROMPT = `You are a NetSuite SuiteQL tables expert. Your role is to help users understand NetSuite database tables and find the right tables for their needs.
+function getRemoteAccountsHealth(context, remoteAccounts) {
+    try {
+        context.response.write(JSON.stringify({
+            accounts: remoteAccounts.map(checkRemoteAccount)
+        }, null, 2));
+    } catch (e) {
+        modules.log.error({ title: 'Remote Accounts Health Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-NetSuite Database Knowledge:
-- NetSuite has hundreds of tables accessible via SuiteQL
-- Tables use internal IDs (e.g., "Transaction", "Customer", "Employee")
-- BUILTIN.DF() returns display values for foreign key fields
-- Common transaction types are filtered via the "type" field in the Transaction table
-- Many tables support joins through foreign key relationships
+/**
+ * Runs a trivial query against a remote account.
+ * A failure is reported with the category of its RemoteExecutionError.
+ * @param {Object} account - Remote account (description, account, url)
+ * @returns {Object} Health entry for the account
+ */
+function checkRemoteAccount(account) {
+    const health = {
+        account: account.account,
+        description: account.description,
+        realm: null,
+        ok: false,
+        category: null,
+        message: null,
+        httpCode: null,
+        elapsedTime: null
+    };
 
-Common Table Categories:
-1. **Core Entities**: Customer, Vendor, Employee, Partner, Contact, Lead, Prospect
-2. **Transactions**: Transaction (header), TransactionLine (lines), TransactionAccountingLine
-3. **Items**: Item, InventoryItem, ServiceItem, NonInventoryItem, AssemblyItem, KitItem
-4. **Accounting**: Account, AccountingPeriod, Currency, ExchangeRate
-5. **Organization**: Subsidiary, Department, Location, Classification
-6. **CRM**: Opportunity, Case (supportcase), Campaign, PhoneCall, Task, Event
-7. **Addresses**: EntityAddress, TransactionAddress
-8. **Files**: File, Folder
-9. **Users/Roles**: Employee, Role, SystemNote
-10. **Custom**: Custom records use format customrecord_*
+    const beginTime = Date.now();
 
-Transaction Type Values (for Transaction.type):
-- SalesOrd (Sales Order), Invoice (Invoice), CustInvc (Customer Invoice)
-- PurchOrd (Purchase Order), VendBill (Vendor Bill)
-- CashSale, CustPymt (Customer Payment), VendPymt (Vendor Payment)
-- Journal, Check, Deposit, Transfer
-- ItemRcpt (Item Receipt), ItemShip (Item Fulfillment)
-- RtnAuth (Return Authorization), CustCred (Credit Memo)
+    try {
+        health.realm = getRealmFromUrl(account.url);
+        executeRemoteQuery(account.url, {
+            query: REMOTE_PING_QUERY,
+            paginationEnabled: false
+        });
+        health.ok = true;
+    } catch (e) {
+        health.category = e.category || 'http';
+        health.message = e.message;
+        health.httpCode = e.httpCode || null;
+    }
 
-Key Relationships:
-- Transaction → TransactionLine: Transaction.id = TransactionLine.transaction
-- Transaction → Customer: Transaction.entity = Customer.id
-- TransactionLine → Item: TransactionLine.item = Item.id
-- Customer → EntityAddress: Through Customer.defaultbillingaddress/defaultshippingaddress
-- Employee → Department: Employee.department = Department.id
+    health.elapsedTime = Date.now() - beginTime;
 
-Important Columns by Table:
-- **Customer**: id, entityid, companyname, email, phone, salesrep, terms, creditlimit, isinactive
-- **Transaction**: id, tranid, type, entity, trandate, status, total, subsidiary, postingperiod
-- **TransactionLine**: id, transaction, linesequencenumber, item, quantity, amount, rate
-- **Item**: id, itemid, displayname, baseprice, itemtype, isinactive
-- **Employee**: id, entityid, firstname, lastname, email, department, location, supervisor
+    writeAuditLog({
+        sql: REMOTE_PING_QUERY,
+        realm: health.realm || String(account.account || '').toUpperCase(),
+        remote: true,
+        source: modules.audit.SOURCES.HEALTH_CHECK,
+        elapsedTime: health.elapsedTime,
+        error: health.ok ? null : health.message
+    });
 
-When helping users:
-1. If asked about a specific table, explain its purpose and common use cases
-2. If asked to find tables, suggest multiple relevant options with explanations
-3. If generating queries, use proper joins and include helpful comments
-4. Format SQL in code blocks with the 'sql' language identifier
-5. Explain why certain columns or joins are important
-6. Mention BUILTIN.DF() when reference fields would benefit from display values
+    return health;
+}
 
-When suggesting tables for a user's needs:
-- Consider what data they're trying to access
-- Suggest primary tables AND related tables they might need
-- Explain how tables connect via joins`;
+// =============================================================================
+// SECTION 5: FILE OPERATIONS
+// =============================================================================
 
 /**
- * Generates a query using AI API (Anthropic or OpenAI).
+ * Gets list of SQL files from local library.
  * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload containing:
- *   - provider: 'anthropic' or 'openai'
- *   - apiKey: The API key
- *   - model: The model to use
- *   - messages: Array of conversation messages
- *   - mode: 'query' (default) or 'tables' for table reference assistance
  */
-function generateAIQuery(context, payload) {
-    let responsePayload;
-
+function getLocalLibraryFiles(context) {
     try {
-        const { provider, apiKey, model, messages, mode } = payload;
-
-        if (!provider || !apiKey || !model || !messages) {
-            throw new Error('Missing required parameters: provider, apiKey, model, or messages');
+        if (!CONFIG.QUERY_FOLDER_ID) {
+            context.response.write(JSON.stringify({
+                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
+            }));
+            return;
         }
 
-        // Select system prompt based on mode
-        const systemPrompt = mode === 'tables' ? AI_TABLE_SYSTEM_PROMPT : AI_SYSTEM_PROMPT;
-
-        let aiResponse;
+        const sql = `
+            SELECT ID, Name, Description
+            FROM File
+            WHERE Folder = ?
+            ORDER BY Name
+        `;
 
-        if (provider === 'anthropic') {
-            aiResponse = callAnthropicAPI(apiKey, model, messages, systemPrompt);
-        } else if (provider === 'openai') {
-            aiResponse = callOpenAIAPI(apiKey, model, messages, systemPrompt);
-        } else {
-            throw new Error(`Unsupported provider: ${provider}`);
-        }
+        const records = modules.query.runSuiteQL({
+            query: sql,
+            params: [CONFIG.QUERY_FOLDER_ID]
+        }).asMappedResults();
 
-        responsePayload = {
-            success: true,
-            response: aiResponse.content,
-            usage: aiResponse.usage
-        };
+        const response = records.length > 0
+            ? { records }
+            : { error: 'No SQL Files' };
 
+        context.response.write(JSON.stringify(response, null, 2));
     } catch (e) {
-        modules.log.error({ title: 'AI Query Generation Error', details: e });
-
-        // Parse specific error types for better user feedback
-        let errorMessage = e.message;
-        let errorType = 'error';
+        modules.log.error({ title: 'Get Local Library Files Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-        if (e.message.includes('401') || e.message.includes('invalid_api_key') || e.message.includes('Unauthorized')) {
-            errorMessage = 'Invalid API key. Please check your API key in settings.';
-            errorType = 'auth_error';
-        } else if (e.message.includes('429') || e.message.includes('rate_limit')) {
-            errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
-            errorType = 'rate_limit';
-        } else if (e.message.includes('500') || e.message.includes('502') || e.message.includes('503')) {
-            errorMessage = 'AI service is temporarily unavailable. Please try again later.';
-            errorType = 'service_error';
+/**
+ * Checks if a SQL file exists in the local library.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload
+ */
+function checkSqlFileExists(context, payload) {
+    try {
+        if (!CONFIG.QUERY_FOLDER_ID) {
+            context.response.write(JSON.stringify({
+                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
+            }));
+            return;
         }
 
-        responsePayload = {
-            error: {
-                message: errorMessage,
-                type: errorType,
-                details: e.message
-            }
-        };
-    }
+        const sql = `
+            SELECT ID FROM File
+            WHERE Folder = ? AND Name = ?
+        `;
 
-    context.response.write(JSON.stringify(responsePayload, null, 2));
+        const records = modules.query.runSuiteQL({
+            query: sql,
+            params: [CONFIG.QUERY_FOLDER_ID, payload.filename]
+        }).asMappedResults();
+
+        context.response.write(JSON.stringify({
+            exists: records.length > 0
+        }));
+    } catch (e) {
+        modules.log.error({ title: 'Check SQL File Exists Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
 }
 
 /**
- * Calls the Anthropic Claude API.
- * @param {string} apiKey - The Anthropic API key
- * @param {string} model - The model ID
- * @param {Array} messages - Array of conversation messages
- * @param {string} systemPrompt - The system prompt to use
- * @returns {Object} Response with content and usage
+ * Loads a SQL file from the file cabinet.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload
  */
-function callAnthropicAPI(apiKey, model, messages, systemPrompt) {
-    const requestBody = {
-        model: model,
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: messages.map(m => ({
-            role: m.role,
-            content: m.content
-        }))
-    };
+function loadSqlFile(context, payload) {
+    try {
+        const fileObj = modules.file.load({ id: payload.fileID });
 
-    const response = modules.https.post({
-        url: 'https://api.anthropic.com/v1/messages',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(requestBody)
-    });
+        context.response.write(JSON.stringify({
+            file: {
+                id: fileObj.id,
+                name: fileObj.name,
+                description: fileObj.description
+            },
+            sql: fileObj.getContents()
+        }));
+    } catch (e) {
+        modules.log.error({ title: 'Load SQL File Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-    const responseBody = JSON.parse(response.body);
+/**
+ * Saves a SQL file to the file cabinet.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload
+ */
+function saveSqlFile(context, payload) {
+    try {
+        if (!CONFIG.QUERY_FOLDER_ID) {
+            context.response.write(JSON.stringify({
+                error: 'Local library not configured (QUERY_FOLDER_ID is not set)'
+            }));
+            return;
+        }
 
-    if (response.code !== 200) {
-        throw new Error(responseBody.error?.message || `Anthropic API error: ${response.code}`);
+        const fileObj = modules.file.create({
+            name: payload.filename,
+            contents: payload.contents,
+            description: payload.description,
+            fileType: modules.file.Type.PLAINTEXT,
+            folder: CONFIG.QUERY_FOLDER_ID,
+            isOnline: false
+        });
+
+        const fileId = fileObj.save();
+
+        context.response.write(JSON.stringify({ fileID: fileId }));
+    } catch (e) {
+        modules.log.error({ title: 'Save SQL File Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
     }
+}
 
-    return {
-        content: responseBody.content[0].text,
-        usage: responseBody.usage
-    };
+// =============================================================================
+// SECTION 5.5: SCHEDULED QUERIES
+// =============================================================================
+
+/**
+ * Checks whether scheduled queries are configured, and writes an error response if not.
+ * @param {Object} context - The request/response context
+ * @returns {boolean} True when schedules can be used
+ */
+function checkSchedulesEnabled(context) {
+    if (!CONFIG.SCHEDULES_ENABLED || !CONFIG.QUERY_FOLDER_ID) {
+        context.response.write(JSON.stringify({
+            error: 'Scheduled queries not configured (SCHEDULES_ENABLED is false or QUERY_FOLDER_ID is not set)'
+        }));
+        return false;
+    }
+    return true;
 }
 
 /**
- * Calls the OpenAI API.
- * @param {string} apiKey - The OpenAI API key
- * @param {string} model - The model ID
- * @param {Array} messages - Array of conversation messages
- * @param {string} systemPrompt - The system prompt to use
- * @returns {Object} Response with content and usage
+ * Checks whether the current user may create and run schedules.
+ * Schedules run with the role of the scheduler deployment, not the role of the user.
+ * @returns {boolean} True for administrators and the roles in CONFIG.SCHEDULE_ROLE_IDS
  */
-function callOpenAIAPI(apiKey, model, messages, systemPrompt) {
-    // Prepend system message for OpenAI
-    const openAIMessages = [
-        { role: 'system', content: systemPrompt },
-        ...messages.map(m => ({
-            role: m.role,
-            content: m.content
-        }))
-    ];
+function canSchedule() {
+    return isAdministrator() || CONFIG.SCHEDULE_ROLE_IDS.includes(modules.runtime.getCurrentUser().role);
+}
 
-    const requestBody = {
-        model: model,
-        max_tokens: 4096,
-        messages: openAIMessages
-    };
+/**
+ * Checks whether the current user may change a schedule.
+ * @param {Object} schedule - The schedule
+ * @returns {boolean} True for the owner of the schedule and for administrators
+ */
+function canManageSchedule(schedule) {
+    return isAdministrator() || String(schedule.owner) === String(modules.runtime.getCurrentUser().id);
+}
 
-    const response = modules.https.post({
-        url: 'https://api.openai.com/v1/chat/completions',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-    });
+/**
+ * Loads a schedule the current user may change, and writes an error response if there is none.
+ * @param {Object} context - The request/response context
+ * @param {number|string} id - Internal ID of the schedule
+ * @returns {Object|null} The schedule
+ */
+function getManagedSchedule(context, id) {
+    const schedule = modules.schedules.get(id);
 
-    const responseBody = JSON.parse(response.body);
+    if (!schedule) {
+        context.response.write(JSON.stringify({ error: 'Schedule not found.' }));
+        return null;
+    }
 
-    if (response.code !== 200) {
-        throw new Error(responseBody.error?.message || `OpenAI API error: ${response.code}`);
+    if (!canManageSchedule(schedule)) {
+        context.response.write(JSON.stringify({ error: 'Only the owner or an administrator can change this schedule.' }));
+        return null;
     }
 
-    return {
-        content: responseBody.choices[0].message.content,
-        usage: responseBody.usage
-    };
+    return schedule;
 }
 
-// =============================================================================
-// SECTION 7: DOCUMENT GENERATION
-// =============================================================================
-
 /**
- * Submits document info to session for generation.
+ * Lists the scheduled queries with their last run.
  * @param {Object} context - The request/response context
- * @param {Object} payload - The request payload
  */
-function submitDocument(context, payload) {
+function getSchedules(context) {
     try {
-        const session = modules.runtime.getCurrentSession();
-        session.set({
-            name: 'suiteQLDocumentInfo',
-            value: JSON.stringify(payload)
-        });
+        if (!checkSchedulesEnabled(context)) {
+            return;
+        }
 
-        context.response.write(JSON.stringify({ submitted: true }));
+        const records = modules.schedules.list().map(schedule => Object.assign(schedule, {
+            canManage: canManageSchedule(schedule)
+        }));
+
+        context.response.write(JSON.stringify({ records }, null, 2));
     } catch (e) {
-        modules.log.error({ title: 'Document Submit Error', details: e });
+        modules.log.error({ title: 'Get Schedules Error', details: e });
         context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
 /**
- * Generates a PDF or HTML document from query results.
+ * Creates or updates a scheduled query.
  * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (id, name, fileID, cadence, format, recipients, folderId,
+ *        alert, webhookUrl, active)
  */
-function generateDocument(context) {
+function saveSchedule(context, payload) {
     try {
-        const session = modules.runtime.getCurrentSession();
-        const docInfo = JSON.parse(session.get({ name: 'suiteQLDocumentInfo' }));
+        if (!checkSchedulesEnabled(context)) {
+            return;
+        }
 
-        // Execute query with pagination
-        const records = executePaginatedQuery(
-            docInfo.query,
-            docInfo.rowBegin,
-            docInfo.rowEnd
-        );
+        if (!canSchedule()) {
+            context.response.write(JSON.stringify({ error: 'Your role may not schedule queries.' }));
+            return;
+        }
 
-        // Render document
-        const renderer = modules.render.create();
-        renderer.addCustomDataSource({
-            alias: 'results',
-            format: modules.render.DataSource.OBJECT,
-            data: { records }
-        });
-        renderer.templateContent = docInfo.template;
+        if (payload.id && !getManagedSchedule(context, payload.id)) {
+            return;
+        }
 
-        if (docInfo.docType === 'pdf') {
-            const pdfObj = renderer.renderAsPdf();
-            context.response.setHeader('Content-Type', 'application/pdf');
-            context.response.write(pdfObj.getContents());
-        } else {
-            const htmlString = renderer.renderAsString();
-            context.response.setHeader('Content-Type', 'text/html');
-            context.response.write(htmlString);
+        if (!modules.formats.FORMATS[payload.format]) {
+            context.response.write(JSON.stringify({ error: `Unknown format: ${payload.format}` }));
+            return;
+        }
+
+        const queryFile = modules.file.load({ id: payload.fileID });
+        if (String(queryFile.folder) !== String(CONFIG.QUERY_FOLDER_ID)) {
+            context.response.write(JSON.stringify({ error: 'The query file is not in the local library.' }));
+            return;
+        }
+
+        if (modules.runner.hasParameters(queryFile.getContents())) {
+            context.response.write(JSON.stringify({
+                error: 'The query has {{parameters}}, which a schedule cannot fill in. Replace them with values in the query file.'
+            }));
+            return;
         }
 
+        const id = modules.schedules.save({
+            id: payload.id || null,
+            name: payload.name,
+            queryFile: queryFile.id,
+            cadence: payload.cadence,
+            format: payload.format,
+            recipients: payload.recipients,
+            folder: payload.folderId || null,
+            alert: payload.alert || null,
+            webhookUrl: payload.webhookUrl || '',
+            active: payload.active !== false,
+            owner: modules.runtime.getCurrentUser().id
+        }, {
+            recipientDomains: CONFIG.SCHEDULE_RECIPIENT_DOMAINS,
+            folderIds: CONFIG.SCHEDULE_FOLDER_IDS,
+            webhookHosts: CONFIG.ALERT_WEBHOOK_HOSTS
+        });
+
+        context.response.write(JSON.stringify({ id }));
     } catch (e) {
-        modules.log.error({ title: 'Document Generation Error', details: e });
-        context.response.write(`Error: ${e.message}`);
+        modules.log.error({ title: 'Save Schedule Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
     }
 }
 
-// =============================================================================
-// SECTION 8: TABLES REFERENCE
-// =============================================================================
+/**
+ * Deletes a scheduled query.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (id)
+ */
+function deleteSchedule(context, payload) {
+    try {
+        if (!checkSchedulesEnabled(context) || !getManagedSchedule(context, payload.id)) {
+            return;
+        }
+
+        modules.schedules.remove(payload.id);
+
+        context.response.write(JSON.stringify({ deleted: true }));
+    } catch (e) {
+        modules.log.error({ title: 'Delete Schedule Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
 /**
- * Renders the Tables Reference page.
+ * Makes a scheduled query due and queues the scheduler.
+ * When the scheduler is already queued or running, the schedule runs on its next pass.
  * @param {Object} context - The request/response context
- * @param {string} scriptUrl - The script URL
+ * @param {Object} payload - The request payload (id)
  */
-function renderTablesReference(context, scriptUrl) {
-    const form = modules.serverWidget.createForm({
-        title: 'SuiteQL Tables Reference',
-        hideNavBar: false
-    });
+function runScheduleNow(context, payload) {
+    try {
+        if (!checkSchedulesEnabled(context) || !getManagedSchedule(context, payload.id)) {
+            return;
+        }
 
-    const htmlField = form.addField({
-        id: 'custpage_field_html',
-        type: modules.serverWidget.FieldType.INLINEHTML,
-        label: 'HTML'
-    });
+        if (!canSchedule()) {
+            context.response.write(JSON.stringify({ error: 'Your role may not run schedules.' }));
+            return;
+        }
 
-    htmlField.defaultValue = generateTablesReferenceHtml(scriptUrl);
-    context.response.writePage(form);
+        modules.schedules.runNow(payload.id);
+
+        let queued = true;
+        try {
+            modules.task.create({
+                taskType: modules.task.TaskType.SCHEDULED_SCRIPT,
+                scriptId: CONFIG.SCHEDULER_SCRIPT_ID
+            }).submit();
+        } catch (e) {
+            modules.log.debug({ title: 'Scheduler Not Queued', details: e });
+            queued = false;
+        }
+
+        context.response.write(JSON.stringify({ queued }));
+    } catch (e) {
+        modules.log.error({ title: 'Run Schedule Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
 }
 
 // =============================================================================
-// SECTION 9: HTML GENERATION - MAIN APPLICATION
+// SECTION 6: WORKBOOKS
 // =============================================================================
 
 /**
- * Generates the main application HTML.
- *
- * @param {string} scriptUrl - The script URL for AJAX calls
- * @param {Array<Object>} remoteAccounts
- *        List of configured remote NetSuite accounts parsed from the
- *        `custscript_il_suiteql_accounts` script parameter.
- * @param {string} currentAccountId
- *        Account ID of the current NetSuite environment (sandbox or
- *        production), used to resolve local execution context.
- * @returns {string} Complete HTML for the application
- *
+ * Gets list of available workbooks.
+ * @param {Object} context - The request/response context
  */
-function generateMainHtml(scriptUrl, remoteAccounts, currentAccountId) {
-    return `
-        <!DOCTYPE html>
-        <html lang="en" data-bs-theme="light">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            ${generateExternalResources()}
-            ${generateStyles()}
-        </head>
-        <body>
-            ${generateToastContainer()}
-            ${generateMainLayout(scriptUrl, remoteAccounts)}
-            ${generateModals()}
-            ${generateClientScript(scriptUrl, remoteAccounts, currentAccountId)}
-        </body>
-        </html>
-    `;
-}
+function getWorkbooks(context) {
+    const sql = `
+        SELECT ScriptID, Name, Description, BUILTIN.DF(Owner) AS Owner
+        FROM UsrSavedSearch
+        ORDER BY Name
+    `;
+
+    const records = modules.query.runSuiteQL({
+        query: sql,
+        params: []
+    }).asMappedResults();
+
+    const response = records.length > 0
+        ? { records }
+        : { error: 'No Workbooks' };
+
+    context.response.write(JSON.stringify(response, null, 2));
+}
 
 /**
- * Generates external resource links (CSS/JS libraries).
- * @returns {string} HTML for external resources
+ * Loads a workbook and converts to SuiteQL.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload
  */
-function generateExternalResources() {
-    return `
-        <!-- Bootstrap 5.3 -->
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css" rel="stylesheet">
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.css" rel="stylesheet">
-
-        <!-- CodeMirror -->
-        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.css" rel="stylesheet">
-        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/theme/dracula.min.css" rel="stylesheet">
-        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/theme/eclipse.min.css" rel="stylesheet">
-        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/show-hint.min.css" rel="stylesheet">
+function loadWorkbook(context, payload) {
+    try {
+        const loadedQuery = modules.query.load({ id: payload.scriptID });
 
-        <!-- DataTables -->
-        <link href="https://cdn.datatables.net/2.0.0/css/dataTables.dataTables.min.css" rel="stylesheet">
+        context.response.write(JSON.stringify({
+            sql: loadedQuery.toSuiteQL().query
+        }));
+    } catch (e) {
+        modules.log.error({ title: 'Load Workbook Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-        <!-- Scripts -->
-        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js"><\/script>
+// =============================================================================
+// SECTION 6.5: AI QUERY GENERATION
+// =============================================================================
 
-        <!-- Safari/WebKit fix for MouseEvent.buttons - must load before CodeMirror -->
-        <script>
-        (function() {
-            var isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-            if (!isSafari) return;
+/**
+ * System prompt optimized for SuiteQL generation.
+ * This is hardcoded and not user-customizable.
+ */
+const AI_SYSTEM_PROMPT = `You are a SuiteQL expert assistant for NetSuite. Your role is to help users write SuiteQL queries.
 
-            // Map to track original listeners to their wrapped versions
-            var listenerMap = new WeakMap();
+SuiteQL Key Points:
+- SuiteQL is NetSuite's SQL-like query language based on Oracle SQL syntax
+- Tables use internal IDs (e.g., "Transaction", "Customer", "Employee", "Item")
+- Use BUILTIN.DF() function to get display values for reference fields: BUILTIN.DF(fieldname)
+- Common joins: Transaction to TransactionLine, Customer to Transaction, Employee to Department
+- Date functions: TO_DATE(), TO_CHAR(), ADD_MONTHS(), TRUNC()
+- String functions: UPPER(), LOWER(), SUBSTR(), INSTR(), NVL()
+- Use NVL(field, default) for null handling
+- ROWNUM for limiting results (no LIMIT keyword)
+- Use single quotes for string literals
+- Boolean fields use 'T' and 'F' values
 
-            // Patch addEventListener to fix buttons property on mouse events
-            var originalAddEventListener = EventTarget.prototype.addEventListener;
-            EventTarget.prototype.addEventListener = function(type, listener, options) {
-                if (type === 'mousemove' || type === 'mouseup' || type === 'mousedown') {
-                    var wrappedListener = function(e) {
-                        if (e.buttons === 0 && e.which > 0 && e.type !== 'mouseup') {
-                            Object.defineProperty(e, 'buttons', {
-                                get: function() {
-                                    if (e.which === 1) return 1;
-                                    if (e.which === 2) return 4;
-                                    if (e.which === 3) return 2;
-                                    return 0;
-                                }
-                            });
-                        }
-                        return listener.call(this, e);
-                    };
-                    // Store mapping from original to wrapped listener (per element and type)
-                    if (!listenerMap.has(this)) {
-                        listenerMap.set(this, {});
-                    }
-                    var elementMap = listenerMap.get(this);
-                    if (!elementMap[type]) {
-                        elementMap[type] = new Map();
-                    }
-                    elementMap[type].set(listener, wrappedListener);
-                    return originalAddEventListener.call(this, type, wrappedListener, options);
-                }
-                return originalAddEventListener.call(this, type, listener, options);
-            };
+Common Table Names:
+- Transaction (sales orders, invoices, etc.) with type field for filtering
+- TransactionLine for line items
+- Customer, Vendor, Employee, Partner
+- Item, InventoryItem, ServiceItem, NonInventoryItem
+- Account, Department, Location, Subsidiary, Classification
+- EntityAddress for addresses
+- File for file cabinet files
 
-            // Patch removeEventListener to use the wrapped listener
-            var originalRemoveEventListener = EventTarget.prototype.removeEventListener;
-            EventTarget.prototype.removeEventListener = function(type, listener, options) {
-                if (type === 'mousemove' || type === 'mouseup' || type === 'mousedown') {
-                    var elementMap = listenerMap.get(this);
-                    if (elementMap && elementMap[type] && elementMap[type].has(listener)) {
-                        var wrappedListener = elementMap[type].get(listener);
-                        elementMap[type].delete(listener);
-                        return originalRemoveEventListener.call(this, type, wrappedListener, options);
-                    }
-                }
-                return originalRemoveEventListener.call(this, type, listener, options);
-            };
+When generating queries:
+1. Always include relevant fields the user would need
+2. Use meaningful aliases for complex expressions
+3. Add ORDER BY when it makes sense
+4. Include comments explaining complex logic
+5. Format queries for readability
 
-        })();
-        <\/script>
+If the user's request is unclear, ask clarifying questions.
+If you generate a query, wrap it in a SQL code block using triple backticks with 'sql' language identifier.
 
-        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.js"><\/script>
-        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/mode/sql/sql.min.js"><\/script>
-        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/show-hint.min.js"><\/script>
-        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/sql-hint.min.js"><\/script>
-        <script src="https://cdn.datatables.net/2.0.0/js/dataTables.min.js"><\/script>
-        <script src="https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js"><\/script>
-    `;
-}
+Example response format:
+\`\`\`sql
+SELECT
+    Customer.entityid AS customer_id,
+    Customer.companyname,
+    BUILTIN.DF(Customer.salesrep) AS sales_rep
+FROM Customer
+WHERE Customer.isinactive = 'F'
+ORDER BY Customer.companyname
+\`\`\``;
 
 /**
- * Generates CSS styles for the application.
- * @returns {string} CSS styles in a style tag
+ * System prompt for table-related AI queries in the Tables Reference.
+ * Optimized for helping users understand NetSuite tables and find the right tables.
  */
-function generateStyles() {
-    return `
-        <style>
-            /* ============================================
-               CSS VARIABLES & THEMING
-               ============================================ */
-            :root {
-                --sqt-primary: #2563eb;
-                --sqt-primary-hover: #1d4ed8;
-                --sqt-success: #10b981;
-                --sqt-warning: #f59e0b;
-                --sqt-danger: #ef4444;
-                --sqt-bg-primary: #ffffff;
-                --sqt-bg-secondary: #f8fafc;
-                --sqt-bg-tertiary: #f1f5f9;
-                --sqt-border: #e2e8f0;
-                --sqt-text-primary: #1e293b;
-                --sqt-text-secondary: #64748b;
-                --sqt-text-muted: #94a3b8;
-                --sqt-sidebar-width: 280px;
-                --sqt-header-height: 56px;
-                --sqt-editor-font: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace;
-            }
+const AI_TABLE_SYSTEM_PROMPT = `You are a NetSuite SuiteQL tables expert. Your role is to help users understand NetSuite database tables and find the right tables for their needs.
 
-            [data-bs-theme="dark"] {
-                --sqt-primary: #3b82f6;
-                --sqt-primary-hover: #60a5fa;
-                --sqt-bg-primary: #0f172a;
-                --sqt-bg-secondary: #1e293b;
-                --sqt-bg-tertiary: #334155;
-                --sqt-border: #334155;
-                --sqt-text-primary: #f1f5f9;
-                --sqt-text-secondary: #94a3b8;
-                --sqt-text-muted: #64748b;
-            }
+NetSuite Database Knowledge:
+- NetSuite has hundreds of tables accessible via SuiteQL
+- Tables use internal IDs (e.g., "Transaction", "Customer", "Employee")
+- BUILTIN.DF() returns display values for foreign key fields
+- Common transaction types are filtered via the "type" field in the Transaction table
+- Many tables support joins through foreign key relationships
 
-            /* ============================================
-               BASE STYLES
-               ============================================ */
-            * {
-                box-sizing: border-box;
-            }
+Common Table Categories:
+1. **Core Entities**: Customer, Vendor, Employee, Partner, Contact, Lead, Prospect
+2. **Transactions**: Transaction (header), TransactionLine (lines), TransactionAccountingLine
+3. **Items**: Item, InventoryItem, ServiceItem, NonInventoryItem, AssemblyItem, KitItem
+4. **Accounting**: Account, AccountingPeriod, Currency, ExchangeRate
+5. **Organization**: Subsidiary, Department, Location, Classification
+6. **CRM**: Opportunity, Case (supportcase), Campaign, PhoneCall, Task, Event
+7. **Addresses**: EntityAddress, TransactionAddress
+8. **Files**: File, Folder
+9. **Users/Roles**: Employee, Role, SystemNote
+10. **Custom**: Custom records use format customrecord_*
 
-            body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-                font-size: 14px;
-                background-color: var(--sqt-bg-secondary);
-                color: var(--sqt-text-primary);
-                margin: 0;
-                padding: 0;
-                overflow: hidden;
-            }
+Transaction Type Values (for Transaction.type):
+- SalesOrd (Sales Order), Invoice (Invoice), CustInvc (Customer Invoice)
+- PurchOrd (Purchase Order), VendBill (Vendor Bill)
+- CashSale, CustPymt (Customer Payment), VendPymt (Vendor Payment)
+- Journal, Check, Deposit, Transfer
+- ItemRcpt (Item Receipt), ItemShip (Item Fulfillment)
+- RtnAuth (Return Authorization), CustCred (Credit Memo)
 
-            /* ============================================
-               LAYOUT
-               ============================================ */
-            .sqt-app {
-                display: flex;
-                flex-direction: column;
-                height: 100vh;
-                overflow: hidden;
-                max-width: 100vw;
-            }
+Key Relationships:
+- Transaction → TransactionLine: Transaction.id = TransactionLine.transaction
+- Transaction → Customer: Transaction.entity = Customer.id
+- TransactionLine → Item: TransactionLine.item = Item.id
+- Customer → EntityAddress: Through Customer.defaultbillingaddress/defaultshippingaddress
+- Employee → Department: Employee.department = Department.id
 
-            .sqt-header {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                height: var(--sqt-header-height);
-                padding: 0 24px;
-                background: var(--sqt-bg-primary);
-                border-bottom: 1px solid var(--sqt-border);
-                flex-shrink: 0;
-                position: relative;
-                z-index: 100;
-                min-width: 0;
-            }
+Important Columns by Table:
+- **Customer**: id, entityid, companyname, email, phone, salesrep, terms, creditlimit, isinactive
+- **Transaction**: id, tranid, type, entity, trandate, status, total, subsidiary, postingperiod
+- **TransactionLine**: id, transaction, linesequencenumber, item, quantity, amount, rate
+- **Item**: id, itemid, displayname, baseprice, itemtype, isinactive
+- **Employee**: id, entityid, firstname, lastname, email, department, location, supervisor
 
-            .sqt-header-title {
-                display: flex;
-                align-items: center;
-                gap: 12px;
-                font-weight: 600;
-                font-size: 16px;
-                color: var(--sqt-text-primary);
-            }
+When helping users:
+1. If asked about a specific table, explain its purpose and common use cases
+2. If asked to find tables, suggest multiple relevant options with explanations
+3. If generating queries, use proper joins and include helpful comments
+4. Format SQL in code blocks with the 'sql' language identifier
+5. Explain why certain columns or joins are important
+6. Mention BUILTIN.DF() when reference fields would benefit from display values
 
-            .sqt-header-title i {
-                color: var(--sqt-primary);
-                font-size: 20px;
-            }
+When suggesting tables for a user's needs:
+- Consider what data they're trying to access
+- Suggest primary tables AND related tables they might need
+- Explain how tables connect via joins`;
 
-            .sqt-header-actions {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                padding-right: 8px;
-                flex-shrink: 0;
-            }
+/**
+ * Generates a query using AI API (Anthropic or OpenAI).
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload containing:
+ *   - provider: 'anthropic' or 'openai'
+ *   - apiKey: The API key
+ *   - model: The model to use
+ *   - messages: Array of conversation messages
+ *   - mode: 'query' (default) or 'tables' for table reference assistance
+ */
+function generateAIQuery(context, payload) {
+    let responsePayload;
 
-            .sqt-main {
-                display: flex;
-                flex: 1;
-                overflow: hidden;
-                min-width: 0;
-                max-width: 100%;
-            }
+    try {
+        const { provider, apiKey, model, messages, mode } = payload;
 
-            /* ============================================
-               SIDEBAR
-               ============================================ */
-            .sqt-sidebar {
-                width: var(--sqt-sidebar-width);
-                background: var(--sqt-bg-primary);
-                border-right: 1px solid var(--sqt-border);
-                display: flex;
-                flex-direction: column;
-                flex-shrink: 0;
-                transition: width 0.2s ease;
-            }
+        if (!provider || !apiKey || !model || !messages) {
+            throw new Error('Missing required parameters: provider, apiKey, model, or messages');
+        }
 
-            .sqt-sidebar.collapsed {
-                width: 0;
-                border-right: none;
-                overflow: hidden;
-            }
+        // Select system prompt based on mode
+        const systemPrompt = mode === 'tables' ? AI_TABLE_SYSTEM_PROMPT : AI_SYSTEM_PROMPT;
 
-            .sqt-sidebar-header {
-                padding: 12px 16px;
-                border-bottom: 1px solid var(--sqt-border);
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                min-width: var(--sqt-sidebar-width);
-            }
+        let aiResponse;
 
-            .sqt-sidebar-title {
-                font-weight: 600;
-                font-size: 12px;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                color: var(--sqt-text-secondary);
-            }
+        if (provider === 'anthropic') {
+            aiResponse = callAnthropicAPI(apiKey, model, messages, systemPrompt);
+        } else if (provider === 'openai') {
+            aiResponse = callOpenAIAPI(apiKey, model, messages, systemPrompt);
+        } else {
+            throw new Error(`Unsupported provider: ${provider}`);
+        }
 
-            .sqt-history-list {
-                flex: 1;
-                overflow-y: auto;
-                padding: 8px;
-                min-width: var(--sqt-sidebar-width);
-            }
+        responsePayload = {
+            success: true,
+            response: aiResponse.content,
+            usage: aiResponse.usage
+        };
 
-            .sqt-history-item {
-                padding: 10px 12px;
-                border-radius: 6px;
-                cursor: pointer;
-                margin-bottom: 4px;
-                transition: background-color 0.15s ease;
-            }
+    } catch (e) {
+        modules.log.error({ title: 'AI Query Generation Error', details: e });
 
-            .sqt-history-item:hover {
-                background: var(--sqt-bg-tertiary);
-            }
+        // Parse specific error types for better user feedback
+        let errorMessage = e.message;
+        let errorType = 'error';
 
-            .sqt-history-item-query {
-                font-family: var(--sqt-editor-font);
-                font-size: 11px;
-                color: var(--sqt-text-primary);
-                white-space: nowrap;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                margin-bottom: 4px;
-            }
+        if (e.message.includes('401') || e.message.includes('invalid_api_key') || e.message.includes('Unauthorized')) {
+            errorMessage = 'Invalid API key. Please check your API key in settings.';
+            errorType = 'auth_error';
+        } else if (e.message.includes('429') || e.message.includes('rate_limit')) {
+            errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
+            errorType = 'rate_limit';
+        } else if (e.message.includes('500') || e.message.includes('502') || e.message.includes('503')) {
+            errorMessage = 'AI service is temporarily unavailable. Please try again later.';
+            errorType = 'service_error';
+        }
 
-            .sqt-history-item-meta {
-                font-size: 10px;
-                color: var(--sqt-text-muted);
-                display: flex;
-                gap: 8px;
+        responsePayload = {
+            error: {
+                message: errorMessage,
+                type: errorType,
+                details: e.message
             }
+        };
+    }
 
-            /* ============================================
-               FLOATING HISTORY BUTTON
-               ============================================ */
-            .sqt-history-float-btn {
-                position: absolute;
-                left: 0;
-                top: 50%;
-                transform: translateY(-50%);
-                width: 24px;
-                height: 64px;
-                background: var(--sqt-bg-secondary);
-                border: 1px solid var(--sqt-border);
-                border-left: none;
-                border-radius: 0 6px 6px 0;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                cursor: pointer;
-                z-index: 100;
-                transition: all 0.2s ease;
-                color: var(--sqt-text-secondary);
-            }
+    context.response.write(JSON.stringify(responsePayload, null, 2));
+}
 
-            .sqt-history-float-btn:hover {
-                background: var(--sqt-bg-tertiary);
-                color: var(--sqt-text-primary);
-                width: 28px;
-            }
+/**
+ * Calls the Anthropic Claude API.
+ * @param {string} apiKey - The Anthropic API key
+ * @param {string} model - The model ID
+ * @param {Array} messages - Array of conversation messages
+ * @param {string} systemPrompt - The system prompt to use
+ * @returns {Object} Response with content and usage
+ */
+function callAnthropicAPI(apiKey, model, messages, systemPrompt) {
+    const requestBody = {
+        model: model,
+        max_tokens: 4096,
+        system: systemPrompt,
+        messages: messages.map(m => ({
+            role: m.role,
+            content: m.content
+        }))
+    };
 
-            .sqt-history-float-btn i {
-                font-size: 14px;
-            }
+    const response = modules.https.post({
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(requestBody)
+    });
 
-            /* Hide floating button when sidebar is open */
-            .sqt-sidebar:not(.collapsed) ~ .sqt-content .sqt-history-float-btn {
-                opacity: 0;
-                pointer-events: none;
-            }
+    const responseBody = JSON.parse(response.body);
 
-            /* ============================================
-               CONTENT AREA
-               ============================================ */
-            .sqt-content {
-                position: relative;
-                flex: 1;
-                display: flex;
-                flex-direction: column;
-                overflow: hidden;
-                min-width: 0;
-                max-width: 100%;
-            }
+    if (response.code !== 200) {
+        throw new Error(responseBody.error?.message || `Anthropic API error: ${response.code}`);
+    }
 
-            /* ============================================
-               TOOLBAR
-               ============================================ */
-            .sqt-toolbar {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                padding: 8px 16px;
-                background: var(--sqt-bg-primary);
-                border-bottom: 1px solid var(--sqt-border);
-                flex-wrap: wrap;
-                flex-shrink: 0;
-                min-width: 0;
-            }
-
-            .sqt-toolbar-group {
-                display: flex;
-                align-items: center;
-                gap: 4px;
-            }
-
-            .sqt-toolbar-divider {
-                width: 1px;
-                height: 24px;
-                background: var(--sqt-border);
-                margin: 0 8px;
-            }
+    return {
+        content: responseBody.content[0].text,
+        usage: responseBody.usage
+    };
+}
 
-            /* Compact toolbar mode - hide button labels */
-            .sqt-toolbar-compact .sqt-btn:not(.sqt-btn-icon) > span:not(.bi) {
-                display: none;
-            }
+/**
+ * Calls the OpenAI API.
+ * @param {string} apiKey - The OpenAI API key
+ * @param {string} model - The model ID
+ * @param {Array} messages - Array of conversation messages
+ * @param {string} systemPrompt - The system prompt to use
+ * @returns {Object} Response with content and usage
+ */
+function callOpenAIAPI(apiKey, model, messages, systemPrompt) {
+    // Prepend system message for OpenAI
+    const openAIMessages = [
+        { role: 'system', content: systemPrompt },
+        ...messages.map(m => ({
+            role: m.role,
+            content: m.content
+        }))
+    ];
 
-            .sqt-toolbar-compact .sqt-btn-dropdown > span:not(.bi):not(.bi-chevron-down) {
-                display: none;
-            }
+    const requestBody = {
+        model: model,
+        max_tokens: 4096,
+        messages: openAIMessages
+    };
 
-            .sqt-toolbar-compact .sqt-btn-dropdown {
-                gap: 2px;
-            }
+    const response = modules.https.post({
+        url: 'https://api.openai.com/v1/chat/completions',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify(requestBody)
+    });
 
-            /* ============================================
-               BUTTONS
-               ============================================ */
-            .sqt-btn {
-                display: inline-flex;
-                align-items: center;
-                gap: 6px;
-                padding: 6px 12px;
-                font-size: 13px;
-                font-weight: 500;
-                border-radius: 6px;
-                border: 1px solid transparent;
-                cursor: pointer;
-                transition: all 0.15s ease;
-                white-space: nowrap;
-            }
+    const responseBody = JSON.parse(response.body);
 
-            .sqt-btn i {
-                font-size: 14px;
-            }
+    if (response.code !== 200) {
+        throw new Error(responseBody.error?.message || `OpenAI API error: ${response.code}`);
+    }
 
-            .sqt-btn-primary {
-                background: var(--sqt-primary);
-                color: white;
-            }
+    return {
+        content: responseBody.choices[0].message.content,
+        usage: responseBody.usage
+    };
+}
 
-            .sqt-btn-primary:hover {
-                background: var(--sqt-primary-hover);
-            }
+// =============================================================================
+// SECTION 7: DOCUMENT GENERATION
+// =============================================================================
 
-            .sqt-btn-secondary {
-                background: var(--sqt-bg-tertiary);
-                color: var(--sqt-text-primary);
-                border-color: var(--sqt-border);
-            }
+/**
+ * Submits document info to session for generation.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload
+ */
+function submitDocument(context, payload) {
+    try {
+        const session = modules.runtime.getCurrentSession();
+        session.set({
+            name: 'suiteQLDocumentInfo',
+            value: JSON.stringify(payload)
+        });
 
-            .sqt-btn-secondary:hover {
-                background: var(--sqt-border);
-            }
+        context.response.write(JSON.stringify({ submitted: true }));
+    } catch (e) {
+        modules.log.error({ title: 'Document Submit Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-btn-secondary.active {
-                background: var(--sqt-primary);
-                color: white;
-                border-color: var(--sqt-primary);
-            }
+/**
+ * Generates a PDF or HTML document from query results.
+ * The query is written to the audit log like any other query of the Suitelet.
+ * @param {Object} context - The request/response context
+ */
+function generateDocument(context) {
+    let docInfo = null;
+    let rowCount = null;
+    let elapsedTime = null;
+    let failure = null;
+    const beginTime = Date.now();
 
-            .sqt-btn-icon {
-                padding: 6px 8px;
-            }
+    try {
+        const session = modules.runtime.getCurrentSession();
+        docInfo = JSON.parse(session.get({ name: 'suiteQLDocumentInfo' }));
 
-            .sqt-btn-sm {
-                padding: 4px 8px;
-                font-size: 12px;
-            }
+        let sql = docInfo.query + '\n';
+        if (docInfo.viewsEnabled && CONFIG.QUERY_FOLDER_ID) {
+            sql = processVirtualViews(sql);
+        }
 
-            /* ============================================
-               DATATABLES OVERRIDES
-               ============================================ */
-            .dt-length,
-            .dt-length select,
-            .dt-length label,
-            .dt-search,
-            .dt-search input,
-            .dt-search label,
-            .dt-info,
-            .dt-paging {
-                font-size: 12px !important;
-            }
+        // Execute query with the same row options as the results view
+        const { records } = modules.runner.run({
+            sql,
+            paginationEnabled: docInfo.paginationEnabled,
+            rowBegin: docInfo.rowBegin,
+            rowEnd: docInfo.rowEnd
+        });
+        rowCount = records.length;
+        elapsedTime = Date.now() - beginTime;
 
-            .dt-length select {
-                padding: 4px 28px 4px 8px;
-                min-width: 70px;
-            }
+        const columns = records.length > 0
+            ? Object.keys(records[0]).filter(column => column !== 'rownumber')
+            : [];
 
-            .dt-search input {
-                padding: 4px 8px;
+        // Render document
+        const renderer = modules.render.create();
+        renderer.addCustomDataSource({
+            alias: 'results',
+            format: modules.render.DataSource.OBJECT,
+            data: {
+                records,
+                columns,
+                title: docInfo.title || 'Query Results',
+                generated: new Date().toISOString().replace('T', ' ').substring(0, 16)
             }
+        });
+        renderer.templateContent = docInfo.template;
 
-            /* DataTables pagination styling */
-            .dt-paging {
-                padding-top: 10px;
-            }
+        if (docInfo.docType === 'pdf') {
+            const pdfObj = renderer.renderAsPdf();
+            context.response.setHeader('Content-Type', 'application/pdf');
+            context.response.write(pdfObj.getContents());
+        } else {
+            const htmlString = renderer.renderAsString();
+            context.response.setHeader('Content-Type', 'text/html');
+            context.response.write(htmlString);
+        }
 
-            .dt-paging button {
-                padding: 4px 10px !important;
-                margin: 0 2px !important;
-                border: 1px solid var(--sqt-border) !important;
-                border-radius: 4px !important;
-                background: var(--sqt-bg-primary) !important;
-                color: var(--sqt-text-primary) !important;
-                cursor: pointer;
-                font-size: 12px !important;
-            }
+    } catch (e) {
+        modules.log.error({ title: 'Document Generation Error', details: e });
+        failure = e;
+        context.response.write(`Error: ${e.message}`);
+    }
 
-            .dt-paging button:hover:not(.disabled) {
-                background: var(--sqt-bg-secondary) !important;
-            }
+    if (docInfo) {
+        writeAuditLog({
+            sql: docInfo.query,
+            realm: modules.runtime.accountId.toUpperCase(),
+            remote: false,
+            rowCount,
+            elapsedTime: elapsedTime === null ? Date.now() - beginTime : elapsedTime,
+            error: failure
+        });
+    }
+}
 
-            .dt-paging button.current {
-                background: var(--sqt-primary) !important;
-                border-color: var(--sqt-primary) !important;
-                color: white !important;
-            }
+/**
+ * Gets the document templates saved in the File Cabinet.
+ * @param {Object} context - The request/response context
+ */
+function getDocumentTemplates(context) {
+    try {
+        if (!CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID) {
+            context.response.write(JSON.stringify({ records: [] }));
+            return;
+        }
 
-            .dt-paging button.disabled {
-                opacity: 0.5 !important;
-                cursor: not-allowed !important;
-            }
+        const records = modules.query.runSuiteQL({
+            query: `
+                SELECT ID, Name, Description
+                FROM File
+                WHERE Folder = ? AND Name LIKE '%.ftl'
+                ORDER BY Name
+            `,
+            params: [CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID]
+        }).asMappedResults();
 
-            /* ============================================
-               EDITOR PANEL
-               ============================================ */
-            .sqt-editor-panel {
-                flex: 1;
-                display: flex;
-                flex-direction: column;
-                min-height: 200px;
-                overflow: hidden;
-            }
+        context.response.write(JSON.stringify({ records }, null, 2));
+    } catch (e) {
+        modules.log.error({ title: 'Get Document Templates Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-editor-container {
-                flex: 1;
-                overflow: hidden;
-                border-bottom: 1px solid var(--sqt-border);
-            }
+/**
+ * Loads a document template from the template folder.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (fileID)
+ */
+function loadDocumentTemplate(context, payload) {
+    try {
+        const fileObj = modules.file.load({ id: payload.fileID });
 
-            .CodeMirror {
-                height: 100%;
-                font-family: var(--sqt-editor-font);
-                font-size: 12px;
-                line-height: 1.6;
-            }
+        if (String(fileObj.folder) !== String(CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID)) {
+            context.response.write(JSON.stringify({ error: 'The file is not in the document template folder.' }));
+            return;
+        }
 
-            .CodeMirror-gutters {
-                background: var(--sqt-bg-secondary);
-                border-right: 1px solid var(--sqt-border);
-            }
+        context.response.write(JSON.stringify({
+            file: {
+                id: fileObj.id,
+                name: fileObj.name,
+                description: fileObj.description
+            },
+            template: fileObj.getContents()
+        }));
+    } catch (e) {
+        modules.log.error({ title: 'Load Document Template Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            [data-bs-theme="light"] .CodeMirror {
-                background: var(--sqt-bg-primary);
-            }
+/**
+ * Saves a document template to the File Cabinet.
+ * A template with the same name is overwritten.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (filename, contents, description)
+ */
+function saveDocumentTemplate(context, payload) {
+    try {
+        if (!CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID) {
+            context.response.write(JSON.stringify({
+                error: 'Document templates not configured (DOCUMENT_TEMPLATE_FOLDER_ID is not set)'
+            }));
+            return;
+        }
 
-            /* ============================================
-               RESULTS PANEL
-               ============================================ */
-            .sqt-results-panel {
-                flex: 1;
-                display: flex;
-                flex-direction: column;
-                min-height: 200px;
-                background: var(--sqt-bg-primary);
-                overflow: hidden;
-                min-width: 0;
-                max-width: 100%;
-            }
+        if (!String(payload.filename || '').trim()) {
+            context.response.write(JSON.stringify({ error: 'A template name is required.' }));
+            return;
+        }
 
-            .sqt-results-header {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                padding: 8px 16px;
-                background: var(--sqt-bg-secondary);
-                border-bottom: 1px solid var(--sqt-border);
-                flex-shrink: 0;
-                min-width: 0;
-                gap: 16px;
-            }
+        const filename = String(payload.filename).trim().replace(/(\.ftl)?$/i, '.ftl');
 
-            .sqt-results-info {
-                font-size: 12px;
-                color: var(--sqt-text-secondary);
-                display: flex;
-                align-items: center;
-                gap: 16px;
-            }
+        const fileObj = modules.file.create({
+            name: filename,
+            contents: payload.contents,
+            description: payload.description,
+            fileType: modules.file.Type.PLAINTEXT,
+            folder: CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID,
+            isOnline: false
+        });
 
-            .sqt-results-info-item {
-                display: flex;
-                align-items: center;
-                gap: 4px;
-            }
+        const fileId = fileObj.save();
 
-            .sqt-results-info-item i {
-                color: var(--sqt-text-muted);
-            }
+        context.response.write(JSON.stringify({ fileID: fileId, filename }));
+    } catch (e) {
+        modules.log.error({ title: 'Save Document Template Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-cache-miss-badge {
-                font-size: 10px;
-                padding: 2px 6px;
-                background: var(--sqt-warning);
-                color: #000;
-                border-radius: 4px;
-                margin-left: 6px;
-                font-weight: 500;
-            }
+// =============================================================================
+// SECTION 7.5: SERVER-SIDE EXPORT
+// =============================================================================
 
-            .sqt-results-actions {
-                display: flex;
-                gap: 8px;
-                align-items: center;
-            }
+/**
+ * Submits a server-side export job for all rows of a query.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (query, format, viewsEnabled)
+ */
+function submitExportJob(context, payload) {
+    try {
+        if (!CONFIG.EXPORT_FOLDER_ID) {
+            context.response.write(JSON.stringify({
+                error: 'Server-side export not configured (EXPORT_FOLDER_ID is not set)'
+            }));
+            return;
+        }
 
-            .sqt-view-toggle {
-                display: flex;
-                border: 1px solid var(--sqt-border);
-                border-radius: 6px;
-                overflow: hidden;
-            }
+        if (!canStartExport()) {
+            context.response.write(JSON.stringify({ error: 'Your role may not start server-side exports.' }));
+            return;
+        }
 
-            .sqt-view-toggle-btn {
-                padding: 4px 10px;
-                font-size: 12px;
-                font-weight: 500;
-                background: var(--sqt-bg-secondary);
-                color: var(--sqt-text-secondary);
-                border: none;
-                cursor: pointer;
-                transition: all 0.15s ease;
-                display: flex;
-                align-items: center;
-                gap: 4px;
-            }
+        const writer = modules.formats.FORMATS[payload.format];
+        if (!writer) {
+            context.response.write(JSON.stringify({ error: `Unknown export format: ${payload.format}` }));
+            return;
+        }
 
-            .sqt-view-toggle-btn:not(:last-child) {
-                border-right: 1px solid var(--sqt-border);
-            }
+        if (modules.runner.hasParameters(payload.query)) {
+            context.response.write(JSON.stringify({
+                error: 'Server-side exports cannot fill in {{parameters}}. Replace them with values and export again.'
+            }));
+            return;
+        }
 
-            .sqt-view-toggle-btn:hover {
-                background: var(--sqt-bg-tertiary);
-                color: var(--sqt-text-primary);
-            }
+        let sql = payload.query + '\n';
+        if (payload.viewsEnabled && CONFIG.QUERY_FOLDER_ID) {
+            sql = processVirtualViews(sql);
+        }
 
-            .sqt-view-toggle-btn.active {
-                background: var(--sqt-primary);
-                color: white;
+        // The user ID in the job ID ties the export file to the user who requested it
+        const user = modules.runtime.getCurrentUser();
+        const jobId = `sqt_export_${user.id}_${Date.now()}`;
+
+        const exportTask = modules.task.create({
+            taskType: modules.task.TaskType.MAP_REDUCE,
+            scriptId: CONFIG.EXPORT_SCRIPT_ID,
+            params: {
+                custscript_sqt_export_job: JSON.stringify({
+                    jobId,
+                    query: sql,
+                    format: payload.format,
+                    fileName: jobId + writer.extension,
+                    folderId: CONFIG.EXPORT_FOLDER_ID,
+                    // The job writes the audit entry once it knows the row count
+                    audit: CONFIG.AUDIT_LOG_ENABLED ? { sql: payload.query, user: user.id, role: user.role } : null
+                })
             }
+        });
 
-            .sqt-json-container {
-                flex: 1;
-                overflow: auto;
-                padding: 16px;
-                background: var(--sqt-bg-secondary);
-            }
+        const taskId = exportTask.submit();
 
-            .sqt-json-pre {
-                margin: 0;
-                padding: 16px;
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 6px;
-                font-family: var(--sqt-editor-font);
-                font-size: 12px;
-                line-height: 1.5;
-                white-space: pre-wrap;
-                word-break: break-word;
-                color: var(--sqt-text-primary);
-            }
+        context.response.write(JSON.stringify({ jobId, taskId, fileName: jobId + writer.extension }));
+    } catch (e) {
+        modules.log.error({ title: 'Submit Export Job Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-results-container {
-                flex: 1;
-                overflow: auto;
-                padding: 0;
-                min-width: 0;
-                max-width: 100%;
-            }
+/**
+ * Gets the progress of a server-side export job, and the export file once it is complete.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (jobId, taskId, format)
+ */
+function getExportJobStatus(context, payload) {
+    try {
+        const jobId = String(payload.jobId || '');
+        const writer = modules.formats.FORMATS[payload.format];
 
-            .sqt-results-table {
-                width: max-content;
-                min-width: 100%;
-                border-collapse: separate;
-                border-spacing: 0;
-                font-size: 12px;
-            }
+        if (!writer || !jobId.startsWith(`sqt_export_${modules.runtime.getCurrentUser().id}_`)) {
+            context.response.write(JSON.stringify({ error: 'Unknown export job.' }));
+            return;
+        }
 
-            .sqt-results-table th {
-                position: sticky;
-                top: 0;
-                background: var(--sqt-bg-secondary);
-                padding: 10px 12px;
-                text-align: left;
-                font-weight: 600;
-                color: var(--sqt-text-secondary);
-                border-bottom: 2px solid var(--sqt-border);
-                white-space: nowrap;
-                z-index: 1;
-            }
+        const taskStatus = modules.task.checkStatus({ taskId: payload.taskId });
+        const response = {
+            status: taskStatus.status,
+            stage: taskStatus.stage,
+            percentComplete: taskStatus.getPercentageCompleted()
+        };
 
-            .sqt-results-table td {
-                padding: 8px 12px;
-                border-bottom: 1px solid var(--sqt-border);
-                color: var(--sqt-text-primary);
-                max-width: 300px;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                white-space: nowrap;
-            }
+        if (taskStatus.status === modules.task.TaskStatus.FAILED) {
+            response.error = 'The export job failed. See the execution log of the export script.';
+        }
 
-            .sqt-results-table tr:hover td {
-                background: var(--sqt-bg-tertiary);
-            }
+        if (taskStatus.status === modules.task.TaskStatus.COMPLETE) {
+            const files = modules.query.runSuiteQL({
+                query: 'SELECT ID, Name FROM File WHERE Folder = ? AND Name IN (?, ?)',
+                params: [CONFIG.EXPORT_FOLDER_ID, jobId + writer.extension, jobId + '.error.txt']
+            }).asMappedResults();
 
-            .sqt-results-table .row-number {
-                color: var(--sqt-text-muted);
-                text-align: center;
-                font-size: 11px;
-                background: var(--sqt-bg-secondary);
-                width: 50px;
-            }
+            const exportFile = files.find(row => row.name === jobId + writer.extension);
+            const errorFile = files.find(row => row.name === jobId + '.error.txt');
 
-            .sqt-null-value {
-                color: var(--sqt-text-muted);
-                font-style: italic;
+            if (exportFile) {
+                const fileObj = modules.file.load({ id: exportFile.id });
+                response.file = { id: fileObj.id, name: fileObj.name, size: fileObj.size, url: fileObj.url };
+            } else if (errorFile) {
+                response.error = modules.file.load({ id: errorFile.id }).getContents();
+            } else {
+                response.error = 'The export job finished without writing a file. '
+                    + 'Check that EXPORT_FOLDER_ID is listed in custscript_sqt_export_folders of the export deployment.';
             }
+        }
 
-            .sqt-results-table tfoot {
-                position: sticky;
-                bottom: 0;
-                background: var(--sqt-bg-secondary);
-                border-top: 2px solid var(--sqt-border);
-            }
+        context.response.write(JSON.stringify(response));
+    } catch (e) {
+        modules.log.error({ title: 'Export Job Status Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-results-table tfoot td {
-                padding: 6px 12px;
-                font-size: 10px;
-                color: var(--sqt-text-secondary);
-                white-space: nowrap;
-            }
+/**
+ * Cancels a server-side export job.
+ * N/task cannot stop a Map/Reduce job, so this writes the cancel marker that
+ * suiteql_export.js checks before every page.
+ * @param {Object} context - The request/response context
+ * @param {Object} payload - The request payload (jobId, taskId)
+ */
+function cancelExportJob(context, payload) {
+    try {
+        const jobId = String(payload.jobId || '');
 
-            .sqt-stats-row td {
-                font-weight: 500;
-                font-size: 11px;
-                background: var(--sqt-bg-secondary) !important;
-            }
+        if (!/^\w+$/.test(jobId) || !jobId.startsWith(`sqt_export_${modules.runtime.getCurrentUser().id}_`)) {
+            context.response.write(JSON.stringify({ error: 'Unknown export job.' }));
+            return;
+        }
 
-            .sqt-stats-row td.row-number {
-                font-weight: 600;
-                color: var(--sqt-primary);
-            }
+        const taskStatus = modules.task.checkStatus({ taskId: payload.taskId });
+        if (taskStatus.status === modules.task.TaskStatus.COMPLETE || taskStatus.status === modules.task.TaskStatus.FAILED) {
+            context.response.write(JSON.stringify({ error: 'The export job has already finished.' }));
+            return;
+        }
 
-            /* ============================================
-               PINNED COLUMNS
-               ============================================ */
-            .sqt-results-table th.sqt-pinned,
-            .sqt-results-table td.sqt-pinned {
-                position: sticky !important;
-                z-index: 2;
-                background: var(--sqt-bg-primary);
-            }
+        modules.file.create({
+            name: `${jobId}.cancel.txt`,
+            fileType: modules.file.Type.PLAINTEXT,
+            folder: CONFIG.EXPORT_FOLDER_ID,
+            contents: new Date().toISOString()
+        }).save();
 
-            .sqt-results-table th.sqt-pinned {
-                z-index: 4;
-                background: var(--sqt-bg-secondary);
-            }
+        context.response.write(JSON.stringify({ cancelled: true }));
+    } catch (e) {
+        modules.log.error({ title: 'Cancel Export Job Error', details: e });
+        context.response.write(JSON.stringify({ error: e.message }));
+    }
+}
 
-            .sqt-results-table tr:nth-child(odd) td.sqt-pinned {
-                background: var(--sqt-bg-primary);
-            }
+// =============================================================================
+// SECTION 8: TABLES REFERENCE
+// =============================================================================
 
-            .sqt-results-table tr:nth-child(even) td.sqt-pinned {
-                background: var(--sqt-bg-secondary);
-            }
+/**
+ * Renders the Tables Reference page.
+ * @param {Object} context - The request/response context
+ * @param {string} scriptUrl - The script URL
+ */
+function renderTablesReference(context, scriptUrl) {
+    const form = modules.serverWidget.createForm({
+        title: 'SuiteQL Tables Reference',
+        hideNavBar: false
+    });
 
-            .sqt-results-table .sqt-pinned-last {
-                border-right: 2px solid var(--sqt-primary) !important;
-            }
+    const htmlField = form.addField({
+        id: 'custpage_field_html',
+        type: modules.serverWidget.FieldType.INLINEHTML,
+        label: 'HTML'
+    });
 
-            .sqt-row-clickable:hover td.sqt-pinned {
-                background: var(--sqt-primary) !important;
-            }
+    htmlField.defaultValue = generateTablesReferenceHtml(scriptUrl);
+    context.response.writePage(form);
+}
 
-            .sqt-stats-row td.sqt-pinned {
-                background: var(--sqt-bg-secondary) !important;
-            }
+// =============================================================================
+// SECTION 9: HTML GENERATION - MAIN APPLICATION
+// =============================================================================
 
-            .sqt-row-clickable {
-                cursor: pointer;
-            }
+/**
+ * Generates the main application HTML.
+ *
+ * @param {string} scriptUrl - The script URL for AJAX calls
+ * @param {Array<Object>} remoteAccounts
+ *        List of configured remote NetSuite accounts parsed from the
+ *        `custscript_il_suiteql_accounts` script parameter.
+ * @param {string} currentAccountId
+ *        Account ID of the current NetSuite environment (sandbox or
+ *        production), used to resolve local execution context.
+ * @param {Object} localAccount
+ *        Description, environment and color of the current account.
+ * @returns {string} Complete HTML for the application
+ *
+ */
+function generateMainHtml(scriptUrl, remoteAccounts, currentAccountId, localAccount = {}) {
+    return `
+        <!DOCTYPE html>
+        <html lang="en" data-bs-theme="light">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            ${generateExternalResources()}
+            ${generateStyles()}
+        </head>
+        <body>
+            ${generateToastContainer()}
+            ${generateMainLayout(scriptUrl, remoteAccounts, localAccount)}
+            ${generateModals()}
+            ${generateClientScript(scriptUrl, remoteAccounts, currentAccountId, localAccount)}
+        </body>
+        </html>
+    `;
+}
 
-            .sqt-row-clickable:hover td {
-                background: var(--sqt-primary) !important;
-                color: white !important;
-            }
+/**
+ * Generates external resource links (CSS/JS libraries).
+ * @returns {string} HTML for external resources
+ */
+function generateExternalResources() {
+    return `
+        <!-- Bootstrap 5.3 -->
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css" rel="stylesheet">
+        <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.css" rel="stylesheet">
 
-            .sqt-row-clickable:hover .sqt-null-value {
-                color: rgba(255,255,255,0.7);
-            }
+        <!-- CodeMirror -->
+        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.css" rel="stylesheet">
+        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/theme/dracula.min.css" rel="stylesheet">
+        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/theme/eclipse.min.css" rel="stylesheet">
+        <link href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/show-hint.min.css" rel="stylesheet">
 
-            /* ============================================
-               RESULTS MAXIMIZED MODE
-               ============================================ */
-            .sqt-app.sqt-results-maximized {
-                position: fixed;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                z-index: 99999;
-                width: 100vw;
-                height: 100vh;
-                max-width: 100vw;
-                max-height: 100vh;
-            }
+        <!-- DataTables -->
+        <link href="https://cdn.datatables.net/2.0.0/css/dataTables.dataTables.min.css" rel="stylesheet">
 
-            .sqt-results-maximized .sqt-main {
-                height: calc(100vh - 28px); /* Account for status bar */
-            }
+        <!-- Scripts -->
+        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js"><\/script>
 
-            .sqt-results-maximized .sqt-toolbar {
-                display: none !important;
-            }
+        <!-- Safari/WebKit fix for MouseEvent.buttons - must load before CodeMirror -->
+        <script>
+        (function() {
+            var isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+            if (!isSafari) return;
 
-            .sqt-results-maximized .sqt-editor-panel {
-                display: none !important;
-            }
+            // Map to track original listeners to their wrapped versions
+            var listenerMap = new WeakMap();
 
-            .sqt-results-maximized .sqt-resizer {
-                display: none !important;
-            }
+            // Patch addEventListener to fix buttons property on mouse events
+            var originalAddEventListener = EventTarget.prototype.addEventListener;
+            EventTarget.prototype.addEventListener = function(type, listener, options) {
+                if (type === 'mousemove' || type === 'mouseup' || type === 'mousedown') {
+                    var wrappedListener = function(e) {
+                        if (e.buttons === 0 && e.which > 0 && e.type !== 'mouseup') {
+                            Object.defineProperty(e, 'buttons', {
+                                get: function() {
+                                    if (e.which === 1) return 1;
+                                    if (e.which === 2) return 4;
+                                    if (e.which === 3) return 2;
+                                    return 0;
+                                }
+                            });
+                        }
+                        return listener.call(this, e);
+                    };
+                    // Store mapping from original to wrapped listener (per element and type)
+                    if (!listenerMap.has(this)) {
+                        listenerMap.set(this, {});
+                    }
+                    var elementMap = listenerMap.get(this);
+                    if (!elementMap[type]) {
+                        elementMap[type] = new Map();
+                    }
+                    elementMap[type].set(listener, wrappedListener);
+                    return originalAddEventListener.call(this, type, wrappedListener, options);
+                }
+                return originalAddEventListener.call(this, type, listener, options);
+            };
 
-            .sqt-results-maximized .sqt-nl-bar {
-                display: none !important;
-            }
+            // Patch removeEventListener to use the wrapped listener
+            var originalRemoveEventListener = EventTarget.prototype.removeEventListener;
+            EventTarget.prototype.removeEventListener = function(type, listener, options) {
+                if (type === 'mousemove' || type === 'mouseup' || type === 'mousedown') {
+                    var elementMap = listenerMap.get(this);
+                    if (elementMap && elementMap[type] && elementMap[type].has(listener)) {
+                        var wrappedListener = elementMap[type].get(listener);
+                        elementMap[type].delete(listener);
+                        return originalRemoveEventListener.call(this, type, wrappedListener, options);
+                    }
+                }
+                return originalRemoveEventListener.call(this, type, listener, options);
+            };
 
-            .sqt-results-maximized .sqt-validation-panel {
-                display: none !important;
-            }
+        })();
+        <\/script>
 
-            .sqt-results-maximized .sqt-explain-panel {
-                display: none !important;
+        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.js"><\/script>
+        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/mode/sql/sql.min.js"><\/script>
+        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/show-hint.min.js"><\/script>
+        <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/addon/hint/sql-hint.min.js"><\/script>
+        <script src="https://cdn.datatables.net/2.0.0/js/dataTables.min.js"><\/script>
+        <script src="https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js"><\/script>
+    `;
+}
+
+/**
+ * Generates CSS styles for the application.
+ * @returns {string} CSS styles in a style tag
+ */
+function generateStyles() {
+    return `
+        <style>
+            /* ============================================
+               CSS VARIABLES & THEMING
+               ============================================ */
+            :root {
+                --sqt-primary: #2563eb;
+                --sqt-primary-hover: #1d4ed8;
+                --sqt-success: #10b981;
+                --sqt-warning: #f59e0b;
+                --sqt-danger: #ef4444;
+                --sqt-bg-primary: #ffffff;
+                --sqt-bg-secondary: #f8fafc;
+                --sqt-bg-tertiary: #f1f5f9;
+                --sqt-border: #e2e8f0;
+                --sqt-text-primary: #1e293b;
+                --sqt-text-secondary: #64748b;
+                --sqt-text-muted: #94a3b8;
+                --sqt-sidebar-width: 280px;
+                --sqt-header-height: 56px;
+                --sqt-editor-font: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace;
             }
 
-            .sqt-results-maximized .sqt-optimize-banner {
-                display: none !important;
+            [data-bs-theme="dark"] {
+                --sqt-primary: #3b82f6;
+                --sqt-primary-hover: #60a5fa;
+                --sqt-bg-primary: #0f172a;
+                --sqt-bg-secondary: #1e293b;
+                --sqt-bg-tertiary: #334155;
+                --sqt-border: #334155;
+                --sqt-text-primary: #f1f5f9;
+                --sqt-text-secondary: #94a3b8;
+                --sqt-text-muted: #64748b;
             }
 
-            .sqt-results-maximized .sqt-history-float-btn {
-                display: none !important;
+            /* ============================================
+               BASE STYLES
+               ============================================ */
+            * {
+                box-sizing: border-box;
             }
 
-            .sqt-results-maximized .sqt-results-panel {
-                flex: 1;
-                min-height: 0;
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                font-size: 14px;
+                background-color: var(--sqt-bg-secondary);
+                color: var(--sqt-text-primary);
+                margin: 0;
+                padding: 0;
+                overflow: hidden;
             }
 
-            .sqt-results-maximize-btn {
+            /* ============================================
+               LAYOUT
+               ============================================ */
+            .sqt-app {
                 display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-
-            .sqt-results-maximize-btn i {
-                transition: transform 0.2s ease;
+                flex-direction: column;
+                height: 100vh;
+                overflow: hidden;
+                max-width: 100vw;
             }
 
-            .sqt-results-maximized .sqt-results-maximize-btn i {
-                transform: rotate(180deg);
+            .sqt-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                height: var(--sqt-header-height);
+                padding: 0 24px;
+                background: var(--sqt-bg-primary);
+                border-bottom: 1px solid var(--sqt-border);
+                flex-shrink: 0;
+                position: relative;
+                z-index: 100;
+                min-width: 0;
             }
 
-            /* ============================================
-               DRAG & DROP OVERLAY
-               ============================================ */
-            .sqt-drop-overlay {
-                position: absolute;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                background: rgba(var(--sqt-primary-rgb, 37, 99, 235), 0.9);
+            .sqt-header-title {
                 display: flex;
-                flex-direction: column;
                 align-items: center;
-                justify-content: center;
-                z-index: 1000;
-                pointer-events: none;
-                opacity: 0;
-                transition: opacity 0.2s;
+                gap: 12px;
+                font-weight: 600;
+                font-size: 16px;
+                color: var(--sqt-text-primary);
             }
 
-            .sqt-drop-overlay.active {
-                opacity: 1;
+            .sqt-header-title i {
+                color: var(--sqt-primary);
+                font-size: 20px;
             }
 
-            .sqt-drop-overlay i {
-                font-size: 48px;
-                color: white;
-                margin-bottom: 16px;
+            .sqt-header-actions {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding-right: 8px;
+                flex-shrink: 0;
             }
 
-            .sqt-drop-overlay span {
-                font-size: 18px;
-                color: white;
-                font-weight: 500;
+            .sqt-main {
+                display: flex;
+                flex: 1;
+                overflow: hidden;
+                min-width: 0;
+                max-width: 100%;
             }
 
             /* ============================================
-               COLUMN REORDERING
+               SIDEBAR
                ============================================ */
-            .sqt-results-table th.sqt-draggable {
-                cursor: grab;
-                user-select: none;
+            .sqt-sidebar {
+                width: var(--sqt-sidebar-width);
+                background: var(--sqt-bg-primary);
+                border-right: 1px solid var(--sqt-border);
+                display: flex;
+                flex-direction: column;
+                flex-shrink: 0;
+                transition: width 0.2s ease;
             }
 
-            .sqt-results-table th.sqt-draggable:active {
-                cursor: grabbing;
+            .sqt-sidebar.collapsed {
+                width: 0;
+                border-right: none;
+                overflow: hidden;
             }
 
-            .sqt-results-table th.sqt-drag-over {
-                background: var(--sqt-primary) !important;
-                color: white !important;
+            .sqt-sidebar-header {
+                padding: 12px 16px;
+                border-bottom: 1px solid var(--sqt-border);
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                min-width: var(--sqt-sidebar-width);
             }
 
-            .sqt-results-table th.sqt-dragging {
-                opacity: 0.5;
+            .sqt-sidebar-title {
+                font-weight: 600;
+                font-size: 12px;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                color: var(--sqt-text-secondary);
             }
 
-            /* ============================================
-               KEYBOARD SHORTCUTS
-               ============================================ */
-            .sqt-shortcuts-grid {
-                display: grid;
-                grid-template-columns: 1fr 1fr;
-                gap: 16px;
+            .sqt-history-list {
+                flex: 1;
+                overflow-y: auto;
+                padding: 8px;
+                min-width: var(--sqt-sidebar-width);
             }
 
-            .sqt-shortcut-item {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                padding: 8px 0;
-                border-bottom: 1px solid var(--sqt-border);
+            .sqt-history-item {
+                padding: 10px 12px;
+                border-radius: 6px;
+                cursor: pointer;
+                margin-bottom: 4px;
+                transition: background-color 0.15s ease;
             }
 
-            .sqt-shortcut-keys {
-                display: flex;
-                gap: 4px;
+            .sqt-history-item:hover {
+                background: var(--sqt-bg-tertiary);
             }
 
-            .sqt-shortcut-key {
-                display: inline-block;
-                padding: 4px 8px;
-                background: var(--sqt-bg-tertiary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 4px;
+            .sqt-history-item-query {
                 font-family: var(--sqt-editor-font);
                 font-size: 11px;
-                font-weight: 500;
-            }
-
-            /* ============================================
-               PARAMETERS MODAL
-               ============================================ */
-            .sqt-param-input {
-                margin-bottom: 12px;
-            }
-
-            .sqt-param-input label {
-                display: block;
-                font-weight: 500;
+                color: var(--sqt-text-primary);
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
                 margin-bottom: 4px;
-                font-family: var(--sqt-editor-font);
             }
 
-            .sqt-param-input input {
-                width: 100%;
-                padding: 8px 12px;
-                border: 1px solid var(--sqt-border);
-                border-radius: 4px;
-                font-size: 14px;
-                background: var(--sqt-bg-secondary);
-                color: var(--sqt-text-primary);
+            .sqt-history-item-meta {
+                font-size: 10px;
+                color: var(--sqt-text-muted);
+                display: flex;
+                gap: 8px;
             }
 
-            .sqt-param-input input:focus {
-                outline: none;
-                border-color: var(--sqt-primary);
-                box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1);
+            .sqt-history-cancelled {
+                color: var(--sqt-danger);
+                font-weight: 500;
             }
 
             /* ============================================
-               UNDO/REDO HISTORY
+               FLOATING HISTORY BUTTON
                ============================================ */
-            .sqt-history-dropdown {
+            .sqt-history-float-btn {
                 position: absolute;
-                top: 100%;
-                right: 0;
-                width: 300px;
-                max-height: 400px;
-                overflow-y: auto;
-                background: var(--sqt-bg-primary);
+                left: 0;
+                top: 50%;
+                transform: translateY(-50%);
+                width: 24px;
+                height: 64px;
+                background: var(--sqt-bg-secondary);
                 border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-                z-index: 1000;
-                display: none;
-            }
-
-            .sqt-history-dropdown.show {
-                display: block;
-            }
-
-            .sqt-history-dropdown-header {
-                padding: 12px 16px;
-                border-bottom: 1px solid var(--sqt-border);
-                font-weight: 600;
+                border-left: none;
+                border-radius: 0 6px 6px 0;
                 display: flex;
-                justify-content: space-between;
                 align-items: center;
-            }
-
-            .sqt-history-dropdown-item {
-                padding: 8px 16px;
+                justify-content: center;
                 cursor: pointer;
-                font-family: var(--sqt-editor-font);
-                font-size: 11px;
-                border-bottom: 1px solid var(--sqt-border);
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
+                z-index: 100;
+                transition: all 0.2s ease;
+                color: var(--sqt-text-secondary);
             }
 
-            .sqt-history-dropdown-item:hover {
+            .sqt-history-float-btn:hover {
                 background: var(--sqt-bg-tertiary);
+                color: var(--sqt-text-primary);
+                width: 28px;
             }
 
-            .sqt-history-dropdown-item.active {
-                background: var(--sqt-primary);
-                color: white;
-            }
-
-            .sqt-history-dropdown-item-preview {
-                flex: 1;
-                white-space: nowrap;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                margin-right: 8px;
+            .sqt-history-float-btn i {
+                font-size: 14px;
             }
 
-            .sqt-history-dropdown-item-time {
-                color: var(--sqt-text-muted);
-                font-size: 10px;
+            /* Hide floating button when sidebar is open */
+            .sqt-sidebar:not(.collapsed) ~ .sqt-content .sqt-history-float-btn {
+                opacity: 0;
+                pointer-events: none;
             }
 
             /* ============================================
-               TOOLBAR DROPDOWN MENUS
+               CONTENT AREA
                ============================================ */
-            .sqt-toolbar-dropdown-wrapper {
+            .sqt-content {
                 position: relative;
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+                min-width: 0;
+                max-width: 100%;
             }
 
-            .sqt-toolbar-dropdown {
-                position: absolute;
-                top: 100%;
-                left: 0;
-                min-width: 180px;
+            /* ============================================
+               TOOLBAR
+               ============================================ */
+            .sqt-toolbar {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 16px;
                 background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-                z-index: 1000;
-                display: none;
-                padding: 4px 0;
-                margin-top: 4px;
-            }
-
-            .sqt-toolbar-dropdown.show {
-                display: block;
+                border-bottom: 1px solid var(--sqt-border);
+                flex-wrap: wrap;
+                flex-shrink: 0;
+                min-width: 0;
             }
 
-            .sqt-toolbar-dropdown-item {
+            .sqt-toolbar-group {
                 display: flex;
                 align-items: center;
-                gap: 10px;
-                padding: 10px 16px;
-                cursor: pointer;
-                font-size: 13px;
-                color: var(--sqt-text-primary);
-                transition: background 0.15s;
-            }
-
-            .sqt-toolbar-dropdown-item:hover {
-                background: var(--sqt-bg-tertiary);
+                gap: 4px;
             }
 
-            .sqt-toolbar-dropdown-item i {
-                font-size: 14px;
-                width: 18px;
-                text-align: center;
-                color: var(--sqt-text-secondary);
+            .sqt-toolbar-divider {
+                width: 1px;
+                height: 24px;
+                background: var(--sqt-border);
+                margin: 0 8px;
             }
 
-            .sqt-toolbar-dropdown-divider {
-                height: 1px;
-                background: var(--sqt-border);
-                margin: 4px 0;
+            /* Compact toolbar mode - hide button labels */
+            .sqt-toolbar-compact .sqt-btn:not(.sqt-btn-icon) > span:not(.bi) {
+                display: none;
             }
 
-            .sqt-btn-dropdown {
-                display: flex;
-                align-items: center;
-                gap: 4px;
+            .sqt-toolbar-compact .sqt-btn-dropdown > span:not(.bi):not(.bi-chevron-down) {
+                display: none;
             }
 
-            .sqt-btn-dropdown .bi-chevron-down {
-                font-size: 10px;
-                opacity: 0.7;
+            .sqt-toolbar-compact .sqt-btn-dropdown {
+                gap: 2px;
             }
 
             /* ============================================
-               RESIZER
+               BUTTONS
                ============================================ */
-            .sqt-resizer {
-                height: 6px;
-                background: var(--sqt-bg-secondary);
-                cursor: row-resize;
-                display: flex;
+            .sqt-btn {
+                display: inline-flex;
                 align-items: center;
-                justify-content: center;
-                border-top: 1px solid var(--sqt-border);
-                border-bottom: 1px solid var(--sqt-border);
+                gap: 6px;
+                padding: 6px 12px;
+                font-size: 13px;
+                font-weight: 500;
+                border-radius: 6px;
+                border: 1px solid transparent;
+                cursor: pointer;
+                transition: all 0.15s ease;
+                white-space: nowrap;
             }
 
-            .sqt-resizer:hover {
+            .sqt-btn i {
+                font-size: 14px;
+            }
+
+            .sqt-btn-primary {
                 background: var(--sqt-primary);
+                color: white;
             }
 
-            .sqt-resizer-handle {
-                width: 40px;
-                height: 3px;
-                background: var(--sqt-border);
-                border-radius: 2px;
+            .sqt-btn-primary:hover {
+                background: var(--sqt-primary-hover);
             }
 
-            .sqt-resizer:hover .sqt-resizer-handle {
-                background: white;
+            .sqt-btn-secondary {
+                background: var(--sqt-bg-tertiary);
+                color: var(--sqt-text-primary);
+                border-color: var(--sqt-border);
             }
 
-            /* ============================================
-               STATUS BAR
-               ============================================ */
-            .sqt-statusbar {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                padding: 4px 16px;
-                background: var(--sqt-bg-secondary);
-                border-top: 1px solid var(--sqt-border);
-                font-size: 11px;
-                color: var(--sqt-text-muted);
-                flex-shrink: 0;
+            .sqt-btn-secondary:hover {
+                background: var(--sqt-border);
             }
 
-            .sqt-statusbar-left,
-            .sqt-statusbar-right,
-            .sqt-statusbar-center {
-                display: flex;
-                align-items: center;
-                gap: 16px;
+            .sqt-btn-secondary.active {
+                background: var(--sqt-primary);
+                color: white;
+                border-color: var(--sqt-primary);
             }
 
-            .sqt-statusbar-center {
-                gap: 8px;
+            .sqt-btn-danger {
+                background: var(--sqt-danger);
+                color: white;
             }
 
-            .sqt-statusbar-separator {
-                color: var(--sqt-border);
+            .sqt-btn-danger:hover {
+                filter: brightness(0.9);
             }
 
-            .sqt-statusbar a {
-                color: var(--sqt-text-muted);
-                text-decoration: none;
+            .sqt-btn-icon {
+                padding: 6px 8px;
             }
 
-            .sqt-statusbar a:hover {
-                color: var(--sqt-primary);
-                text-decoration: underline;
+            .sqt-btn-sm {
+                padding: 4px 8px;
+                font-size: 12px;
             }
 
-            .sqt-status-indicator {
-                display: flex;
-                align-items: center;
-                gap: 4px;
+            /* ============================================
+               DATATABLES OVERRIDES
+               ============================================ */
+            .dt-length,
+            .dt-length select,
+            .dt-length label,
+            .dt-search,
+            .dt-search input,
+            .dt-search label,
+            .dt-info,
+            .dt-paging {
+                font-size: 12px !important;
             }
 
-            .sqt-status-dot {
-                width: 8px;
-                height: 8px;
-                border-radius: 50%;
-                background: var(--sqt-success);
+            .dt-length select {
+                padding: 4px 28px 4px 8px;
+                min-width: 70px;
             }
 
-            .sqt-status-dot.running {
-                background: var(--sqt-warning);
-                animation: pulse 1s infinite;
+            .dt-search input {
+                padding: 4px 8px;
             }
 
-            @keyframes pulse {
-                0%, 100% { opacity: 1; }
-                50% { opacity: 0.5; }
+            /* DataTables pagination styling */
+            .dt-paging {
+                padding-top: 10px;
             }
 
-            /* ============================================
-               LOADING STATE
-               ============================================ */
-            .sqt-loading {
-                display: flex;
-                flex-direction: column;
-                align-items: center;
-                justify-content: center;
-                padding: 48px;
-                color: var(--sqt-text-secondary);
+            .dt-paging button {
+                padding: 4px 10px !important;
+                margin: 0 2px !important;
+                border: 1px solid var(--sqt-border) !important;
+                border-radius: 4px !important;
+                background: var(--sqt-bg-primary) !important;
+                color: var(--sqt-text-primary) !important;
+                cursor: pointer;
+                font-size: 12px !important;
             }
 
-            .sqt-spinner {
-                width: 32px;
-                height: 32px;
-                border: 3px solid var(--sqt-border);
-                border-top-color: var(--sqt-primary);
-                border-radius: 50%;
-                animation: spin 0.8s linear infinite;
-                margin-bottom: 12px;
+            .dt-paging button:hover:not(.disabled) {
+                background: var(--sqt-bg-secondary) !important;
             }
 
-            @keyframes spin {
-                to { transform: rotate(360deg); }
+            .dt-paging button.current {
+                background: var(--sqt-primary) !important;
+                border-color: var(--sqt-primary) !important;
+                color: white !important;
+            }
+
+            .dt-paging button.disabled {
+                opacity: 0.5 !important;
+                cursor: not-allowed !important;
             }
 
             /* ============================================
-               EMPTY STATE
+               EDITOR PANEL
                ============================================ */
-            .sqt-empty-state {
+            .sqt-editor-panel {
+                flex: 1;
                 display: flex;
                 flex-direction: column;
-                align-items: center;
-                justify-content: center;
-                padding: 48px;
-                color: var(--sqt-text-secondary);
-                text-align: center;
+                min-height: 200px;
+                overflow: hidden;
             }
 
-            .sqt-empty-state i {
-                font-size: 48px;
-                color: var(--sqt-text-muted);
-                margin-bottom: 16px;
+            .sqt-editor-container {
+                flex: 1;
+                overflow: hidden;
+                border-bottom: 1px solid var(--sqt-border);
             }
 
-            .sqt-empty-state h3 {
-                font-size: 16px;
-                font-weight: 600;
-                margin-bottom: 8px;
-                color: var(--sqt-text-primary);
+            .CodeMirror {
+                height: 100%;
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                line-height: 1.6;
             }
 
-            .sqt-empty-state p {
-                font-size: 13px;
-                margin: 0;
+            .CodeMirror-gutters {
+                background: var(--sqt-bg-secondary);
+                border-right: 1px solid var(--sqt-border);
+            }
+
+            [data-bs-theme="light"] .CodeMirror {
+                background: var(--sqt-bg-primary);
             }
 
             /* ============================================
-               TOAST NOTIFICATIONS
+               RESULTS PANEL
                ============================================ */
-            .sqt-toast-container {
-                position: fixed;
-                top: 16px;
-                right: 16px;
-                z-index: 9999;
+            .sqt-results-panel {
+                flex: 1;
                 display: flex;
                 flex-direction: column;
-                gap: 8px;
+                min-height: 200px;
+                background: var(--sqt-bg-primary);
+                overflow: hidden;
+                min-width: 0;
+                max-width: 100%;
             }
 
-            .sqt-toast {
+            .sqt-results-header {
                 display: flex;
-                align-items: flex-start;
-                gap: 12px;
-                padding: 12px 16px;
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                min-width: 300px;
-                max-width: 400px;
-                animation: slideIn 0.2s ease;
+                align-items: center;
+                justify-content: space-between;
+                padding: 8px 16px;
+                background: var(--sqt-bg-secondary);
+                border-bottom: 1px solid var(--sqt-border);
+                flex-shrink: 0;
+                min-width: 0;
+                gap: 16px;
             }
 
-            @keyframes slideIn {
-                from {
-                    opacity: 0;
-                    transform: translateX(20px);
-                }
-                to {
-                    opacity: 1;
-                    transform: translateX(0);
-                }
+            .sqt-results-info {
+                font-size: 12px;
+                color: var(--sqt-text-secondary);
+                display: flex;
+                align-items: center;
+                gap: 16px;
             }
 
-            .sqt-toast-icon {
-                font-size: 18px;
-                flex-shrink: 0;
+            .sqt-results-info-item {
+                display: flex;
+                align-items: center;
+                gap: 4px;
             }
 
-            .sqt-toast-success .sqt-toast-icon { color: var(--sqt-success); }
-            .sqt-toast-error .sqt-toast-icon { color: var(--sqt-danger); }
-            .sqt-toast-warning .sqt-toast-icon { color: var(--sqt-warning); }
-            .sqt-toast-info .sqt-toast-icon { color: var(--sqt-primary); }
+            .sqt-results-info-item i {
+                color: var(--sqt-text-muted);
+            }
 
-            .sqt-toast-content {
-                flex: 1;
+            .sqt-cache-miss-badge {
+                font-size: 10px;
+                padding: 2px 6px;
+                background: var(--sqt-warning);
+                color: #000;
+                border-radius: 4px;
+                margin-left: 6px;
+                font-weight: 500;
             }
 
-            .sqt-toast-title {
+            .sqt-env-tag {
+                font-size: 10px;
+                padding: 2px 6px;
+                margin-left: 6px;
+                border-radius: 4px;
+                background: var(--sqt-env-color);
+                color: #fff;
                 font-weight: 600;
-                font-size: 13px;
-                margin-bottom: 2px;
+                text-transform: uppercase;
+                white-space: nowrap;
             }
 
-            .sqt-toast-message {
-                font-size: 12px;
-                color: var(--sqt-text-secondary);
+            .sqt-toolbar-dropdown-item .sqt-env-tag {
+                margin-left: auto;
             }
 
-            .sqt-toast-close {
-                background: none;
-                border: none;
-                color: var(--sqt-text-muted);
-                cursor: pointer;
-                padding: 0;
-                font-size: 16px;
+            .sqt-toolbar-dropdown-item .sqt-env-tag + .sqt-health-dot {
+                margin-left: 0;
             }
 
-            .sqt-toast-close:hover {
-                color: var(--sqt-text-primary);
+            .sqt-editor-panel.sqt-env-colored {
+                outline: 2px solid var(--sqt-env-color);
+                outline-offset: -2px;
             }
 
-            /* ============================================
-               MODALS
-               ============================================ */
-            .modal-content {
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
+            #runButton.sqt-env-colored {
+                background: var(--sqt-env-color);
+                border-color: var(--sqt-env-color);
             }
 
-            .modal-header {
-                border-bottom-color: var(--sqt-border);
+            .sqt-results-header.sqt-env-colored {
+                border-top: 3px solid var(--sqt-env-color);
             }
 
-            .modal-footer {
-                border-top-color: var(--sqt-border);
+            .sqt-health-dot {
+                width: 8px;
+                height: 8px;
+                margin-left: auto;
+                border-radius: 50%;
+                background: var(--sqt-text-muted);
+                flex-shrink: 0;
             }
 
-            /* ============================================
-               OPTIONS PANEL
-               ============================================ */
-            .sqt-options-panel {
-                position: absolute;
-                top: 100%;
-                right: 0;
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                padding: 16px;
-                min-width: 280px;
-                z-index: 100;
-                display: none;
+            .sqt-health-dot.checking {
+                background: var(--sqt-warning);
             }
 
-            .sqt-options-panel.show {
-                display: block;
+            .sqt-health-dot.ok {
+                background: var(--sqt-success);
             }
 
-            .sqt-options-section {
-                margin-bottom: 16px;
+            .sqt-health-dot.error {
+                background: var(--sqt-danger);
             }
 
-            .sqt-options-section:last-child {
-                margin-bottom: 0;
+            .sqt-remote-error {
+                max-width: 600px;
+                margin-top: 8px;
+                padding: 12px 16px;
+                text-align: left;
+                font-size: 13px;
+                color: var(--sqt-text-primary);
+                background: var(--sqt-bg-secondary);
+                border: 1px solid var(--sqt-border);
+                border-left: 3px solid var(--sqt-danger);
+                border-radius: 4px;
             }
 
-            .sqt-options-label {
-                font-size: 11px;
-                font-weight: 600;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
+            .sqt-remote-error-fix {
+                margin-top: 8px;
                 color: var(--sqt-text-secondary);
-                margin-bottom: 8px;
-            }
-
-            .sqt-option-row {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                margin-bottom: 8px;
             }
 
-            .sqt-option-row input[type="number"] {
-                width: 80px;
-                padding: 4px 8px;
-                border: 1px solid var(--sqt-border);
-                border-radius: 4px;
-                background: var(--sqt-bg-secondary);
-                color: var(--sqt-text-primary);
-                font-size: 12px;
+            .sqt-remote-error-fix i {
+                font-size: 13px;
+                margin: 0;
+                color: var(--sqt-warning);
             }
 
-            .sqt-option-row label {
+            .sqt-document-template {
+                flex: 1;
+                min-height: 360px;
+                font-family: var(--sqt-editor-font);
                 font-size: 12px;
-                color: var(--sqt-text-primary);
+                white-space: pre;
             }
 
-            /* ============================================
-               KEYBOARD SHORTCUTS
-               ============================================ */
-            .sqt-kbd {
-                display: inline-flex;
-                align-items: center;
-                padding: 2px 6px;
-                font-family: var(--sqt-editor-font);
-                font-size: 11px;
-                background: var(--sqt-bg-tertiary);
+            .sqt-document-preview {
+                width: 100%;
+                height: 100%;
+                min-height: 480px;
                 border: 1px solid var(--sqt-border);
                 border-radius: 4px;
-                color: var(--sqt-text-secondary);
+                background: #fff;
             }
 
-            /* ============================================
-               FOCUS MODE
-               ============================================ */
-            .sqt-app.sqt-focus-mode {
-                position: fixed;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                z-index: 99999;
-                width: 100vw;
-                height: 100vh;
-                max-width: 100vw;
-                max-height: 100vh;
+            .sqt-server-export {
+                border-top: 1px solid var(--sqt-border);
+                margin-top: 12px;
+                padding-top: 12px;
             }
 
-            .sqt-focus-mode .sqt-main {
-                height: calc(100vh - 28px); /* Account for status bar */
+            .sqt-server-export-status {
+                margin-top: 10px;
+                font-size: 12px;
+                color: var(--sqt-text-secondary);
             }
 
-            /* Ensure modals appear above focus mode */
-            .modal {
-                z-index: 100000 !important;
+            .sqt-server-export-status .progress {
+                height: 6px;
             }
 
-            .modal-backdrop {
-                z-index: 99999 !important;
+            .sqt-pager {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                flex-shrink: 0;
             }
 
-            /* Row Details Panel */
-            .sqt-row-details {
-                max-height: 400px;
-                overflow-y: auto;
+            .sqt-pager-info {
+                font-size: 12px;
+                color: var(--sqt-text-secondary);
+                padding: 0 6px;
+                white-space: nowrap;
             }
 
-            .sqt-row-details-table {
-                width: 100%;
-                font-size: 13px;
+            .sqt-pager-size {
+                margin-left: 6px;
+                padding: 2px 6px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                background: var(--sqt-bg-primary);
+                color: var(--sqt-text-primary);
+                font-size: 12px;
             }
 
-            .sqt-row-details-table th {
-                text-align: right;
-                padding: 6px 12px 6px 6px;
-                color: var(--sqt-text-secondary);
+            .sqt-retry-badge {
+                font-size: 10px;
+                padding: 2px 6px;
+                border: 1px solid var(--sqt-warning);
+                color: var(--sqt-warning);
+                border-radius: 4px;
+                margin-left: 6px;
                 font-weight: 500;
-                width: 40%;
-                vertical-align: top;
-                border-bottom: 1px solid var(--sqt-border);
             }
 
-            .sqt-row-details-table td {
-                padding: 6px;
-                color: var(--sqt-text-primary);
-                word-break: break-word;
+            .sqt-account-summary {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                padding: 8px 16px;
+                background: var(--sqt-bg-secondary);
                 border-bottom: 1px solid var(--sqt-border);
+                font-size: 12px;
+                color: var(--sqt-text-secondary);
+                flex-shrink: 0;
             }
 
-            /* Execution Time Chart */
-            .sqt-time-chart {
+            .sqt-account-summary-item {
                 display: flex;
-                align-items: flex-end;
-                gap: 2px;
-                height: 40px;
-                padding: 4px 0;
+                align-items: center;
+                gap: 6px;
+                padding: 4px 10px;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                max-width: 100%;
             }
 
-            .sqt-time-bar {
-                flex: 1;
-                min-width: 8px;
-                max-width: 20px;
-                background: var(--sqt-primary);
-                border-radius: 2px 2px 0 0;
-                opacity: 0.6;
-                transition: opacity 0.15s;
+            .sqt-account-summary-item i {
+                color: var(--sqt-success);
             }
 
-            .sqt-time-bar:hover {
-                opacity: 1;
+            .sqt-account-summary-item.error {
+                border-color: var(--sqt-danger);
             }
 
-            .sqt-time-bar:last-child {
-                opacity: 1;
+            .sqt-account-summary-item.error i,
+            .sqt-account-summary-error {
+                color: var(--sqt-danger);
             }
 
-            /* Share URL */
-            .sqt-share-url {
-                font-family: var(--sqt-editor-font);
-                font-size: 11px;
-                padding: 8px;
+            .sqt-account-summary-error {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                max-width: 320px;
+            }
+
+            .sqt-statement-tabs {
+                display: flex;
+                gap: 2px;
+                padding: 6px 16px 0;
                 background: var(--sqt-bg-secondary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 4px;
-                word-break: break-all;
-                max-height: 100px;
-                overflow-y: auto;
+                border-bottom: 1px solid var(--sqt-border);
+                overflow-x: auto;
+                flex-shrink: 0;
             }
 
-            /* Autocomplete */
-            .CodeMirror-hints {
-                z-index: 100001 !important;
-                font-family: var(--sqt-editor-font);
+            .sqt-statement-tab {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 6px 12px;
+                border: 1px solid transparent;
+                border-bottom: none;
+                border-radius: 4px 4px 0 0;
+                background: transparent;
+                color: var(--sqt-text-secondary);
                 font-size: 12px;
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 4px;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-                max-height: 200px;
-                overflow-y: auto;
+                white-space: nowrap;
+                cursor: pointer;
             }
 
-            .CodeMirror-hint {
-                padding: 4px 8px;
+            .sqt-statement-tab:hover {
                 color: var(--sqt-text-primary);
             }
 
-            .CodeMirror-hint-active {
-                background: var(--sqt-primary);
-                color: white;
+            .sqt-statement-tab.active {
+                background: var(--sqt-bg-primary);
+                border-color: var(--sqt-border);
+                color: var(--sqt-text-primary);
+                margin-bottom: -1px;
             }
 
-            /* ============================================
-               AI QUERY GENERATOR
-               ============================================ */
-            .sqt-ai-modal .modal-content {
-                height: 80vh;
-                max-height: 700px;
+            .sqt-statement-tab.success i {
+                color: var(--sqt-success);
             }
 
-            .sqt-ai-header {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                flex: 1;
-                margin-right: 16px;
+            .sqt-statement-tab.error i {
+                color: var(--sqt-danger);
             }
 
-            .sqt-ai-header-controls {
-                display: flex;
-                gap: 8px;
+            .sqt-statement-tab.pending i,
+            .sqt-statement-tab.cancelled i {
+                color: var(--sqt-text-muted);
             }
 
-            .sqt-ai-body {
-                flex: 1;
-                overflow-y: auto;
-                padding: 0;
-                background: var(--sqt-bg-secondary);
+            .sqt-statement-tab-info {
+                color: var(--sqt-text-muted);
             }
 
-            .sqt-ai-messages {
-                min-height: 100%;
-                padding: 16px;
-                display: flex;
-                flex-direction: column;
-                gap: 16px;
+            .sqt-statement-sql {
+                max-width: 600px;
+                max-height: 200px;
+                overflow: auto;
+                padding: 8px 12px;
+                background: var(--sqt-bg-secondary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                color: var(--sqt-text-primary);
+                text-align: left;
+                white-space: pre-wrap;
             }
 
-            .sqt-ai-welcome {
+            .sqt-diff-toolbar {
                 display: flex;
-                flex-direction: column;
+                flex-wrap: wrap;
                 align-items: center;
-                justify-content: center;
-                padding: 48px 24px;
-                text-align: center;
+                gap: 8px;
+                padding: 8px 16px;
+                border-bottom: 1px solid var(--sqt-border);
+                font-size: 12px;
                 color: var(--sqt-text-secondary);
+                flex-shrink: 0;
             }
 
-            .sqt-ai-welcome i {
-                font-size: 48px;
-                color: var(--sqt-primary);
-                margin-bottom: 16px;
-            }
-
-            .sqt-ai-welcome h4 {
-                font-size: 18px;
-                font-weight: 600;
-                color: var(--sqt-text-primary);
-                margin-bottom: 8px;
+            .sqt-diff-toolbar .form-select {
+                width: auto;
+                max-width: 240px;
+                font-size: 12px;
             }
 
-            .sqt-ai-welcome p {
-                font-size: 14px;
-                margin-bottom: 24px;
+            .sqt-diff-toggle {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                cursor: pointer;
             }
 
-            .sqt-ai-examples {
+            .sqt-diff-counts {
                 display: flex;
-                flex-direction: column;
                 gap: 8px;
-                max-width: 400px;
+                margin-left: auto;
             }
 
-            .sqt-ai-example {
-                padding: 12px 16px;
-                border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                background: var(--sqt-bg-primary);
-                color: var(--sqt-text-primary);
-                font-size: 13px;
-                text-align: left;
-                cursor: pointer;
-                transition: all 0.15s ease;
+            .sqt-diff-count.added { color: var(--sqt-success); }
+            .sqt-diff-count.removed { color: var(--sqt-danger); }
+            .sqt-diff-count.changed { color: var(--sqt-warning); }
+
+            .sqt-diff-table tr.sqt-diff-added td {
+                background: rgba(16, 185, 129, 0.12);
             }
 
-            .sqt-ai-example:hover {
-                border-color: var(--sqt-primary);
-                background: var(--sqt-bg-tertiary);
+            .sqt-diff-table tr.sqt-diff-removed td {
+                background: rgba(239, 68, 68, 0.12);
+                text-decoration: line-through;
+                text-decoration-color: var(--sqt-text-muted);
             }
 
-            .sqt-ai-message {
-                display: flex;
-                gap: 12px;
-                max-width: 85%;
+            .sqt-diff-table td.sqt-diff-cell-changed {
+                background: rgba(245, 158, 11, 0.18);
             }
 
-            .sqt-ai-message.user {
-                align-self: flex-end;
-                flex-direction: row-reverse;
+            .sqt-diff-old {
+                display: block;
+                color: var(--sqt-danger);
+                text-decoration: line-through;
             }
 
-            .sqt-ai-message.assistant {
-                align-self: flex-start;
+            .sqt-diff-new {
+                display: block;
+                color: var(--sqt-success);
             }
 
-            .sqt-ai-avatar {
-                width: 32px;
-                height: 32px;
-                border-radius: 50%;
+            .sqt-audit-filters {
                 display: flex;
+                gap: 8px;
                 align-items: center;
-                justify-content: center;
-                flex-shrink: 0;
-                font-size: 14px;
+                margin-bottom: 16px;
             }
 
-            .sqt-ai-message.user .sqt-ai-avatar {
-                background: var(--sqt-primary);
-                color: white;
+            .sqt-audit-filters .form-control {
+                max-width: 320px;
             }
 
-            .sqt-ai-message.assistant .sqt-ai-avatar {
-                background: var(--sqt-bg-tertiary);
-                color: var(--sqt-text-primary);
+            .sqt-audit-errors-only {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                font-size: 13px;
+                white-space: nowrap;
             }
 
-            .sqt-ai-content {
-                background: var(--sqt-bg-primary);
-                border: 1px solid var(--sqt-border);
-                border-radius: 12px;
-                padding: 12px 16px;
-                font-size: 14px;
-                line-height: 1.5;
+            .sqt-audit-table {
+                max-height: 60vh;
+                font-size: 12px;
             }
 
-            .sqt-ai-message.user .sqt-ai-content {
-                background: var(--sqt-primary);
-                color: white;
-                border-color: var(--sqt-primary);
+            .sqt-audit-sql {
+                display: block;
+                max-width: 420px;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
             }
 
-            .sqt-ai-content pre {
-                background: var(--sqt-bg-tertiary) !important;
-                border: 1px solid var(--sqt-border) !important;
-                border-radius: 8px;
-                padding: 12px;
-                margin: 12px 0;
-                overflow-x: auto;
+            .sqt-audit-hash {
                 font-family: var(--sqt-editor-font);
-                font-size: 12px;
-                color: var(--sqt-text-primary) !important;
+                font-size: 10px;
+                color: var(--sqt-text-muted);
             }
 
-            .sqt-ai-content pre code {
-                font-family: var(--sqt-editor-font);
-                font-size: 12px;
-                background: transparent !important;
-                color: var(--sqt-text-primary) !important;
-                padding: 0;
-                white-space: pre-wrap;
-                word-break: break-word;
+            .sqt-audit-error {
+                max-width: 240px;
+                color: var(--sqt-danger);
             }
 
-            .sqt-ai-content code {
-                font-family: var(--sqt-editor-font);
-                font-size: 12px;
-                background: var(--sqt-bg-tertiary);
-                padding: 2px 6px;
-                border-radius: 4px;
-            }
-
-            .sqt-ai-timestamp {
-                font-size: 10px;
-                color: var(--sqt-text-muted);
-                margin-top: 8px;
-                text-align: right;
+            .sqt-credential-form,
+            .sqt-schedule-form {
+                margin-top: 16px;
+                padding-top: 16px;
+                border-top: 1px solid var(--sqt-border);
             }
 
-            .sqt-ai-message.user .sqt-ai-timestamp {
-                color: rgba(255, 255, 255, 0.7);
+            .sqt-schedule-preset {
+                max-width: 150px;
             }
 
-            .sqt-ai-query-actions {
-                display: flex;
-                gap: 8px;
+            .sqt-schedule-alert {
                 margin-top: 12px;
+                padding: 10px 12px;
+                background: var(--sqt-bg-secondary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 6px;
             }
 
-            .sqt-ai-footer {
-                padding: 16px;
-                border-top: 1px solid var(--sqt-border);
-                background: var(--sqt-bg-primary);
+            .sqt-schedule-error {
+                font-size: 12px;
+                color: var(--sqt-danger);
+                white-space: pre-wrap;
             }
 
-            .sqt-ai-input-container {
+            .sqt-results-actions {
                 display: flex;
-                flex-direction: column;
-                gap: 12px;
-                width: 100%;
+                gap: 8px;
+                align-items: center;
             }
 
-            .sqt-ai-input {
-                width: 100%;
-                padding: 12px;
+            .sqt-view-toggle {
+                display: flex;
                 border: 1px solid var(--sqt-border);
-                border-radius: 8px;
+                border-radius: 6px;
+                overflow: hidden;
+            }
+
+            .sqt-view-toggle-btn {
+                padding: 4px 10px;
+                font-size: 12px;
+                font-weight: 500;
                 background: var(--sqt-bg-secondary);
-                color: var(--sqt-text-primary);
-                font-family: inherit;
-                font-size: 14px;
-                resize: none;
+                color: var(--sqt-text-secondary);
+                border: none;
+                cursor: pointer;
+                transition: all 0.15s ease;
+                display: flex;
+                align-items: center;
+                gap: 4px;
             }
 
-            .sqt-ai-input:focus {
-                outline: none;
-                border-color: var(--sqt-primary);
+            .sqt-view-toggle-btn:not(:last-child) {
+                border-right: 1px solid var(--sqt-border);
             }
 
-            .sqt-ai-input-actions {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
+            .sqt-view-toggle-btn:hover {
+                background: var(--sqt-bg-tertiary);
+                color: var(--sqt-text-primary);
             }
 
-            .sqt-ai-toggle {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                font-size: 13px;
-                color: var(--sqt-text-secondary);
+            .sqt-view-toggle-btn.active {
+                background: var(--sqt-primary);
+                color: white;
             }
 
-            .sqt-ai-toggle input {
-                margin: 0;
+            .sqt-json-container {
+                flex: 1;
+                overflow: auto;
+                padding: 16px;
+                background: var(--sqt-bg-secondary);
             }
 
-            .sqt-ai-loading {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                padding: 12px 16px;
+            .sqt-json-pre {
+                margin: 0;
+                padding: 16px;
                 background: var(--sqt-bg-primary);
                 border: 1px solid var(--sqt-border);
-                border-radius: 12px;
-                color: var(--sqt-text-secondary);
-                font-size: 14px;
+                border-radius: 6px;
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                line-height: 1.5;
+                white-space: pre-wrap;
+                word-break: break-word;
+                color: var(--sqt-text-primary);
             }
 
-            .sqt-ai-loading .sqt-spinner {
-                width: 16px;
-                height: 16px;
-                border-width: 2px;
-                margin: 0;
+            .sqt-results-container {
+                flex: 1;
+                overflow: auto;
+                padding: 0;
+                min-width: 0;
+                max-width: 100%;
             }
 
-            .sqt-ai-error {
-                background: rgba(239, 68, 68, 0.1);
-                border: 1px solid var(--sqt-danger);
-                border-radius: 8px;
-                padding: 12px 16px;
-                color: var(--sqt-danger);
-                font-size: 13px;
+            .sqt-results-table {
+                width: max-content;
+                min-width: 100%;
+                border-collapse: separate;
+                border-spacing: 0;
+                font-size: 12px;
             }
 
-            .sqt-ai-error i {
-                margin-right: 8px;
+            .sqt-results-table th {
+                position: sticky;
+                top: 0;
+                background: var(--sqt-bg-secondary);
+                padding: 10px 12px;
+                text-align: left;
+                font-weight: 600;
+                color: var(--sqt-text-secondary);
+                border-bottom: 2px solid var(--sqt-border);
+                white-space: nowrap;
+                z-index: 1;
             }
 
-            #aiApiKey {
-                font-family: var(--sqt-editor-font);
+            .sqt-results-table td {
+                padding: 8px 12px;
+                border-bottom: 1px solid var(--sqt-border);
+                color: var(--sqt-text-primary);
+                max-width: 300px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
             }
 
-            /* ============================================
-               AI ENHANCED FEATURES
-               ============================================ */
-
-            /* Natural Language Query Bar */
-            .sqt-nl-bar {
-                display: flex;
-                gap: 8px;
-                padding: 12px 16px;
-                background: linear-gradient(135deg, rgba(37, 99, 235, 0.05), rgba(124, 58, 237, 0.05));
-                border-bottom: 1px solid var(--sqt-border);
+            .sqt-results-table tr:hover td {
+                background: var(--sqt-bg-tertiary);
             }
 
-            .sqt-nl-bar.hidden {
-                display: none;
+            .sqt-results-table .row-number {
+                color: var(--sqt-text-muted);
+                text-align: center;
+                font-size: 11px;
+                background: var(--sqt-bg-secondary);
+                width: 50px;
             }
 
-            .sqt-nl-input {
-                flex: 1;
-                padding: 10px 14px;
-                border: 1px solid var(--sqt-border);
-                border-radius: 8px;
-                background: var(--sqt-bg-primary);
-                color: var(--sqt-text-primary);
-                font-size: 13px;
+            .sqt-null-value {
+                color: var(--sqt-text-muted);
+                font-style: italic;
             }
 
-            .sqt-nl-input:focus {
-                outline: none;
-                border-color: var(--sqt-primary);
+            .sqt-results-table tfoot {
+                position: sticky;
+                bottom: 0;
+                background: var(--sqt-bg-secondary);
+                border-top: 2px solid var(--sqt-border);
             }
 
-            .sqt-nl-input::placeholder {
-                color: var(--sqt-text-muted);
+            .sqt-results-table tfoot td {
+                padding: 6px 12px;
+                font-size: 10px;
+                color: var(--sqt-text-secondary);
+                white-space: nowrap;
             }
 
-            .sqt-nl-btn {
-                padding: 10px 16px;
-                background: var(--sqt-primary);
-                border: none;
-                border-radius: 8px;
-                color: white;
-                font-size: 13px;
+            .sqt-stats-row td {
                 font-weight: 500;
-                cursor: pointer;
-                display: flex;
-                align-items: center;
-                gap: 6px;
-                transition: background 0.15s;
-                white-space: nowrap;
+                font-size: 11px;
+                background: var(--sqt-bg-secondary) !important;
             }
 
-            .sqt-nl-btn:hover {
-                background: var(--sqt-primary-hover);
+            .sqt-stats-row td.row-number {
+                font-weight: 600;
+                color: var(--sqt-primary);
             }
 
-            .sqt-nl-btn:disabled {
-                opacity: 0.6;
-                cursor: not-allowed;
+            /* ============================================
+               PINNED COLUMNS
+               ============================================ */
+            .sqt-results-table th.sqt-pinned,
+            .sqt-results-table td.sqt-pinned {
+                position: sticky !important;
+                z-index: 2;
+                background: var(--sqt-bg-primary);
             }
 
-            .sqt-nl-toggle {
-                padding: 6px 10px;
-                background: transparent;
-                border: 1px solid var(--sqt-border);
-                border-radius: 6px;
-                color: var(--sqt-text-secondary);
-                font-size: 12px;
-                cursor: pointer;
-                transition: all 0.15s;
+            .sqt-results-table th.sqt-pinned {
+                z-index: 4;
+                background: var(--sqt-bg-secondary);
             }
 
-            .sqt-nl-toggle:hover {
-                background: var(--sqt-bg-tertiary);
+            .sqt-results-table tr:nth-child(odd) td.sqt-pinned {
+                background: var(--sqt-bg-primary);
             }
 
-            .sqt-nl-toggle.active {
-                background: var(--sqt-primary);
-                border-color: var(--sqt-primary);
-                color: white;
+            .sqt-results-table tr:nth-child(even) td.sqt-pinned {
+                background: var(--sqt-bg-secondary);
             }
 
-            /* Query Validation Panel */
-            .sqt-validation-panel {
-                display: none;
-                padding: 12px 16px;
-                background: rgba(245, 158, 11, 0.1);
-                border-bottom: 1px solid rgba(245, 158, 11, 0.3);
+            .sqt-results-table .sqt-pinned-last {
+                border-right: 2px solid var(--sqt-primary) !important;
             }
 
-            .sqt-validation-panel.visible {
-                display: block;
+            .sqt-row-clickable:hover td.sqt-pinned {
+                background: var(--sqt-primary) !important;
             }
 
-            .sqt-validation-panel.error {
-                background: rgba(239, 68, 68, 0.1);
-                border-color: rgba(239, 68, 68, 0.3);
+            .sqt-stats-row td.sqt-pinned {
+                background: var(--sqt-bg-secondary) !important;
             }
 
-            .sqt-validation-header {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                margin-bottom: 8px;
+            .sqt-row-clickable {
+                cursor: pointer;
             }
 
-            .sqt-validation-title {
-                font-weight: 600;
-                font-size: 13px;
-                color: var(--sqt-warning);
-                display: flex;
-                align-items: center;
-                gap: 6px;
+            .sqt-row-clickable:hover td {
+                background: var(--sqt-primary) !important;
+                color: white !important;
             }
 
-            .sqt-validation-panel.error .sqt-validation-title {
-                color: var(--sqt-danger);
+            .sqt-row-clickable:hover .sqt-null-value {
+                color: rgba(255,255,255,0.7);
             }
 
-            .sqt-validation-content {
-                font-size: 13px;
-                color: var(--sqt-text-primary);
-                line-height: 1.5;
+            /* ============================================
+               RESULTS MAXIMIZED MODE
+               ============================================ */
+            .sqt-app.sqt-results-maximized {
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                z-index: 99999;
+                width: 100vw;
+                height: 100vh;
+                max-width: 100vw;
+                max-height: 100vh;
             }
 
-            .sqt-validation-content ul {
-                margin: 8px 0 0 0;
-                padding-left: 20px;
+            .sqt-results-maximized .sqt-main {
+                height: calc(100vh - 28px); /* Account for status bar */
             }
 
-            .sqt-validation-content li {
-                margin-bottom: 4px;
+            .sqt-results-maximized .sqt-toolbar {
+                display: none !important;
             }
 
-            .sqt-validation-actions {
-                display: flex;
-                gap: 8px;
-                margin-top: 12px;
+            .sqt-results-maximized .sqt-editor-panel {
+                display: none !important;
             }
 
-            /* Optimization Suggestion Banner */
-            .sqt-optimize-banner {
-                display: none;
-                padding: 12px 16px;
-                background: linear-gradient(135deg, rgba(37, 99, 235, 0.1), rgba(124, 58, 237, 0.1));
-                border-bottom: 1px solid rgba(37, 99, 235, 0.2);
+            .sqt-results-maximized .sqt-resizer {
+                display: none !important;
             }
 
-            .sqt-optimize-banner.visible {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
+            .sqt-results-maximized .sqt-nl-bar {
+                display: none !important;
             }
 
-            .sqt-optimize-message {
-                display: flex;
-                align-items: center;
-                gap: 8px;
-                font-size: 13px;
-                color: var(--sqt-text-primary);
+            .sqt-results-maximized .sqt-validation-panel {
+                display: none !important;
             }
 
-            .sqt-optimize-message i {
-                color: var(--sqt-primary);
-                font-size: 16px;
+            .sqt-results-maximized .sqt-explain-panel {
+                display: none !important;
             }
 
-            .sqt-optimize-actions {
-                display: flex;
-                gap: 8px;
+            .sqt-results-maximized .sqt-optimize-banner {
+                display: none !important;
             }
 
-            /* Explain Query Panel */
-            .sqt-explain-panel {
-                display: none;
-                padding: 16px;
-                background: var(--sqt-bg-secondary);
-                border-bottom: 1px solid var(--sqt-border);
-                max-height: 300px;
-                overflow-y: auto;
+            .sqt-results-maximized .sqt-history-float-btn {
+                display: none !important;
             }
 
-            .sqt-explain-panel.visible {
-                display: block;
+            .sqt-results-maximized .sqt-results-panel {
+                flex: 1;
+                min-height: 0;
             }
 
-            .sqt-explain-header {
+            .sqt-results-maximize-btn {
                 display: flex;
                 align-items: center;
-                justify-content: space-between;
-                margin-bottom: 12px;
+                justify-content: center;
             }
 
-            .sqt-explain-title {
-                font-weight: 600;
-                font-size: 14px;
-                color: var(--sqt-text-primary);
+            .sqt-results-maximize-btn i {
+                transition: transform 0.2s ease;
+            }
+
+            .sqt-results-maximized .sqt-results-maximize-btn i {
+                transform: rotate(180deg);
+            }
+
+            /* ============================================
+               DRAG & DROP OVERLAY
+               ============================================ */
+            .sqt-drop-overlay {
+                position: absolute;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(var(--sqt-primary-rgb, 37, 99, 235), 0.9);
                 display: flex;
+                flex-direction: column;
                 align-items: center;
-                gap: 8px;
+                justify-content: center;
+                z-index: 1000;
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity 0.2s;
             }
 
-            .sqt-explain-title i {
-                color: var(--sqt-primary);
+            .sqt-drop-overlay.active {
+                opacity: 1;
             }
 
-            .sqt-explain-content {
-                font-size: 13px;
-                line-height: 1.6;
-                color: var(--sqt-text-primary);
+            .sqt-drop-overlay i {
+                font-size: 48px;
+                color: white;
+                margin-bottom: 16px;
             }
 
-            .sqt-explain-content ul {
-                margin: 8px 0;
-                padding-left: 20px;
+            .sqt-drop-overlay span {
+                font-size: 18px;
+                color: white;
+                font-weight: 500;
             }
 
-            .sqt-explain-content li {
-                margin-bottom: 6px;
+            /* ============================================
+               COLUMN REORDERING
+               ============================================ */
+            .sqt-results-table th.sqt-draggable {
+                cursor: grab;
+                user-select: none;
             }
 
-            .sqt-explain-content code {
-                background: var(--sqt-bg-tertiary);
-                padding: 2px 6px;
-                border-radius: 4px;
-                font-size: 12px;
+            .sqt-results-table th.sqt-draggable:active {
+                cursor: grabbing;
             }
 
-            .sqt-explain-content strong {
-                color: var(--sqt-primary);
+            .sqt-results-table th.sqt-drag-over {
+                background: var(--sqt-primary) !important;
+                color: white !important;
+            }
+
+            .sqt-results-table th.sqt-dragging {
+                opacity: 0.5;
             }
 
             /* ============================================
-               RESPONSIVE ADJUSTMENTS
+               KEYBOARD SHORTCUTS
                ============================================ */
-            @media (max-width: 768px) {
-                .sqt-sidebar {
-                    display: none;
-                }
-
-                .sqt-toolbar {
-                    padding: 8px;
-                }
+            .sqt-shortcuts-grid {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 16px;
+            }
 
-                .sqt-btn span {
-                    display: none;
-                }
+            .sqt-shortcut-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 8px 0;
+                border-bottom: 1px solid var(--sqt-border);
             }
-        </style>
-    `;
-}
 
-/**
- * Generates the toast notification container.
- * @returns {string} HTML for toast container
- */
-function generateToastContainer() {
-    return `<div id="toastContainer" class="sqt-toast-container"></div>`;
-}
+            .sqt-shortcut-keys {
+                display: flex;
+                gap: 4px;
+            }
 
-/**
- * Generates the main application layout.
- * @param {string} scriptUrl - The script URL
- * @returns {string} HTML for main layout
- */
-function generateMainLayout(scriptUrl, remoteAccounts) {
-    return `
-        <div class="sqt-app">
-            <div class="sqt-main">
-                ${generateSidebar()}
-                <div class="sqt-content">
-                    <!-- Floating History Button -->
-                    <button type="button" class="sqt-history-float-btn" onclick="SQT.toggleSidebar()" title="Toggle query history">
-                        <i class="bi bi-clock-history"></i>
-                    </button>
-                    
-                   
-                    ${generateToolbar(scriptUrl, remoteAccounts)}
+            .sqt-shortcut-key {
+                display: inline-block;
+                padding: 4px 8px;
+                background: var(--sqt-bg-tertiary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                font-family: var(--sqt-editor-font);
+                font-size: 11px;
+                font-weight: 500;
+            }
 
-                    <!-- Natural Language Query Bar -->
-                    <div class="sqt-nl-bar" id="nlQueryBar">
-                        <input type="text" class="sqt-nl-input" id="nlQueryInput"
-                               placeholder="Describe what you want in plain English... (e.g., 'Show me overdue invoices over $1000')"
-                               onkeydown="if(event.key==='Enter') SQT.generateFromNaturalLanguage()">
-                        <button type="button" class="sqt-nl-btn" onclick="SQT.generateFromNaturalLanguage()" id="nlGenerateBtn">
-                            <i class="bi bi-stars"></i>
-                            <span>Generate</span>
-                        </button>
-                        <button type="button" class="sqt-nl-toggle" onclick="SQT.toggleNLBar()" title="Hide natural language bar">
-                            <i class="bi bi-chevron-up"></i>
-                        </button>
-                    </div>
+            /* ============================================
+               PARAMETERS MODAL
+               ============================================ */
+            .sqt-param-input {
+                margin-bottom: 12px;
+            }
 
-                    <!-- Validation Panel -->
-                    <div class="sqt-validation-panel" id="validationPanel">
-                        <div class="sqt-validation-header">
-                            <div class="sqt-validation-title">
-                                <i class="bi bi-exclamation-triangle"></i>
-                                <span id="validationTitle">Query Review</span>
-                            </div>
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideValidation()">
-                                <i class="bi bi-x"></i>
-                            </button>
-                        </div>
-                        <div class="sqt-validation-content" id="validationContent"></div>
-                        <div class="sqt-validation-actions" id="validationActions"></div>
-                    </div>
+            .sqt-param-input label {
+                display: block;
+                font-weight: 500;
+                margin-bottom: 4px;
+                font-family: var(--sqt-editor-font);
+            }
 
-                    <!-- Explain Query Panel -->
-                    <div class="sqt-explain-panel" id="explainPanel">
-                        <div class="sqt-explain-header">
-                            <div class="sqt-explain-title">
-                                <i class="bi bi-lightbulb"></i>
-                                <span>Query Explanation</span>
-                            </div>
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideExplain()">
-                                <i class="bi bi-x"></i>
-                            </button>
-                        </div>
-                        <div class="sqt-explain-content" id="explainContent">
-                            <div class="sqt-loading">
-                                <div class="sqt-spinner"></div>
-                                <span>Analyzing query...</span>
-                            </div>
-                        </div>
-                    </div>
+            .sqt-param-input input,
+            .sqt-param-input select {
+                width: 100%;
+                padding: 8px 12px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                font-size: 14px;
+                background: var(--sqt-bg-secondary);
+                color: var(--sqt-text-primary);
+            }
 
-                    <!-- Optimization Suggestion Banner -->
-                    <div class="sqt-optimize-banner" id="optimizeBanner">
-                        <div class="sqt-optimize-message">
-                            <i class="bi bi-lightning-charge"></i>
-                            <span id="optimizeMessage">This query took a while. Would you like AI to suggest optimizations?</span>
-                        </div>
-                        <div class="sqt-optimize-actions">
-                            <button type="button" class="sqt-btn sqt-btn-primary sqt-btn-sm" onclick="SQT.askAIToOptimize()">
-                                <i class="bi bi-stars"></i> Optimize
-                            </button>
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideOptimizeBanner()">
-                                Dismiss
-                            </button>
-                        </div>
-                    </div>
+            .sqt-param-input input:focus,
+            .sqt-param-input select:focus {
+                outline: none;
+                border-color: var(--sqt-primary);
+                box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1);
+            }
 
-                    <div class="sqt-editor-panel" style="position: relative;">
-                        <div class="sqt-editor-container">
-                            <textarea id="queryEditor"></textarea>
-                        </div>
-                        <div class="sqt-drop-overlay" id="dropOverlay">
-                            <i class="bi bi-file-earmark-code"></i>
-                            <span>Drop SQL file here</span>
-                        </div>
-                    </div>
-                    <div class="sqt-resizer" id="resizer">
-                        <div class="sqt-resizer-handle"></div>
-                    </div>
-                    <div class="sqt-results-panel" id="resultsPanel">
-                        ${generateEmptyState()}
-                    </div>
-                </div>
-            </div>
-            ${generateStatusBar()}
-        </div>
-    `;
-}
+            .sqt-param-presets {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 12px;
+                padding-bottom: 12px;
+                border-bottom: 1px solid var(--sqt-border);
+            }
 
-/**
- * Generates the header section.
- * @returns {string} HTML for header
- */
-function generateHeader() {
-    return `
-        <header class="sqt-header">
-            <div class="sqt-header-title">
-                <i class="bi bi-database"></i>
-                <span>SuiteQL Query Tool</span>
-                <span style="font-weight: 400; color: var(--sqt-text-muted); font-size: 12px;">v${CONFIG.VERSION}</span>
-            </div>
-            <div class="sqt-header-actions">
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.toggleSidebar()" title="Toggle query history">
-                    <i class="bi bi-layout-sidebar" id="sidebarIcon"></i>
-                </button>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.toggleTheme()" title="Toggle dark mode">
-                    <i class="bi bi-moon-stars" id="themeIcon"></i>
-                </button>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.showHelp()" title="Help">
-                    <i class="bi bi-question-circle"></i>
-                </button>
-            </div>
-        </header>
-    `;
-}
+            .sqt-param-presets select,
+            .sqt-param-presets input {
+                flex: 1;
+                min-width: 0;
+                padding: 4px 8px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                font-size: 12px;
+                background: var(--sqt-bg-secondary);
+                color: var(--sqt-text-primary);
+            }
 
-/**
- * Generates the sidebar with query history.
- * @returns {string} HTML for sidebar
- */
-function generateSidebar() {
-    return `
-        <aside class="sqt-sidebar collapsed" id="sidebar">
-            <div class="sqt-sidebar-header">
-                <span class="sqt-sidebar-title">Query History</span>
-                <div style="display: flex; gap: 4px;">
-                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon sqt-btn-sm" onclick="SQT.clearHistory()" title="Clear history">
-                        <i class="bi bi-trash"></i>
-                    </button>
-                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon sqt-btn-sm" onclick="SQT.toggleSidebar()" title="Close history">
-                        <i class="bi bi-x-lg"></i>
-                    </button>
-                </div>
-            </div>
-            <div class="sqt-history-list" id="historyList">
-                <div class="sqt-empty-state" style="padding: 24px;">
-                    <i class="bi bi-clock-history" style="font-size: 24px;"></i>
-                    <p style="margin-top: 8px;">No query history yet</p>
-                </div>
-            </div>
-        </aside>
-    `;
-}
+            .sqt-param-type {
+                font-size: 10px;
+                font-weight: 500;
+                padding: 1px 6px;
+                margin-left: 6px;
+                border-radius: 4px;
+                background: var(--sqt-bg-tertiary);
+                color: var(--sqt-text-secondary);
+            }
 
-/**
- * Generates the toolbar section.
- * @param {string} scriptUrl - The script URL
- * @returns {string} HTML for toolbar
- */
-function generateToolbar(scriptUrl, remoteAccounts) {
-    const localLibraryButtons = CONFIG.QUERY_FOLDER_ID ? `
-        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showLocalLibrary()">
-            <i class="bi bi-folder"></i>
-            <span>Local Library</span>
-        </button>
-        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showSaveModal()">
-            <i class="bi bi-save"></i>
-            <span>Save</span>
-        </button>
-    ` : '';
+            /* ============================================
+               UNDO/REDO HISTORY
+               ============================================ */
+            .sqt-history-dropdown {
+                position: absolute;
+                top: 100%;
+                right: 0;
+                width: 300px;
+                max-height: 400px;
+                overflow-y: auto;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                z-index: 1000;
+                display: none;
+            }
 
-    const workbooksButton = CONFIG.WORKBOOKS_ENABLED ? `
-        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showWorkbooks()">
-            <i class="bi bi-journal-text"></i>
-            <span>Workbooks</span>
-        </button>
-    ` : '';
+            .sqt-history-dropdown.show {
+                display: block;
+            }
 
-    return `
-        <div class="sqt-toolbar">
-            <div class="sqt-toolbar-group">
-            
-                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarRun">
-                    <button type="button" class="sqt-btn sqt-btn-primary sqt-btn-sm sqt-btn-dropdown"
-                        onclick="SQT.toggleRunDropdown()" title="Run Query" id="runButton">
-                        <i class="bi bi-play-fill"></i>
-                        <span>Run</span>
-                        <i class="bi bi-chevron-down"></i>
-                    </button>
-                    <div class="sqt-toolbar-dropdown" id="runDropdown">
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.runQuery(null); SQT.closeAllDropdowns();">
-                            <i class="bi bi-database-check"></i>
-                            <span>This Account</span>
-                        </div>
-                        ${remoteAccounts.map(acc =>
-        `<div class="sqt-toolbar-dropdown-item" onclick="SQT.runQuery('${acc.url}'); SQT.closeAllDropdowns();">
-                            <i class="bi bi-database-check"></i>
-                            <span>${acc.description}<br><small>${acc.account}</small></span>
-                        </div>`
-    ).join('')}
-                    </div>
-                </div>
+            .sqt-history-dropdown-header {
+                padding: 12px 16px;
+                border-bottom: 1px solid var(--sqt-border);
+                font-weight: 600;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
 
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.formatQuery()" id="toolbarFormat">
-                    <i class="bi bi-code-slash"></i>
-                    <span>Format</span>
-                </button>
-                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarAI">
-                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-dropdown" onclick="SQT.toggleAIDropdown()" title="AI-powered features">
-                        <i class="bi bi-robot"></i>
-                        <span>AI</span>
-                        <i class="bi bi-chevron-down"></i>
-                    </button>
-                    <div class="sqt-toolbar-dropdown" id="aiDropdown">
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showAIModal(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-chat-dots"></i>
-                            <span>AI Chat</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.toggleNLBar(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-chat-text"></i>
-                            <span>Quick Ask Bar</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-divider"></div>
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.explainQuery(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-lightbulb"></i>
-                            <span>Explain Query</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.validateQuery(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-shield-check"></i>
-                            <span>Validate Query</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarMore">
-                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-dropdown" onclick="SQT.toggleMoreDropdown()" title="More actions">
-                        <i class="bi bi-three-dots"></i>
-                        <span>More</span>
-                        <i class="bi bi-chevron-down"></i>
-                    </button>
-                    <div class="sqt-toolbar-dropdown" id="moreDropdown">
-                        ${CONFIG.REMOTE_LIBRARY_ENABLED ? `
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showRemoteLibrary(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-collection"></i>
-                            <span>Query Library</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-divider"></div>
-                        ` : ''}
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showShareModal(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-share"></i>
-                            <span>Share Query</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-divider"></div>
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.importSqlFile(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-upload"></i>
-                            <span>Import SQL File</span>
-                        </div>
-                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.downloadQuery(); SQT.closeAllDropdowns();">
-                            <i class="bi bi-download"></i>
-                            <span>Download SQL File</span>
-                        </div>
-                    </div>
-                </div>
-                <input type="file" id="sqlFileInput" accept=".sql,.txt" style="display: none;" onchange="SQT.handleFileSelect(event)">
-            </div>
+            .sqt-history-dropdown-item {
+                padding: 8px 16px;
+                cursor: pointer;
+                font-family: var(--sqt-editor-font);
+                font-size: 11px;
+                border-bottom: 1px solid var(--sqt-border);
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
 
-            <div class="sqt-toolbar-divider" id="toolbarTablesDivider"></div>
+            .sqt-history-dropdown-item:hover {
+                background: var(--sqt-bg-tertiary);
+            }
 
-            <div class="sqt-toolbar-group" id="toolbarTablesGroup">
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.openTablesReference()">
-                    <i class="bi bi-table"></i>
-                    <span>Tables</span>
-                </button>
-                ${localLibraryButtons}
-                ${workbooksButton}
-            </div>
+            .sqt-history-dropdown-item.active {
+                background: var(--sqt-primary);
+                color: white;
+            }
 
-            <div style="flex: 1;"></div>
+            .sqt-history-dropdown-item-preview {
+                flex: 1;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                margin-right: 8px;
+            }
 
-            <div class="sqt-toolbar-group" style="position: relative;">
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleOptions()" title="Query options">
-                    <i class="bi bi-gear"></i>
-                </button>
-                ${generateOptionsPanel()}
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.showUndoHistory()" title="Edit history">
-                    <i class="bi bi-clock-history"></i>
-                </button>
-                <div class="sqt-history-dropdown" id="undoHistoryDropdown">
-                    <div class="sqt-history-dropdown-header">
-                        <span>Edit History</span>
-                        <button type="button" class="btn btn-sm btn-link p-0" onclick="SQT.closeUndoHistory()">
-                            <i class="bi bi-x"></i>
-                        </button>
-                    </div>
-                    <div id="undoHistoryList"></div>
-                </div>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleFocusMode()" title="Toggle focus mode (hide NetSuite chrome)">
-                    <i class="bi bi-arrows-fullscreen" id="focusModeIcon"></i>
-                </button>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleSidebar()" title="Toggle query history">
-                    <i class="bi bi-layout-sidebar-inset" id="sidebarIcon"></i>
-                </button>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleTheme()" title="Toggle dark mode">
-                    <i class="bi bi-moon-stars" id="themeIcon"></i>
-                </button>
-                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.showShortcuts()" title="Keyboard shortcuts (?)">
-                    <i class="bi bi-question-circle"></i>
-                </button>
-            </div>
-        </div>
-    `;
-}
+            .sqt-history-dropdown-item-time {
+                color: var(--sqt-text-muted);
+                font-size: 10px;
+            }
 
-/**
- * Generates the options dropdown panel.
- * @returns {string} HTML for options panel
- */
-function generateOptionsPanel() {
-    return `
-        <div class="sqt-options-panel" id="optionsPanel">
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Pagination</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optPagination" onchange="SQT.updateOptions()">
-                    <label for="optPagination">Enable pagination</label>
-                </div>
-                <div class="sqt-option-row" id="rowRangeOptions" style="display: none;">
-                    <span style="font-size: 12px;">Rows:</span>
-                    <input type="number" id="optRowBegin" value="1" min="1">
-                    <span style="font-size: 12px;">to</span>
-                    <input type="number" id="optRowEnd" value="${CONFIG.ROWS_RETURNED_DEFAULT}">
-                </div>
-                <div class="sqt-option-row" id="returnAllOption" style="display: none;">
-                    <input type="checkbox" id="optReturnAll" onchange="SQT.updateOptions()">
-                    <label for="optReturnAll">Return all rows</label>
-                </div>
-                <div class="sqt-option-row" id="showTotalsOption" style="display: none;">
-                    <input type="checkbox" id="optShowTotals">
-                    <label for="optShowTotals">Show total row count</label>
-                </div>
-            </div>
+            /* ============================================
+               TOOLBAR DROPDOWN MENUS
+               ============================================ */
+            .sqt-toolbar-dropdown-wrapper {
+                position: relative;
+            }
 
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Display</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optHideRowNumbers" onchange="SQT.refreshResults()">
-                    <label for="optHideRowNumbers">Hide row numbers</label>
-                </div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optShowStats" onchange="SQT.refreshResults()">
-                    <label for="optShowStats">Show column statistics</label>
-                </div>
-                <div class="sqt-option-row" style="margin-top: 8px;">
-                    <label for="optPinColumns" style="font-size: 12px; margin-right: 8px;">Pin columns:</label>
-                    <select id="optPinColumns" onchange="SQT.refreshResults()" style="padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
-                        <option value="0">None</option>
-                        <option value="1">First 1</option>
-                        <option value="2">First 2</option>
-                        <option value="3">First 3</option>
-                    </select>
-                </div>
-            </div>
+            .sqt-toolbar-dropdown {
+                position: absolute;
+                top: 100%;
+                left: 0;
+                min-width: 180px;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                z-index: 1000;
+                display: none;
+                padding: 4px 0;
+                margin-top: 4px;
+            }
 
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">NULL Values</div>
-                <div class="sqt-option-row">
-                    <select id="optNullDisplay" onchange="SQT.refreshResults()" style="width: 100%; padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
-                        <option value="dimmed">Show dimmed</option>
-                        <option value="null">Show "null"</option>
-                        <option value="blank">Show blank</option>
-                    </select>
-                </div>
-            </div>
+            .sqt-toolbar-dropdown.show {
+                display: block;
+            }
 
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Editor</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optAutocomplete" onchange="SQT.toggleAutocomplete()">
-                    <label for="optAutocomplete">Enable table/column autocomplete</label>
-                </div>
-                <div class="sqt-option-row" style="margin-top: 8px;">
-                    <label for="optFontSize" style="font-size: 12px; margin-right: 8px;">Font size:</label>
-                    <select id="optFontSize" onchange="SQT.changeEditorFontSize()" style="padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
-                        <option value="10">Extra Small (10px)</option>
-                        <option value="11">Small (11px)</option>
-                        <option value="12" selected>Medium (12px)</option>
-                        <option value="14">Large (14px)</option>
-                        <option value="16">Extra Large (16px)</option>
-                    </select>
-                </div>
-            </div>
+            .sqt-toolbar-dropdown-item {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 10px 16px;
+                cursor: pointer;
+                font-size: 13px;
+                color: var(--sqt-text-primary);
+                transition: background 0.15s;
+            }
 
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Toolbar</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optCompactToolbar" onchange="SQT.toggleCompactToolbar()">
-                    <label for="optCompactToolbar">Compact mode (icons only)</label>
-                </div>
-                <div class="sqt-options-label" style="margin-top: 12px; font-size: 10px;">Show/Hide Items</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optShowFormat" checked onchange="SQT.updateToolbarVisibility()">
-                    <label for="optShowFormat">Format</label>
-                </div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optShowAI" checked onchange="SQT.updateToolbarVisibility()">
-                    <label for="optShowAI">AI</label>
-                </div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optShowMore" checked onchange="SQT.updateToolbarVisibility()">
-                    <label for="optShowMore">More</label>
-                </div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optShowTables" checked onchange="SQT.updateToolbarVisibility()">
-                    <label for="optShowTables">Tables</label>
-                </div>
-            </div>
+            .sqt-toolbar-dropdown-item:hover {
+                background: var(--sqt-bg-tertiary);
+            }
 
-            ${CONFIG.QUERY_FOLDER_ID ? `
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Virtual Views</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optEnableViews" checked>
-                    <label for="optEnableViews">Enable virtual views</label>
-                </div>
-            </div>
-            ` : ''}
+            .sqt-toolbar-dropdown-item i {
+                font-size: 14px;
+                width: 18px;
+                text-align: center;
+                color: var(--sqt-text-secondary);
+            }
 
-            <div class="sqt-options-section">
-                <div class="sqt-options-label">Advanced</div>
-                <div class="sqt-option-row">
-                    <input type="checkbox" id="optDisableCache">
-                    <label for="optDisableCache" title="Injects a unique identifier into each query to bypass Oracle's query cache, ensuring fresh results from the database. Helpful when benchmarking query performance to ensure caching isn't impacting execution times.">Force cache miss</label>
-                </div>
-            </div>
-        </div>
-    `;
-}
+            .sqt-toolbar-dropdown-divider {
+                height: 1px;
+                background: var(--sqt-border);
+                margin: 4px 0;
+            }
 
-/**
- * Generates the empty state for results panel.
- * @returns {string} HTML for empty state
- */
-function generateEmptyState() {
-    return `
-        <div class="sqt-empty-state" id="emptyState">
-            <i class="bi bi-terminal"></i>
-            <h3>Ready to query</h3>
-            <p>Write a SuiteQL query above and click <strong>Run Query</strong> or press <span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></p>
-        </div>
-    `;
-}
+            .sqt-btn-dropdown {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
 
-/**
- * Generates the status bar.
- * @returns {string} HTML for status bar
- */
-function generateStatusBar() {
-    return `
-        <footer class="sqt-statusbar">
-            <div class="sqt-statusbar-left">
-                <div class="sqt-status-indicator">
-                    <div class="sqt-status-dot" id="statusDot"></div>
-                    <span id="statusText">Ready</span>
-                </div>
-            </div>
-            <div class="sqt-statusbar-center">
-                <span>SuiteQL Query Tool v${CONFIG.VERSION}</span>
-                <span class="sqt-statusbar-separator">|</span>
-                <span>Developed by <a href="https://timdietrich.me" target="_blank" rel="noopener">Tim Dietrich</a></span>
-            </div>
-            <div class="sqt-statusbar-right">
-                <span id="cursorPosition">Ln 1, Col 1</span>
-            </div>
-        </footer>
-    `;
-}
+            .sqt-btn-dropdown .bi-chevron-down {
+                font-size: 10px;
+                opacity: 0.7;
+            }
 
-/**
- * Generates modal dialogs.
- * @returns {string} HTML for modals
- */
-function generateModals() {
-    return `
-        <!-- Local Library Modal -->
-        <div class="modal fade" id="localLibraryModal" tabindex="-1">
-            <div class="modal-dialog modal-lg">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Local Query Library</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body" id="localLibraryContent">
-                        <div class="sqt-loading">
-                            <div class="sqt-spinner"></div>
-                            <span>Loading queries...</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+            /* ============================================
+               RESIZER
+               ============================================ */
+            .sqt-resizer {
+                height: 6px;
+                background: var(--sqt-bg-secondary);
+                cursor: row-resize;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                border-top: 1px solid var(--sqt-border);
+                border-bottom: 1px solid var(--sqt-border);
+            }
 
-        <!-- Remote Library Modal -->
-        <div class="modal fade" id="remoteLibraryModal" tabindex="-1">
-            <div class="modal-dialog modal-lg">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">SuiteQL Query Library</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body" id="remoteLibraryContent">
-                        <div class="sqt-loading">
-                            <div class="sqt-spinner"></div>
-                            <span>Loading query library...</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+            .sqt-resizer:hover {
+                background: var(--sqt-primary);
+            }
 
-        <!-- Save Query Modal -->
-        <div class="modal fade" id="saveModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Save Query</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <div class="mb-3">
-                            <label for="saveFileName" class="form-label">File Name</label>
-                            <input type="text" class="form-control" id="saveFileName" placeholder="my-query.sql">
-                        </div>
-                        <div class="mb-3">
-                            <label for="saveDescription" class="form-label">Description</label>
-                            <input type="text" class="form-control" id="saveDescription" placeholder="Optional description">
-                        </div>
-                    </div>
-                    <div class="modal-footer">
-                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                        <button type="button" class="btn btn-primary" onclick="SQT.saveQuery()">Save Query</button>
-                    </div>
-                </div>
-            </div>
-        </div>
+            .sqt-resizer-handle {
+                width: 40px;
+                height: 3px;
+                background: var(--sqt-border);
+                border-radius: 2px;
+            }
 
-        <!-- Workbooks Modal -->
-        <div class="modal fade" id="workbooksModal" tabindex="-1">
-            <div class="modal-dialog modal-lg">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Workbooks</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body" id="workbooksContent">
-                        <div class="sqt-loading">
-                            <div class="sqt-spinner"></div>
-                            <span>Loading workbooks...</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+            .sqt-resizer:hover .sqt-resizer-handle {
+                background: white;
+            }
 
-        <!-- Help Modal -->
-        <div class="modal fade" id="helpModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Keyboard Shortcuts</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <table class="table table-sm">
-                            <tbody>
-                                <tr>
-                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></td>
-                                    <td>Run query</td>
-                                </tr>
-                                <tr>
-                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">S</span></td>
-                                    <td>Save query</td>
-                                </tr>
-                                <tr>
-                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Shift</span> + <span class="sqt-kbd">F</span></td>
-                                    <td>Format query</td>
-                                </tr>
-                                <tr>
-                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">/</span></td>
-                                    <td>Toggle comment</td>
-                                </tr>
-                                <tr>
-                                    <td><span class="sqt-kbd">Esc</span></td>
-                                    <td>Exit focus mode</td>
-                                </tr>
-                            </tbody>
-                        </table>
-                        <hr>
-                        <p class="text-muted small mb-0">
-                            SuiteQL Query Tool v${CONFIG.VERSION}<br>
-                            Developed by <a href="https://timdietrich.me" target="_blank">Tim Dietrich</a>
-                        </p>
-                    </div>
-                </div>
-            </div>
-        </div>
+            /* ============================================
+               STATUS BAR
+               ============================================ */
+            .sqt-statusbar {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                padding: 4px 16px;
+                background: var(--sqt-bg-secondary);
+                border-top: 1px solid var(--sqt-border);
+                font-size: 11px;
+                color: var(--sqt-text-muted);
+                flex-shrink: 0;
+            }
 
-        <!-- Export Options Modal -->
-        <div class="modal fade" id="exportModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Export Results</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <div class="d-grid gap-2">
-                            <button type="button" class="btn btn-outline-primary" onclick="SQT.exportAs('xlsx')">
-                                <i class="bi bi-file-earmark-excel me-2"></i>Export as Excel (.xlsx)
+            .sqt-statusbar-left,
+            .sqt-statusbar-right,
+            .sqt-statusbar-center {
+                display: flex;
+                align-items: center;
+                gap: 16px;
+            }
+
+            .sqt-statusbar-center {
+                gap: 8px;
+            }
+
+            .sqt-statusbar-separator {
+                color: var(--sqt-border);
+            }
+
+            .sqt-statusbar a {
+                color: var(--sqt-text-muted);
+                text-decoration: none;
+            }
+
+            .sqt-statusbar a:hover {
+                color: var(--sqt-primary);
+                text-decoration: underline;
+            }
+
+            .sqt-status-indicator {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .sqt-status-dot {
+                width: 8px;
+                height: 8px;
+                border-radius: 50%;
+                background: var(--sqt-success);
+            }
+
+            .sqt-status-dot.running {
+                background: var(--sqt-warning);
+                animation: pulse 1s infinite;
+            }
+
+            @keyframes pulse {
+                0%, 100% { opacity: 1; }
+                50% { opacity: 0.5; }
+            }
+
+            /* ============================================
+               LOADING STATE
+               ============================================ */
+            .sqt-loading {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                padding: 48px;
+                color: var(--sqt-text-secondary);
+            }
+
+            .sqt-spinner {
+                width: 32px;
+                height: 32px;
+                border: 3px solid var(--sqt-border);
+                border-top-color: var(--sqt-primary);
+                border-radius: 50%;
+                animation: spin 0.8s linear infinite;
+                margin-bottom: 12px;
+            }
+
+            @keyframes spin {
+                to { transform: rotate(360deg); }
+            }
+
+            /* ============================================
+               EMPTY STATE
+               ============================================ */
+            .sqt-empty-state {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                padding: 48px;
+                color: var(--sqt-text-secondary);
+                text-align: center;
+            }
+
+            .sqt-empty-state i {
+                font-size: 48px;
+                color: var(--sqt-text-muted);
+                margin-bottom: 16px;
+            }
+
+            .sqt-empty-state h3 {
+                font-size: 16px;
+                font-weight: 600;
+                margin-bottom: 8px;
+                color: var(--sqt-text-primary);
+            }
+
+            .sqt-empty-state p {
+                font-size: 13px;
+                margin: 0;
+            }
+
+            /* ============================================
+               TOAST NOTIFICATIONS
+               ============================================ */
+            .sqt-toast-container {
+                position: fixed;
+                top: 16px;
+                right: 16px;
+                z-index: 9999;
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+            }
+
+            .sqt-toast {
+                display: flex;
+                align-items: flex-start;
+                gap: 12px;
+                padding: 12px 16px;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                min-width: 300px;
+                max-width: 400px;
+                animation: slideIn 0.2s ease;
+            }
+
+            @keyframes slideIn {
+                from {
+                    opacity: 0;
+                    transform: translateX(20px);
+                }
+                to {
+                    opacity: 1;
+                    transform: translateX(0);
+                }
+            }
+
+            .sqt-toast-icon {
+                font-size: 18px;
+                flex-shrink: 0;
+            }
+
+            .sqt-toast-success .sqt-toast-icon { color: var(--sqt-success); }
+            .sqt-toast-error .sqt-toast-icon { color: var(--sqt-danger); }
+            .sqt-toast-warning .sqt-toast-icon { color: var(--sqt-warning); }
+            .sqt-toast-info .sqt-toast-icon { color: var(--sqt-primary); }
+
+            .sqt-toast-content {
+                flex: 1;
+            }
+
+            .sqt-toast-title {
+                font-weight: 600;
+                font-size: 13px;
+                margin-bottom: 2px;
+            }
+
+            .sqt-toast-message {
+                font-size: 12px;
+                color: var(--sqt-text-secondary);
+            }
+
+            .sqt-toast-close {
+                background: none;
+                border: none;
+                color: var(--sqt-text-muted);
+                cursor: pointer;
+                padding: 0;
+                font-size: 16px;
+            }
+
+            .sqt-toast-close:hover {
+                color: var(--sqt-text-primary);
+            }
+
+            /* ============================================
+               MODALS
+               ============================================ */
+            .modal-content {
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+            }
+
+            .modal-header {
+                border-bottom-color: var(--sqt-border);
+            }
+
+            .modal-footer {
+                border-top-color: var(--sqt-border);
+            }
+
+            /* ============================================
+               OPTIONS PANEL
+               ============================================ */
+            .sqt-options-panel {
+                position: absolute;
+                top: 100%;
+                right: 0;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                padding: 16px;
+                min-width: 280px;
+                z-index: 100;
+                display: none;
+            }
+
+            .sqt-options-panel.show {
+                display: block;
+            }
+
+            .sqt-options-section {
+                margin-bottom: 16px;
+            }
+
+            .sqt-options-section:last-child {
+                margin-bottom: 0;
+            }
+
+            .sqt-options-label {
+                font-size: 11px;
+                font-weight: 600;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                color: var(--sqt-text-secondary);
+                margin-bottom: 8px;
+            }
+
+            .sqt-option-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 8px;
+            }
+
+            .sqt-option-row input[type="number"] {
+                width: 80px;
+                padding: 4px 8px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                background: var(--sqt-bg-secondary);
+                color: var(--sqt-text-primary);
+                font-size: 12px;
+            }
+
+            .sqt-option-row label {
+                font-size: 12px;
+                color: var(--sqt-text-primary);
+            }
+
+            /* ============================================
+               KEYBOARD SHORTCUTS
+               ============================================ */
+            .sqt-kbd {
+                display: inline-flex;
+                align-items: center;
+                padding: 2px 6px;
+                font-family: var(--sqt-editor-font);
+                font-size: 11px;
+                background: var(--sqt-bg-tertiary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                color: var(--sqt-text-secondary);
+            }
+
+            /* ============================================
+               FOCUS MODE
+               ============================================ */
+            .sqt-app.sqt-focus-mode {
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                z-index: 99999;
+                width: 100vw;
+                height: 100vh;
+                max-width: 100vw;
+                max-height: 100vh;
+            }
+
+            .sqt-focus-mode .sqt-main {
+                height: calc(100vh - 28px); /* Account for status bar */
+            }
+
+            /* Ensure modals appear above focus mode */
+            .modal {
+                z-index: 100000 !important;
+            }
+
+            .modal-backdrop {
+                z-index: 99999 !important;
+            }
+
+            /* Row Details Panel */
+            .sqt-row-details {
+                max-height: 400px;
+                overflow-y: auto;
+            }
+
+            .sqt-row-details-table {
+                width: 100%;
+                font-size: 13px;
+            }
+
+            .sqt-row-details-table th {
+                text-align: right;
+                padding: 6px 12px 6px 6px;
+                color: var(--sqt-text-secondary);
+                font-weight: 500;
+                width: 40%;
+                vertical-align: top;
+                border-bottom: 1px solid var(--sqt-border);
+            }
+
+            .sqt-row-details-table td {
+                padding: 6px;
+                color: var(--sqt-text-primary);
+                word-break: break-word;
+                border-bottom: 1px solid var(--sqt-border);
+            }
+
+            /* Execution Time Chart */
+            .sqt-time-chart {
+                display: flex;
+                align-items: flex-end;
+                gap: 2px;
+                height: 40px;
+                padding: 4px 0;
+            }
+
+            .sqt-time-bar {
+                flex: 1;
+                min-width: 8px;
+                max-width: 20px;
+                background: var(--sqt-primary);
+                border-radius: 2px 2px 0 0;
+                opacity: 0.6;
+                transition: opacity 0.15s;
+            }
+
+            .sqt-time-bar:hover {
+                opacity: 1;
+            }
+
+            .sqt-time-bar:last-child {
+                opacity: 1;
+            }
+
+            /* Share URL */
+            .sqt-share-url {
+                font-family: var(--sqt-editor-font);
+                font-size: 11px;
+                padding: 8px;
+                background: var(--sqt-bg-secondary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                word-break: break-all;
+                max-height: 100px;
+                overflow-y: auto;
+            }
+
+            /* Autocomplete */
+            .CodeMirror-hints {
+                z-index: 100001 !important;
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                max-height: 200px;
+                overflow-y: auto;
+            }
+
+            .CodeMirror-hint {
+                padding: 4px 8px;
+                color: var(--sqt-text-primary);
+            }
+
+            .CodeMirror-hint-active {
+                background: var(--sqt-primary);
+                color: white;
+            }
+
+            .sqt-hint-detail {
+                margin-left: 12px;
+                float: right;
+                color: var(--sqt-text-muted);
+                font-size: 11px;
+            }
+
+            .CodeMirror-hint-active .sqt-hint-detail {
+                color: inherit;
+                opacity: 0.8;
+            }
+
+            .sqt-builder {
+                display: grid;
+                grid-template-columns: 260px 1fr 1fr;
+                gap: 16px;
+                height: 65vh;
+            }
+
+            .sqt-builder-pane {
+                overflow-y: auto;
+                min-width: 0;
+                font-size: 13px;
+            }
+
+            .sqt-builder-label {
+                display: block;
+                margin: 12px 0 6px;
+                font-size: 11px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: var(--sqt-text-secondary);
+            }
+
+            .sqt-builder-pane > .sqt-builder-label:first-child,
+            .sqt-builder-table:first-child .sqt-builder-label {
+                margin-top: 0;
+            }
+
+            .sqt-builder-join {
+                padding: 6px 8px;
+                margin-bottom: 6px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+            }
+
+            .sqt-builder-table {
+                margin-bottom: 16px;
+            }
+
+            .sqt-builder-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .sqt-builder-list li {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 4px 6px;
+                margin-bottom: 4px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                background: var(--sqt-bg-secondary);
+                cursor: grab;
+            }
+
+            .sqt-builder-row {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                margin-bottom: 6px;
+            }
+
+            .sqt-join-path {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                font-size: 13px;
+            }
+
+            .sqt-join-path-table {
+                padding: 4px 10px;
+                background: var(--sqt-bg-secondary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 4px;
+                font-family: var(--sqt-editor-font);
+            }
+
+            .sqt-join-path-edge {
+                color: var(--sqt-text-secondary);
+                font-size: 12px;
+            }
+
+            /* ============================================
+               AI QUERY GENERATOR
+               ============================================ */
+            .sqt-ai-modal .modal-content {
+                height: 80vh;
+                max-height: 700px;
+            }
+
+            .sqt-ai-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                flex: 1;
+                margin-right: 16px;
+            }
+
+            .sqt-ai-header-controls {
+                display: flex;
+                gap: 8px;
+            }
+
+            .sqt-ai-body {
+                flex: 1;
+                overflow-y: auto;
+                padding: 0;
+                background: var(--sqt-bg-secondary);
+            }
+
+            .sqt-ai-messages {
+                min-height: 100%;
+                padding: 16px;
+                display: flex;
+                flex-direction: column;
+                gap: 16px;
+            }
+
+            .sqt-ai-welcome {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                padding: 48px 24px;
+                text-align: center;
+                color: var(--sqt-text-secondary);
+            }
+
+            .sqt-ai-welcome i {
+                font-size: 48px;
+                color: var(--sqt-primary);
+                margin-bottom: 16px;
+            }
+
+            .sqt-ai-welcome h4 {
+                font-size: 18px;
+                font-weight: 600;
+                color: var(--sqt-text-primary);
+                margin-bottom: 8px;
+            }
+
+            .sqt-ai-welcome p {
+                font-size: 14px;
+                margin-bottom: 24px;
+            }
+
+            .sqt-ai-examples {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                max-width: 400px;
+            }
+
+            .sqt-ai-example {
+                padding: 12px 16px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                background: var(--sqt-bg-primary);
+                color: var(--sqt-text-primary);
+                font-size: 13px;
+                text-align: left;
+                cursor: pointer;
+                transition: all 0.15s ease;
+            }
+
+            .sqt-ai-example:hover {
+                border-color: var(--sqt-primary);
+                background: var(--sqt-bg-tertiary);
+            }
+
+            .sqt-ai-message {
+                display: flex;
+                gap: 12px;
+                max-width: 85%;
+            }
+
+            .sqt-ai-message.user {
+                align-self: flex-end;
+                flex-direction: row-reverse;
+            }
+
+            .sqt-ai-message.assistant {
+                align-self: flex-start;
+            }
+
+            .sqt-ai-avatar {
+                width: 32px;
+                height: 32px;
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                flex-shrink: 0;
+                font-size: 14px;
+            }
+
+            .sqt-ai-message.user .sqt-ai-avatar {
+                background: var(--sqt-primary);
+                color: white;
+            }
+
+            .sqt-ai-message.assistant .sqt-ai-avatar {
+                background: var(--sqt-bg-tertiary);
+                color: var(--sqt-text-primary);
+            }
+
+            .sqt-ai-content {
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 12px;
+                padding: 12px 16px;
+                font-size: 14px;
+                line-height: 1.5;
+            }
+
+            .sqt-ai-message.user .sqt-ai-content {
+                background: var(--sqt-primary);
+                color: white;
+                border-color: var(--sqt-primary);
+            }
+
+            .sqt-ai-content pre {
+                background: var(--sqt-bg-tertiary) !important;
+                border: 1px solid var(--sqt-border) !important;
+                border-radius: 8px;
+                padding: 12px;
+                margin: 12px 0;
+                overflow-x: auto;
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                color: var(--sqt-text-primary) !important;
+            }
+
+            .sqt-ai-content pre code {
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                background: transparent !important;
+                color: var(--sqt-text-primary) !important;
+                padding: 0;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .sqt-ai-content code {
+                font-family: var(--sqt-editor-font);
+                font-size: 12px;
+                background: var(--sqt-bg-tertiary);
+                padding: 2px 6px;
+                border-radius: 4px;
+            }
+
+            .sqt-ai-timestamp {
+                font-size: 10px;
+                color: var(--sqt-text-muted);
+                margin-top: 8px;
+                text-align: right;
+            }
+
+            .sqt-ai-message.user .sqt-ai-timestamp {
+                color: rgba(255, 255, 255, 0.7);
+            }
+
+            .sqt-ai-query-actions {
+                display: flex;
+                gap: 8px;
+                margin-top: 12px;
+            }
+
+            .sqt-ai-footer {
+                padding: 16px;
+                border-top: 1px solid var(--sqt-border);
+                background: var(--sqt-bg-primary);
+            }
+
+            .sqt-ai-input-container {
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+                width: 100%;
+            }
+
+            .sqt-ai-input {
+                width: 100%;
+                padding: 12px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                background: var(--sqt-bg-secondary);
+                color: var(--sqt-text-primary);
+                font-family: inherit;
+                font-size: 14px;
+                resize: none;
+            }
+
+            .sqt-ai-input:focus {
+                outline: none;
+                border-color: var(--sqt-primary);
+            }
+
+            .sqt-ai-input-actions {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .sqt-ai-toggle {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 13px;
+                color: var(--sqt-text-secondary);
+            }
+
+            .sqt-ai-toggle input {
+                margin: 0;
+            }
+
+            .sqt-ai-loading {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 12px 16px;
+                background: var(--sqt-bg-primary);
+                border: 1px solid var(--sqt-border);
+                border-radius: 12px;
+                color: var(--sqt-text-secondary);
+                font-size: 14px;
+            }
+
+            .sqt-ai-loading .sqt-spinner {
+                width: 16px;
+                height: 16px;
+                border-width: 2px;
+                margin: 0;
+            }
+
+            .sqt-ai-error {
+                background: rgba(239, 68, 68, 0.1);
+                border: 1px solid var(--sqt-danger);
+                border-radius: 8px;
+                padding: 12px 16px;
+                color: var(--sqt-danger);
+                font-size: 13px;
+            }
+
+            .sqt-ai-error i {
+                margin-right: 8px;
+            }
+
+            #aiApiKey {
+                font-family: var(--sqt-editor-font);
+            }
+
+            /* ============================================
+               AI ENHANCED FEATURES
+               ============================================ */
+
+            /* Natural Language Query Bar */
+            .sqt-nl-bar {
+                display: flex;
+                gap: 8px;
+                padding: 12px 16px;
+                background: linear-gradient(135deg, rgba(37, 99, 235, 0.05), rgba(124, 58, 237, 0.05));
+                border-bottom: 1px solid var(--sqt-border);
+            }
+
+            .sqt-nl-bar.hidden {
+                display: none;
+            }
+
+            .sqt-nl-input {
+                flex: 1;
+                padding: 10px 14px;
+                border: 1px solid var(--sqt-border);
+                border-radius: 8px;
+                background: var(--sqt-bg-primary);
+                color: var(--sqt-text-primary);
+                font-size: 13px;
+            }
+
+            .sqt-nl-input:focus {
+                outline: none;
+                border-color: var(--sqt-primary);
+            }
+
+            .sqt-nl-input::placeholder {
+                color: var(--sqt-text-muted);
+            }
+
+            .sqt-nl-btn {
+                padding: 10px 16px;
+                background: var(--sqt-primary);
+                border: none;
+                border-radius: 8px;
+                color: white;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                transition: background 0.15s;
+                white-space: nowrap;
+            }
+
+            .sqt-nl-btn:hover {
+                background: var(--sqt-primary-hover);
+            }
+
+            .sqt-nl-btn:disabled {
+                opacity: 0.6;
+                cursor: not-allowed;
+            }
+
+            .sqt-nl-toggle {
+                padding: 6px 10px;
+                background: transparent;
+                border: 1px solid var(--sqt-border);
+                border-radius: 6px;
+                color: var(--sqt-text-secondary);
+                font-size: 12px;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+
+            .sqt-nl-toggle:hover {
+                background: var(--sqt-bg-tertiary);
+            }
+
+            .sqt-nl-toggle.active {
+                background: var(--sqt-primary);
+                border-color: var(--sqt-primary);
+                color: white;
+            }
+
+            /* Query Validation Panel */
+            .sqt-validation-panel {
+                display: none;
+                padding: 12px 16px;
+                background: rgba(245, 158, 11, 0.1);
+                border-bottom: 1px solid rgba(245, 158, 11, 0.3);
+            }
+
+            .sqt-validation-panel.visible {
+                display: block;
+            }
+
+            .sqt-validation-panel.error {
+                background: rgba(239, 68, 68, 0.1);
+                border-color: rgba(239, 68, 68, 0.3);
+            }
+
+            .sqt-validation-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                margin-bottom: 8px;
+            }
+
+            .sqt-validation-title {
+                font-weight: 600;
+                font-size: 13px;
+                color: var(--sqt-warning);
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .sqt-validation-panel.error .sqt-validation-title {
+                color: var(--sqt-danger);
+            }
+
+            .sqt-validation-content {
+                font-size: 13px;
+                color: var(--sqt-text-primary);
+                line-height: 1.5;
+            }
+
+            .sqt-validation-content ul {
+                margin: 8px 0 0 0;
+                padding-left: 20px;
+            }
+
+            .sqt-validation-content li {
+                margin-bottom: 4px;
+            }
+
+            .sqt-validation-actions {
+                display: flex;
+                gap: 8px;
+                margin-top: 12px;
+            }
+
+            /* Optimization Suggestion Banner */
+            .sqt-optimize-banner {
+                display: none;
+                padding: 12px 16px;
+                background: linear-gradient(135deg, rgba(37, 99, 235, 0.1), rgba(124, 58, 237, 0.1));
+                border-bottom: 1px solid rgba(37, 99, 235, 0.2);
+            }
+
+            .sqt-optimize-banner.visible {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+            }
+
+            .sqt-optimize-message {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 13px;
+                color: var(--sqt-text-primary);
+            }
+
+            .sqt-optimize-message i {
+                color: var(--sqt-primary);
+                font-size: 16px;
+            }
+
+            .sqt-optimize-actions {
+                display: flex;
+                gap: 8px;
+            }
+
+            /* Explain Query Panel */
+            .sqt-explain-panel {
+                display: none;
+                padding: 16px;
+                background: var(--sqt-bg-secondary);
+                border-bottom: 1px solid var(--sqt-border);
+                max-height: 300px;
+                overflow-y: auto;
+            }
+
+            .sqt-explain-panel.visible {
+                display: block;
+            }
+
+            .sqt-explain-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                margin-bottom: 12px;
+            }
+
+            .sqt-explain-title {
+                font-weight: 600;
+                font-size: 14px;
+                color: var(--sqt-text-primary);
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .sqt-explain-title i {
+                color: var(--sqt-primary);
+            }
+
+            .sqt-explain-content {
+                font-size: 13px;
+                line-height: 1.6;
+                color: var(--sqt-text-primary);
+            }
+
+            .sqt-explain-content ul {
+                margin: 8px 0;
+                padding-left: 20px;
+            }
+
+            .sqt-explain-content li {
+                margin-bottom: 6px;
+            }
+
+            .sqt-explain-content code {
+                background: var(--sqt-bg-tertiary);
+                padding: 2px 6px;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .sqt-explain-content strong {
+                color: var(--sqt-primary);
+            }
+
+            /* ============================================
+               RESPONSIVE ADJUSTMENTS
+               ============================================ */
+            @media (max-width: 768px) {
+                .sqt-sidebar {
+                    display: none;
+                }
+
+                .sqt-toolbar {
+                    padding: 8px;
+                }
+
+                .sqt-btn span {
+                    display: none;
+                }
+            }
+        </style>
+    `;
+}
+
+/**
+ * Generates the toast notification container.
+ * @returns {string} HTML for toast container
+ */
+function generateToastContainer() {
+    return `<div id="toastContainer" class="sqt-toast-container"></div>`;
+}
+
+/**
+ * Generates the main application layout.
+ * @param {string} scriptUrl - The script URL
+ * @param {Array<Object>} remoteAccounts - Configured remote NetSuite accounts
+ * @param {Object} localAccount - Description, environment and color of the current account
+ * @returns {string} HTML for main layout
+ */
+function generateMainLayout(scriptUrl, remoteAccounts, localAccount) {
+    return `
+        <div class="sqt-app">
+            <div class="sqt-main">
+                ${generateSidebar()}
+                <div class="sqt-content">
+                    <!-- Floating History Button -->
+                    <button type="button" class="sqt-history-float-btn" onclick="SQT.toggleSidebar()" title="Toggle query history">
+                        <i class="bi bi-clock-history"></i>
+                    </button>
+                    
+                   
+                    ${generateToolbar(scriptUrl, remoteAccounts, localAccount)}
+
+                    <!-- Natural Language Query Bar -->
+                    <div class="sqt-nl-bar" id="nlQueryBar">
+                        <input type="text" class="sqt-nl-input" id="nlQueryInput"
+                               placeholder="Describe what you want in plain English... (e.g., 'Show me overdue invoices over $1000')"
+                               onkeydown="if(event.key==='Enter') SQT.generateFromNaturalLanguage()">
+                        <button type="button" class="sqt-nl-btn" onclick="SQT.generateFromNaturalLanguage()" id="nlGenerateBtn">
+                            <i class="bi bi-stars"></i>
+                            <span>Generate</span>
+                        </button>
+                        <button type="button" class="sqt-nl-toggle" onclick="SQT.toggleNLBar()" title="Hide natural language bar">
+                            <i class="bi bi-chevron-up"></i>
+                        </button>
+                    </div>
+
+                    <!-- Validation Panel -->
+                    <div class="sqt-validation-panel" id="validationPanel">
+                        <div class="sqt-validation-header">
+                            <div class="sqt-validation-title">
+                                <i class="bi bi-exclamation-triangle"></i>
+                                <span id="validationTitle">Query Review</span>
+                            </div>
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideValidation()">
+                                <i class="bi bi-x"></i>
+                            </button>
+                        </div>
+                        <div class="sqt-validation-content" id="validationContent"></div>
+                        <div class="sqt-validation-actions" id="validationActions"></div>
+                    </div>
+
+                    <!-- Explain Query Panel -->
+                    <div class="sqt-explain-panel" id="explainPanel">
+                        <div class="sqt-explain-header">
+                            <div class="sqt-explain-title">
+                                <i class="bi bi-lightbulb"></i>
+                                <span>Query Explanation</span>
+                            </div>
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideExplain()">
+                                <i class="bi bi-x"></i>
+                            </button>
+                        </div>
+                        <div class="sqt-explain-content" id="explainContent">
+                            <div class="sqt-loading">
+                                <div class="sqt-spinner"></div>
+                                <span>Analyzing query...</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Optimization Suggestion Banner -->
+                    <div class="sqt-optimize-banner" id="optimizeBanner">
+                        <div class="sqt-optimize-message">
+                            <i class="bi bi-lightning-charge"></i>
+                            <span id="optimizeMessage">This query took a while. Would you like AI to suggest optimizations?</span>
+                        </div>
+                        <div class="sqt-optimize-actions">
+                            <button type="button" class="sqt-btn sqt-btn-primary sqt-btn-sm" onclick="SQT.askAIToOptimize()">
+                                <i class="bi bi-stars"></i> Optimize
+                            </button>
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.hideOptimizeBanner()">
+                                Dismiss
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="sqt-editor-panel" style="position: relative;">
+                        <div class="sqt-editor-container">
+                            <textarea id="queryEditor"></textarea>
+                        </div>
+                        <div class="sqt-drop-overlay" id="dropOverlay">
+                            <i class="bi bi-file-earmark-code"></i>
+                            <span>Drop SQL file here</span>
+                        </div>
+                    </div>
+                    <div class="sqt-resizer" id="resizer">
+                        <div class="sqt-resizer-handle"></div>
+                    </div>
+                    <div class="sqt-results-panel" id="resultsPanel">
+                        ${generateEmptyState()}
+                    </div>
+                </div>
+            </div>
+            ${generateStatusBar()}
+        </div>
+    `;
+}
+
+/**
+ * Generates the header section.
+ * @returns {string} HTML for header
+ */
+function generateHeader() {
+    return `
+        <header class="sqt-header">
+            <div class="sqt-header-title">
+                <i class="bi bi-database"></i>
+                <span>SuiteQL Query Tool</span>
+                <span style="font-weight: 400; color: var(--sqt-text-muted); font-size: 12px;">v${CONFIG.VERSION}</span>
+            </div>
+            <div class="sqt-header-actions">
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.toggleSidebar()" title="Toggle query history">
+                    <i class="bi bi-layout-sidebar" id="sidebarIcon"></i>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.toggleTheme()" title="Toggle dark mode">
+                    <i class="bi bi-moon-stars" id="themeIcon"></i>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="SQT.showHelp()" title="Help">
+                    <i class="bi bi-question-circle"></i>
+                </button>
+            </div>
+        </header>
+    `;
+}
+
+/**
+ * Generates the sidebar with query history.
+ * @returns {string} HTML for sidebar
+ */
+function generateSidebar() {
+    return `
+        <aside class="sqt-sidebar collapsed" id="sidebar">
+            <div class="sqt-sidebar-header">
+                <span class="sqt-sidebar-title">Query History</span>
+                <div style="display: flex; gap: 4px;">
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon sqt-btn-sm" onclick="SQT.clearHistory()" title="Clear history">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon sqt-btn-sm" onclick="SQT.toggleSidebar()" title="Close history">
+                        <i class="bi bi-x-lg"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="sqt-history-list" id="historyList">
+                <div class="sqt-empty-state" style="padding: 24px;">
+                    <i class="bi bi-clock-history" style="font-size: 24px;"></i>
+                    <p style="margin-top: 8px;">No query history yet</p>
+                </div>
+            </div>
+        </aside>
+    `;
+}
+
+/**
+ * Generates the toolbar section.
+ * @param {string} scriptUrl - The script URL
+ * @param {Array<Object>} remoteAccounts - Configured remote NetSuite accounts
+ * @param {Object} localAccount - Description, environment and color of the current account
+ * @returns {string} HTML for toolbar
+ */
+function generateToolbar(scriptUrl, remoteAccounts, localAccount) {
+    const environmentTag = (account) => account.environment
+        ? `<span class="sqt-env-tag" style="--sqt-env-color: ${account.color}">${account.environmentLabel}</span>`
+        : '';
+
+    const localLibraryButtons = CONFIG.QUERY_FOLDER_ID ? `
+        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showLocalLibrary()">
+            <i class="bi bi-folder"></i>
+            <span>Local Library</span>
+        </button>
+        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showSaveModal()">
+            <i class="bi bi-save"></i>
+            <span>Save</span>
+        </button>
+        ${CONFIG.SCHEDULES_ENABLED && canSchedule() ? `
+        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showSchedules()">
+            <i class="bi bi-calendar-event"></i>
+            <span>Schedules</span>
+        </button>
+        ` : ''}
+    ` : '';
+
+    const workbooksButton = CONFIG.WORKBOOKS_ENABLED ? `
+        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showWorkbooks()">
+            <i class="bi bi-journal-text"></i>
+            <span>Workbooks</span>
+        </button>
+    ` : '';
+
+    return `
+        <div class="sqt-toolbar">
+            <div class="sqt-toolbar-group">
+            
+                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarRun">
+                    <button type="button" class="sqt-btn sqt-btn-primary sqt-btn-sm sqt-btn-dropdown"
+                        onclick="SQT.toggleRunDropdown()" title="Run Query" id="runButton">
+                        <i class="bi bi-play-fill"></i>
+                        <span>Run</span>
+                        <i class="bi bi-chevron-down"></i>
+                    </button>
+                    <div class="sqt-toolbar-dropdown" id="runDropdown">
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.runQuery(null); SQT.closeAllDropdowns();">
+                            <i class="bi bi-database-check"></i>
+                            <span>This Account</span>
+                            ${environmentTag(localAccount)}
+                        </div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.runAllStatements(null); SQT.closeAllDropdowns();" title="Run every statement in the editor, each in its own result tab (Ctrl+Shift+Enter)">
+                            <i class="bi bi-collection-play"></i>
+                            <span>Run All Statements</span>
+                        </div>
+                        ${remoteAccounts.map(acc =>
+        `<div class="sqt-toolbar-dropdown-item" onclick="SQT.runQuery('${acc.url}'); SQT.closeAllDropdowns();">
+                            <i class="bi bi-database-check"></i>
+                            <span>${acc.description}<br><small>${acc.account}</small></span>
+                            ${environmentTag(acc)}
+                            <span class="sqt-health-dot" data-health-account="${acc.account}" title="Connection not checked"></span>
+                        </div>`
+    ).join('')}
+                        ${remoteAccounts.length > 0 ? `
+                        <div class="sqt-toolbar-dropdown-divider"></div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showMultiAccountModal(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-diagram-3"></i>
+                            <span>Multiple Accounts...</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.checkRemoteAccountsHealth();">
+                            <i class="bi bi-activity"></i>
+                            <span>Test Connections</span>
+                        </div>
+                        ` : ''}
+                    </div>
+                </div>
+                <button type="button" class="sqt-btn sqt-btn-danger sqt-btn-sm" onclick="SQT.cancelRun()" id="cancelButton" title="Cancel the running query (Esc)" style="display: none;">
+                    <i class="bi bi-stop-fill"></i>
+                    <span>Cancel</span>
+                </button>
+
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.formatQuery()" id="toolbarFormat">
+                    <i class="bi bi-code-slash"></i>
+                    <span>Format</span>
+                </button>
+                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarAI">
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-dropdown" onclick="SQT.toggleAIDropdown()" title="AI-powered features">
+                        <i class="bi bi-robot"></i>
+                        <span>AI</span>
+                        <i class="bi bi-chevron-down"></i>
+                    </button>
+                    <div class="sqt-toolbar-dropdown" id="aiDropdown">
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showAIModal(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-chat-dots"></i>
+                            <span>AI Chat</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.toggleNLBar(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-chat-text"></i>
+                            <span>Quick Ask Bar</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-divider"></div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.explainQuery(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-lightbulb"></i>
+                            <span>Explain Query</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.validateQuery(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-shield-check"></i>
+                            <span>Validate Query</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="sqt-toolbar-dropdown-wrapper" id="toolbarMore">
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-dropdown" onclick="SQT.toggleMoreDropdown()" title="More actions">
+                        <i class="bi bi-three-dots"></i>
+                        <span>More</span>
+                        <i class="bi bi-chevron-down"></i>
+                    </button>
+                    <div class="sqt-toolbar-dropdown" id="moreDropdown">
+                        ${CONFIG.REMOTE_LIBRARY_ENABLED ? `
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showRemoteLibrary(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-collection"></i>
+                            <span>Query Library</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-divider"></div>
+                        ` : ''}
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showShareModal(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-share"></i>
+                            <span>Share Query</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-divider"></div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.importSqlFile(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-upload"></i>
+                            <span>Import SQL File</span>
+                        </div>
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.downloadQuery(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-download"></i>
+                            <span>Download SQL File</span>
+                        </div>
+                        ${CONFIG.AUDIT_LOG_ENABLED || isAdministrator() ? `
+                        <div class="sqt-toolbar-dropdown-divider"></div>
+                        ` : ''}
+                        ${CONFIG.AUDIT_LOG_ENABLED ? `
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showAuditLog(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-shield-lock"></i>
+                            <span>Audit Log</span>
+                        </div>
+                        ` : ''}
+                        ${isAdministrator() ? `
+                        <div class="sqt-toolbar-dropdown-item" onclick="SQT.showCredentials(); SQT.closeAllDropdowns();">
+                            <i class="bi bi-key"></i>
+                            <span>Remote Credentials</span>
+                        </div>
+                        ` : ''}
+                    </div>
+                </div>
+                <input type="file" id="sqlFileInput" accept=".sql,.txt" style="display: none;" onchange="SQT.handleFileSelect(event)">
+            </div>
+
+            <div class="sqt-toolbar-divider" id="toolbarTablesDivider"></div>
+
+            <div class="sqt-toolbar-group" id="toolbarTablesGroup">
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.openTablesReference()">
+                    <i class="bi bi-table"></i>
+                    <span>Tables</span>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showJoinPathModal()" title="Find how two tables join">
+                    <i class="bi bi-diagram-2"></i>
+                    <span>Join Path</span>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showQueryBuilder()" title="Build a query without writing SQL">
+                    <i class="bi bi-ui-checks-grid"></i>
+                    <span>Builder</span>
+                </button>
+                ${localLibraryButtons}
+                ${workbooksButton}
+            </div>
+
+            <div style="flex: 1;"></div>
+
+            <div class="sqt-toolbar-group" style="position: relative;">
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleOptions()" title="Query options">
+                    <i class="bi bi-gear"></i>
+                </button>
+                ${generateOptionsPanel()}
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.showUndoHistory()" title="Edit history">
+                    <i class="bi bi-clock-history"></i>
+                </button>
+                <div class="sqt-history-dropdown" id="undoHistoryDropdown">
+                    <div class="sqt-history-dropdown-header">
+                        <span>Edit History</span>
+                        <button type="button" class="btn btn-sm btn-link p-0" onclick="SQT.closeUndoHistory()">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                    <div id="undoHistoryList"></div>
+                </div>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleFocusMode()" title="Toggle focus mode (hide NetSuite chrome)">
+                    <i class="bi bi-arrows-fullscreen" id="focusModeIcon"></i>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleSidebar()" title="Toggle query history">
+                    <i class="bi bi-layout-sidebar-inset" id="sidebarIcon"></i>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.toggleTheme()" title="Toggle dark mode">
+                    <i class="bi bi-moon-stars" id="themeIcon"></i>
+                </button>
+                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.showShortcuts()" title="Keyboard shortcuts (?)">
+                    <i class="bi bi-question-circle"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generates the options dropdown panel.
+ * @returns {string} HTML for options panel
+ */
+function generateOptionsPanel() {
+    return `
+        <div class="sqt-options-panel" id="optionsPanel">
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Pagination</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optPagination" onchange="SQT.updateOptions()">
+                    <label for="optPagination">Enable pagination</label>
+                </div>
+                <div class="sqt-option-row" id="rowRangeOptions" style="display: none;">
+                    <span style="font-size: 12px;">Rows:</span>
+                    <input type="number" id="optRowBegin" value="1" min="1">
+                    <span style="font-size: 12px;">to</span>
+                    <input type="number" id="optRowEnd" value="${CONFIG.ROWS_RETURNED_DEFAULT}">
+                </div>
+                <div class="sqt-option-row" id="pagedResultsOption" style="display: none;">
+                    <input type="checkbox" id="optPagedResults" onchange="SQT.updateOptions()">
+                    <label for="optPagedResults">Page through results</label>
+                </div>
+                <div class="sqt-option-row" id="returnAllOption" style="display: none;">
+                    <input type="checkbox" id="optReturnAll" onchange="SQT.updateOptions()">
+                    <label for="optReturnAll">Return all rows</label>
+                </div>
+                <div class="sqt-option-row" id="showTotalsOption" style="display: none;">
+                    <input type="checkbox" id="optShowTotals">
+                    <label for="optShowTotals">Show total row count</label>
+                </div>
+            </div>
+
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Display</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optHideRowNumbers" onchange="SQT.refreshResults()">
+                    <label for="optHideRowNumbers">Hide row numbers</label>
+                </div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optShowStats" onchange="SQT.refreshResults()">
+                    <label for="optShowStats">Show column statistics</label>
+                </div>
+                <div class="sqt-option-row" style="margin-top: 8px;">
+                    <label for="optPinColumns" style="font-size: 12px; margin-right: 8px;">Pin columns:</label>
+                    <select id="optPinColumns" onchange="SQT.refreshResults()" style="padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
+                        <option value="0">None</option>
+                        <option value="1">First 1</option>
+                        <option value="2">First 2</option>
+                        <option value="3">First 3</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">NULL Values</div>
+                <div class="sqt-option-row">
+                    <select id="optNullDisplay" onchange="SQT.refreshResults()" style="width: 100%; padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
+                        <option value="dimmed">Show dimmed</option>
+                        <option value="null">Show "null"</option>
+                        <option value="blank">Show blank</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Editor</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optAutocomplete" onchange="SQT.toggleAutocomplete()">
+                    <label for="optAutocomplete">Enable table/column autocomplete</label>
+                </div>
+                <div class="sqt-option-row" style="margin-top: 8px;">
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.refreshSchemaCatalog()" title="Reload the tables and columns of this account from the Records Catalog">
+                        <i class="bi bi-arrow-clockwise"></i>
+                        <span>Refresh schema</span>
+                    </button>
+                </div>
+                <div class="sqt-option-row" style="margin-top: 8px;">
+                    <label for="optFontSize" style="font-size: 12px; margin-right: 8px;">Font size:</label>
+                    <select id="optFontSize" onchange="SQT.changeEditorFontSize()" style="padding: 4px 8px; border: 1px solid var(--sqt-border); border-radius: 4px; background: var(--sqt-bg-secondary); color: var(--sqt-text-primary); font-size: 12px;">
+                        <option value="10">Extra Small (10px)</option>
+                        <option value="11">Small (11px)</option>
+                        <option value="12" selected>Medium (12px)</option>
+                        <option value="14">Large (14px)</option>
+                        <option value="16">Extra Large (16px)</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Toolbar</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optCompactToolbar" onchange="SQT.toggleCompactToolbar()">
+                    <label for="optCompactToolbar">Compact mode (icons only)</label>
+                </div>
+                <div class="sqt-options-label" style="margin-top: 12px; font-size: 10px;">Show/Hide Items</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optShowFormat" checked onchange="SQT.updateToolbarVisibility()">
+                    <label for="optShowFormat">Format</label>
+                </div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optShowAI" checked onchange="SQT.updateToolbarVisibility()">
+                    <label for="optShowAI">AI</label>
+                </div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optShowMore" checked onchange="SQT.updateToolbarVisibility()">
+                    <label for="optShowMore">More</label>
+                </div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optShowTables" checked onchange="SQT.updateToolbarVisibility()">
+                    <label for="optShowTables">Tables</label>
+                </div>
+            </div>
+
+            ${CONFIG.QUERY_FOLDER_ID ? `
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Virtual Views</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optEnableViews" checked>
+                    <label for="optEnableViews">Enable virtual views</label>
+                </div>
+            </div>
+            ` : ''}
+
+            <div class="sqt-options-section">
+                <div class="sqt-options-label">Advanced</div>
+                <div class="sqt-option-row">
+                    <input type="checkbox" id="optDisableCache">
+                    <label for="optDisableCache" title="Injects a unique identifier into each query to bypass Oracle's query cache, ensuring fresh results from the database. Helpful when benchmarking query performance to ensure caching isn't impacting execution times.">Force cache miss</label>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generates the empty state for results panel.
+ * @returns {string} HTML for empty state
+ */
+function generateEmptyState() {
+    return `
+        <div class="sqt-empty-state" id="emptyState">
+            <i class="bi bi-terminal"></i>
+            <h3>Ready to query</h3>
+            <p>Write a SuiteQL query above and click <strong>Run Query</strong> or press <span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></p>
+        </div>
+    `;
+}
+
+/**
+ * Generates the status bar.
+ * @returns {string} HTML for status bar
+ */
+function generateStatusBar() {
+    return `
+        <footer class="sqt-statusbar">
+            <div class="sqt-statusbar-left">
+                <div class="sqt-status-indicator">
+                    <div class="sqt-status-dot" id="statusDot"></div>
+                    <span id="statusText">Ready</span>
+                </div>
+            </div>
+            <div class="sqt-statusbar-center">
+                <span>SuiteQL Query Tool v${CONFIG.VERSION}</span>
+                <span class="sqt-statusbar-separator">|</span>
+                <span>Developed by <a href="https://timdietrich.me" target="_blank" rel="noopener">Tim Dietrich</a></span>
+            </div>
+            <div class="sqt-statusbar-right">
+                <span id="cursorPosition">Ln 1, Col 1</span>
+            </div>
+        </footer>
+    `;
+}
+
+/**
+ * Generates modal dialogs.
+ * @returns {string} HTML for modals
+ */
+function generateModals() {
+    return `
+        <!-- Local Library Modal -->
+        <div class="modal fade" id="localLibraryModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Local Query Library</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="localLibraryContent">
+                        <div class="sqt-loading">
+                            <div class="sqt-spinner"></div>
+                            <span>Loading queries...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Remote Library Modal -->
+        <div class="modal fade" id="remoteLibraryModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">SuiteQL Query Library</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="remoteLibraryContent">
+                        <div class="sqt-loading">
+                            <div class="sqt-spinner"></div>
+                            <span>Loading query library...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Save Query Modal -->
+        <div class="modal fade" id="saveModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Save Query</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="mb-3">
+                            <label for="saveFileName" class="form-label">File Name</label>
+                            <input type="text" class="form-control" id="saveFileName" placeholder="my-query.sql">
+                        </div>
+                        <div class="mb-3">
+                            <label for="saveDescription" class="form-label">Description</label>
+                            <input type="text" class="form-control" id="saveDescription" placeholder="Optional description">
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.saveQuery()">Save Query</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Workbooks Modal -->
+        <div class="modal fade" id="workbooksModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Workbooks</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="workbooksContent">
+                        <div class="sqt-loading">
+                            <div class="sqt-spinner"></div>
+                            <span>Loading workbooks...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Audit Log Modal -->
+        <div class="modal fade" id="auditLogModal" tabindex="-1">
+            <div class="modal-dialog modal-xl">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-shield-lock me-2"></i>Audit Log</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="sqt-audit-filters">
+                            <input type="text" class="form-control form-control-sm" id="auditSearch" placeholder="SQL text or hash..."
+                                   onkeydown="if (event.key === 'Enter') SQT.searchAuditLog()">
+                            <input type="text" class="form-control form-control-sm" id="auditRealm" placeholder="Realm (e.g. 1337_SB1)"
+                                   onkeydown="if (event.key === 'Enter') SQT.searchAuditLog()">
+                            <label class="sqt-audit-errors-only">
+                                <input type="checkbox" id="auditErrorsOnly"> Errors only
+                            </label>
+                            <button type="button" class="btn btn-sm btn-primary" onclick="SQT.searchAuditLog()">
+                                <i class="bi bi-search me-1"></i>Search
+                            </button>
+                        </div>
+                        <div id="auditLogContent"></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Production Confirmation Modal -->
+        <div class="modal fade" id="productionConfirmModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title text-danger"><i class="bi bi-exclamation-octagon me-2"></i>Run on Production?</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="productionConfirmContent"></div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-danger" id="productionConfirmRun" disabled>
+                            <i class="bi bi-play-fill me-1"></i>Run
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Remote Credentials Modal -->
+        <div class="modal fade" id="credentialsModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-key me-2"></i>Remote Credentials</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="credentialsContent"></div>
+                        <form id="credentialForm" class="sqt-credential-form" style="display: none;" autocomplete="off" onsubmit="return false;">
+                            <h6 id="credentialFormTitle" class="mb-3"></h6>
+                            <div class="mb-2">
+                                <label for="credRealm" class="form-label">Realm</label>
+                                <input type="text" class="form-control form-control-sm" id="credRealm" placeholder="e.g. 1337_SB1">
+                            </div>
+                            <div class="row g-2">
+                                <div class="col-md-6">
+                                    <label for="credConsumerKey" class="form-label">Consumer Key</label>
+                                    <input type="password" class="form-control form-control-sm" id="credConsumerKey" autocomplete="new-password">
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="credConsumerSecret" class="form-label">Consumer Secret</label>
+                                    <input type="password" class="form-control form-control-sm" id="credConsumerSecret" autocomplete="new-password">
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="credTokenId" class="form-label">Token ID</label>
+                                    <input type="password" class="form-control form-control-sm" id="credTokenId" autocomplete="new-password">
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="credTokenSecret" class="form-label">Token Secret</label>
+                                    <input type="password" class="form-control form-control-sm" id="credTokenSecret" autocomplete="new-password">
+                                </div>
+                            </div>
+                            <div class="form-text" id="credentialFormHint"></div>
+                            <div class="d-flex gap-2 justify-content-end mt-3">
+                                <button type="button" class="btn btn-sm btn-secondary" onclick="SQT.cancelCredentialEdit()">Cancel</button>
+                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.saveCredential()">
+                                    <i class="bi bi-save me-1"></i>Save
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        ${CONFIG.SCHEDULES_ENABLED && CONFIG.QUERY_FOLDER_ID ? `
+        <!-- Schedules Modal -->
+        <div class="modal fade" id="schedulesModal" tabindex="-1">
+            <div class="modal-dialog modal-xl">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-calendar-event me-2"></i>Schedules</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="schedulesContent"></div>
+                        <form id="scheduleForm" class="sqt-schedule-form" style="display: none;" onsubmit="return false;">
+                            <h6 id="scheduleFormTitle" class="mb-3"></h6>
+                            <input type="hidden" id="schedId">
+                            <div class="row g-2">
+                                <div class="col-md-6">
+                                    <label for="schedName" class="form-label">Name</label>
+                                    <input type="text" class="form-control form-control-sm" id="schedName" placeholder="e.g. Open orders (morning)">
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="schedQueryFile" class="form-label">Query</label>
+                                    <select class="form-select form-select-sm" id="schedQueryFile"></select>
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="schedCadence" class="form-label">Cadence (cron, UTC)</label>
+                                    <div class="input-group input-group-sm">
+                                        <input type="text" class="form-control" id="schedCadence" placeholder="0 7 * * 1-5">
+                                        <select class="form-select sqt-schedule-preset" id="schedCadencePreset" onchange="SQT.applyCadencePreset()">
+                                            <option value="">Presets...</option>
+                                            <option value="0 * * * *">Every hour</option>
+                                            <option value="0 7 * * *">Daily at 07:00</option>
+                                            <option value="0 7 * * 1-5">Weekdays at 07:00</option>
+                                            <option value="0 7 * * 1">Mondays at 07:00</option>
+                                            <option value="0 7 1 * *">First of the month at 07:00</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="schedFormat" class="form-label">Format</label>
+                                    <select class="form-select form-select-sm" id="schedFormat">
+                                        <option value="csv">CSV</option>
+                                        <option value="excel">Excel (XML)</option>
+                                        <option value="jsonl">JSONL</option>
+                                    </select>
+                                </div>
+                                <div class="col-md-8">
+                                    <label for="schedRecipients" class="form-label">Email Recipients</label>
+                                    <input type="text" class="form-control form-control-sm" id="schedRecipients" placeholder="finance@example.com, controller@example.com">
+                                    <div class="form-text">Employees${CONFIG.SCHEDULE_RECIPIENT_DOMAINS.length > 0 ? ` and addresses at ${CONFIG.SCHEDULE_RECIPIENT_DOMAINS.join(', ')}` : ' only'}.</div>
+                                </div>
+                                <div class="col-md-4">
+                                    <label for="schedFolder" class="form-label">Output Folder ID</label>
+                                    <select class="form-select form-select-sm" id="schedFolder"${CONFIG.SCHEDULE_FOLDER_IDS.length > 0 ? '' : ' disabled'}>
+                                        <option value="">${CONFIG.SCHEDULE_FOLDER_IDS.length > 0 ? 'None' : 'No output folders allowed'}</option>
+                                        ${CONFIG.SCHEDULE_FOLDER_IDS.map(id => `<option value="${id}">${id}</option>`).join('')}
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="sqt-schedule-alert">
+                                <div class="fw-semibold mb-1"><i class="bi bi-bell me-1"></i>Alert Rule</div>
+                                <div class="row g-2">
+                                    <div class="col-md-3">
+                                        <select class="form-select form-select-sm" id="schedAlertMetric" onchange="SQT.updateAlertFields()" aria-label="Alert metric">
+                                            <option value="">No alert (always deliver)</option>
+                                            <option value="rowCount">Row count</option>
+                                            <option value="value">Value (first row)</option>
+                                            <option value="sum">SUM of column</option>
+                                            <option value="avg">AVG of column</option>
+                                            <option value="min">MIN of column</option>
+                                            <option value="max">MAX of column</option>
+                                        </select>
+                                    </div>
+                                    <div class="col-md-3">
+                                        <input type="text" class="form-control form-control-sm" id="schedAlertColumn" placeholder="Column, e.g. amount" aria-label="Alert column">
+                                    </div>
+                                    <div class="col-md-3">
+                                        <select class="form-select form-select-sm" id="schedAlertCondition" aria-label="Alert condition">
+                                            <option value="gt">&gt;</option>
+                                            <option value="gte">&gt;=</option>
+                                            <option value="lt">&lt;</option>
+                                            <option value="lte">&lt;=</option>
+                                            <option value="eq">=</option>
+                                            <option value="ne">&lt;&gt;</option>
+                                            <option value="change">changes by more than</option>
+                                            <option value="changePct">changes by more than (%)</option>
+                                        </select>
+                                    </div>
+                                    <div class="col-md-3">
+                                        <input type="number" step="any" class="form-control form-control-sm" id="schedAlertThreshold" placeholder="Threshold" aria-label="Alert threshold">
+                                    </div>
+                                    ${CONFIG.ALERT_WEBHOOK_HOSTS.length > 0 ? `
+                                    <div class="col-12">
+                                        <input type="url" class="form-control form-control-sm" id="schedWebhook" placeholder="Webhook URL (optional), e.g. https://${CONFIG.ALERT_WEBHOOK_HOSTS[0]}/..." aria-label="Webhook URL">
+                                    </div>
+                                    ` : ''}
+                                </div>
+                                <div class="form-text">With an alert rule, the result is only delivered when the rule is triggered. Change conditions compare with the previous run.</div>
+                            </div>
+                            <div class="form-check mt-2">
+                                <input class="form-check-input" type="checkbox" id="schedActive" checked>
+                                <label class="form-check-label" for="schedActive">Active</label>
+                            </div>
+                            <div class="form-text">Fields: minute hour day-of-month month day-of-week, in UTC. Due schedules run on the scheduler's next pass (every 15 minutes).</div>
+                            <div class="d-flex gap-2 justify-content-end mt-3">
+                                <button type="button" class="btn btn-sm btn-secondary" onclick="SQT.cancelScheduleEdit()">Cancel</button>
+                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.saveSchedule()">
+                                    <i class="bi bi-save me-1"></i>Save
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        <!-- Help Modal -->
+        <div class="modal fade" id="helpModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Keyboard Shortcuts</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <table class="table table-sm">
+                            <tbody>
+                                <tr>
+                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></td>
+                                    <td>Run query</td>
+                                </tr>
+                                <tr>
+                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Shift</span> + <span class="sqt-kbd">Enter</span></td>
+                                    <td>Run all statements</td>
+                                </tr>
+                                <tr>
+                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">S</span></td>
+                                    <td>Save query</td>
+                                </tr>
+                                <tr>
+                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Shift</span> + <span class="sqt-kbd">F</span></td>
+                                    <td>Format query</td>
+                                </tr>
+                                <tr>
+                                    <td><span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">/</span></td>
+                                    <td>Toggle comment</td>
+                                </tr>
+                                <tr>
+                                    <td><span class="sqt-kbd">Esc</span></td>
+                                    <td>Cancel running query / exit focus mode</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <hr>
+                        <p class="text-muted small mb-0">
+                            SuiteQL Query Tool v${CONFIG.VERSION}<br>
+                            Developed by <a href="https://timdietrich.me" target="_blank">Tim Dietrich</a>
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Export Options Modal -->
+        <div class="modal fade" id="exportModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Export Results</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="d-grid gap-2">
+                            <button type="button" class="btn btn-outline-primary" onclick="SQT.exportAs('xlsx')">
+                                <i class="bi bi-file-earmark-excel me-2"></i>Export as Excel (.xlsx)
                             </button>
                             <button type="button" class="btn btn-outline-primary" onclick="SQT.exportAs('csv')">
                                 <i class="bi bi-filetype-csv me-2"></i>Export as CSV
@@ -3842,2920 +5790,6714 @@ function generateModals() {
                             <button type="button" class="btn btn-outline-primary" onclick="SQT.exportAs('json')">
                                 <i class="bi bi-filetype-json me-2"></i>Export as JSON
                             </button>
-                            <button type="button" class="btn btn-outline-primary" onclick="SQT.copyToClipboard()">
-                                <i class="bi bi-clipboard me-2"></i>Copy to Clipboard
+                            <button type="button" class="btn btn-outline-primary" onclick="SQT.copyToClipboard()">
+                                <i class="bi bi-clipboard me-2"></i>Copy to Clipboard
+                            </button>
+                            <button type="button" class="btn btn-outline-primary" onclick="SQT.showDocumentModal()">
+                                <i class="bi bi-file-earmark-richtext me-2"></i>Export as Document (PDF/HTML)...
+                            </button>
+                        </div>
+                        ${CONFIG.EXPORT_FOLDER_ID && canStartExport() ? `
+                        <div class="sqt-server-export">
+                            <div class="fw-semibold mb-1"><i class="bi bi-hdd-stack me-2"></i>Server-Side Export</div>
+                            <div class="form-text mt-0 mb-2">Exports all rows of the query to the File Cabinet, without loading them into the browser. Runs in this account.</div>
+                            <div class="btn-group w-100">
+                                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="SQT.startServerExport('csv')">CSV</button>
+                                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="SQT.startServerExport('excel')">Excel (XML)</button>
+                                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="SQT.startServerExport('jsonl')">JSONL</button>
+                            </div>
+                            <div class="sqt-server-export-status" id="serverExportStatus" style="display: none;"></div>
+                        </div>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Export as Document Modal -->
+        <div class="modal fade" id="documentModal" tabindex="-1">
+            <div class="modal-dialog modal-xl">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-file-earmark-richtext me-2"></i>Export as Document</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="row g-3">
+                            <div class="col-lg-6 d-flex flex-column">
+                                <div class="d-flex gap-2 mb-2">
+                                    <select class="form-select form-select-sm" id="documentTemplateSelect" onchange="SQT.selectDocumentTemplate(this.value)"></select>
+                                    <select class="form-select form-select-sm" id="documentFormat" style="width: auto;" onchange="SQT.changeDocumentFormat()">
+                                        <option value="pdf">PDF</option>
+                                        <option value="html">HTML</option>
+                                    </select>
+                                </div>
+                                <input type="text" class="form-control form-control-sm mb-2" id="documentTitle" value="Query Results" placeholder="Document title">
+                                <textarea class="form-control sqt-document-template" id="documentTemplate" spellcheck="false"></textarea>
+                                <div class="form-text">
+                                    FreeMarker template. Available: <code>results.records</code>, <code>results.columns</code>,
+                                    <code>results.title</code> and <code>results.generated</code>.
+                                    The query in the editor is run against this account with the current row options.
+                                </div>
+                                ${CONFIG.DOCUMENT_TEMPLATE_FOLDER_ID ? `
+                                <div class="d-flex gap-2 mt-2">
+                                    <input type="text" class="form-control form-control-sm" id="documentTemplateName" placeholder="Template name">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary text-nowrap" onclick="SQT.saveDocumentTemplate()">
+                                        <i class="bi bi-save me-1"></i>Save Template
+                                    </button>
+                                </div>
+                                ` : ''}
+                            </div>
+                            <div class="col-lg-6">
+                                <iframe class="sqt-document-preview" id="documentPreview" title="Document preview"></iframe>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-outline-primary" onclick="SQT.previewDocument()">
+                            <i class="bi bi-eye me-1"></i>Preview
+                        </button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.openDocument()">
+                            <i class="bi bi-box-arrow-up-right me-1"></i>Open Document
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Row Details Modal -->
+        <div class="modal fade" id="rowDetailsModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Row Details</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body sqt-row-details" id="rowDetailsContent">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" onclick="SQT.prevRow()">
+                            <i class="bi bi-chevron-left"></i> Previous
+                        </button>
+                        <span class="mx-2" id="rowDetailsIndex">Row 1 of 1</span>
+                        <button type="button" class="btn btn-secondary" onclick="SQT.nextRow()">
+                            Next <i class="bi bi-chevron-right"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Share Query Modal -->
+        <div class="modal fade" id="shareModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Share Query</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="text-muted small">Copy this URL to share your query. Anyone with access to this tool can open it.</p>
+                        <div class="mb-2" id="shareParamsOption" style="display: none;">
+                            <label for="shareParamsSelect" class="form-label small mb-1">Parameter values</label>
+                            <select class="form-select form-select-sm" id="shareParamsSelect" onchange="SQT.updateShareUrl()"></select>
+                        </div>
+                        <div class="sqt-share-url" id="shareUrl"></div>
+                        <button type="button" class="btn btn-primary mt-3 w-100" onclick="SQT.copyShareUrl()">
+                            <i class="bi bi-clipboard me-2"></i>Copy URL
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Join Path Modal -->
+        <div class="modal fade" id="joinPathModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-diagram-2 me-2"></i>Find Join Path</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="text-muted small">Finds the shortest chain of Records Catalog joins between two tables.</p>
+                        <div class="row g-2 mb-3">
+                            <div class="col">
+                                <label for="joinPathFrom" class="form-label small mb-1">From table</label>
+                                <input type="text" class="form-control form-control-sm" id="joinPathFrom" list="joinPathTables" placeholder="e.g. Transaction" autocomplete="off">
+                            </div>
+                            <div class="col">
+                                <label for="joinPathTo" class="form-label small mb-1">To table</label>
+                                <input type="text" class="form-control form-control-sm" id="joinPathTo" list="joinPathTables" placeholder="e.g. Subsidiary" autocomplete="off"
+                                       onkeydown="if (event.key === 'Enter') SQT.findJoinPath()">
+                            </div>
+                            <div class="col-auto d-flex align-items-end">
+                                <button type="button" class="btn btn-primary btn-sm" onclick="SQT.findJoinPath()">
+                                    <i class="bi bi-search me-1"></i>Find
+                                </button>
+                            </div>
+                        </div>
+                        <datalist id="joinPathTables"></datalist>
+                        <div id="joinPathResult"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.insertJoinPath()">
+                            <i class="bi bi-box-arrow-in-down me-1"></i>Insert at Cursor
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Query Builder Modal -->
+        <div class="modal fade" id="queryBuilderModal" tabindex="-1">
+            <div class="modal-dialog modal-xl">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-ui-checks-grid me-2"></i>Query Builder</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <datalist id="builderTables"></datalist>
+                        <div id="queryBuilderContent"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-secondary me-auto" onclick="SQT.loadBuilderFromEditor()" title="Open the query in the editor in the builder">
+                            <i class="bi bi-box-arrow-in-up me-1"></i>Load from Editor
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary" onclick="SQT.resetQueryBuilder()">Start Over</button>
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.insertBuilderQuery()">
+                            <i class="bi bi-box-arrow-in-down me-1"></i>Insert into Editor
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Keyboard Shortcuts Modal -->
+        <div class="modal fade" id="shortcutsModal" tabindex="-1">
+            <div class="modal-dialog modal-lg">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-keyboard me-2"></i>Keyboard Shortcuts</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="sqt-shortcuts-grid">
+                            <div>
+                                <h6 class="mb-3">Query Execution</h6>
+                                <div class="sqt-shortcut-item">
+                                    <span>Run Query</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">Enter</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Format Query</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">Shift</span>
+                                        <span class="sqt-shortcut-key">F</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Save Query</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">S</span>
+                                    </div>
+                                </div>
+                            </div>
+                            <div>
+                                <h6 class="mb-3">Editor</h6>
+                                <div class="sqt-shortcut-item">
+                                    <span>Undo</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">Z</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Redo</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">Shift</span>
+                                        <span class="sqt-shortcut-key">Z</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Autocomplete</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Ctrl</span>
+                                        <span class="sqt-shortcut-key">Space</span>
+                                    </div>
+                                </div>
+                            </div>
+                            <div>
+                                <h6 class="mb-3">Navigation</h6>
+                                <div class="sqt-shortcut-item">
+                                    <span>Maximize Results</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Shift</span>
+                                        <span class="sqt-shortcut-key">R</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Exit Focus/Maximized</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">Esc</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Previous Row (in details)</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">←</span>
+                                    </div>
+                                </div>
+                                <div class="sqt-shortcut-item">
+                                    <span>Next Row (in details)</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">→</span>
+                                    </div>
+                                </div>
+                            </div>
+                            <div>
+                                <h6 class="mb-3">Other</h6>
+                                <div class="sqt-shortcut-item">
+                                    <span>Show Shortcuts</span>
+                                    <div class="sqt-shortcut-keys">
+                                        <span class="sqt-shortcut-key">?</span>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="mt-3 text-muted small">
+                            <i class="bi bi-info-circle me-1"></i>
+                            On Mac, use <span class="sqt-shortcut-key">Cmd</span> instead of <span class="sqt-shortcut-key">Ctrl</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Parameters Modal -->
+        <div class="modal fade" id="parametersModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-input-cursor-text me-2"></i>Query Parameters</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="parametersContent">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.runWithParameters()">
+                            <i class="bi bi-play-fill me-1"></i>Run Query
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Multi-Account Run Modal -->
+        <div class="modal fade" id="multiAccountModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-diagram-3 me-2"></i>Run on Multiple Accounts</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body" id="multiAccountContent">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.runOnMultipleAccounts()">
+                            <i class="bi bi-play-fill me-1"></i>Run Query
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- AI Assistant Modal -->
+        <div class="modal fade sqt-ai-modal" id="aiModal" tabindex="-1" data-bs-backdrop="static">
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <div class="sqt-ai-header">
+                            <h5 class="modal-title" style="font-size: 18px; font-weight: 600;">
+                                <i class="bi bi-robot me-2"></i>AI Assistant
+                            </h5>
+                            <div class="sqt-ai-header-controls">
+                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm"
+                                        onclick="SQT.clearAIConversation()" title="Clear conversation">
+                                    <i class="bi bi-trash"></i>
+                                </button>
+                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm"
+                                        onclick="SQT.showAISettings()" title="AI Settings">
+                                    <i class="bi bi-gear"></i>
+                                </button>
+                            </div>
+                        </div>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body sqt-ai-body">
+                        <div class="sqt-ai-messages" id="aiMessages">
+                            <div class="sqt-ai-welcome">
+                                <i class="bi bi-robot"></i>
+                                <h4>How can I help you?</h4>
+                                <p>Describe the data you need from NetSuite and I'll generate a SuiteQL query for you.</p>
+                                <div class="sqt-ai-examples">
+                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('Show me all active customers with their sales rep')">
+                                        Show me all active customers with their sales rep
+                                    </button>
+                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('Find invoices from last month over $1000')">
+                                        Find invoices from last month over $1000
+                                    </button>
+                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('List all employees in the Sales department')">
+                                        List all employees in the Sales department
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer sqt-ai-footer">
+                        <div class="sqt-ai-input-container">
+                            <textarea id="aiInput" class="sqt-ai-input"
+                                      placeholder="Describe the query you need..."
+                                      rows="2"
+                                      onkeydown="SQT.handleAIInputKeydown(event)"></textarea>
+                            <div class="sqt-ai-input-actions">
+                                <div class="sqt-ai-toggle">
+                                    <input type="checkbox" id="aiAutoExecute">
+                                    <label for="aiAutoExecute">Auto-execute query</label>
+                                </div>
+                                <button type="button" class="sqt-btn sqt-btn-primary"
+                                        onclick="SQT.sendAIMessage()" id="aiSendBtn">
+                                    <i class="bi bi-send"></i>
+                                    <span>Send</span>
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- AI Settings Modal -->
+        <div class="modal fade" id="aiSettingsModal" tabindex="-1">
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-gear me-2"></i>AI Settings</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="mb-3">
+                            <label for="aiProvider" class="form-label">AI Provider</label>
+                            <select id="aiProvider" class="form-select" onchange="SQT.updateAIModels()">
+                                <option value="">Select a provider...</option>
+                                <option value="anthropic">Anthropic (Claude)</option>
+                                <option value="openai">OpenAI (GPT)</option>
+                            </select>
+                        </div>
+                        <div class="mb-3">
+                            <label for="aiApiKey" class="form-label">API Key</label>
+                            <div class="input-group">
+                                <input type="password" id="aiApiKey" class="form-control"
+                                       placeholder="Enter your API key">
+                                <button class="btn btn-outline-secondary" type="button"
+                                        onclick="SQT.toggleApiKeyVisibility()">
+                                    <i class="bi bi-eye" id="apiKeyToggleIcon"></i>
+                                </button>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="aiRememberKey" checked>
+                                <label class="form-check-label" for="aiRememberKey">
+                                    Remember my API key
+                                </label>
+                            </div>
+                            <div class="form-text">
+                                When enabled, your API key is stored in your browser's local storage.
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="aiModel" class="form-label">Model</label>
+                            <select id="aiModel" class="form-select" disabled>
+                                <option value="">Select a provider first...</option>
+                            </select>
+                        </div>
+                        <div class="alert alert-info small mb-0">
+                            <i class="bi bi-info-circle me-1"></i>
+                            Get your API key from
+                            <a href="https://console.anthropic.com/" target="_blank">Anthropic Console</a> or
+                            <a href="https://platform.openai.com/api-keys" target="_blank">OpenAI Platform</a>.
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary" onclick="SQT.saveAISettings()">
+                            Save Settings
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+    `;
+}
+
+// =============================================================================
+// SECTION 10: CLIENT-SIDE JAVASCRIPT
+// =============================================================================
+
+/**
+ * Generates the client-side JavaScript.
+ * @param {string} scriptUrl - The script URL for AJAX calls
+ * @returns {string} JavaScript in a script tag
+ */
+function generateClientScript(scriptUrl, remoteAccounts, currentAccountId, localAccount) {
+    return `
+        <script>
+        /**
+         * SuiteQL Query Tool - Client-Side Application
+         */
+         
+        const REMOTE_ACCOUNTS = ${JSON.stringify(remoteAccounts)};
+        const CURRENT_ACCOUNT_ID = '${currentAccountId.toUpperCase()}';
+        const LOCAL_ACCOUNT = ${JSON.stringify(localAccount)};
+
+        // Tokenizer, parser and formatter of suiteql_parser.js, shared with the server
+        const SuiteQLParser = (${modules.parser.createParser.toString()})();
+    
+        const SQT = (function() {
+            'use strict';
+
+            // =================================================================
+            // STATE
+            // =================================================================
+
+            const state = {
+                editor: null,
+                results: null,
+                isRunning: false,
+                activeRun: null,  // { controller, query, startTime } of the running query, for Cancel
+                parameterDialog: null,  // { query, params, scope, remoteUrl } while the parameters dialog is open
+                statementBatch: null,  // { statements, active, running } of the last Run All; each statement has its own result tab
+                currentFile: null,
+                history: [],
+                theme: 'light',
+                viewMode: 'table',  // 'table', 'datatable', 'json', or 'diff'
+                sidebarVisible: false,
+                focusMode: false,
+                resultsMaximized: false,
+                autocompleteEnabled: false,
+                schema: null,  // Records Catalog of this account: { account, tables, columns, updated }
+                schemaLoading: null,  // Promise of the catalog while it loads
+                joinPathSql: null,  // FROM and JOIN clauses of the last join path found
+                builder: null,  // { tables, columns, filters, sort } of the query builder
+                selectedRowIndex: 0,
+                executionTimes: [],
+                draftSaveTimer: null,
+                // AI state
+                aiConversation: [],
+                aiIsLoading: false,
+                aiApiKey: null,  // Session-only key storage when "Remember" is unchecked
+                // Error context for AI help
+                lastFailedQuery: null,
+                lastError: null,
+                // Last executed query for AI results chat
+                lastExecutedQuery: null,
+                // Results of the current query per execution context, for the diff view
+                contextResults: { query: null, entries: {} },
+                auditEntries: [],
+                diff: { left: null, right: null, key: null, showUnchanged: false },
+                remoteHealth: null,
+                serverExport: null,
+                schedules: [],
+                
+                // =============================================================
+                // Account context (injected at page load)
+                //
+                // - Used to resolve execution origin (Local vs Remote)
+                // - Immutable for the lifetime of the page
+                // - Sourced from server-side Suitelet configuration
+                // =============================================================
+                remoteAccounts: REMOTE_ACCOUNTS,                // List of configured remote NetSuite accounts
+                currentAccountId: CURRENT_ACCOUNT_ID,           // Account ID of the current NetSuite instance
+                currentAccountDescription: CURRENT_ACCOUNT_ID   // Human-readable label (defaults to ID)
+            };
+            
+            // Normalize once
+            state.currentAccountId = state.currentAccountId.toUpperCase();
+            
+            // Resolve description once (the server resolves the local account entry and environment)
+            state.currentAccountDescription = LOCAL_ACCOUNT.description || 'This Account';
+
+            const CONFIG = {
+                SCRIPT_URL: '${scriptUrl}',
+                MAX_HISTORY: ${CONFIG.MAX_HISTORY_ENTRIES},
+                STORAGE_KEY: 'sqt_history',
+                THEME_KEY: 'sqt_theme',
+                SIDEBAR_KEY: 'sqt_sidebar',
+                DRAFT_KEY: 'sqt_draft',
+                TIMES_KEY: 'sqt_execution_times',
+                AUTOCOMPLETE_KEY: 'sqt_autocomplete',
+                COMPACT_TOOLBAR_KEY: 'sqt_compact_toolbar',
+                TOOLBAR_VISIBILITY_KEY: 'sqt_toolbar_visibility',
+                FONT_SIZE_KEY: 'sqt_editor_font_size',
+                PAGE_SIZE_KEY: 'sqt_page_size',
+                SCHEMA_DB_NAME: 'sqt_schema',
+                PAGE_SIZES: ${JSON.stringify(CONFIG.PAGE_SIZES)},
+                PAGE_SIZE_DEFAULT: ${CONFIG.ROWS_RETURNED_DEFAULT},
+                MAX_EXECUTION_TIMES: 50,
+                REMOTE_LIBRARY_URL: '${CONFIG.REMOTE_LIBRARY_URL}',
+                PRODUCTION_CONFIRM_ROW_THRESHOLD: ${CONFIG.PRODUCTION_CONFIRM_ROW_THRESHOLD},
+                REMOTE_RETRY_MAX_ATTEMPTS: ${CONFIG.REMOTE_RETRY_MAX_ATTEMPTS},
+                REMOTE_RETRY_BASE_DELAY_MS: ${CONFIG.REMOTE_RETRY_BASE_DELAY_MS},
+                REMOTE_RETRY_MAX_DELAY_MS: ${CONFIG.REMOTE_RETRY_MAX_DELAY_MS},
+                // AI keys
+                AI_SETTINGS_KEY: 'sqt_ai_settings',
+                AI_CONVERSATION_KEY: 'sqt_ai_conversation',
+                AI_RESULTS_CHAT_ENABLED: ${CONFIG.AI_RESULTS_CHAT_ENABLED},
+                // Performance
+                SLOW_QUERY_THRESHOLD_MS: ${CONFIG.SLOW_QUERY_THRESHOLD_MS}
+            };
+
+            // =================================================================
+            // INITIALIZATION
+            // =================================================================
+
+            function init() {
+                initEditor();
+                initResizer();
+                initTheme();
+                initSidebar();
+                initAutocomplete();
+                initCompactToolbar();
+                initToolbarVisibility();
+                initEditorFontSize();
+                initDragDrop();
+                initUndoHistory();
+                loadHistory();
+                loadExecutionTimes();
+                loadDraft();
+                checkUrlParams();
+                setupKeyboardShortcuts();
+                initNLBar();
+                applyTargetColor(resolveExecutionContext(null));
+
+                // Prevent CodeMirror from stealing focus from NL input
+                const nlInput = document.getElementById('nlQueryInput');
+                console.log('Setting up NL input focus prevention, element:', nlInput);
+                if (nlInput) {
+                    // Use capture phase to intercept before CodeMirror
+                    nlInput.addEventListener('mousedown', (e) => {
+                        console.log('NL input mousedown (capture)');
+                        e.stopPropagation();
+                        e.stopImmediatePropagation();
+                    }, true);
+                    nlInput.addEventListener('click', (e) => {
+                        console.log('NL input click (capture)');
+                        e.stopPropagation();
+                        e.stopImmediatePropagation();
+                        nlInput.focus();
+                    }, true);
+                    // Also listen on document to refocus if something steals it
+                    document.addEventListener('focusin', (e) => {
+                        if (e.target !== nlInput && nlInput.matches(':hover')) {
+                            console.log('Focus stolen while hovering NL input, refocusing');
+                            setTimeout(() => nlInput.focus(), 0);
+                        }
+                    });
+                } else {
+                    console.error('nlQueryInput element not found!');
+                }
+
+                // Prevent CodeMirror from interfering with AI modal interactions
+                const aiModal = document.getElementById('aiModal');
+                console.log('Setting up AI modal focus prevention, element:', aiModal);
+                if (aiModal) {
+                    aiModal.addEventListener('mousedown', (e) => {
+                        console.log('AI modal mousedown - stopping propagation');
+                        e.stopPropagation();
+                    });
+                    aiModal.addEventListener('mouseup', (e) => {
+                        e.stopPropagation();
+                    });
+                    aiModal.addEventListener('mousemove', (e) => {
+                        e.stopPropagation();
+                    });
+                }
+
+                // Also protect the AI input field specifically
+                const aiInput = document.getElementById('aiInput');
+                console.log('Setting up AI input focus prevention, element:', aiInput);
+                if (aiInput) {
+                    aiInput.addEventListener('mousedown', (e) => {
+                        console.log('AI input mousedown (capture)');
+                        e.stopPropagation();
+                        e.stopImmediatePropagation();
+                    }, true);
+                    aiInput.addEventListener('click', (e) => {
+                        console.log('AI input click (capture)');
+                        e.stopPropagation();
+                        e.stopImmediatePropagation();
+                        aiInput.focus();
+                    }, true);
+                }
+
+                // Close dropdowns when clicking outside
+                document.addEventListener('click', (e) => {
+                    // Check if click is inside any dropdown or its toggle button
+                    const dropdownConfigs = [
+                        { id: 'optionsPanel', toggleSelector: '[onclick*="toggleOptions"]' },
+                        { id: 'undoHistoryDropdown', toggleSelector: '[onclick*="showUndoHistory"]' },
+                        { id: 'aiDropdown', toggleSelector: '[onclick*="toggleAIDropdown"]' },
+                        { id: 'moreDropdown', toggleSelector: '[onclick*="toggleMoreDropdown"]' },
+                        { id: 'runDropdown', toggleSelector: '[onclick*="toggleRunDropdown"]' } 
+                    ];
+
+                    dropdownConfigs.forEach(config => {
+                        const dropdown = document.getElementById(config.id);
+                        const btn = e.target.closest(config.toggleSelector);
+                        if (dropdown && !dropdown.contains(e.target) && !btn) {
+                            dropdown.classList.remove('show');
+                        }
+                    });
+                });
+            }
+            
+            function initEditor() {
+                const textarea = document.getElementById('queryEditor');
+                state.editor = CodeMirror.fromTextArea(textarea, {
+                    mode: 'text/x-sql',
+                    theme: state.theme === 'dark' ? 'dracula' : 'eclipse',
+                    lineNumbers: true,
+                    lineWrapping: true,
+                    indentWithTabs: true,
+                    tabSize: 4,
+                    indentUnit: 4,
+                    autofocus: true,
+                    matchBrackets: true,
+                    autoCloseBrackets: true,
+                    inputStyle: 'textarea',  // Fix for Safari Cmd+A selection issues
+                    extraKeys: {
+                        'Ctrl-Enter': runQuery,
+                        'Cmd-Enter': runQuery,
+                        'Ctrl-S': (cm) => { showSaveModal(); return false; },
+                        'Cmd-S': (cm) => { showSaveModal(); return false; },
+                        'Ctrl-Shift-F': formatQuery,
+                        'Cmd-Shift-F': formatQuery,
+                        'Ctrl-A': 'selectAll',
+                        'Cmd-A': 'selectAll',
+                        'Tab': (cm) => {
+                            if (cm.somethingSelected()) {
+                                cm.indentSelection('add');
+                            } else {
+                                cm.replaceSelection('\\t', 'end');
+                            }
+                        }
+                    }
+                });
+
+                // Update cursor position in status bar
+                state.editor.on('cursorActivity', () => {
+                    const cursor = state.editor.getCursor();
+                    document.getElementById('cursorPosition').textContent =
+                        \`Ln \${cursor.line + 1}, Col \${cursor.ch + 1}\`;
+                });
+
+                // Auto-save draft on change
+                state.editor.on('change', () => {
+                    saveDraft();
+                });
+
+                // Safari fix: Manual double-click word selection
+                // CodeMirror's built-in double-click handling may not work in Safari
+                (function() {
+                    const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+                    if (!isSafari) return;
+
+                    state.editor.getWrapperElement().addEventListener('dblclick', (e) => {
+                        // Get the position where the double-click occurred
+                        const pos = state.editor.coordsChar({ left: e.clientX, top: e.clientY });
+
+                        // Find word boundaries at this position
+                        const line = state.editor.getLine(pos.line);
+                        if (!line) return;
+
+                        // Find word start
+                        let start = pos.ch;
+                        while (start > 0 && /\\w/.test(line[start - 1])) {
+                            start--;
+                        }
+
+                        // Find word end
+                        let end = pos.ch;
+                        while (end < line.length && /\\w/.test(line[end])) {
+                            end++;
+                        }
+
+                        // Select the word
+                        if (end > start) {
+                            state.editor.setSelection(
+                                { line: pos.line, ch: start },
+                                { line: pos.line, ch: end }
+                            );
+                        }
+                    });
+                })();
+
+                // Load sample query
+                state.editor.setValue(\`SELECT
+    ID,
+    LastName,
+    FirstName,
+    Email,
+    Phone
+FROM
+    Employee
+WHERE
+    IsInactive = 'F'
+ORDER BY
+    LastName,
+    FirstName\`);
+            }
+
+            function initResizer() {
+                const resizer = document.getElementById('resizer');
+                const editorPanel = document.querySelector('.sqt-editor-panel');
+                const resultsPanel = document.getElementById('resultsPanel');
+                let startY, startEditorHeight, startResultsHeight;
+
+                resizer.addEventListener('mousedown', (e) => {
+                    startY = e.clientY;
+                    startEditorHeight = editorPanel.offsetHeight;
+                    startResultsHeight = resultsPanel.offsetHeight;
+
+                    document.addEventListener('mousemove', resize);
+                    document.addEventListener('mouseup', stopResize);
+                    document.body.style.cursor = 'row-resize';
+                    document.body.style.userSelect = 'none';
+                });
+
+                function resize(e) {
+                    const delta = e.clientY - startY;
+                    const newEditorHeight = startEditorHeight + delta;
+                    const newResultsHeight = startResultsHeight - delta;
+
+                    if (newEditorHeight > 100 && newResultsHeight > 100) {
+                        editorPanel.style.flex = 'none';
+                        editorPanel.style.height = newEditorHeight + 'px';
+                        resultsPanel.style.flex = 'none';
+                        resultsPanel.style.height = newResultsHeight + 'px';
+                        state.editor.refresh();
+                    }
+                }
+
+                function stopResize() {
+                    document.removeEventListener('mousemove', resize);
+                    document.removeEventListener('mouseup', stopResize);
+                    document.body.style.cursor = '';
+                    document.body.style.userSelect = '';
+                }
+            }
+
+            function initTheme() {
+                const savedTheme = localStorage.getItem(CONFIG.THEME_KEY) || 'light';
+                setTheme(savedTheme);
+            }
+
+            function initSidebar() {
+                const savedState = localStorage.getItem(CONFIG.SIDEBAR_KEY);
+                // Default to hidden (false) unless explicitly saved as 'true'
+                state.sidebarVisible = savedState === 'true';
+                // Always update visibility on init to apply default or saved state
+                updateSidebarVisibility();
+            }
+
+            function toggleSidebar() {
+                state.sidebarVisible = !state.sidebarVisible;
+                localStorage.setItem(CONFIG.SIDEBAR_KEY, state.sidebarVisible);
+                updateSidebarVisibility();
+            }
+
+            function updateSidebarVisibility() {
+                const sidebar = document.getElementById('sidebar');
+                const icon = document.getElementById('sidebarIcon');
+
+                if (state.sidebarVisible) {
+                    sidebar.classList.remove('collapsed');
+                    if (icon) icon.className = 'bi bi-layout-sidebar';
+                } else {
+                    sidebar.classList.add('collapsed');
+                    if (icon) icon.className = 'bi bi-layout-sidebar-inset';
+                }
+
+                // Refresh CodeMirror to adjust to new width
+                if (state.editor) {
+                    setTimeout(() => state.editor.refresh(), 200);
+                }
+            }
+
+            function toggleFocusMode() {
+                state.focusMode = !state.focusMode;
+                const app = document.querySelector('.sqt-app');
+                const icon = document.getElementById('focusModeIcon');
+
+                if (state.focusMode) {
+                    app.classList.add('sqt-focus-mode');
+                    if (icon) icon.className = 'bi bi-fullscreen-exit';
+                    showToast('info', 'Focus Mode', 'Press the button again or Escape to exit.');
+                } else {
+                    app.classList.remove('sqt-focus-mode');
+                    if (icon) icon.className = 'bi bi-arrows-fullscreen';
+                }
+
+                // Refresh CodeMirror to adjust to new size
+                if (state.editor) {
+                    setTimeout(() => state.editor.refresh(), 200);
+                }
+            }
+
+            function toggleResultsMaximized() {
+                state.resultsMaximized = !state.resultsMaximized;
+                const app = document.querySelector('.sqt-app');
+
+                if (state.resultsMaximized) {
+                    app.classList.add('sqt-results-maximized');
+                    showToast('info', 'Results Maximized', 'Press Shift+R or Escape to restore.');
+                } else {
+                    app.classList.remove('sqt-results-maximized');
+                    // Refresh CodeMirror when editor is visible again
+                    if (state.editor) {
+                        setTimeout(() => state.editor.refresh(), 100);
+                    }
+                }
+            }
+
+            function setupKeyboardShortcuts() {
+                document.addEventListener('keydown', (e) => {
+                    // Don't trigger shortcuts when typing in inputs
+                    const isTyping = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+
+                    // Select all in editor: Cmd+A (macOS)
+                    if (e.metaKey && e.key === 'a' && state.editor && state.editor.hasFocus()) {
+                        e.preventDefault();
+                        state.editor.execCommand('selectAll');
+                        return;
+                    }
+
+                    // Run all statements: Ctrl/Cmd + Shift + Enter; run query: Ctrl/Cmd + Enter
+                    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'Enter') {
+                        e.preventDefault();
+                        runAllStatements();
+                    } else if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                        e.preventDefault();
+                        runQuery();
+                    }
+                    // Cancel the running query, exit focus mode or results maximized: Escape
+                    if (e.key === 'Escape') {
+                        if (state.activeRun && !document.querySelector('.modal.show')) {
+                            e.preventDefault();
+                            cancelRun();
+                        } else if (state.focusMode) {
+                            e.preventDefault();
+                            toggleFocusMode();
+                        } else if (state.resultsMaximized) {
+                            e.preventDefault();
+                            toggleResultsMaximized();
+                        }
+                    }
+                    // Toggle results maximized: Shift+R
+                    if (e.shiftKey && e.key === 'R' && !isTyping && !e.ctrlKey && !e.metaKey) {
+                        e.preventDefault();
+                        toggleResultsMaximized();
+                    }
+                    // Navigate row details: Arrow keys
+                    if (document.getElementById('rowDetailsModal').classList.contains('show')) {
+                        if (e.key === 'ArrowLeft') {
+                            e.preventDefault();
+                            prevRow();
+                        } else if (e.key === 'ArrowRight') {
+                            e.preventDefault();
+                            nextRow();
+                        }
+                    }
+                    // Show keyboard shortcuts: ?
+                    if (e.key === '?' && !isTyping && !e.ctrlKey && !e.metaKey) {
+                        e.preventDefault();
+                        showShortcuts();
+                    }
+                });
+            }
+
+            // =================================================================
+            // AUTO-SAVE DRAFT
+            // =================================================================
+
+            function loadDraft() {
+                try {
+                    const draft = localStorage.getItem(CONFIG.DRAFT_KEY);
+                    if (draft && state.editor) {
+                        // Only load draft if it differs from default sample query
+                        const currentValue = state.editor.getValue();
+                        if (draft !== currentValue && draft.trim()) {
+                            state.editor.setValue(draft);
+                        }
+                    }
+                } catch (e) {
+                    console.error('Failed to load draft:', e);
+                }
+            }
+
+            function saveDraft() {
+                // Debounce draft saving
+                if (state.draftSaveTimer) {
+                    clearTimeout(state.draftSaveTimer);
+                }
+                state.draftSaveTimer = setTimeout(() => {
+                    try {
+                        const query = state.editor.getValue();
+                        localStorage.setItem(CONFIG.DRAFT_KEY, query);
+                    } catch (e) {
+                        console.error('Failed to save draft:', e);
+                    }
+                }, 1000); // Save after 1 second of inactivity
+            }
+
+            function clearDraft() {
+                try {
+                    localStorage.removeItem(CONFIG.DRAFT_KEY);
+                } catch (e) {
+                    console.error('Failed to clear draft:', e);
+                }
+            }
+
+            // =================================================================
+            // AUTOCOMPLETE
+            // =================================================================
+
+            function initAutocomplete() {
+                const saved = localStorage.getItem(CONFIG.AUTOCOMPLETE_KEY);
+                state.autocompleteEnabled = saved === 'true';
+                const checkbox = document.getElementById('optAutocomplete');
+                if (checkbox) {
+                    checkbox.checked = state.autocompleteEnabled;
+                }
+                // Apply autocomplete settings to editor if enabled
+                if (state.editor && state.autocompleteEnabled) {
+                    state.editor.setOption('extraKeys', {
+                        ...state.editor.getOption('extraKeys'),
+                        'Ctrl-Space': 'autocomplete',
+                        'Tab': (cm) => {
+                            if (cm.somethingSelected()) {
+                                cm.indentSelection('add');
+                            } else {
+                                cm.replaceSelection('\\t', 'end');
+                            }
+                        }
+                    });
+                    state.editor.setOption('hintOptions', {
+                        hint: schemaHint,
+                        completeSingle: false
+                    });
+                    loadSchemaCatalog();
+                }
+
+                // Typing a dot after a table or alias lists its columns
+                if (state.editor) {
+                    state.editor.on('inputRead', (cm, change) => {
+                        if (state.autocompleteEnabled && change.text[0] === '.') {
+                            cm.showHint();
+                        }
+                    });
+                }
+            }
+
+            function toggleAutocomplete() {
+                const checkbox = document.getElementById('optAutocomplete');
+                state.autocompleteEnabled = checkbox?.checked || false;
+                localStorage.setItem(CONFIG.AUTOCOMPLETE_KEY, state.autocompleteEnabled);
+
+                // Update editor with autocomplete settings
+                if (state.editor && state.autocompleteEnabled) {
+                    // Enable autocomplete on Ctrl-Space
+                    state.editor.setOption('extraKeys', {
+                        ...state.editor.getOption('extraKeys'),
+                        'Ctrl-Space': 'autocomplete',
+                        'Tab': (cm) => {
+                            if (cm.somethingSelected()) {
+                                cm.indentSelection('add');
+                            } else {
+                                cm.replaceSelection('\\t', 'end');
+                            }
+                        }
+                    });
+                    state.editor.setOption('hintOptions', {
+                        hint: schemaHint,
+                        completeSingle: false
+                    });
+                    loadSchemaCatalog();
+                    showToast('info', 'Autocomplete Enabled', 'Press Ctrl+Space to trigger suggestions.');
+                } else if (state.editor) {
+                    showToast('info', 'Autocomplete Disabled', 'Code completion is now off.');
+                }
+            }
+
+            function initCompactToolbar() {
+                const saved = localStorage.getItem(CONFIG.COMPACT_TOOLBAR_KEY);
+                const isCompact = saved === 'true';
+                const checkbox = document.getElementById('optCompactToolbar');
+                if (checkbox) {
+                    checkbox.checked = isCompact;
+                }
+                updateCompactToolbar(isCompact);
+            }
+
+            function toggleCompactToolbar() {
+                const checkbox = document.getElementById('optCompactToolbar');
+                const isCompact = checkbox?.checked || false;
+                localStorage.setItem(CONFIG.COMPACT_TOOLBAR_KEY, isCompact);
+                updateCompactToolbar(isCompact);
+            }
+
+            function updateCompactToolbar(isCompact) {
+                const toolbar = document.querySelector('.sqt-toolbar');
+                if (toolbar) {
+                    toolbar.classList.toggle('sqt-toolbar-compact', isCompact);
+                }
+            }
+
+            function initToolbarVisibility() {
+                const saved = localStorage.getItem(CONFIG.TOOLBAR_VISIBILITY_KEY);
+                const defaults = { format: true, ai: true, more: true, tables: true };
+                const visibility = saved ? JSON.parse(saved) : defaults;
+
+                // Set checkbox states
+                const checkboxes = {
+                    format: document.getElementById('optShowFormat'),
+                    ai: document.getElementById('optShowAI'),
+                    more: document.getElementById('optShowMore'),
+                    tables: document.getElementById('optShowTables')
+                };
+
+                Object.keys(checkboxes).forEach(key => {
+                    if (checkboxes[key]) {
+                        checkboxes[key].checked = visibility[key] !== false;
+                    }
+                });
+
+                applyToolbarVisibility(visibility);
+            }
+
+            function updateToolbarVisibility() {
+                const visibility = {
+                    format: document.getElementById('optShowFormat')?.checked !== false,
+                    ai: document.getElementById('optShowAI')?.checked !== false,
+                    more: document.getElementById('optShowMore')?.checked !== false,
+                    tables: document.getElementById('optShowTables')?.checked !== false
+                };
+
+                localStorage.setItem(CONFIG.TOOLBAR_VISIBILITY_KEY, JSON.stringify(visibility));
+                applyToolbarVisibility(visibility);
+            }
+
+            function applyToolbarVisibility(visibility) {
+                const elements = {
+                    format: document.getElementById('toolbarFormat'),
+                    ai: document.getElementById('toolbarAI'),
+                    more: document.getElementById('toolbarMore'),
+                    tables: document.getElementById('toolbarTablesGroup'),
+                    tablesDivider: document.getElementById('toolbarTablesDivider')
+                };
+
+                if (elements.format) elements.format.style.display = visibility.format ? '' : 'none';
+                if (elements.ai) elements.ai.style.display = visibility.ai ? '' : 'none';
+                if (elements.more) elements.more.style.display = visibility.more ? '' : 'none';
+                if (elements.tables) elements.tables.style.display = visibility.tables ? '' : 'none';
+                if (elements.tablesDivider) elements.tablesDivider.style.display = visibility.tables ? '' : 'none';
+            }
+
+            function initEditorFontSize() {
+                const saved = localStorage.getItem(CONFIG.FONT_SIZE_KEY);
+                const fontSize = saved || '12';
+                const select = document.getElementById('optFontSize');
+                if (select) {
+                    select.value = fontSize;
+                }
+                applyEditorFontSize(fontSize);
+            }
+
+            function changeEditorFontSize() {
+                const select = document.getElementById('optFontSize');
+                const fontSize = select?.value || '12';
+                localStorage.setItem(CONFIG.FONT_SIZE_KEY, fontSize);
+                applyEditorFontSize(fontSize);
+            }
+
+            function applyEditorFontSize(fontSize) {
+                const cm = document.querySelector('.CodeMirror');
+                if (cm) {
+                    cm.style.fontSize = fontSize + 'px';
+                    // Refresh editor to recalculate line heights
+                    if (state.editor) {
+                        state.editor.refresh();
+                    }
+                }
+            }
+
+            function getTableHints() {
+                // NetSuite tables for autocomplete when the Records Catalog cannot be loaded - extracted from query library
+                return {
+                    'Transaction': ['id', 'tranid', 'trandate', 'entity', 'type', 'status', 'posting', 'voided', 'void', 'duedate', 'foreigntotal', 'foreignamountunpaid', 'foreignamountpaid', 'otherrefnum', 'employee', 'memo', 'postingperiod', 'createdby', 'currency', 'shipdate', 'actualshipdate', 'totalcostestimate', 'estgrossprofit', 'estgrossprofitpercent', 'paymentmethod', 'shipcarrier', 'shippingaddress', 'trackingnumberlist', 'approvalstatus', 'createddate'],
+                    'TransactionLine': ['id', 'transaction', 'mainline', 'item', 'quantity', 'rate', 'netamount', 'foreignamount', 'createdfrom', 'linesequencenumber', 'isinventoryaffecting', 'taxline', 'location', 'memo', 'itemtype', 'subsidiary', 'department', 'uniquekey'],
+                    'TransactionAccountingLine': ['transaction', 'transactionline', 'account', 'debit', 'credit', 'amount', 'posting', 'amountunpaid', 'paymentamountunused', 'accountingbook'],
+                    'Item': ['id', 'itemid', 'itemtype', 'parent', 'description', 'fullname', 'isinactive', 'isonline', 'externalid', 'createddate', 'lastmodifieddate', 'purchasedescription', 'quantityonhand', 'quantityavailable', 'quantitycommitted', 'quantityonorder', 'quantitybackordered', 'reorderpoint', 'preferredstocklevel', 'cost', 'averagecost', 'lastpurchaseprice', 'leadtime', 'matrixtype', 'manufacturer'],
+                    'Customer': ['id', 'entityid', 'companyname', 'altname', 'firstname', 'lastname', 'email', 'phone', 'title', 'isperson', 'isinactive', 'terms', 'salesrep', 'creditlimit', 'oncredithold', 'balancesearch', 'overduebalancesearch', 'unbilledorderssearch', 'datecreated', 'lastmodifieddate', 'searchstage', 'defaultshippingaddress'],
+                    'Employee': ['id', 'firstname', 'lastname', 'email', 'title', 'isinactive', 'giveaccess', 'supervisor', 'issalesrep'],
+                    'Vendor': ['id', 'companyname', 'isinactive', 'accountnumber', 'balance', 'email', 'phone', 'terms', 'contact', 'creditlimit', 'datecreated', 'lastmodifieddate', 'externalid'],
+                    'Account': ['id', 'accttype', 'acctnumber', 'displaynamewithHierarchy', 'accountsearchdisplayname', 'balance', 'description', 'isinactive', 'legalname', 'parent'],
+                    'AccountingPeriod': ['id', 'periodname', 'parent', 'startdate', 'enddate', 'isposting', 'isadjust', 'isinactive', 'isquarter', 'alllocked', 'arlocked', 'aplocked', 'allownonglchanges', 'lastmodifieddate', 'closed', 'closedondate'],
+                    'Entity': ['id', 'type', 'altname', 'entitytitle'],
+                    'EntityAddress': ['nkey', 'addressee', 'addr1', 'addr2', 'addr3', 'city', 'state', 'zip', 'country', 'attention'],
+                    'EntityAddressbook': ['entity', 'addressbookaddress', 'defaultbilling', 'defaultshipping'],
+                    'Bin': ['id', 'binnumber', 'location', 'memo'],
+                    'ItemBinQuantity': ['bin', 'item', 'location', 'onhand', 'onhandavail', 'preferredbin'],
+                    'Location': ['id', 'name', 'fullname', 'externalid', 'isinactive', 'mainaddress', 'latitude', 'longitude'],
+                    'LocationMainAddress': ['nkey', 'addressee', 'addr1', 'addr2', 'addr3', 'city', 'state', 'zip', 'attention'],
+                    'Role': ['id', 'name', 'isinactive'],
+                    'RolePermissions': ['role', 'name', 'permlevel'],
+                    'EmployeeRolesForSearch': ['entity', 'role'],
+                    'LoginAudit': ['user', 'date', 'role'],
+                    'SupportCase': ['id', 'casenumber', 'startdate', 'company', 'status', 'title', 'issue', 'category', 'assigned', 'origin', 'priority', 'timeelapsed', 'timeopen', 'timetoassign', 'timetoclose'],
+                    'ItemPrice': ['item', 'price', 'isinactive', 'pricelevelname'],
+                    'ItemVendor': ['item', 'vendor', 'preferredvendor', 'purchaseprice'],
+                    'ItemMember': ['item', 'parentitem', 'quantity', 'memberunit'],
+                    'AssemblyItemMember': ['parentitem', 'item', 'linenumber', 'quantity', 'memberunit', 'itemsource'],
+                    'PreviousTransactionLineLink': ['previousdoc', 'previousline', 'nextdoc', 'nextline', 'nexttype', 'linktype', 'foreignamount'],
+                    'NextTransactionLink': ['previousdoc', 'nextdoc', 'linktype'],
+                    'Currency': ['id', 'symbol', 'name', 'exchangerate', 'displaysymbol', 'symbolplacement', 'currencyprecision', 'isbasecurrency', 'isinactive'],
+                    'CurrencyRate': ['basecurrency', 'transactioncurrency', 'exchangerate', 'effectivedate', 'lastmodifieddate'],
+                    'File': ['id', 'name', 'folder', 'createddate', 'lastmodifieddate', 'filetype', 'filesize', 'url'],
+                    'MediaItemFolder': ['id', 'name', 'istoplevel', 'appfolder'],
+                    'Script': ['scriptid', 'name', 'scripttype', 'owner', 'scriptfile'],
+                    'ClientScript': ['id', 'name', 'scriptid', 'description', 'apiversion', 'scriptfile', 'owner', 'isinactive'],
+                    'CustomField': ['scriptid', 'name', 'fieldtype', 'fieldvaluetype', 'owner', 'lastmodifieddate'],
+                    'CustomList': ['name', 'description', 'scriptid', 'owner', 'isordered', 'isinactive'],
+                    'CustomRecordType': ['internalid', 'name', 'scriptid', 'description', 'owner'],
+                    'CustomSegment': ['name', 'recordtype', 'glimpact', 'isinactive'],
+                    'DeletedRecord': ['deleteddate', 'type', 'recordid', 'deletedby', 'context'],
+                    'EmployeeEmergencyContact': ['employee', 'contact', 'relationship', 'address', 'phone'],
+                    'CompanyContactRelationship': ['company', 'contact', 'role'],
+                    'CompanyFeatureSetup': ['id', 'name', 'isavailable', 'isactive'],
+                    'Country': ['id', 'name', 'edition', 'nationality'],
+                    'State': ['id', 'shortname', 'fullname', 'country'],
+                    'PhoneCall': ['id', 'externalid', 'createddate', 'startdate', 'completeddate', 'owner', 'assigned', 'company', 'contact', 'transaction', 'relateditem', 'supportcase', 'priority', 'status', 'phone', 'title', 'message'],
+                    'Pricing': ['pricelevel', 'item', 'priceqty', 'unitprice'],
+                    'PriceLevel': ['id', 'name', 'isinactive'],
+                    'InventoryNumber': ['item', 'inventorynumber', 'quantityonhand', 'expirationdate'],
+                    'AggregateItemLocation': ['item', 'location', 'quantityonhand', 'quantityavailable', 'quantitycommitted', 'quantityonorder', 'quantitybackordered', 'quantityintransit', 'qtyintransitexternal', 'onhandvaluemli', 'averagecostmli', 'lastpurchasepricemli', 'preferredstocklevel', 'leadtime', 'safetystocklevel', 'leadtimeoffset', 'lastinvtcountdate', 'nextinvtcountdate', 'invtcountinterval', 'invtclassification', 'costinglotsize', 'lastquantityavailablechange'],
+                    'ItemInventoryBalance': ['item', 'quantityavailable'],
+                    'UpsellItem': ['customer', 'purchaseditem', 'item', 'corrrelationfld', 'countfld'],
+                    'TransactionShipment': ['doc', 'sourceaddress', 'destinationaddress', 'shippingmethod', 'weight', 'shippingrate', 'handlingrate'],
+                    'TrackingNumber': ['id', 'trackingnumber'],
+                    'TrackingNumberMap': ['transaction', 'trackingnumber'],
+                    'InboundShipment': ['id', 'shipmentstatus', 'expectedshippingdate', 'actualshippingdate', 'expecteddeliverydate', 'shipmentmemo', 'externaldocumentnumber', 'billoflading'],
+                    'InboundShipmentItem': ['inboundshipment', 'receivinglocation', 'shipmentitemdescription', 'quantityexpected', 'unit', 'expectedrate', 'purchaseordertransaction', 'shipmentitemtransaction'],
+                    'OutboundRequest': ['time', 'key', 'requestid', 'elapsed', 'host', 'port', 'url', 'statuscode', 'error', 'requestcontenttype', 'requestcontentlength', 'responsecontenttype', 'responsecontentlength', 'scriptdeploymenturl', 'scriptid'],
+                    'PaymentMethod': ['id', 'name', 'methodtype', 'merchantaccounts', 'isinactive'],
+                    'Term': ['id', 'name', 'isinactive'],
+                    'AccountSubsidiaryMap': ['account', 'subsidiary'],
+                    'Contact': ['id', 'entityid', 'firstname', 'lastname', 'email', 'phone', 'company', 'isinactive'],
+                    'Department': ['id', 'name', 'fullname', 'parent', 'isinactive'],
+                    'Subsidiary': ['id', 'name', 'fullname', 'parent', 'isinactive', 'country', 'currency'],
+                    'Dual': []
+                };
+            }
+
+            // =================================================================
+            // SCHEMA CATALOG
+            // =================================================================
+
+            // Tables come from the Records Catalog, columns and joins are fetched per table when
+            // first needed. All are cached in IndexedDB per account until the schema is refreshed.
+            const SCHEMA_STORE = 'catalogs';
+            const schemaColumnRequests = {};
+
+            // Words that can follow a table name but are not an alias
+            const NOT_AN_ALIAS = new Set(['on', 'where', 'join', 'left', 'right', 'inner', 'outer', 'full', 'cross',
+                'group', 'order', 'having', 'union', 'minus', 'intersect', 'fetch', 'offset', 'start', 'connect',
+                'and', 'or', 'select', 'from', 'as', 'natural', 'using']);
+
+            function openSchemaDb() {
+                return new Promise((resolve, reject) => {
+                    const request = indexedDB.open(CONFIG.SCHEMA_DB_NAME, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(SCHEMA_STORE, { keyPath: 'account' });
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+
+            async function schemaStoreRequest(mode, action) {
+                const db = await openSchemaDb();
+
+                try {
+                    return await new Promise((resolve, reject) => {
+                        const request = action(db.transaction(SCHEMA_STORE, mode).objectStore(SCHEMA_STORE));
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                } finally {
+                    db.close();
+                }
+            }
+
+            function saveSchemaCatalog(catalog) {
+                // The catalog still works without the cache, e.g. in private windows
+                const { index, ...stored } = catalog;
+                return schemaStoreRequest('readwrite', store => store.put(stored))
+                    .catch(e => console.error('Failed to cache the schema:', e));
+            }
+
+            function loadSchemaCatalog(refresh = false) {
+                if (state.schemaLoading && !refresh) {
+                    return state.schemaLoading;
+                }
+
+                const account = state.currentAccountId;
+
+                state.schemaLoading = (async () => {
+                    try {
+                        let catalog = refresh
+                            ? null
+                            : await schemaStoreRequest('readonly', store => store.get(account)).catch(() => null);
+
+                        if (!catalog) {
+                            const url = '/app/recordscatalog/rcendpoint.nl?action=getRecordTypes&data=' +
+                                encodeURIComponent(JSON.stringify({ structureType: 'FLAT' }));
+
+                            const response = await fetch(url);
+                            const data = await response.json();
+
+                            catalog = {
+                                account,
+                                tables: data.data.map(t => ({ id: t.id, label: t.label })),
+                                columns: {},
+                                joins: {},
+                                updated: Date.now()
+                            };
+                            await saveSchemaCatalog(catalog);
+                        }
+
+                        catalog.joins = catalog.joins || {};
+                        catalog.index = new Map(catalog.tables.map(t => [t.id.toLowerCase(), t.id]));
+                        state.schema = catalog;
+                    } catch (e) {
+                        // Falls back to the built-in table list
+                        console.error('Failed to load the Records Catalog:', e);
+                        state.schema = null;
+                    }
+
+                    return state.schema;
+                })();
+
+                return state.schemaLoading;
+            }
+
+            async function refreshSchemaCatalog() {
+                Object.keys(schemaColumnRequests).forEach(key => delete schemaColumnRequests[key]);
+
+                const catalog = await loadSchemaCatalog(true);
+                if (catalog) {
+                    showToast('success', 'Schema Refreshed', \`Loaded \${catalog.tables.length} tables from the Records Catalog.\`);
+                } else {
+                    showToast('error', 'Refresh Failed', 'The Records Catalog could not be loaded. Autocomplete uses the built-in table list.');
+                }
+            }
+
+            // The loaded catalog, or the built-in table list when there is none
+            function getSchema() {
+                if (state.schema) {
+                    return state.schema;
+                }
+
+                const hints = getTableHints();
+                const tables = Object.keys(hints).map(id => ({ id, label: '' }));
+                const columns = {};
+                tables.forEach(t => {
+                    columns[t.id.toLowerCase()] = hints[t.id].map(id => ({ id, label: '', dataType: '' }));
+                });
+
+                return { tables, columns, joins: {}, index: new Map(tables.map(t => [t.id.toLowerCase(), t.id])), builtIn: true };
+            }
+
+            // Resolves to the columns and joins of a table
+            function getSchemaTable(tableId) {
+                const catalog = getSchema();
+                const key = tableId.toLowerCase();
+
+                // Tables cached before joins were kept have no joins yet and are loaded again
+                if (catalog.columns[key] && (catalog.joins[key] || catalog.builtIn)) {
+                    return Promise.resolve({ columns: catalog.columns[key], joins: catalog.joins[key] || [] });
+                }
+                if (catalog.builtIn) {
+                    return Promise.resolve({ columns: [], joins: [] });
+                }
+
+                if (!schemaColumnRequests[key]) {
+                    const url = '/app/recordscatalog/rcendpoint.nl?action=getRecordTypeDetail&data=' +
+                        encodeURIComponent(JSON.stringify({ scriptId: tableId, detailType: 'SS_ANAL' }));
+
+                    schemaColumnRequests[key] = fetch(url)
+                        .then(response => response.json())
+                        .then(data => {
+                            catalog.columns[key] = data.data.fields
+                                .filter(f => f.isColumn)
+                                .map(f => ({ id: f.id, label: f.label, dataType: f.dataType }));
+                            catalog.joins[key] = (data.data.joins || []).map(j => ({
+                                id: j.id,
+                                label: j.label,
+                                target: j.sourceTargetType.id,
+                                cardinality: j.cardinality,
+                                pairs: parseJoinPairs(tableId, j.sourceTargetType.joinPairs)
+                            }));
+                            saveSchemaCatalog(catalog);
+                            return { columns: catalog.columns[key], joins: catalog.joins[key] };
+                        })
+                        .catch(e => {
+                            console.error('Failed to load columns of ' + tableId + ':', e);
+                            return { columns: [], joins: [] };
+                        })
+                        .finally(() => delete schemaColumnRequests[key]);
+                }
+
+                return schemaColumnRequests[key];
+            }
+
+            function getSchemaColumns(tableId) {
+                return getSchemaTable(tableId).then(table => table.columns);
+            }
+
+            // Join pairs are labeled "table.column = table.column"; the column of the
+            // table that lists the join becomes the source column
+            function parseJoinPairs(tableId, joinPairs) {
+                return (joinPairs || []).map(pair => {
+                    const match = /^\\s*([\\w$]+)\\.([\\w$]+)\\s*=\\s*([\\w$]+)\\.([\\w$]+)\\s*$/.exec(pair.label || '');
+                    if (!match) {
+                        return null;
+                    }
+
+                    return match[1].toLowerCase() === tableId.toLowerCase()
+                        ? { sourceColumn: match[2], targetColumn: match[4] }
+                        : { sourceColumn: match[4], targetColumn: match[2] };
+                }).filter(Boolean);
+            }
+
+            // Builds the ON condition of a join. Without join pairs in the catalog, a many-to-one
+            // join is assumed to go from the column named after the join to the target ID.
+            function getJoinCondition(join, sourceAlias, targetAlias) {
+                if (join.pairs.length > 0) {
+                    return join.pairs
+                        .map(pair => \`\${targetAlias}.\${pair.targetColumn} = \${sourceAlias}.\${pair.sourceColumn}\`)
+                        .join(' AND ');
+                }
+
+                if (/^(MANY|ONE)_TO_ONE$/i.test(join.cardinality || '')) {
+                    return \`\${targetAlias}.id = \${sourceAlias}.\${join.id}\`;
+                }
+
+                return \`\${targetAlias}.? = \${sourceAlias}.? /* \${join.label} */\`;
+            }
+
+            // Short alias from the capitals of a table ID (TransactionLine => tl), unique within the statement
+            function suggestAlias(tableId, usedAliases) {
+                const base = (tableId.match(/[A-Z]/g) || [tableId[0]]).join('').toLowerCase();
+                let alias = base;
+
+                for (let n = 2; usedAliases.has(alias) || NOT_AN_ALIAS.has(alias); n++) {
+                    alias = base + n;
+                }
+
+                usedAliases.add(alias);
+                return alias;
+            }
+
+            // Returns the known tables of a statement and their aliases (lowercase alias => table ID)
+            function getStatementTables(sql) {
+                const index = getSchema().index;
+                const tables = [];
+                const aliases = {};
+                const pattern = /(?:\\bFROM|\\bJOIN|,)\\s+([A-Za-z_][\\w$]*)(?:\\s+(?:AS\\s+)?([A-Za-z_][\\w$]*))?/gi;
+                let match;
+
+                while ((match = pattern.exec(sql)) !== null) {
+                    const tableId = index.get(match[1].toLowerCase());
+                    if (!tableId) {
+                        continue;
+                    }
+
+                    if (!tables.includes(tableId)) {
+                        tables.push(tableId);
+                    }
+                    if (match[2] && !NOT_AN_ALIAS.has(match[2].toLowerCase())) {
+                        aliases[match[2].toLowerCase()] = tableId;
+                    }
+                }
+
+                return { tables, aliases };
+            }
+
+            // Name a table is referred to by in a statement: its alias, or the table itself
+            function getTableReference(tableId, aliases) {
+                return Object.keys(aliases).find(alias => aliases[alias] === tableId) || tableId;
+            }
+
+            function schemaHintItem(text, detail, className, displayText = text) {
+                return {
+                    text,
+                    className,
+                    render: (element) => {
+                        element.innerHTML = \`\${escapeHtml(displayText)}\${detail ? \`<span class="sqt-hint-detail">\${escapeHtml(detail)}</span>\` : ''}\`;
+                    }
+                };
+            }
+
+            // Tables joinable from the tables of the statement, inserted with alias and ON condition
+            async function getJoinHints(tables, aliases) {
+                const usedAliases = new Set(Object.keys(aliases));
+                const items = [];
+
+                for (const tableId of tables) {
+                    const { joins } = await getSchemaTable(tableId);
+                    const sourceAlias = getTableReference(tableId, aliases);
+
+                    joins.forEach(join => {
+                        const target = getSchema().index.get(join.target.toLowerCase()) || join.target;
+                        const targetAlias = suggestAlias(target, new Set(usedAliases));
+
+                        items.push(schemaHintItem(
+                            \`\${target} \${targetAlias} ON \${getJoinCondition(join, sourceAlias, targetAlias)}\`,
+                            \`\${join.label} from \${tableId}\${join.cardinality ? ' · ' + join.cardinality : ''}\`,
+                            'sqt-hint-join',
+                            target
+                        ));
+                    });
+                }
+
+                return items;
+            }
+
+            // Async hint source for CodeMirror: columns after "table." or "alias.", joinable
+            // tables after JOIN, otherwise tables, the columns of the tables in the statement and keywords
+            function schemaHint(cm, callback) {
+                const cursor = cm.getCursor();
+                const before = cm.getLine(cursor.line).substring(0, cursor.ch);
+                const statement = splitStatements(cm.getValue())
+                    .filter(st => st.start <= cm.indexFromPos(cursor))
+                    .pop();
+
+                loadSchemaCatalog().then(async () => {
+                    const { tables, aliases } = getStatementTables(statement ? statement.sql : '');
+                    const qualified = before.match(/([A-Za-z_][\\w$]*)\\.([\\w$]*)$/);
+                    const word = qualified ? qualified[2] : before.match(/[\\w$]*$/)[0];
+                    let items = [];
+
+                    if (qualified) {
+                        const tableId = aliases[qualified[1].toLowerCase()] || getSchema().index.get(qualified[1].toLowerCase());
+                        if (tableId) {
+                            items = (await getSchemaColumns(tableId)).map(c => schemaHintItem(c.id, c.dataType, 'sqt-hint-column'));
+                        }
+                    } else if (/\\bJOIN\\s+[\\w$]*$/i.test(before) && tables.length > 0) {
+                        items = await getJoinHints(tables, aliases);
+                    } else {
+                        // Only tables follow FROM and JOIN
+                        if (!/\\b(FROM|JOIN)\\s+[\\w$]*$/i.test(before)) {
+                            const seen = new Set();
+                            (await Promise.all(tables.map(getSchemaColumns))).forEach((columns, i) => {
+                                columns.filter(c => !seen.has(c.id)).forEach(c => {
+                                    seen.add(c.id);
+                                    items.push(schemaHintItem(c.id, tables[i] + (c.dataType ? ' · ' + c.dataType : ''), 'sqt-hint-column'));
+                                });
+                            });
+                        }
+
+                        items = items.concat(getSchema().tables.map(t => schemaHintItem(t.id, t.label, 'sqt-hint-table')));
+
+                        const keywords = CodeMirror.resolveMode(cm.getOption('mode')).keywords || {};
+                        items = items.concat(Object.keys(keywords).map(k => schemaHintItem(k.toUpperCase(), '', 'sqt-hint-keyword')));
+                    }
+
+                    const prefix = word.toLowerCase();
+                    const list = items.filter(item => item.text.toLowerCase().startsWith(prefix));
+
+                    callback(list.length > 0 ? {
+                        list,
+                        from: CodeMirror.Pos(cursor.line, cursor.ch - word.length),
+                        to: cursor
+                    } : null);
+                });
+            }
+            schemaHint.async = true;
+
+            // =================================================================
+            // JOIN PATH FINDER
+            // =================================================================
+
+            // The search walks the joins breadth-first, loading the joins of each table it
+            // reaches, so it stops after a few levels to keep the number of requests down
+            const MAX_JOIN_PATH_DEPTH = 3;
+            const MAX_JOIN_PATH_TABLES = 150;
+            const JOIN_PATH_CONCURRENCY = 6;
+
+            let joinPathSearch = 0;
+
+            async function showJoinPathModal() {
+                const catalog = await loadSchemaCatalog();
+                const list = document.getElementById('joinPathTables');
+
+                list.innerHTML = getSchema().tables
+                    .map(t => \`<option value="\${escapeHtml(t.id)}">\${escapeHtml(t.label)}</option>\`)
+                    .join('');
+
+                // Start from the tables of the query in the editor
+                const { tables } = getStatementTables(state.editor.getValue());
+                if (tables.length > 0 && !document.getElementById('joinPathFrom').value) {
+                    document.getElementById('joinPathFrom').value = tables[0];
+                }
+
+                document.getElementById('joinPathResult').innerHTML = catalog ? '' : \`
+                    <div class="alert alert-warning small mb-0">
+                        The Records Catalog could not be loaded, so no joins are known.
+                    </div>
+                \`;
+                new bootstrap.Modal(document.getElementById('joinPathModal')).show();
+            }
+
+            // Returns the steps { source, target, join } of the shortest path from one table to another, or null
+            async function searchJoinPath(fromTable, toTable, onProgress) {
+                const goal = toTable.toLowerCase();
+                const parents = new Map([[fromTable.toLowerCase(), null]]);
+                let frontier = [fromTable];
+                let checked = 0;
+
+                for (let depth = 0; depth < MAX_JOIN_PATH_DEPTH && frontier.length > 0; depth++) {
+                    const next = [];
+
+                    for (let i = 0; i < frontier.length && checked < MAX_JOIN_PATH_TABLES; i += JOIN_PATH_CONCURRENCY) {
+                        const batch = frontier.slice(i, i + JOIN_PATH_CONCURRENCY);
+                        const details = await Promise.all(batch.map(getSchemaTable));
+                        checked += batch.length;
+                        onProgress(checked);
+
+                        for (let b = 0; b < batch.length; b++) {
+                            for (const join of details[b].joins) {
+                                const target = getSchema().index.get(join.target.toLowerCase()) || join.target;
+                                const key = target.toLowerCase();
+                                if (parents.has(key)) {
+                                    continue;
+                                }
+
+                                parents.set(key, { source: batch[b], target, join });
+                                if (key === goal) {
+                                    const steps = [];
+                                    for (let step = parents.get(key); step; step = parents.get(step.source.toLowerCase())) {
+                                        steps.unshift(step);
+                                    }
+                                    return steps;
+                                }
+                                next.push(target);
+                            }
+                        }
+                    }
+
+                    frontier = next;
+                }
+
+                return null;
+            }
+
+            async function findJoinPath() {
+                const index = getSchema().index;
+                const fromTable = index.get(document.getElementById('joinPathFrom').value.trim().toLowerCase());
+                const toTable = index.get(document.getElementById('joinPathTo').value.trim().toLowerCase());
+                const result = document.getElementById('joinPathResult');
+
+                if (!fromTable || !toTable) {
+                    showToast('warning', 'Unknown Table', 'Pick both tables from the list.');
+                    return;
+                }
+                if (fromTable === toTable) {
+                    showToast('warning', 'Same Table', 'Pick two different tables.');
+                    return;
+                }
+
+                const search = ++joinPathSearch;
+                const progress = checked => {
+                    if (search === joinPathSearch) {
+                        result.innerHTML = \`
+                            <div class="sqt-loading"><div class="sqt-spinner"></div><span>Searching joins... \${checked} tables checked</span></div>
+                        \`;
+                    }
+                };
+                progress(0);
+
+                // Joins are listed by the table they start from, so the reverse direction is searched as well
+                let path = await searchJoinPath(fromTable, toTable, progress);
+                let tables = path ? [fromTable].concat(path.map(step => step.target)) : null;
+                if (!path) {
+                    path = await searchJoinPath(toTable, fromTable, progress);
+                    tables = path ? [toTable].concat(path.map(step => step.target)).reverse() : null;
+                }
+
+                if (search !== joinPathSearch) {
+                    return;
+                }
+
+                if (!path) {
+                    result.innerHTML = \`
+                        <div class="alert alert-warning small mb-0">
+                            No path of up to \${MAX_JOIN_PATH_DEPTH} joins was found between \${escapeHtml(fromTable)} and \${escapeHtml(toTable)}.
+                        </div>
+                    \`;
+                    return;
+                }
+
+                state.joinPathSql = buildJoinPathSql(tables, path);
+                result.innerHTML = \`
+                    <div class="sqt-join-path">
+                        \${tables.map((tableId, i) => {
+                            const step = i > 0 ? path.find(p => [p.source, p.target].includes(tableId) && [p.source, p.target].includes(tables[i - 1])) : null;
+                            return \`
+                                \${step ? \`<span class="sqt-join-path-edge"><i class="bi bi-arrow-right"></i> \${escapeHtml(step.join.label)}\${step.join.cardinality ? \` <small>(\${escapeHtml(step.join.cardinality)})</small>\` : ''}</span>\` : ''}
+                                <span class="sqt-join-path-table">\${escapeHtml(tableId)}</span>
+                            \`;
+                        }).join('')}
+                    </div>
+                    <pre class="sqt-statement-sql mt-3 mb-0">\${escapeHtml(state.joinPathSql)}</pre>
+                \`;
+            }
+
+            // FROM and JOIN clauses for tables joined in order; each step joins two neighbours in either direction
+            function buildJoinPathSql(tables, steps) {
+                const usedAliases = new Set();
+                const aliases = tables.map(tableId => suggestAlias(tableId, usedAliases));
+                const aliasOf = tableId => aliases[tables.indexOf(tableId)];
+
+                return tables.map((tableId, i) => {
+                    if (i === 0) {
+                        return \`FROM \${tableId} \${aliases[0]}\`;
+                    }
+
+                    const step = steps.find(p => [p.source, p.target].includes(tableId) && [p.source, p.target].includes(tables[i - 1]));
+                    return \`INNER JOIN \${tableId} \${aliases[i]} ON \${getJoinCondition(step.join, aliasOf(step.source), aliasOf(step.target))}\`;
+                }).join('\\n');
+            }
+
+            function insertJoinPath() {
+                if (!state.joinPathSql) {
+                    return;
+                }
+
+                state.editor.replaceSelection(state.joinPathSql);
+                state.editor.focus();
+                bootstrap.Modal.getInstance(document.getElementById('joinPathModal')).hide();
+                showToast('success', 'Joins Inserted', 'The FROM and JOIN clauses were inserted at the cursor.');
+            }
+
+            // =================================================================
+            // QUERY BUILDER
+            // =================================================================
+
+            // The builder holds a base table and its joins (tables[0] is the base), the
+            // selected columns, filters and sort. Every table has an alias; columns are
+            // referred to as alias.column.
+            const BUILDER_AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+            const BUILDER_OPERATORS = ['=', '<>', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'IN', 'IS NULL', 'IS NOT NULL'];
+            const BUILDER_JOIN_TYPES = ['INNER', 'LEFT'];
+
+            let builderDragIndex = null;
+
+            // Columns and joins of the builder tables, by lowercase table ID, as resolved by getSchemaTable
+            const builderTableDetails = {};
+
+            function newQueryBuilder() {
+                return { tables: [], columns: [], filters: [], sort: [] };
+            }
+
+            async function showQueryBuilder() {
+                await loadSchemaCatalog();
+
+                document.getElementById('builderTables').innerHTML = getSchema().tables
+                    .map(t => \`<option value="\${escapeHtml(t.id)}">\${escapeHtml(t.label)}</option>\`)
+                    .join('');
+
+                if (!state.builder) {
+                    state.builder = newQueryBuilder();
+                }
+
+                // Tables that failed to load are tried again
+                Object.keys(builderTableDetails).forEach(key => {
+                    if (builderTableDetails[key].columns.length === 0) {
+                        delete builderTableDetails[key];
+                    }
+                });
+
+                renderQueryBuilder();
+                new bootstrap.Modal(document.getElementById('queryBuilderModal')).show();
+            }
+
+            function resetQueryBuilder() {
+                state.builder = newQueryBuilder();
+                renderQueryBuilder();
+            }
+
+            // Columns and joins of a builder table, or null while they load
+            function getBuilderTableDetail(table) {
+                return builderTableDetails[table.table.toLowerCase()] || null;
+            }
+
+            function getBuilderTableColumns(table) {
+                const detail = getBuilderTableDetail(table);
+                return detail ? detail.columns : null;
+            }
+
+            function renderQueryBuilder() {
+                document.getElementById('queryBuilderContent').innerHTML = \`
+                    <div class="sqt-builder">
+                        <div class="sqt-builder-pane">\${renderBuilderSources()}</div>
+                        <div class="sqt-builder-pane">\${renderBuilderColumns()}</div>
+                        <div class="sqt-builder-pane" id="builderQuery">\${renderBuilderQuery()}</div>
+                    </div>
+                \`;
+
+                // Columns and joins load in the background, then the builder is drawn again
+                const missing = state.builder.tables.filter(table => !getBuilderTableDetail(table));
+                if (missing.length > 0) {
+                    Promise.all(missing.map(table => getSchemaTable(table.table).then(detail => {
+                        builderTableDetails[table.table.toLowerCase()] = detail;
+                    }))).then(renderQueryBuilder);
+                }
+            }
+
+            function renderBuilderSources() {
+                const tables = state.builder.tables;
+                const joinTypeOptions = selected => BUILDER_JOIN_TYPES
+                    .map(type => \`<option value="\${type}" \${type === selected ? 'selected' : ''}>\${type} JOIN</option>\`)
+                    .join('');
+
+                let html = \`
+                    <label for="builderBase" class="sqt-builder-label">Base table</label>
+                    <input type="text" class="form-control form-control-sm" id="builderBase" list="builderTables"
+                           value="\${escapeHtml(tables[0] ? tables[0].table : '')}" placeholder="e.g. Transaction"
+                           onchange="SQT.setBuilderBase(this.value)" autocomplete="off">
+                \`;
+
+                if (tables.length === 0) {
+                    return html;
+                }
+
+                html += '<div class="sqt-builder-label">Joins</div>';
+                html += tables.length === 1 ? '<p class="text-muted small">No joins yet.</p>' : '';
+                tables.slice(1).forEach((table, i) => {
+                    html += \`
+                        <div class="sqt-builder-join">
+                            <div class="d-flex align-items-center gap-1">
+                                <select class="form-select form-select-sm w-auto" onchange="SQT.updateBuilderTable(\${i + 1}, 'joinType', this.value)">
+                                    \${joinTypeOptions(table.joinType)}
+                                </select>
+                                <strong class="text-truncate">\${escapeHtml(table.table)}</strong>
+                                <code>\${escapeHtml(table.alias)}</code>
+                                <button type="button" class="btn btn-sm btn-link text-danger ms-auto p-0" onclick="SQT.removeBuilderTable(\${i + 1})" title="Remove join">
+                                    <i class="bi bi-x-lg"></i>
+                                </button>
+                            </div>
+                            <input type="text" class="form-control form-control-sm mt-1" value="\${escapeHtml(table.condition)}"
+                                   onchange="SQT.updateBuilderTable(\${i + 1}, 'condition', this.value)" title="ON condition" aria-label="ON condition">
+                        </div>
+                    \`;
+                });
+
+                // Joins of every table in the builder whose joins are loaded
+                const groups = tables.map((table, tableIndex) => {
+                    const joins = (getBuilderTableDetail(table) || { joins: [] }).joins;
+                    return joins.length === 0 ? '' : \`
+                        <optgroup label="From \${escapeHtml(table.table)} (\${escapeHtml(table.alias)})">
+                            \${joins.map((join, joinIndex) => \`
+                                <option value="\${tableIndex}:\${joinIndex}">\${escapeHtml(join.label)} &rarr; \${escapeHtml(join.target)}\${join.cardinality ? ' (' + escapeHtml(join.cardinality) + ')' : ''}</option>
+                            \`).join('')}
+                        </optgroup>
+                    \`;
+                }).join('');
+
+                html += groups ? \`
+                    <div class="sqt-builder-label">Add join</div>
+                    <select class="form-select form-select-sm" id="builderJoinSelect" aria-label="Join">\${groups}</select>
+                    <div class="d-flex gap-1 mt-1">
+                        <select class="form-select form-select-sm" id="builderJoinType" aria-label="Join type">\${joinTypeOptions('INNER')}</select>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.addBuilderJoin()">
+                            <i class="bi bi-plus-lg"></i>
+                            <span>Add</span>
+                        </button>
+                    </div>
+                \` : '';
+
+                return html;
+            }
+
+            // The column list of each table, with the same checkboxes as the Tables Reference
+            function renderBuilderColumns() {
+                if (state.builder.tables.length === 0) {
+                    return '<p class="text-muted small">Pick a base table to list its columns.</p>';
+                }
+
+                return state.builder.tables.map(table => {
+                    const columns = getBuilderTableColumns(table);
+                    const isSelected = column => state.builder.columns.some(c =>
+                        c.alias === table.alias && c.column.toLowerCase() === column.id.toLowerCase());
+
+                    return \`
+                        <div class="sqt-builder-table">
+                            <div class="sqt-builder-label">\${escapeHtml(table.table)} <code>\${escapeHtml(table.alias)}</code></div>
+                            \${!columns ? '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading columns...</span></div>' : \`
+                                <input type="search" class="form-control form-control-sm mb-1" placeholder="Filter columns" aria-label="Filter columns"
+                                       oninput="SQT.filterBuilderColumns(this)">
+                                <table class="table table-sm mb-0">
+                                    <tbody>
+                                        \${columns.map(column => \`
+                                            <tr data-search="\${escapeHtml((column.label + ' ' + column.id).toLowerCase())}">
+                                                <td style="width: 24px;">
+                                                    <input type="checkbox" class="sqt-column-checkbox"
+                                                           data-alias="\${escapeHtml(table.alias)}" data-column="\${escapeHtml(column.id)}"
+                                                           \${isSelected(column) ? 'checked' : ''} onchange="SQT.toggleBuilderColumn(this)">
+                                                </td>
+                                                <td>\${escapeHtml(column.label)}</td>
+                                                <td><code>\${escapeHtml(column.id)}</code></td>
+                                                <td class="text-muted">\${escapeHtml(column.dataType)}</td>
+                                            </tr>
+                                        \`).join('')}
+                                    </tbody>
+                                </table>
+                            \`}
+                        </div>
+                    \`;
+                }).join('');
+            }
+
+            // Options for the filter and sort column lists; the current value is kept even if it is not loaded
+            function renderBuilderColumnOptions(selected) {
+                const options = [];
+                state.builder.tables.forEach(table => {
+                    (getBuilderTableColumns(table) || []).forEach(column => options.push(table.alias + '.' + column.id));
+                });
+                if (selected && !options.includes(selected)) {
+                    options.unshift(selected);
+                }
+
+                return options
+                    .map(option => \`<option value="\${escapeHtml(option)}" \${option === selected ? 'selected' : ''}>\${escapeHtml(option)}</option>\`)
+                    .join('');
+            }
+
+            function renderBuilderQuery() {
+                const builder = state.builder;
+                const grouped = builder.columns.some(c => c.aggregate);
+
+                return \`
+                    <div class="sqt-builder-label">Columns <small class="text-muted">(drag to reorder)</small></div>
+                    \${builder.columns.length === 0 ? '<p class="text-muted small">All columns (SELECT *).</p>' : \`
+                        <ul class="sqt-builder-list">
+                            \${builder.columns.map((c, i) => \`
+                                <li draggable="true" ondragstart="SQT.builderDragStart(event, \${i})"
+                                    ondragover="event.preventDefault()" ondrop="SQT.builderDrop(event, \${i})">
+                                    <i class="bi bi-grip-vertical text-muted"></i>
+                                    <code class="text-truncate">\${escapeHtml(c.alias + '.' + c.column)}</code>
+                                    <select class="form-select form-select-sm w-auto ms-auto" onchange="SQT.updateBuilderColumn(\${i}, this.value)" aria-label="Aggregate">
+                                        <option value="">Value</option>
+                                        \${BUILDER_AGGREGATES.map(a => \`<option value="\${a}" \${a === c.aggregate ? 'selected' : ''}>\${a}</option>\`).join('')}
+                                    </select>
+                                    <button type="button" class="btn btn-sm btn-link text-danger p-0" onclick="SQT.removeBuilderColumn(\${i})" title="Remove column">
+                                        <i class="bi bi-x-lg"></i>
+                                    </button>
+                                </li>
+                            \`).join('')}
+                        </ul>
+                    \`}
+                    \${grouped ? '<p class="text-muted small">Columns without an aggregate are grouped.</p>' : ''}
+
+                    <div class="sqt-builder-label">Filters</div>
+                    \${builder.filters.map((f, i) => \`
+                        <div class="sqt-builder-row">
+                            <select class="form-select form-select-sm" onchange="SQT.updateBuilderFilter(\${i}, 'column', this.value)" aria-label="Filter column">
+                                \${renderBuilderColumnOptions(f.column)}
+                            </select>
+                            <select class="form-select form-select-sm w-auto" onchange="SQT.updateBuilderFilter(\${i}, 'operator', this.value)" aria-label="Operator">
+                                \${BUILDER_OPERATORS.map(op => \`<option value="\${op}" \${op === f.operator ? 'selected' : ''}>\${op}</option>\`).join('')}
+                            </select>
+                            \${/NULL$/.test(f.operator) ? '' : \`
+                                <input type="text" class="form-control form-control-sm" value="\${escapeHtml(f.value)}"
+                                       placeholder="\${f.operator === 'IN' ? 'A, B, C' : 'Value or {{parameter}}'}"
+                                       oninput="SQT.updateBuilderFilter(\${i}, 'value', this.value)" aria-label="Filter value">
+                            \`}
+                            <button type="button" class="btn btn-sm btn-link text-danger p-0" onclick="SQT.removeBuilderFilter(\${i})" title="Remove filter">
+                                <i class="bi bi-x-lg"></i>
+                            </button>
+                        </div>
+                    \`).join('')}
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.addBuilderFilter()" \${builder.tables.length === 0 ? 'disabled' : ''}>
+                        <i class="bi bi-plus-lg"></i>
+                        <span>Add filter</span>
+                    </button>
+
+                    <div class="sqt-builder-label">Sort</div>
+                    \${builder.sort.map((sort, i) => \`
+                        <div class="sqt-builder-row">
+                            <select class="form-select form-select-sm" onchange="SQT.updateBuilderSort(\${i}, 'column', this.value)" aria-label="Sort column">
+                                \${renderBuilderColumnOptions(sort.column)}
+                            </select>
+                            <select class="form-select form-select-sm w-auto" onchange="SQT.updateBuilderSort(\${i}, 'direction', this.value)" aria-label="Sort direction">
+                                <option value="ASC" \${sort.direction === 'ASC' ? 'selected' : ''}>ASC</option>
+                                <option value="DESC" \${sort.direction === 'DESC' ? 'selected' : ''}>DESC</option>
+                            </select>
+                            <button type="button" class="btn btn-sm btn-link text-danger p-0" onclick="SQT.removeBuilderSort(\${i})" title="Remove sort">
+                                <i class="bi bi-x-lg"></i>
                             </button>
                         </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+                    \`).join('')}
+                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.addBuilderSort()" \${builder.tables.length === 0 ? 'disabled' : ''}>
+                        <i class="bi bi-plus-lg"></i>
+                        <span>Add sort</span>
+                    </button>
+
+                    <div class="sqt-builder-label">SuiteQL</div>
+                    <pre class="sqt-statement-sql" id="builderPreview">\${escapeHtml(getBuilderSql())}</pre>
+                \`;
+            }
+
+            function refreshBuilderQuery() {
+                document.getElementById('builderQuery').innerHTML = renderBuilderQuery();
+            }
+
+            function updateBuilderPreview() {
+                document.getElementById('builderPreview').textContent = getBuilderSql();
+            }
+
+            function setBuilderBase(value) {
+                const tableId = getSchema().index.get(value.trim().toLowerCase());
+                if (!tableId) {
+                    showToast('warning', 'Unknown Table', 'Pick the base table from the list.');
+                    return;
+                }
+
+                state.builder = newQueryBuilder();
+                state.builder.tables.push({ table: tableId, alias: suggestAlias(tableId, new Set()) });
+                renderQueryBuilder();
+            }
+
+            function addBuilderJoin() {
+                const [tableIndex, joinIndex] = document.getElementById('builderJoinSelect').value.split(':').map(Number);
+                const source = state.builder.tables[tableIndex];
+                const join = getBuilderTableDetail(source).joins[joinIndex];
+                const target = getSchema().index.get(join.target.toLowerCase()) || join.target;
+                const alias = suggestAlias(target, new Set(state.builder.tables.map(t => t.alias)));
+
+                state.builder.tables.push({
+                    table: target,
+                    alias,
+                    source: source.alias,
+                    joinType: document.getElementById('builderJoinType').value,
+                    condition: getJoinCondition(join, source.alias, alias)
+                });
+                renderQueryBuilder();
+            }
+
+            function updateBuilderTable(index, field, value) {
+                state.builder.tables[index][field] = value;
+                updateBuilderPreview();
+            }
+
+            // Removes a join, the joins made through it and everything that uses their columns
+            function removeBuilderTable(index) {
+                const builder = state.builder;
+                const removed = new Set([builder.tables[index].alias]);
+
+                builder.tables.forEach(table => {
+                    if (table.source && removed.has(table.source)) {
+                        removed.add(table.alias);
+                    }
+                });
+
+                const usesRemoved = column => removed.has(column.split('.')[0]);
+                builder.tables = builder.tables.filter(table => !removed.has(table.alias));
+                builder.columns = builder.columns.filter(c => !removed.has(c.alias));
+                builder.filters = builder.filters.filter(f => !usesRemoved(f.column));
+                builder.sort = builder.sort.filter(sort => !usesRemoved(sort.column));
+                renderQueryBuilder();
+            }
+
+            function filterBuilderColumns(input) {
+                const search = input.value.trim().toLowerCase();
+                input.closest('.sqt-builder-table').querySelectorAll('tr[data-search]').forEach(row => {
+                    row.style.display = row.dataset.search.includes(search) ? '' : 'none';
+                });
+            }
+
+            function toggleBuilderColumn(checkbox) {
+                const { alias, column } = checkbox.dataset;
+                const columns = state.builder.columns;
+
+                if (checkbox.checked) {
+                    columns.push({ alias, column, aggregate: '' });
+                } else {
+                    state.builder.columns = columns.filter(c => !(c.alias === alias && c.column.toLowerCase() === column.toLowerCase()));
+                }
+                refreshBuilderQuery();
+            }
+
+            function updateBuilderColumn(index, aggregate) {
+                state.builder.columns[index].aggregate = aggregate;
+                refreshBuilderQuery();
+            }
+
+            function removeBuilderColumn(index) {
+                const [removed] = state.builder.columns.splice(index, 1);
+                document.querySelectorAll('#queryBuilderContent .sqt-column-checkbox').forEach(checkbox => {
+                    if (checkbox.dataset.alias === removed.alias && checkbox.dataset.column.toLowerCase() === removed.column.toLowerCase()) {
+                        checkbox.checked = false;
+                    }
+                });
+                refreshBuilderQuery();
+            }
+
+            function builderDragStart(event, index) {
+                builderDragIndex = index;
+                event.dataTransfer.effectAllowed = 'move';
+            }
+
+            function builderDrop(event, index) {
+                event.preventDefault();
+                if (builderDragIndex === null || builderDragIndex === index) {
+                    return;
+                }
+
+                const columns = state.builder.columns;
+                columns.splice(index, 0, columns.splice(builderDragIndex, 1)[0]);
+                builderDragIndex = null;
+                refreshBuilderQuery();
+            }
+
+            function getDefaultBuilderColumn() {
+                const base = state.builder.tables[0];
+                const columns = getBuilderTableColumns(base) || [];
+                return base.alias + '.' + (columns[0] ? columns[0].id : 'id');
+            }
+
+            function addBuilderFilter() {
+                state.builder.filters.push({ column: getDefaultBuilderColumn(), operator: '=', value: '' });
+                refreshBuilderQuery();
+            }
+
+            function updateBuilderFilter(index, field, value) {
+                state.builder.filters[index][field] = value;
+                if (field === 'operator') {
+                    refreshBuilderQuery();
+                } else {
+                    updateBuilderPreview();
+                }
+            }
+
+            function removeBuilderFilter(index) {
+                state.builder.filters.splice(index, 1);
+                refreshBuilderQuery();
+            }
+
+            function addBuilderSort() {
+                state.builder.sort.push({ column: getDefaultBuilderColumn(), direction: 'ASC' });
+                refreshBuilderQuery();
+            }
+
+            function updateBuilderSort(index, field, value) {
+                state.builder.sort[index][field] = value;
+                updateBuilderPreview();
+            }
+
+            function removeBuilderSort(index) {
+                state.builder.sort.splice(index, 1);
+                refreshBuilderQuery();
+            }
+
+            // Numbers and {{parameters}} are used as they are, anything else becomes a string literal
+            function builderLiteral(value) {
+                return /^-?\\d+(\\.\\d+)?$/.test(value) || /^\\{\\{[^}]+\\}\\}$/.test(value)
+                    ? value
+                    : "'" + value.replace(/'/g, "''") + "'";
+            }
+
+            function buildBuilderCondition(filter) {
+                if (/NULL$/.test(filter.operator)) {
+                    return \`\${filter.column} \${filter.operator}\`;
+                }
+
+                if (filter.operator === 'IN') {
+                    const value = filter.value.trim();
+                    const values = /^\\{\\{[^}]+\\}\\}$/.test(value) ? [value] : value.split(',').map(v => v.trim()).filter(Boolean);
+                    return \`\${filter.column} IN (\${values.map(builderLiteral).join(', ')})\`;
+                }
+
+                return \`\${filter.column} \${filter.operator} \${builderLiteral(filter.value.trim())}\`;
+            }
+
+            function buildBuilderSql(builder) {
+                const [base, ...joins] = builder.tables;
+                if (!base) {
+                    return '';
+                }
+
+                const reference = c => c.alias + '.' + c.column;
+                const select = builder.columns.length === 0 ? '*' : builder.columns.map(c => c.aggregate
+                    ? \`\${c.aggregate}(\${reference(c)}) AS \${c.aggregate.toLowerCase()}_\${c.column}\`
+                    : reference(c)).join(', ');
+
+                let sql = \`SELECT \${select} FROM \${base.table} \${base.alias}\`;
+                joins.forEach(table => {
+                    sql += \` \${table.joinType} JOIN \${table.table} \${table.alias} ON \${table.condition}\`;
+                });
+
+                if (builder.filters.length > 0) {
+                    sql += ' WHERE ' + builder.filters.map(buildBuilderCondition).join(' AND ');
+                }
+
+                const groupBy = builder.columns.filter(c => !c.aggregate);
+                if (builder.columns.some(c => c.aggregate) && groupBy.length > 0) {
+                    sql += ' GROUP BY ' + groupBy.map(reference).join(', ');
+                }
+
+                if (builder.sort.length > 0) {
+                    sql += ' ORDER BY ' + builder.sort.map(sort => \`\${sort.column} \${sort.direction}\`).join(', ');
+                }
+
+                return sql;
+            }
+
+            function getBuilderSql() {
+                const sql = buildBuilderSql(state.builder);
+                return sql ? formatSQL(sql) : '';
+            }
+
+            function insertBuilderQuery() {
+                const sql = getBuilderSql();
+                if (!sql) {
+                    showToast('warning', 'No Table', 'Pick a base table first.');
+                    return;
+                }
+
+                state.editor.setValue(sql);
+                state.currentFile = null;
+                bootstrap.Modal.getInstance(document.getElementById('queryBuilderModal')).hide();
+                showToast('success', 'Query Inserted', 'The query from the builder has been added to the editor.');
+            }
+
+            function unquoteLiteral(value) {
+                const match = /^'(.*)'$/.exec(value.trim());
+                return match ? match[1].replace(/''/g, "'") : value.trim();
+            }
+
+            // Reads a simple query back into a builder: SELECT of columns and aggregates, FROM
+            // with INNER or LEFT joins, WHERE conditions joined by AND, GROUP BY and ORDER BY.
+            // Returns null for anything else.
+            function parseBuilderQuery(sql) {
+                const q = sql
+                    .replace(/--[^\\n]*/g, ' ')
+                    .replace(/\\/\\*[\\s\\S]*?\\*\\//g, ' ')
+                    .replace(/\\s+/g, ' ')
+                    .trim()
+                    .replace(/\\s*;$/, '');
+
+                const match = /^SELECT (.+?) FROM (.+?)(?: WHERE (.+?))?(?: GROUP BY (.+?))?(?: ORDER BY (.+?))?$/i.exec(q);
+                if (!match || /\\b(SELECT|UNION|MINUS|INTERSECT|HAVING|DISTINCT|OVER|CASE| OR )\\b/i.test(q.substring(7))) {
+                    return null;
+                }
+
+                const builder = newQueryBuilder();
+                const usedAliases = new Set();
+                const references = new Map();
+                const index = getSchema().index;
+
+                // FROM and JOIN clauses
+                const sources = match[2].split(/ (?:(INNER|LEFT(?: OUTER)?|RIGHT(?: OUTER)?|FULL(?: OUTER)?|CROSS) )?JOIN /i);
+                for (let i = 0; i < sources.length; i += 2) {
+                    const joinType = i === 0 ? null : (sources[i - 1] || 'INNER').split(' ')[0].toUpperCase();
+                    const source = /^([\\w$]+)(?: (?:AS )?([\\w$]+))?(?: ON (.+))?$/i.exec(sources[i].trim());
+
+                    if (!source || (i === 0) !== !source[3] || (joinType && !BUILDER_JOIN_TYPES.includes(joinType))) {
+                        return null;
+                    }
+
+                    const table = index.get(source[1].toLowerCase()) || source[1];
+                    const alias = source[2] && !NOT_AN_ALIAS.has(source[2].toLowerCase())
+                        ? source[2].toLowerCase()
+                        : suggestAlias(table, usedAliases);
+
+                    usedAliases.add(alias);
+                    references.set(alias, alias);
+                    references.set(source[1].toLowerCase(), alias);
+
+                    const entry = { table, alias };
+                    if (joinType) {
+                        // The join comes from the first other table its condition refers to
+                        const referenced = (source[3].match(/[\\w$]+(?=\\.)/g) || [])
+                            .map(name => references.get(name.toLowerCase()))
+                            .filter(name => name && name !== alias);
+
+                        Object.assign(entry, { joinType, condition: source[3], source: referenced[0] || builder.tables[0].alias });
+                    }
+                    builder.tables.push(entry);
+                }
+
+                const resolve = (qualifier, column) => {
+                    const alias = qualifier ? references.get(qualifier.toLowerCase()) : builder.tables[0].alias;
+                    return alias ? { alias, column: column.toLowerCase() } : null;
+                };
+
+                // Selected columns; their own aliases are not kept
+                if (match[1].trim() !== '*') {
+                    for (const item of match[1].split(',').map(part => part.trim())) {
+                        const aggregate = /^(COUNT|SUM|AVG|MIN|MAX) ?\\( ?(?:([\\w$]+)\\.)?([\\w$]+) ?\\)(?: (?:AS )?[\\w$]+)?$/i.exec(item);
+                        const plain = /^(?:([\\w$]+)\\.)?([\\w$]+)(?: (?:AS )?[\\w$]+)?$/i.exec(item);
+                        const column = aggregate ? resolve(aggregate[2], aggregate[3]) : plain ? resolve(plain[1], plain[2]) : null;
+
+                        if (!column) {
+                            return null;
+                        }
+                        builder.columns.push(Object.assign(column, { aggregate: aggregate ? aggregate[1].toUpperCase() : '' }));
+                    }
+                }
+
+                // Filters
+                for (const condition of match[3] ? match[3].split(/ AND /i) : []) {
+                    const filter = /^(?:([\\w$]+)\\.)?([\\w$]+) ?(IS NOT NULL|IS NULL|<>|!=|>=|<=|=|>|<|NOT LIKE\\b|LIKE\\b|IN\\b) ?(.*)$/i.exec(condition.trim());
+                    const column = filter ? resolve(filter[1], filter[2]) : null;
+
+                    if (!column) {
+                        return null;
+                    }
+
+                    const operator = filter[3].toUpperCase() === '!=' ? '<>' : filter[3].toUpperCase();
+                    const value = operator === 'IN'
+                        ? filter[4].replace(/^\\(|\\)$/g, '').split(',').map(unquoteLiteral).join(', ')
+                        : unquoteLiteral(filter[4]);
+
+                    builder.filters.push({ column: column.alias + '.' + column.column, operator, value: /NULL$/.test(operator) ? '' : value });
+                }
+
+                // Sort; GROUP BY follows from the aggregates
+                for (const item of match[5] ? match[5].split(',') : []) {
+                    const sort = /^(?:([\\w$]+)\\.)?([\\w$]+)(?: (ASC|DESC))?$/i.exec(item.trim());
+                    const column = sort ? resolve(sort[1], sort[2]) : null;
+
+                    if (!column) {
+                        return null;
+                    }
+                    builder.sort.push({ column: column.alias + '.' + column.column, direction: (sort[3] || 'ASC').toUpperCase() });
+                }
+
+                return builder;
+            }
+
+            function loadBuilderFromEditor() {
+                const builder = parseBuilderQuery(getQueryToRun());
+                if (!builder) {
+                    showToast('warning', 'Query Too Complex', 'The builder can only open simple queries: columns, joins, AND filters, grouping and sort.');
+                    return;
+                }
+
+                state.builder = builder;
+                renderQueryBuilder();
+                showToast('info', 'Query Loaded', 'The query in the editor was opened in the builder.');
+            }
+
+            // =================================================================
+            // EXECUTION TIME TRACKING
+            // =================================================================
+
+            function loadExecutionTimes() {
+                try {
+                    const saved = localStorage.getItem(CONFIG.TIMES_KEY);
+                    if (saved) {
+                        state.executionTimes = JSON.parse(saved);
+                    }
+                } catch (e) {
+                    console.error('Failed to load execution times:', e);
+                }
+            }
+
+            function saveExecutionTime(query, elapsedTime, rowCount) {
+                const entry = {
+                    query: query.substring(0, 100),
+                    elapsedTime,
+                    rowCount,
+                    timestamp: new Date().toISOString()
+                };
+
+                state.executionTimes.unshift(entry);
+
+                // Limit stored entries
+                if (state.executionTimes.length > CONFIG.MAX_EXECUTION_TIMES) {
+                    state.executionTimes = state.executionTimes.slice(0, CONFIG.MAX_EXECUTION_TIMES);
+                }
+
+                try {
+                    localStorage.setItem(CONFIG.TIMES_KEY, JSON.stringify(state.executionTimes));
+                } catch (e) {
+                    console.error('Failed to save execution times:', e);
+                }
+            }
+
+            // =================================================================
+            // QUERY SHARING
+            // =================================================================
+
+            function checkUrlParams() {
+                const params = new URLSearchParams(window.location.search);
+                const query = params.get('query');
+                if (query && state.editor) {
+                    try {
+                        state.editor.setValue(query);
+                        state.currentFile = null;
+
+                        // Shared parameter values become the last used values (and a preset) of the query
+                        const sharedValues = params.get('params');
+                        let presetName = params.get('preset');
+                        if (sharedValues) {
+                            const values = JSON.parse(sharedValues);
+                            const scope = getParameterScope(query);
+                            const presets = getParameterSet(scope).presets;
+
+                            // A preset of the same name with other values is only replaced when confirmed
+                            if (presetName && presets[presetName]
+                                && JSON.stringify(presets[presetName]) !== JSON.stringify(values)
+                                && !confirm(\`You already have a preset "\${presetName}" with other values. Replace it with the shared values?\n\nCancel saves them as a new preset.\`)) {
+                                presetName = getFreePresetName(presets, presetName);
+                            }
+
+                            saveParameterSet(scope, presetName
+                                ? { values, presets: Object.assign(presets, { [presetName]: values }) }
+                                : { values });
+                        }
+
+                        showToast('info', 'Query Loaded', !sharedValues
+                            ? 'Shared query has been loaded.'
+                            : presetName
+                                ? \`Shared query has been loaded with its parameter values, saved as preset "\${presetName}".\`
+                                : 'Shared query has been loaded with its parameter values.');
+                    } catch (e) {
+                        console.error('Failed to load shared query:', e);
+                    }
+                }
+            }
+
+            // Returns "name (2)", "name (3)", ... : the first that is not a preset yet
+            function getFreePresetName(presets, name) {
+                let number = 2;
+                while (presets[\`\${name} (\${number})\`]) {
+                    number++;
+                }
+                return \`\${name} (\${number})\`;
+            }
+
+            function buildShareUrl(query, paramValues, presetName) {
+                // Start from the current page without an earlier shared query
+                const url = new URL(window.location.href);
+                ['query', 'params', 'preset'].forEach(key => url.searchParams.delete(key));
+
+                url.searchParams.set('query', query);
+                if (paramValues) {
+                    url.searchParams.set('params', JSON.stringify(paramValues));
+                }
+                if (presetName) {
+                    url.searchParams.set('preset', presetName);
+                }
+
+                return url.toString();
+            }
+
+            function showShareModal() {
+                const query = state.editor.getValue();
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to share.');
+                    return;
+                }
+
+                // Queries with parameters can carry the last used values or a preset
+                const option = document.getElementById('shareParamsOption');
+                const select = document.getElementById('shareParamsSelect');
+                const hasParameters = extractParameters(query).length > 0;
+                const set = getParameterSet(getParameterScope(query));
+
+                option.style.display = hasParameters ? '' : 'none';
+                select.innerHTML = \`
+                    <option value="">No values</option>
+                    <option value="last">Last used values</option>
+                    \${Object.keys(set.presets).sort().map(name => \`
+                        <option value="preset:\${escapeHtml(name)}">Preset: \${escapeHtml(name)}</option>
+                    \`).join('')}
+                \`;
+
+                updateShareUrl();
+                new bootstrap.Modal(document.getElementById('shareModal')).show();
+            }
+
+            function updateShareUrl() {
+                const query = state.editor.getValue();
+                const choice = document.getElementById('shareParamsSelect').value;
+                const set = getParameterSet(getParameterScope(query));
+
+                let url;
+                if (choice === 'last') {
+                    url = buildShareUrl(query, set.values);
+                } else if (choice.startsWith('preset:')) {
+                    const presetName = choice.substring('preset:'.length);
+                    url = buildShareUrl(query, set.presets[presetName], presetName);
+                } else {
+                    url = buildShareUrl(query);
+                }
+
+                document.getElementById('shareUrl').textContent = url;
+            }
+
+            function copyShareUrl() {
+                const url = document.getElementById('shareUrl').textContent;
+                navigator.clipboard.writeText(url).then(() => {
+                    bootstrap.Modal.getInstance(document.getElementById('shareModal')).hide();
+                    showToast('success', 'URL Copied', 'Share URL copied to clipboard.');
+                }).catch(err => {
+                    showToast('error', 'Copy Failed', 'Failed to copy URL to clipboard.');
+                });
+            }
+
+            // =================================================================
+            // ROW DETAILS
+            // =================================================================
+
+            function showRowDetails(index) {
+                if (!state.results || !state.results.records || !state.results.records[index]) {
+                    return;
+                }
+
+                state.selectedRowIndex = index;
+                renderRowDetails();
+                new bootstrap.Modal(document.getElementById('rowDetailsModal')).show();
+            }
+
+            function renderRowDetails() {
+                const record = state.results.records[state.selectedRowIndex];
+                if (!record) return;
+
+                const columns = Object.keys(record).filter(c => c !== 'rownumber');
+                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+
+                let html = '<table class="table table-sm">';
+                columns.forEach(col => {
+                    const value = record[col];
+                    let displayValue;
+                    if (value === null || value === undefined) {
+                        displayValue = nullDisplay === 'blank' ? '' : '<span class="sqt-null-value">null</span>';
+                    } else {
+                        displayValue = escapeHtml(String(value));
+                    }
+                    html += \`
+                        <tr>
+                            <th style="width: 30%; font-weight: 600;">\${escapeHtml(col)}</th>
+                            <td style="word-break: break-all;">\${displayValue}</td>
+                        </tr>
+                    \`;
+                });
+                html += '</table>';
+
+                document.getElementById('rowDetailsContent').innerHTML = html;
+                document.getElementById('rowDetailsIndex').textContent =
+                    \`Row \${state.selectedRowIndex + 1} of \${state.results.records.length}\`;
+            }
+
+            function prevRow() {
+                if (state.selectedRowIndex > 0) {
+                    state.selectedRowIndex--;
+                    renderRowDetails();
+                }
+            }
+
+            function nextRow() {
+                if (state.results && state.selectedRowIndex < state.results.records.length - 1) {
+                    state.selectedRowIndex++;
+                    renderRowDetails();
+                }
+            }
+
+            // =================================================================
+            // COLUMN STATISTICS
+            // =================================================================
+
+            function calculateColumnStats(records) {
+                if (!records || records.length === 0) return null;
+
+                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
+                const stats = {};
+
+                columns.forEach(col => {
+                    const values = records.map(r => r[col]).filter(v => v !== null && v !== undefined);
+                    const numericValues = values.filter(v => !isNaN(parseFloat(v)) && isFinite(v)).map(v => parseFloat(v));
+
+                    stats[col] = {
+                        count: values.length,
+                        nullCount: records.length - values.length,
+                        isNumeric: numericValues.length > 0 && numericValues.length === values.length
+                    };
+
+                    if (stats[col].isNumeric && numericValues.length > 0) {
+                        stats[col].sum = numericValues.reduce((a, b) => a + b, 0);
+                        stats[col].min = Math.min(...numericValues);
+                        stats[col].max = Math.max(...numericValues);
+                        stats[col].avg = stats[col].sum / numericValues.length;
+                    }
+                });
+
+                return stats;
+            }
+
+            function formatStatValue(value, decimals = 2) {
+                if (value === undefined || value === null) return '-';
+                if (Math.abs(value) >= 1000000) {
+                    return (value / 1000000).toFixed(1) + 'M';
+                } else if (Math.abs(value) >= 1000) {
+                    return (value / 1000).toFixed(1) + 'K';
+                } else if (Number.isInteger(value)) {
+                    return value.toLocaleString();
+                } else {
+                    return value.toFixed(decimals);
+                }
+            }
+
+            // =================================================================
+            // FILE IMPORT (DRAG & DROP)
+            // =================================================================
+
+            function initDragDrop() {
+                const editorPanel = document.querySelector('.sqt-editor-panel');
+                const overlay = document.getElementById('dropOverlay');
+
+                ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+                    editorPanel.addEventListener(eventName, preventDefaults);
+                    document.body.addEventListener(eventName, preventDefaults);
+                });
+
+                function preventDefaults(e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+
+                ['dragenter', 'dragover'].forEach(eventName => {
+                    editorPanel.addEventListener(eventName, () => {
+                        overlay.classList.add('active');
+                    });
+                });
+
+                ['dragleave', 'drop'].forEach(eventName => {
+                    editorPanel.addEventListener(eventName, () => {
+                        overlay.classList.remove('active');
+                    });
+                });
+
+                editorPanel.addEventListener('drop', handleDrop);
+            }
+
+            function handleDrop(e) {
+                const files = e.dataTransfer.files;
+                if (files.length > 0) {
+                    readSqlFile(files[0]);
+                }
+            }
+
+            function importSqlFile() {
+                document.getElementById('sqlFileInput').click();
+            }
+
+            function handleFileSelect(e) {
+                const file = e.target.files[0];
+                if (file) {
+                    readSqlFile(file);
+                }
+                // Reset input so same file can be selected again
+                e.target.value = '';
+            }
+
+            function readSqlFile(file) {
+                const validExtensions = ['.sql', '.txt'];
+                const extension = '.' + file.name.split('.').pop().toLowerCase();
+
+                if (!validExtensions.includes(extension)) {
+                    showToast('warning', 'Invalid File', 'Please select a .sql or .txt file.');
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    const content = e.target.result;
+                    state.editor.setValue(content);
+                    state.currentFile = null;
+                    showToast('success', 'File Imported', \`Loaded: \${file.name}\`);
+                };
+                reader.onerror = () => {
+                    showToast('error', 'Read Error', 'Failed to read the file.');
+                };
+                reader.readAsText(file);
+            }
 
-        <!-- Row Details Modal -->
-        <div class="modal fade" id="rowDetailsModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Row Details</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body sqt-row-details" id="rowDetailsContent">
-                    </div>
-                    <div class="modal-footer">
-                        <button type="button" class="btn btn-secondary" onclick="SQT.prevRow()">
-                            <i class="bi bi-chevron-left"></i> Previous
-                        </button>
-                        <span class="mx-2" id="rowDetailsIndex">Row 1 of 1</span>
-                        <button type="button" class="btn btn-secondary" onclick="SQT.nextRow()">
-                            Next <i class="bi bi-chevron-right"></i>
-                        </button>
-                    </div>
-                </div>
-            </div>
-        </div>
+            function downloadQuery() {
+                const query = state.editor.getValue();
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to download.');
+                    return;
+                }
 
-        <!-- Share Query Modal -->
-        <div class="modal fade" id="shareModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title">Share Query</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <p class="text-muted small">Copy this URL to share your query. Anyone with access to this tool can open it.</p>
-                        <div class="sqt-share-url" id="shareUrl"></div>
-                        <button type="button" class="btn btn-primary mt-3 w-100" onclick="SQT.copyShareUrl()">
-                            <i class="bi bi-clipboard me-2"></i>Copy URL
-                        </button>
-                    </div>
-                </div>
-            </div>
-        </div>
+                // Generate filename with timestamp
+                const timestamp = new Date().toISOString().slice(0, 10);
+                const filename = \`query-\${timestamp}.sql\`;
+
+                // Create and download the file
+                const blob = new Blob([query], { type: 'text/plain' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+                showToast('success', 'Query Downloaded', \`Saved as \${filename}\`);
+            }
+
+            // =================================================================
+            // COLUMN REORDERING
+            // =================================================================
+
+            let draggedColumn = null;
+            let columnOrder = [];
+
+            function initColumnDrag() {
+                // This is called after rendering results
+                const headers = document.querySelectorAll('.sqt-results-table th.sqt-draggable');
+
+                headers.forEach(header => {
+                    header.setAttribute('draggable', 'true');
+
+                    header.addEventListener('dragstart', (e) => {
+                        draggedColumn = header;
+                        header.classList.add('sqt-dragging');
+                        e.dataTransfer.effectAllowed = 'move';
+                    });
+
+                    header.addEventListener('dragend', () => {
+                        header.classList.remove('sqt-dragging');
+                        document.querySelectorAll('.sqt-drag-over').forEach(el => {
+                            el.classList.remove('sqt-drag-over');
+                        });
+                        draggedColumn = null;
+                    });
+
+                    header.addEventListener('dragover', (e) => {
+                        e.preventDefault();
+                        if (draggedColumn && draggedColumn !== header) {
+                            header.classList.add('sqt-drag-over');
+                        }
+                    });
+
+                    header.addEventListener('dragleave', () => {
+                        header.classList.remove('sqt-drag-over');
+                    });
+
+                    header.addEventListener('drop', (e) => {
+                        e.preventDefault();
+                        header.classList.remove('sqt-drag-over');
+
+                        if (draggedColumn && draggedColumn !== header) {
+                            reorderColumns(draggedColumn.dataset.column, header.dataset.column);
+                        }
+                    });
+                });
+            }
+
+            function reorderColumns(fromCol, toCol) {
+                if (!state.results || !state.results.records) return;
+
+                const columns = Object.keys(state.results.records[0]).filter(c => c !== 'rownumber');
+                const fromIndex = columns.indexOf(fromCol);
+                const toIndex = columns.indexOf(toCol);
+
+                if (fromIndex === -1 || toIndex === -1) return;
+
+                // Reorder the column array
+                columns.splice(fromIndex, 1);
+                columns.splice(toIndex, 0, fromCol);
+
+                // Store new order
+                columnOrder = columns;
+
+                // Re-render with new order
+                renderResults(state.results);
+                showToast('info', 'Columns Reordered', \`Moved "\${fromCol}" column.\`);
+            }
+
+            function getOrderedColumns(records) {
+                if (!records || records.length === 0) return [];
+                const allColumns = Object.keys(records[0]).filter(c => c !== 'rownumber');
+
+                if (columnOrder.length === 0) return allColumns;
+
+                // Return columns in stored order, adding any new columns at the end
+                const ordered = [];
+                columnOrder.forEach(col => {
+                    if (allColumns.includes(col)) ordered.push(col);
+                });
+                allColumns.forEach(col => {
+                    if (!ordered.includes(col)) ordered.push(col);
+                });
+                return ordered;
+            }
+
+            // =================================================================
+            // QUERY PARAMETERS
+            // =================================================================
+
+            // Parameter values are kept per query: per library file when one is loaded,
+            // otherwise per query text. Each scope has the last used values and named presets.
+            const PARAM_SETS_STORAGE_KEY = 'sqt_param_sets';
+            const MAX_PARAM_SCOPES = 200;
+
+            function getParameterScope(query) {
+                if (state.currentFile && state.currentFile.id) {
+                    return 'file:' + state.currentFile.id;
+                }
+
+                // FNV-1a hash of the query with normalized whitespace
+                const normalized = query.replace(/\\s+/g, ' ').trim();
+                let hash = 0x811c9dc5;
+                for (let i = 0; i < normalized.length; i++) {
+                    hash ^= normalized.charCodeAt(i);
+                    hash = Math.imul(hash, 0x01000193);
+                }
+                return 'query:' + (hash >>> 0).toString(16);
+            }
+
+            function getParameterSets() {
+                try {
+                    const stored = localStorage.getItem(PARAM_SETS_STORAGE_KEY);
+                    return stored ? JSON.parse(stored) : {};
+                } catch (e) {
+                    return {};
+                }
+            }
+
+            function getParameterSet(scope) {
+                return Object.assign({ values: {}, presets: {} }, getParameterSets()[scope]);
+            }
+
+            function saveParameterSet(scope, changes) {
+                try {
+                    const sets = getParameterSets();
+                    sets[scope] = Object.assign(getParameterSet(scope), changes, { updated: Date.now() });
+
+                    // Forget the scopes used longest ago
+                    Object.keys(sets)
+                        .sort((a, b) => (sets[b].updated || 0) - (sets[a].updated || 0))
+                        .slice(MAX_PARAM_SCOPES)
+                        .forEach(key => delete sets[key]);
+
+                    localStorage.setItem(PARAM_SETS_STORAGE_KEY, JSON.stringify(sets));
+                } catch (e) {
+                    console.error('Failed to save parameter values:', e);
+                }
+            }
+
+            // Parameter types: {{name}} is text, {{name:type}} declares a type.
+            // Every type binds as ? (list: one ? per selected value); dates bind as 'YYYY-MM-DD'.
+            const PARAMETER_TYPES = {
+                text: { label: 'text', expression: '?' },
+                int: { label: 'integer', expression: '?' },
+                number: { label: 'number', expression: '?' },
+                date: { label: 'date', expression: "TO_DATE(?, 'YYYY-MM-DD')" },
+                bool: { label: 'yes/no', expression: '?' },
+                list: { label: 'list', expression: '?' }
+            };
+
+            // Parses the text between {{ and }}: name, name:type or name:list(source)
+            function parseParameter(text) {
+                const match = text.trim().match(/^([^:]+?)\\s*(?::\\s*(\\w+)\\s*(?:\\(([\\s\\S]*)\\))?)?$/);
+                if (!match) {
+                    return { name: text.trim(), type: 'text', source: null, error: 'Invalid parameter: {{' + text + '}}' };
+                }
+
+                const type = (match[2] || 'text').toLowerCase();
+                return {
+                    name: match[1],
+                    type,
+                    source: match[3] ? match[3].trim() : null,
+                    error: PARAMETER_TYPES[type] ? null : 'Unknown type "' + match[2] + '" for parameter ' + match[1]
+                };
+            }
+
+            // Splits a query into SQL text, comments, string literals and {{parameters}}, from the tokens
+            // of SuiteQLParser. Parameters in comments are ignored; parameters in quoted string literals
+            // become parts of the literal.
+            function scanQuery(query) {
+                const tokens = [];
+
+                SuiteQLParser.tokenize(query).forEach(token => {
+                    const last = tokens[tokens.length - 1];
+
+                    if (token.type === 'comment') {
+                        tokens.push({ type: 'comment', text: token.text });
+                    } else if (token.type === 'parameter') {
+                        tokens.push({ type: 'parameter', parameter: parseParameter(token.text.slice(2, -2)) });
+                    } else if (token.type === 'string' && token.text.startsWith("'") && token.text.includes('{{')) {
+                        const parts = token.text.slice(1, token.unterminated ? undefined : -1).split(/\\{\\{([\\s\\S]*?)\\}\\}/).map((text, i) =>
+                            i % 2 === 1 ? { parameter: parseParameter(text) } : { text });
+                        tokens.push({ type: 'string', text: token.text, parts: parts.filter(part => part.parameter || part.text) });
+                    } else if (last && last.type === 'sql') {
+                        last.text += token.text;
+                    } else {
+                        tokens.push({ type: 'sql', text: token.text });
+                    }
+                });
+
+                return tokens;
+            }
+
+            // Returns the parameter declarations of a query, once per name
+            function extractParameters(query) {
+                const params = [];
+                const add = parameter => {
+                    if (!params.some(p => p.name === parameter.name)) {
+                        params.push(parameter);
+                    }
+                };
+
+                scanQuery(query).forEach(token => {
+                    if (token.type === 'parameter') {
+                        add(token.parameter);
+                    } else if (token.type === 'string') {
+                        token.parts.filter(part => part.parameter).forEach(part => add(part.parameter));
+                    }
+                });
+
+                return params;
+            }
+
+            function convertParameterValue(parameter, value) {
+                const text = String(value === undefined || value === null ? '' : value).trim();
+
+                if (parameter.type !== 'text' && text === '') {
+                    throw new Error('Enter a value for ' + parameter.name + '.');
+                }
+
+                switch (parameter.type) {
+                    case 'int':
+                        if (!/^-?\\d+$/.test(text)) throw new Error(parameter.name + ' must be a whole number.');
+                        return parseInt(text, 10);
+                    case 'number':
+                        if (!isFinite(Number(text))) throw new Error(parameter.name + ' must be a number.');
+                        return Number(text);
+                    case 'date':
+                        if (!/^\\d{4}-\\d{2}-\\d{2}$/.test(text)) throw new Error(parameter.name + ' must be a date.');
+                        return text;
+                    case 'bool':
+                        return text === 'T' ? 'T' : 'F';
+                    default:
+                        return String(value === undefined || value === null ? '' : value);
+                }
+            }
+
+            // Replaces the {{parameters}} with bind markers and collects their values, in order,
+            // for the params array of runSuiteQL. A parameter inside quotes is concatenated:
+            // '%{{name}}%' becomes '%' || ? || '%'.
+            function bindParameters(query, values) {
+                const params = [];
+
+                const bind = (parameter, inString) => {
+                    if (parameter.error) {
+                        throw new Error(parameter.error);
+                    }
+
+                    if (parameter.type === 'list') {
+                        if (inString) {
+                            throw new Error('List parameter ' + parameter.name + ' cannot be used inside quotes.');
+                        }
+
+                        const list = [].concat(values[parameter.name] || []);
+                        if (list.length === 0) {
+                            throw new Error('Select at least one value for ' + parameter.name + '.');
+                        }
+
+                        list.forEach(value => params.push(value));
+                        return list.map(() => '?').join(', ');
+                    }
+
+                    params.push(convertParameterValue(parameter, values[parameter.name]));
+                    return PARAMETER_TYPES[parameter.type].expression;
+                };
+
+                const sql = scanQuery(query).map(token => {
+                    switch (token.type) {
+                        case 'parameter':
+                            return bind(token.parameter, false);
+                        case 'string':
+                            return token.parts
+                                .map(part => part.parameter ? bind(part.parameter, true) : "'" + part.text + "'")
+                                .join(' || ');
+                        default:
+                            return token.text;
+                    }
+                }).join('');
+
+                return { sql, params };
+            }
+
+            function checkForParameters(remoteUrl = null) {
+                const query = getQueryToRun();
+                const params = extractParameters(query);
+
+                const invalid = params.find(param => param.error);
+                if (invalid) {
+                    showToast('error', 'Invalid Parameter', invalid.error);
+                    return true;
+                }
+
+                if (params.length > 0) {
+                    showParametersModal(params, remoteUrl);
+                    return true;
+                }
+                return false;
+            }
+
+            function renderParameterInput(param, index, storedValue) {
+                const attributes = \`id="param_\${index}" data-param="\${escapeHtml(param.name)}" \${index === 0 ? 'autofocus' : ''}\`;
+                const value = escapeHtml(Array.isArray(storedValue) ? '' : String(storedValue));
+
+                switch (param.type) {
+                    case 'int':
+                        return \`<input type="number" step="1" \${attributes} value="\${value}" placeholder="Whole number">\`;
+                    case 'number':
+                        return \`<input type="number" step="any" \${attributes} value="\${value}" placeholder="Number">\`;
+                    case 'date':
+                        return \`<input type="date" \${attributes} value="\${value}">\`;
+                    case 'bool':
+                        return \`
+                            <select \${attributes}>
+                                <option value="T" \${storedValue === 'T' ? 'selected' : ''}>Yes</option>
+                                <option value="F" \${storedValue === 'F' ? 'selected' : ''}>No</option>
+                            </select>
+                        \`;
+                    case 'list':
+                        // data-pending holds the selection until the values are loaded
+                        return \`
+                            <select multiple size="6" \${attributes} data-pending="\${escapeHtml(JSON.stringify([].concat(storedValue || [])))}">
+                                <option disabled>Loading values...</option>
+                            </select>
+                            <div class="form-text">Ctrl/Cmd + click to select several values.</div>
+                        \`;
+                    default:
+                        return \`<input type="text" \${attributes} value="\${value}" placeholder="Enter value...">\`;
+                }
+            }
+
+            function showParametersModal(params, remoteUrl = null) {
+                const query = getQueryToRun();
+                state.parameterDialog = { query, params, scope: getParameterScope(query), remoteUrl };
 
-        <!-- Keyboard Shortcuts Modal -->
-        <div class="modal fade" id="shortcutsModal" tabindex="-1">
-            <div class="modal-dialog modal-lg">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title"><i class="bi bi-keyboard me-2"></i>Keyboard Shortcuts</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <div class="sqt-shortcuts-grid">
-                            <div>
-                                <h6 class="mb-3">Query Execution</h6>
-                                <div class="sqt-shortcut-item">
-                                    <span>Run Query</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">Enter</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Format Query</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">Shift</span>
-                                        <span class="sqt-shortcut-key">F</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Save Query</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">S</span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div>
-                                <h6 class="mb-3">Editor</h6>
-                                <div class="sqt-shortcut-item">
-                                    <span>Undo</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">Z</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Redo</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">Shift</span>
-                                        <span class="sqt-shortcut-key">Z</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Autocomplete</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Ctrl</span>
-                                        <span class="sqt-shortcut-key">Space</span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div>
-                                <h6 class="mb-3">Navigation</h6>
-                                <div class="sqt-shortcut-item">
-                                    <span>Maximize Results</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Shift</span>
-                                        <span class="sqt-shortcut-key">R</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Exit Focus/Maximized</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">Esc</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Previous Row (in details)</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">←</span>
-                                    </div>
-                                </div>
-                                <div class="sqt-shortcut-item">
-                                    <span>Next Row (in details)</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">→</span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div>
-                                <h6 class="mb-3">Other</h6>
-                                <div class="sqt-shortcut-item">
-                                    <span>Show Shortcuts</span>
-                                    <div class="sqt-shortcut-keys">
-                                        <span class="sqt-shortcut-key">?</span>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="mt-3 text-muted small">
-                            <i class="bi bi-info-circle me-1"></i>
-                            On Mac, use <span class="sqt-shortcut-key">Cmd</span> instead of <span class="sqt-shortcut-key">Ctrl</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+                renderParametersForm(getParameterSet(state.parameterDialog.scope).values, '');
+                new bootstrap.Modal(document.getElementById('parametersModal')).show();
+            }
 
-        <!-- Parameters Modal -->
-        <div class="modal fade" id="parametersModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title"><i class="bi bi-input-cursor-text me-2"></i>Query Parameters</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body" id="parametersContent">
-                    </div>
-                    <div class="modal-footer">
-                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                        <button type="button" class="btn btn-primary" onclick="SQT.runWithParameters()">
-                            <i class="bi bi-play-fill me-1"></i>Run Query
-                        </button>
-                    </div>
-                </div>
-            </div>
-        </div>
+            function renderParametersForm(values, presetName) {
+                const { params, scope } = state.parameterDialog;
+                const presetNames = Object.keys(getParameterSet(scope).presets).sort();
+                const content = document.getElementById('parametersContent');
 
-        <!-- AI Assistant Modal -->
-        <div class="modal fade sqt-ai-modal" id="aiModal" tabindex="-1" data-bs-backdrop="static">
-            <div class="modal-dialog modal-lg modal-dialog-scrollable">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <div class="sqt-ai-header">
-                            <h5 class="modal-title" style="font-size: 18px; font-weight: 600;">
-                                <i class="bi bi-robot me-2"></i>AI Assistant
-                            </h5>
-                            <div class="sqt-ai-header-controls">
-                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm"
-                                        onclick="SQT.clearAIConversation()" title="Clear conversation">
-                                    <i class="bi bi-trash"></i>
-                                </button>
-                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm"
-                                        onclick="SQT.showAISettings()" title="AI Settings">
-                                    <i class="bi bi-gear"></i>
-                                </button>
-                            </div>
-                        </div>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body sqt-ai-body">
-                        <div class="sqt-ai-messages" id="aiMessages">
-                            <div class="sqt-ai-welcome">
-                                <i class="bi bi-robot"></i>
-                                <h4>How can I help you?</h4>
-                                <p>Describe the data you need from NetSuite and I'll generate a SuiteQL query for you.</p>
-                                <div class="sqt-ai-examples">
-                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('Show me all active customers with their sales rep')">
-                                        Show me all active customers with their sales rep
-                                    </button>
-                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('Find invoices from last month over $1000')">
-                                        Find invoices from last month over $1000
-                                    </button>
-                                    <button class="sqt-ai-example" onclick="SQT.useAIExample('List all employees in the Sales department')">
-                                        List all employees in the Sales department
-                                    </button>
-                                </div>
-                            </div>
-                        </div>
+                let html = \`
+                    <div class="sqt-param-presets">
+                        <select id="paramPresetSelect" onchange="SQT.applyParameterPreset(this.value)" aria-label="Parameter preset">
+                            <option value="">Last used values</option>
+                            \${presetNames.map(name => \`
+                                <option value="\${escapeHtml(name)}" \${name === presetName ? 'selected' : ''}>\${escapeHtml(name)}</option>
+                            \`).join('')}
+                        </select>
+                        <input type="text" id="paramPresetName" value="\${escapeHtml(presetName)}" placeholder="Preset name, e.g. Q3 close" aria-label="Preset name">
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.saveParameterPreset()" title="Save these values as a preset">
+                            <i class="bi bi-bookmark-plus"></i>
+                        </button>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.deleteParameterPreset()" title="Delete the selected preset" \${presetName ? '' : 'disabled'}>
+                            <i class="bi bi-trash"></i>
+                        </button>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.copyParameterShareUrl()" title="Copy a link to this query with these values">
+                            <i class="bi bi-link-45deg"></i>
+                        </button>
                     </div>
-                    <div class="modal-footer sqt-ai-footer">
-                        <div class="sqt-ai-input-container">
-                            <textarea id="aiInput" class="sqt-ai-input"
-                                      placeholder="Describe the query you need..."
-                                      rows="2"
-                                      onkeydown="SQT.handleAIInputKeydown(event)"></textarea>
-                            <div class="sqt-ai-input-actions">
-                                <div class="sqt-ai-toggle">
-                                    <input type="checkbox" id="aiAutoExecute">
-                                    <label for="aiAutoExecute">Auto-execute query</label>
-                                </div>
-                                <button type="button" class="sqt-btn sqt-btn-primary"
-                                        onclick="SQT.sendAIMessage()" id="aiSendBtn">
-                                    <i class="bi bi-send"></i>
-                                    <span>Send</span>
-                                </button>
-                            </div>
+                    <p class="text-muted small mb-3">Enter values for the following parameters. They are sent separately from the query, never spliced into it.</p>
+                \`;
+                params.forEach((param, index) => {
+                    const storedValue = values[param.name] || '';
+                    html += \`
+                        <div class="sqt-param-input">
+                            <label for="param_\${index}">
+                                \${escapeHtml(param.name)}
+                                <span class="sqt-param-type">\${PARAMETER_TYPES[param.type].label}</span>
+                            </label>
+                            \${renderParameterInput(param, index, storedValue)}
                         </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+                    \`;
+                });
+
+                content.innerHTML = html;
+                params.forEach((param, index) => {
+                    if (param.type === 'list') {
+                        loadParameterOptions(document.getElementById('param_' + index), param, values[param.name]);
+                    }
+                });
+            }
+
+            function readParameterValues() {
+                const values = {};
+
+                document.querySelectorAll('#parametersContent [data-param]').forEach(input => {
+                    if (input.multiple) {
+                        values[input.dataset.param] = input.dataset.pending
+                            ? JSON.parse(input.dataset.pending)
+                            : Array.from(input.selectedOptions).map(option => option.value);
+                    } else {
+                        values[input.dataset.param] = input.value;
+                    }
+                });
+
+                return values;
+            }
+
+            function applyParameterPreset(name) {
+                const set = getParameterSet(state.parameterDialog.scope);
+                renderParametersForm(name ? set.presets[name] || {} : set.values, name);
+            }
+
+            function saveParameterPreset() {
+                const name = document.getElementById('paramPresetName').value.trim();
+                if (!name) {
+                    showToast('warning', 'No Name', 'Enter a name for the preset.');
+                    return;
+                }
+
+                const { scope } = state.parameterDialog;
+                const values = readParameterValues();
+                saveParameterSet(scope, { presets: Object.assign(getParameterSet(scope).presets, { [name]: values }) });
+
+                renderParametersForm(values, name);
+                showToast('success', 'Preset Saved', \`Saved the values as "\${name}".\`);
+            }
+
+            function deleteParameterPreset() {
+                const name = document.getElementById('paramPresetSelect').value;
+                if (!name || !confirm(\`Delete the preset "\${name}"?\`)) {
+                    return;
+                }
+
+                const { scope } = state.parameterDialog;
+                const presets = getParameterSet(scope).presets;
+                delete presets[name];
+                saveParameterSet(scope, { presets });
+
+                renderParametersForm(readParameterValues(), '');
+                showToast('info', 'Preset Deleted', \`Deleted the preset "\${name}".\`);
+            }
+
+            function copyParameterShareUrl() {
+                const presetName = document.getElementById('paramPresetSelect').value;
+                const url = buildShareUrl(state.parameterDialog.query, readParameterValues(), presetName);
+
+                navigator.clipboard.writeText(url).then(() => {
+                    showToast('success', 'URL Copied', 'Share URL with these parameter values copied to clipboard.');
+                }).catch(() => {
+                    showToast('error', 'Copy Failed', 'Failed to copy URL to clipboard.');
+                });
+            }
+
+            // Fills a list parameter from its source: a lookup query (first column = value,
+            // second column = label) or comma-separated values
+            async function loadParameterOptions(select, param, storedValue) {
+                const selected = [].concat(storedValue || []).map(String);
+                let options = [];
+
+                try {
+                    if (/^select\\b/i.test(param.source || '')) {
+                        const data = await postQuery({
+                            query: param.source,
+                            paginationEnabled: false
+                        });
+
+                        if (data.error) {
+                            throw new Error(data.error.message || data.error);
+                        }
+
+                        options = data.records.map(record => {
+                            const columns = Object.keys(record).filter(column => column !== 'rownumber');
+                            const value = record[columns[0]];
+                            return { value, label: columns.length > 1 ? record[columns[1]] : value };
+                        });
+                    } else {
+                        options = (param.source || '').split(',')
+                            .map(value => value.trim())
+                            .filter(Boolean)
+                            .map(value => ({ value, label: value }));
+                    }
+                } catch (error) {
+                    delete select.dataset.pending;
+                    select.innerHTML = \`<option disabled>Lookup failed: \${escapeHtml(error.message)}</option>\`;
+                    return;
+                }
+
+                delete select.dataset.pending;
+                select.innerHTML = options.length > 0
+                    ? options.map(option => \`
+                        <option value="\${escapeHtml(String(option.value))}" \${selected.includes(String(option.value)) ? 'selected' : ''}>\${escapeHtml(String(option.label))}</option>
+                    \`).join('')
+                    : '<option disabled>No values. Declare them as {{name:list(SELECT ...)}} or {{name:list(A, B)}}.</option>';
+            }
+
+            function runWithParameters() {
+                const { query, scope, remoteUrl } = state.parameterDialog;
+                const values = readParameterValues();
+
+                let bound;
+                try {
+                    bound = bindParameters(query, values);
+                } catch (error) {
+                    showToast('warning', 'Invalid Parameter', error.message);
+                    return;
+                }
 
-        <!-- AI Settings Modal -->
-        <div class="modal fade" id="aiSettingsModal" tabindex="-1">
-            <div class="modal-dialog">
-                <div class="modal-content">
-                    <div class="modal-header">
-                        <h5 class="modal-title"><i class="bi bi-gear me-2"></i>AI Settings</h5>
-                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                    </div>
-                    <div class="modal-body">
-                        <div class="mb-3">
-                            <label for="aiProvider" class="form-label">AI Provider</label>
-                            <select id="aiProvider" class="form-select" onchange="SQT.updateAIModels()">
-                                <option value="">Select a provider...</option>
-                                <option value="anthropic">Anthropic (Claude)</option>
-                                <option value="openai">OpenAI (GPT)</option>
-                            </select>
-                        </div>
-                        <div class="mb-3">
-                            <label for="aiApiKey" class="form-label">API Key</label>
-                            <div class="input-group">
-                                <input type="password" id="aiApiKey" class="form-control"
-                                       placeholder="Enter your API key">
-                                <button class="btn btn-outline-secondary" type="button"
-                                        onclick="SQT.toggleApiKeyVisibility()">
-                                    <i class="bi bi-eye" id="apiKeyToggleIcon"></i>
-                                </button>
-                            </div>
-                        </div>
-                        <div class="mb-3">
-                            <div class="form-check">
-                                <input class="form-check-input" type="checkbox" id="aiRememberKey" checked>
-                                <label class="form-check-label" for="aiRememberKey">
-                                    Remember my API key
-                                </label>
-                            </div>
-                            <div class="form-text">
-                                When enabled, your API key is stored in your browser's local storage.
-                            </div>
-                        </div>
-                        <div class="mb-3">
-                            <label for="aiModel" class="form-label">Model</label>
-                            <select id="aiModel" class="form-select" disabled>
-                                <option value="">Select a provider first...</option>
-                            </select>
-                        </div>
-                        <div class="alert alert-info small mb-0">
-                            <i class="bi bi-info-circle me-1"></i>
-                            Get your API key from
-                            <a href="https://console.anthropic.com/" target="_blank">Anthropic Console</a> or
-                            <a href="https://platform.openai.com/api-keys" target="_blank">OpenAI Platform</a>.
-                        </div>
-                    </div>
-                    <div class="modal-footer">
-                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                        <button type="button" class="btn btn-primary" onclick="SQT.saveAISettings()">
-                            Save Settings
-                        </button>
-                    </div>
-                </div>
-            </div>
-        </div>
+                // Save parameter values of this query for next time
+                saveParameterSet(scope, { values });
 
-    `;
-}
+                bootstrap.Modal.getInstance(document.getElementById('parametersModal')).hide();
 
-// =============================================================================
-// SECTION 10: CLIENT-SIDE JAVASCRIPT
-// =============================================================================
+                // Run the query with the values as bind parameters, in the account it was run for;
+                // the history keeps the {{parameters}}
+                runQueryWithText(bound.sql, bound.params, query, remoteUrl);
+            }
 
-/**
- * Generates the client-side JavaScript.
- * @param {string} scriptUrl - The script URL for AJAX calls
- * @returns {string} JavaScript in a script tag
- */
-function generateClientScript(scriptUrl, remoteAccounts, currentAccountId) {
-    return `
-        <script>
-        /**
-         * SuiteQL Query Tool - Client-Side Application
-         */
-         
-        const REMOTE_ACCOUNTS = ${JSON.stringify(remoteAccounts)};
-        const CURRENT_ACCOUNT_ID = '${currentAccountId.toUpperCase()}';
-    
-        const SQT = (function() {
-            'use strict';
+            async function runQueryWithText(queryText, params = [], historyQuery = queryText, remoteUrl = null) {
+                if (!queryText.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to run.');
+                    return;
+                }
+
+                const executionContext = resolveExecutionContext(remoteUrl);
+                if (!(await guardProductionRun(queryText, getQueryOptions(), [executionContext]))) {
+                    return;
+                }
+
+                // Inject cache buster if option is enabled
+                const disableCache = document.getElementById('optDisableCache')?.checked || false;
+                if (disableCache) {
+                    queryText = injectCacheBuster(queryText);
+                }
+
+                const run = beginRun(historyQuery);
+                applyTargetColor(executionContext);
+                columnOrder = []; // Reset column order for new results
+
+                const options = getQueryOptions();
+
+                try {
+                    const data = await postQuery({
+                        query: queryText,
+                        params,
+                        rowBegin: options.rowBegin,
+                        rowEnd: options.rowEnd,
+                        paginationEnabled: options.paginationEnabled,
+                        fetchAll: options.fetchAll,
+                        viewsEnabled: options.viewsEnabled,
+                        returnTotals: options.returnTotals,
+                        remoteUrl: remoteUrl
+                    }, run.controller.signal);
+
+                    if (data.error) {
+                        showError(data.error.message || data.error, null, data.error.category ? data.error : null);
+                    } else {
+                        data.executionContext = executionContext;
+                        rememberContextResults(historyQuery, data.executionContext, data.records);
+
+                        data.cacheMissForced = disableCache;
+                        data.paging = createPaging(queryText, params, remoteUrl, options, data);
+                        state.results = data;
+                        state.lastExecutedQuery = queryText;
+                        renderResults(data);
+                        addToHistory(historyQuery, data);
+                        saveExecutionTime(queryText, data.elapsedTime, data.rowCount);
+                        showToast('success', 'Query Complete',
+                            \`Retrieved \${data.rowCount} rows in \${data.elapsedTime}ms\${disableCache ? ' (uncached)' : ''}\`);
+
+                        hideOptimizeBanner();
+                        if (data.elapsedTime > CONFIG.SLOW_QUERY_THRESHOLD_MS) {
+                            showOptimizeBanner(data.elapsedTime);
+                        }
+                    }
+
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        showError(error.message);
+                    }
+                } finally {
+                    if (endRun(run)) {
+                        applyTargetColor(resolveExecutionContext(null));
+                    }
+                }
+            }
 
             // =================================================================
-            // STATE
+            // KEYBOARD SHORTCUTS MODAL
             // =================================================================
 
-            const state = {
-                editor: null,
-                results: null,
-                isRunning: false,
-                currentFile: null,
-                history: [],
-                theme: 'light',
-                viewMode: 'table',  // 'table', 'datatable', or 'json'
-                sidebarVisible: false,
-                focusMode: false,
-                resultsMaximized: false,
-                autocompleteEnabled: false,
-                selectedRowIndex: 0,
-                executionTimes: [],
-                draftSaveTimer: null,
-                // AI state
-                aiConversation: [],
-                aiIsLoading: false,
-                aiApiKey: null,  // Session-only key storage when "Remember" is unchecked
-                // Error context for AI help
-                lastFailedQuery: null,
-                lastError: null,
-                // Last executed query for AI results chat
-                lastExecutedQuery: null,
-                
-                // =============================================================
-                // Account context (injected at page load)
-                //
-                // - Used to resolve execution origin (Local vs Remote)
-                // - Immutable for the lifetime of the page
-                // - Sourced from server-side Suitelet configuration
-                // =============================================================
-                remoteAccounts: REMOTE_ACCOUNTS,                // List of configured remote NetSuite accounts
-                currentAccountId: CURRENT_ACCOUNT_ID,           // Account ID of the current NetSuite instance
-                currentAccountDescription: CURRENT_ACCOUNT_ID   // Human-readable label (defaults to ID)
-            };
-            
-            // Normalize once
-            state.currentAccountId = state.currentAccountId.toUpperCase();
-            
-            // Resolve description once
-            const localAccount = state.remoteAccounts.find(
-                acc => String(acc.account).toUpperCase() === state.currentAccountId
-            );
-            
-            state.currentAccountDescription = localAccount?.description || 'This Account';
+            function showShortcuts() {
+                new bootstrap.Modal(document.getElementById('shortcutsModal')).show();
+            }
 
-            const CONFIG = {
-                SCRIPT_URL: '${scriptUrl}',
-                MAX_HISTORY: ${CONFIG.MAX_HISTORY_ENTRIES},
-                STORAGE_KEY: 'sqt_history',
-                THEME_KEY: 'sqt_theme',
-                SIDEBAR_KEY: 'sqt_sidebar',
-                DRAFT_KEY: 'sqt_draft',
-                TIMES_KEY: 'sqt_execution_times',
-                AUTOCOMPLETE_KEY: 'sqt_autocomplete',
-                COMPACT_TOOLBAR_KEY: 'sqt_compact_toolbar',
-                TOOLBAR_VISIBILITY_KEY: 'sqt_toolbar_visibility',
-                FONT_SIZE_KEY: 'sqt_editor_font_size',
-                MAX_EXECUTION_TIMES: 50,
-                REMOTE_LIBRARY_URL: '${CONFIG.REMOTE_LIBRARY_URL}',
-                // AI keys
-                AI_SETTINGS_KEY: 'sqt_ai_settings',
-                AI_CONVERSATION_KEY: 'sqt_ai_conversation',
-                AI_RESULTS_CHAT_ENABLED: ${CONFIG.AI_RESULTS_CHAT_ENABLED},
-                // Performance
-                SLOW_QUERY_THRESHOLD_MS: ${CONFIG.SLOW_QUERY_THRESHOLD_MS}
-            };
+            // =================================================================
+            // UNDO/REDO HISTORY
+            // =================================================================
+
+            let undoHistory = [];
+            let undoHistoryIndex = -1;
+
+            function initUndoHistory() {
+                if (!state.editor) return;
+
+                // Track changes for undo history visualization
+                state.editor.on('change', (cm, change) => {
+                    if (change.origin && change.origin !== 'setValue') {
+                        trackUndoHistory();
+                    }
+                });
+            }
+
+            function trackUndoHistory() {
+                const content = state.editor.getValue();
+                const preview = content.substring(0, 50).replace(/\\n/g, ' ');
+
+                // Add to history if different from last entry
+                if (undoHistory.length === 0 || undoHistory[undoHistory.length - 1].content !== content) {
+                    undoHistory.push({
+                        content: content,
+                        preview: preview || '(empty)',
+                        timestamp: new Date()
+                    });
+
+                    // Limit history size
+                    if (undoHistory.length > 50) {
+                        undoHistory.shift();
+                    }
+
+                    undoHistoryIndex = undoHistory.length - 1;
+                }
+            }
+
+            function showUndoHistory() {
+                const dropdown = document.getElementById('undoHistoryDropdown');
+                const list = document.getElementById('undoHistoryList');
+
+                if (undoHistory.length === 0) {
+                    list.innerHTML = '<div class="p-3 text-muted text-center">No edit history yet</div>';
+                } else {
+                    list.innerHTML = undoHistory.slice().reverse().map((entry, revIndex) => {
+                        const index = undoHistory.length - 1 - revIndex;
+                        const isActive = index === undoHistoryIndex;
+                        const timeAgo = formatTimestamp(entry.timestamp.toISOString());
+                        return \`
+                            <div class="sqt-history-dropdown-item \${isActive ? 'active' : ''}"
+                                 onclick="SQT.restoreFromUndoHistory(\${index})">
+                                <span class="sqt-history-dropdown-item-preview">\${escapeHtml(entry.preview)}...</span>
+                                <span class="sqt-history-dropdown-item-time">\${timeAgo}</span>
+                            </div>
+                        \`;
+                    }).join('');
+                }
+
+                dropdown.classList.toggle('show');
+            }
+
+            function closeUndoHistory() {
+                document.getElementById('undoHistoryDropdown').classList.remove('show');
+            }
+
+            function restoreFromUndoHistory(index) {
+                if (index >= 0 && index < undoHistory.length) {
+                    state.editor.setValue(undoHistory[index].content);
+                    undoHistoryIndex = index;
+                    closeUndoHistory();
+                    showToast('info', 'Restored', 'Editor content restored from history.');
+                }
+            }
 
             // =================================================================
-            // INITIALIZATION
+            // QUERY EXECUTION
             // =================================================================
 
-            function init() {
-                initEditor();
-                initResizer();
-                initTheme();
-                initSidebar();
-                initAutocomplete();
-                initCompactToolbar();
-                initToolbarVisibility();
-                initEditorFontSize();
-                initDragDrop();
-                initUndoHistory();
-                loadHistory();
-                loadExecutionTimes();
-                loadDraft();
-                checkUrlParams();
-                setupKeyboardShortcuts();
-                initNLBar();
+            async function runQuery(remoteUrl = null) {
+                let query = getQueryToRun();
 
-                // Prevent CodeMirror from stealing focus from NL input
-                const nlInput = document.getElementById('nlQueryInput');
-                console.log('Setting up NL input focus prevention, element:', nlInput);
-                if (nlInput) {
-                    // Use capture phase to intercept before CodeMirror
-                    nlInput.addEventListener('mousedown', (e) => {
-                        console.log('NL input mousedown (capture)');
-                        e.stopPropagation();
-                        e.stopImmediatePropagation();
-                    }, true);
-                    nlInput.addEventListener('click', (e) => {
-                        console.log('NL input click (capture)');
-                        e.stopPropagation();
-                        e.stopImmediatePropagation();
-                        nlInput.focus();
-                    }, true);
-                    // Also listen on document to refocus if something steals it
-                    document.addEventListener('focusin', (e) => {
-                        if (e.target !== nlInput && nlInput.matches(':hover')) {
-                            console.log('Focus stolen while hovering NL input, refocusing');
-                            setTimeout(() => nlInput.focus(), 0);
-                        }
-                    });
-                } else {
-                    console.error('nlQueryInput element not found!');
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to run.');
+                    return;
                 }
 
-                // Prevent CodeMirror from interfering with AI modal interactions
-                const aiModal = document.getElementById('aiModal');
-                console.log('Setting up AI modal focus prevention, element:', aiModal);
-                if (aiModal) {
-                    aiModal.addEventListener('mousedown', (e) => {
-                        console.log('AI modal mousedown - stopping propagation');
-                        e.stopPropagation();
-                    });
-                    aiModal.addEventListener('mouseup', (e) => {
-                        e.stopPropagation();
-                    });
-                    aiModal.addEventListener('mousemove', (e) => {
-                        e.stopPropagation();
-                    });
+                // Check for parameters - if found, show modal and return; the dialog runs the query
+                if (checkForParameters(remoteUrl)) {
+                    return;
                 }
 
-                // Also protect the AI input field specifically
-                const aiInput = document.getElementById('aiInput');
-                console.log('Setting up AI input focus prevention, element:', aiInput);
-                if (aiInput) {
-                    aiInput.addEventListener('mousedown', (e) => {
-                        console.log('AI input mousedown (capture)');
-                        e.stopPropagation();
-                        e.stopImmediatePropagation();
-                    }, true);
-                    aiInput.addEventListener('click', (e) => {
-                        console.log('AI input click (capture)');
-                        e.stopPropagation();
-                        e.stopImmediatePropagation();
-                        aiInput.focus();
-                    }, true);
+                const executionContext = resolveExecutionContext(remoteUrl);
+                if (!(await guardProductionRun(query, getQueryOptions(), [executionContext]))) {
+                    return;
                 }
 
-                // Close dropdowns when clicking outside
-                document.addEventListener('click', (e) => {
-                    // Check if click is inside any dropdown or its toggle button
-                    const dropdownConfigs = [
-                        { id: 'optionsPanel', toggleSelector: '[onclick*="toggleOptions"]' },
-                        { id: 'undoHistoryDropdown', toggleSelector: '[onclick*="showUndoHistory"]' },
-                        { id: 'aiDropdown', toggleSelector: '[onclick*="toggleAIDropdown"]' },
-                        { id: 'moreDropdown', toggleSelector: '[onclick*="toggleMoreDropdown"]' },
-                        { id: 'runDropdown', toggleSelector: '[onclick*="toggleRunDropdown"]' } 
-                    ];
+                // Keep the query as written; the cache buster makes every run unique
+                const sourceQuery = query;
 
-                    dropdownConfigs.forEach(config => {
-                        const dropdown = document.getElementById(config.id);
-                        const btn = e.target.closest(config.toggleSelector);
-                        if (dropdown && !dropdown.contains(e.target) && !btn) {
-                            dropdown.classList.remove('show');
-                        }
-                    });
-                });
-            }
-            
-            function initEditor() {
-                const textarea = document.getElementById('queryEditor');
-                state.editor = CodeMirror.fromTextArea(textarea, {
-                    mode: 'text/x-sql',
-                    theme: state.theme === 'dark' ? 'dracula' : 'eclipse',
-                    lineNumbers: true,
-                    lineWrapping: true,
-                    indentWithTabs: true,
-                    tabSize: 4,
-                    indentUnit: 4,
-                    autofocus: true,
-                    matchBrackets: true,
-                    autoCloseBrackets: true,
-                    inputStyle: 'textarea',  // Fix for Safari Cmd+A selection issues
-                    extraKeys: {
-                        'Ctrl-Enter': runQuery,
-                        'Cmd-Enter': runQuery,
-                        'Ctrl-S': (cm) => { showSaveModal(); return false; },
-                        'Cmd-S': (cm) => { showSaveModal(); return false; },
-                        'Ctrl-Shift-F': formatQuery,
-                        'Cmd-Shift-F': formatQuery,
-                        'Ctrl-A': 'selectAll',
-                        'Cmd-A': 'selectAll',
-                        'Tab': (cm) => {
-                            if (cm.somethingSelected()) {
-                                cm.indentSelection('add');
-                            } else {
-                                cm.replaceSelection('\\t', 'end');
-                            }
+                // Inject cache buster if option is enabled
+                const disableCache = document.getElementById('optDisableCache')?.checked || false;
+                if (disableCache) {
+                    query = injectCacheBuster(query);
+                }
+
+                const run = beginRun(sourceQuery);
+                applyTargetColor(executionContext);
+                columnOrder = []; // Reset column order for new results
+
+                const options = getQueryOptions();
+
+                try {
+                    const data = await postQuery({
+                        query: query,
+                        rowBegin: options.rowBegin,
+                        rowEnd: options.rowEnd,
+                        paginationEnabled: options.paginationEnabled,
+                        fetchAll: options.fetchAll,
+                        viewsEnabled: options.viewsEnabled,
+                        returnTotals: options.returnTotals,
+                        remoteUrl: remoteUrl
+                    }, run.controller.signal);
+
+                    if (data.error) {
+                        showError(data.error.message || data.error, null, data.error.category ? data.error : null);
+                    } else {
+                        data.executionContext = executionContext;
+                        rememberContextResults(sourceQuery, data.executionContext, data.records);
+
+                        data.cacheMissForced = disableCache;
+                        data.paging = createPaging(query, [], remoteUrl, options, data);
+                        state.results = data;
+                        state.lastExecutedQuery = query;
+                        renderResults(data);
+                        addToHistory(query, data);
+                        saveExecutionTime(query, data.elapsedTime, data.rowCount);
+                        showToast('success', 'Query Complete',
+                            \`Retrieved \${data.rowCount} rows in \${data.elapsedTime}ms\${disableCache ? ' (uncached)' : ''}\`);
+
+                        // Show optimization banner for slow queries
+                        hideOptimizeBanner(); // Hide any previous banner
+                        if (data.elapsedTime > CONFIG.SLOW_QUERY_THRESHOLD_MS) {
+                            showOptimizeBanner(data.elapsedTime);
                         }
                     }
-                });
 
-                // Update cursor position in status bar
-                state.editor.on('cursorActivity', () => {
-                    const cursor = state.editor.getCursor();
-                    document.getElementById('cursorPosition').textContent =
-                        \`Ln \${cursor.line + 1}, Col \${cursor.ch + 1}\`;
-                });
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        showError(error.message);
+                    }
+                } finally {
+                    if (endRun(run)) {
+                        applyTargetColor(resolveExecutionContext(null));
+                    }
+                }
+            }
 
-                // Auto-save draft on change
-                state.editor.on('change', () => {
-                    saveDraft();
-                });
+            function getQueryToRun() {
+                const selection = state.editor.getSelection();
+                return selection || state.editor.getValue();
+            }
 
-                // Safari fix: Manual double-click word selection
-                // CodeMirror's built-in double-click handling may not work in Safari
-                (function() {
-                    const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-                    if (!isSafari) return;
+            function getQueryOptions() {
+                const paginationEnabled = document.getElementById('optPagination').checked;
+                const returnAll = document.getElementById('optReturnAll')?.checked || false;
 
-                    state.editor.getWrapperElement().addEventListener('dblclick', (e) => {
-                        // Get the position where the double-click occurred
-                        const pos = state.editor.coordsChar({ left: e.clientX, top: e.clientY });
+                // Paged results fetch the first page; the pager in the results header fetches the others
+                if (paginationEnabled && document.getElementById('optPagedResults')?.checked) {
+                    const pageSize = getPageSize();
+
+                    return {
+                        paginationEnabled,
+                        pagedResults: true,
+                        pageSize,
+                        rowBegin: 1,
+                        rowEnd: pageSize,
+                        returnTotals: true,
+                        viewsEnabled: document.getElementById('optEnableViews')?.checked || false
+                    };
+                }
 
-                        // Find word boundaries at this position
-                        const line = state.editor.getLine(pos.line);
-                        if (!line) return;
+                return {
+                    paginationEnabled,
+                    // The server fetches all rows by key instead of ROWNUM windows; the range is kept for older proxies
+                    fetchAll: paginationEnabled && returnAll,
+                    rowBegin: returnAll ? 1 : parseInt(document.getElementById('optRowBegin').value) || 1,
+                    rowEnd: returnAll ? 999999 : parseInt(document.getElementById('optRowEnd').value) || ${CONFIG.ROWS_RETURNED_DEFAULT},
+                    returnTotals: document.getElementById('optShowTotals')?.checked || false,
+                    viewsEnabled: document.getElementById('optEnableViews')?.checked || false
+                };
+            }
 
-                        // Find word start
-                        let start = pos.ch;
-                        while (start > 0 && /\\w/.test(line[start - 1])) {
-                            start--;
-                        }
+            function generateUUID() {
+                return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+                    const r = Math.random() * 16 | 0;
+                    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+                    return v.toString(16);
+                });
+            }
 
-                        // Find word end
-                        let end = pos.ch;
-                        while (end < line.length && /\\w/.test(line[end])) {
-                            end++;
-                        }
+            // Adds an always-true condition with a new UUID, so NetSuite does not return cached results
+            function injectCacheBuster(query) {
+                const uuid = generateUUID();
+                return SuiteQLParser.addCondition(query, "( '" + uuid + "' = '" + uuid + "' )");
+            }
+
+            function setRunningState(running) {
+                state.isRunning = running;
+                const btn = document.getElementById('runButton');
+                const dot = document.getElementById('statusDot');
+                const text = document.getElementById('statusText');
+
+                document.getElementById('cancelButton').style.display = running ? '' : 'none';
+
+                if (running) {
+                    btn.disabled = true;
+                    btn.innerHTML = '<div class="sqt-spinner" style="width: 14px; height: 14px; border-width: 2px; margin: 0;"></div><span>Running...</span>';
+                    dot.classList.add('running');
+                    text.textContent = 'Running query...';
+                } else {
+                    btn.disabled = false;
+                    btn.innerHTML = '<i class="bi bi-play-fill"></i><span>Run</span> <i class="bi bi-chevron-down"></i>';
+                    dot.classList.remove('running');
+                    text.textContent = 'Ready';
+                }
+            }
 
-                        // Select the word
-                        if (end > start) {
-                            state.editor.setSelection(
-                                { line: pos.line, ch: start },
-                                { line: pos.line, ch: end }
-                            );
-                        }
+            // Posts a queryExecute request. The server makes one attempt per request and marks
+            // remote request limit errors and 5xx responses retryable; they are retried here with
+            // exponential backoff and jitter, and the retry count is added to the response or its error
+            async function postQuery(body, signal) {
+                for (let attempt = 1; ; attempt++) {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        signal,
+                        body: JSON.stringify(Object.assign({ function: 'queryExecute' }, body))
                     });
-                })();
+                    const data = await response.json();
+                    const error = data.error && typeof data.error === 'object' ? data.error : null;
 
-                // Load sample query
-                state.editor.setValue(\`SELECT
-    ID,
-    LastName,
-    FirstName,
-    Email,
-    Phone
-FROM
-    Employee
-WHERE
-    IsInactive = 'F'
-ORDER BY
-    LastName,
-    FirstName\`);
+                    if (!(error && error.retryable) || attempt >= CONFIG.REMOTE_RETRY_MAX_ATTEMPTS) {
+                        (error || data).retryCount = attempt - 1;
+                        return data;
+                    }
+
+                    await waitForRetry(getRetryDelay(attempt), signal);
+                }
             }
 
-            function initResizer() {
-                const resizer = document.getElementById('resizer');
-                const editorPanel = document.querySelector('.sqt-editor-panel');
-                const resultsPanel = document.getElementById('resultsPanel');
-                let startY, startEditorHeight, startResultsHeight;
+            // Delay before the next attempt: the backoff doubles per attempt, the jitter spreads out concurrent runs
+            function getRetryDelay(attempt) {
+                const backoff = Math.min(CONFIG.REMOTE_RETRY_MAX_DELAY_MS, CONFIG.REMOTE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+                return Math.round(backoff / 2 + Math.random() * backoff / 2);
+            }
 
-                resizer.addEventListener('mousedown', (e) => {
-                    startY = e.clientY;
-                    startEditorHeight = editorPanel.offsetHeight;
-                    startResultsHeight = resultsPanel.offsetHeight;
+            // Resolves after the delay, or rejects with an AbortError when the run is cancelled
+            function waitForRetry(ms, signal) {
+                return new Promise((resolve, reject) => {
+                    const abort = () => reject(new DOMException('The query was cancelled.', 'AbortError'));
+                    if (signal && signal.aborted) {
+                        abort();
+                        return;
+                    }
 
-                    document.addEventListener('mousemove', resize);
-                    document.addEventListener('mouseup', stopResize);
-                    document.body.style.cursor = 'row-resize';
-                    document.body.style.userSelect = 'none';
+                    const timer = setTimeout(resolve, ms);
+                    if (signal) {
+                        signal.addEventListener('abort', () => {
+                            clearTimeout(timer);
+                            abort();
+                        }, { once: true });
+                    }
                 });
+            }
 
-                function resize(e) {
-                    const delta = e.clientY - startY;
-                    const newEditorHeight = startEditorHeight + delta;
-                    const newResultsHeight = startResultsHeight - delta;
+            // A run owns the running state until it ends or is cancelled; a cancelled
+            // request may still settle later and must not touch the UI of the next run
+            function beginRun(query) {
+                const run = { controller: new AbortController(), query, startTime: Date.now() };
+                state.activeRun = run;
+                setRunningState(true);
+                return run;
+            }
 
-                    if (newEditorHeight > 100 && newResultsHeight > 100) {
-                        editorPanel.style.flex = 'none';
-                        editorPanel.style.height = newEditorHeight + 'px';
-                        resultsPanel.style.flex = 'none';
-                        resultsPanel.style.height = newResultsHeight + 'px';
-                        state.editor.refresh();
-                    }
+            function endRun(run) {
+                if (state.activeRun !== run) {
+                    return false;
                 }
 
-                function stopResize() {
-                    document.removeEventListener('mousemove', resize);
-                    document.removeEventListener('mouseup', stopResize);
-                    document.body.style.cursor = '';
-                    document.body.style.userSelect = '';
+                state.activeRun = null;
+                setRunningState(false);
+                return true;
+            }
+
+            function cancelRun() {
+                const run = state.activeRun;
+                if (!run) {
+                    return;
                 }
+
+                state.activeRun = null;
+                run.controller.abort();
+                setRunningState(false);
+                applyTargetColor(resolveExecutionContext(null));
+
+                if (run.query) {
+                    addToHistory(run.query, { cancelled: true, rowCount: 0, elapsedTime: Date.now() - run.startTime });
+                }
+
+                showToast('info', 'Query Cancelled', 'Stopped waiting for the query. NetSuite may still finish it in the background.');
+            }
+
+            // -----------------------------------------------------------------
+            // Resolve execution context (Local vs Remote)
+            //
+            // Responsibility:
+            // - Attach a clear, immutable execution context to the result payload
+            // - This context is consumed by the results renderer (renderResults)
+            // - Called from the execution paths, where execution identity (remoteUrl) is known
+            //
+            // Design notes:
+            // - \`remoteUrl\` is the execution *identity* for remote queries
+            // - Presentation metadata (description / account ID) is resolved from
+            //   pre-injected, immutable client-side configuration (state.remoteAccounts)
+            // - Local account context is resolved once at bootstrap and reused here
+            // - Do NOT normalize or resolve configuration in render or execution paths
+            // -----------------------------------------------------------------
+            function resolveExecutionContext(remoteUrl) {
+                if (remoteUrl) {
+                    // Remote execution:
+                    // Look up the remote account metadata using the execution URL.
+                    // This ensures consistent labeling across all execution entry points
+                    // (toolbar, dropdown, keyboard shortcuts, validation, history replay).
+                    const remote = state.remoteAccounts.find(acc => acc.url === remoteUrl);
+
+                    return {
+                        type: 'remote',
+                        accountDescription: remote?.description || 'Unknown Remote',
+                        accountId: remote?.account || 'Unknown',
+                        environment: remote?.environment || null,
+                        environmentLabel: remote?.environmentLabel || null,
+                        color: remote?.color || null
+                    };
+                }
+
+                // Local execution:
+                // Use pre-resolved local account context from bootstrap state.
+                // This avoids repeated lookups and guarantees consistency for
+                // all local executions during the page lifetime.
+                return {
+                    type: 'local',
+                    accountDescription: state.currentAccountDescription,
+                    accountId: state.currentAccountId,
+                    environment: LOCAL_ACCOUNT.environment || null,
+                    environmentLabel: LOCAL_ACCOUNT.environmentLabel || null,
+                    color: LOCAL_ACCOUNT.color || null
+                };
             }
 
-            function initTheme() {
-                const savedTheme = localStorage.getItem(CONFIG.THEME_KEY) || 'light';
-                setTheme(savedTheme);
+            // =================================================================
+            // ENVIRONMENT GUARDRAILS
+            // =================================================================
+
+            // Colors the editor and Run button by the account a run targets.
+            // At rest this is the current account, the target of Run and Ctrl+Enter.
+            function applyTargetColor(executionContext) {
+                const color = executionContext?.color || '';
+                [document.querySelector('.sqt-editor-panel'), document.getElementById('runButton')].forEach(el => {
+                    if (!el) return;
+                    el.classList.toggle('sqt-env-colored', !!color);
+                    el.style.setProperty('--sqt-env-color', color);
+                });
             }
 
-            function initSidebar() {
-                const savedState = localStorage.getItem(CONFIG.SIDEBAR_KEY);
-                // Default to hidden (false) unless explicitly saved as 'true'
-                state.sidebarVisible = savedState === 'true';
-                // Always update visibility on init to apply default or saved state
-                updateSidebarVisibility();
+            function renderEnvironmentTag(executionContext) {
+                return executionContext?.environment
+                    ? \`<span class="sqt-env-tag" style="--sqt-env-color: \${escapeHtml(executionContext.color)}">\${escapeHtml(executionContext.environmentLabel)}</span>\`
+                    : '';
             }
 
-            function toggleSidebar() {
-                state.sidebarVisible = !state.sidebarVisible;
-                localStorage.setItem(CONFIG.SIDEBAR_KEY, state.sidebarVisible);
-                updateSidebarVisibility();
+            // Only the outer query counts: a WHERE in a subquery does not limit what the query reads
+            function hasWhereClause(query) {
+                return SuiteQLParser.getClauses(query).some(clause => clause.keyword === 'WHERE');
             }
 
-            function updateSidebarVisibility() {
-                const sidebar = document.getElementById('sidebar');
-                const icon = document.getElementById('sidebarIcon');
+            function getProductionRunReasons(query, options) {
+                const reasons = [];
 
-                if (state.sidebarVisible) {
-                    sidebar.classList.remove('collapsed');
-                    if (icon) icon.className = 'bi bi-layout-sidebar';
-                } else {
-                    sidebar.classList.add('collapsed');
-                    if (icon) icon.className = 'bi bi-layout-sidebar-inset';
+                if (!hasWhereClause(query)) {
+                    reasons.push('The query has no WHERE clause.');
                 }
 
-                // Refresh CodeMirror to adjust to new width
-                if (state.editor) {
-                    setTimeout(() => state.editor.refresh(), 200);
+                // Without pagination SuiteQL returns up to 5,000 rows
+                const rowLimit = options.paginationEnabled ? options.rowEnd - options.rowBegin + 1 : 5000;
+                if (rowLimit > CONFIG.PRODUCTION_CONFIRM_ROW_THRESHOLD) {
+                    reasons.push(\`Up to \${rowLimit.toLocaleString()} rows may be returned (more than \${CONFIG.PRODUCTION_CONFIRM_ROW_THRESHOLD.toLocaleString()}).\`);
                 }
-            }
 
-            function toggleFocusMode() {
-                state.focusMode = !state.focusMode;
-                const app = document.querySelector('.sqt-app');
-                const icon = document.getElementById('focusModeIcon');
+                return reasons;
+            }
 
-                if (state.focusMode) {
-                    app.classList.add('sqt-focus-mode');
-                    if (icon) icon.className = 'bi bi-fullscreen-exit';
-                    showToast('info', 'Focus Mode', 'Press the button again or Escape to exit.');
-                } else {
-                    app.classList.remove('sqt-focus-mode');
-                    if (icon) icon.className = 'bi bi-arrows-fullscreen';
+            // Resolves to true when the run may proceed
+            async function guardProductionRun(query, options, executionContexts) {
+                const production = executionContexts.filter(ctx => ctx.environment === 'production');
+                if (production.length === 0) {
+                    return true;
                 }
 
-                // Refresh CodeMirror to adjust to new size
-                if (state.editor) {
-                    setTimeout(() => state.editor.refresh(), 200);
+                const reasons = getProductionRunReasons(query, options);
+                if (reasons.length === 0) {
+                    return true;
                 }
+
+                return confirmProductionRun(production, reasons);
             }
 
-            function toggleResultsMaximized() {
-                state.resultsMaximized = !state.resultsMaximized;
-                const app = document.querySelector('.sqt-app');
+            function confirmProductionRun(executionContexts, reasons) {
+                return new Promise(resolve => {
+                    const modalEl = document.getElementById('productionConfirmModal');
+                    const content = document.getElementById('productionConfirmContent');
+                    const runBtn = document.getElementById('productionConfirmRun');
 
-                if (state.resultsMaximized) {
-                    app.classList.add('sqt-results-maximized');
-                    showToast('info', 'Results Maximized', 'Press Shift+R or Escape to restore.');
-                } else {
-                    app.classList.remove('sqt-results-maximized');
-                    // Refresh CodeMirror when editor is visible again
-                    if (state.editor) {
-                        setTimeout(() => state.editor.refresh(), 100);
-                    }
-                }
-            }
+                    content.innerHTML = \`
+                        <p>This query will run against <strong>production</strong>:</p>
+                        <ul>\${reasons.map(reason => \`<li>\${escapeHtml(reason)}</li>\`).join('')}</ul>
+                        \${executionContexts.map((ctx, index) => \`
+                            <div class="mb-2">
+                                <label for="productionConfirm_\${index}" class="form-label small">
+                                    Type <code>\${escapeHtml(ctx.accountId)}</code> to confirm the run on \${escapeHtml(ctx.accountDescription)}
+                                </label>
+                                <input type="text" class="form-control form-control-sm" id="productionConfirm_\${index}"
+                                       data-expected="\${escapeHtml(ctx.accountId)}" autocomplete="off">
+                            </div>
+                        \`).join('')}
+                    \`;
 
-            function setupKeyboardShortcuts() {
-                document.addEventListener('keydown', (e) => {
-                    // Don't trigger shortcuts when typing in inputs
-                    const isTyping = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+                    const inputs = Array.from(content.querySelectorAll('input[data-expected]'));
+                    const update = () => {
+                        runBtn.disabled = !inputs.every(input =>
+                            input.value.trim().toUpperCase() === input.dataset.expected.toUpperCase());
+                    };
+                    inputs.forEach(input => input.addEventListener('input', update));
+                    update();
 
-                    // Select all in editor: Cmd+A (macOS)
-                    if (e.metaKey && e.key === 'a' && state.editor && state.editor.hasFocus()) {
-                        e.preventDefault();
-                        state.editor.execCommand('selectAll');
-                        return;
-                    }
+                    const modal = new bootstrap.Modal(modalEl);
+                    let confirmed = false;
 
-                    // Run query: Ctrl/Cmd + Enter
-                    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                        e.preventDefault();
-                        runQuery();
-                    }
-                    // Exit focus mode or results maximized: Escape
-                    if (e.key === 'Escape') {
-                        if (state.focusMode) {
-                            e.preventDefault();
-                            toggleFocusMode();
-                        } else if (state.resultsMaximized) {
-                            e.preventDefault();
-                            toggleResultsMaximized();
-                        }
-                    }
-                    // Toggle results maximized: Shift+R
-                    if (e.shiftKey && e.key === 'R' && !isTyping && !e.ctrlKey && !e.metaKey) {
-                        e.preventDefault();
-                        toggleResultsMaximized();
-                    }
-                    // Navigate row details: Arrow keys
-                    if (document.getElementById('rowDetailsModal').classList.contains('show')) {
-                        if (e.key === 'ArrowLeft') {
-                            e.preventDefault();
-                            prevRow();
-                        } else if (e.key === 'ArrowRight') {
-                            e.preventDefault();
-                            nextRow();
-                        }
-                    }
-                    // Show keyboard shortcuts: ?
-                    if (e.key === '?' && !isTyping && !e.ctrlKey && !e.metaKey) {
-                        e.preventDefault();
-                        showShortcuts();
-                    }
+                    runBtn.onclick = () => {
+                        confirmed = true;
+                        modal.hide();
+                    };
+                    modalEl.addEventListener('hidden.bs.modal', () => resolve(confirmed), { once: true });
+                    modalEl.addEventListener('shown.bs.modal', () => inputs[0]?.focus(), { once: true });
+
+                    modal.show();
                 });
             }
 
             // =================================================================
-            // AUTO-SAVE DRAFT
+            // REMOTE ACCOUNT HEALTH
             // =================================================================
 
-            function loadDraft() {
+            function setHealthDots(className, titleFn) {
+                document.querySelectorAll('[data-health-account]').forEach(dot => {
+                    dot.className = 'sqt-health-dot ' + className(dot.dataset.healthAccount);
+                    dot.title = titleFn(dot.dataset.healthAccount);
+                });
+            }
+
+            async function checkRemoteAccountsHealth() {
+                state.remoteHealth = {};
+                setHealthDots(() => 'checking', () => 'Checking connection...');
+
                 try {
-                    const draft = localStorage.getItem(CONFIG.DRAFT_KEY);
-                    if (draft && state.editor) {
-                        // Only load draft if it differs from default sample query
-                        const currentValue = state.editor.getValue();
-                        if (draft !== currentValue && draft.trim()) {
-                            state.editor.setValue(draft);
-                        }
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'remoteAccountsHealth' })
+                    });
+                    const data = await response.json();
+
+                    if (data.error) {
+                        throw new Error(data.error);
                     }
-                } catch (e) {
-                    console.error('Failed to load draft:', e);
+
+                    data.accounts.forEach(health => {
+                        state.remoteHealth[health.account] = health;
+                    });
+
+                    setHealthDots(
+                        account => state.remoteHealth[account]?.ok ? 'ok' : 'error',
+                        account => {
+                            const health = state.remoteHealth[account];
+                            if (!health) return 'Not checked';
+                            return health.ok
+                                ? \`Connected (\${health.elapsedTime}ms)\`
+                                : \`\${REMOTE_ERROR_CATEGORIES[health.category]?.label || 'Error'}\${health.httpCode ? ' (HTTP ' + health.httpCode + ')' : ''}: \${health.message}\`;
+                        }
+                    );
+                } catch (error) {
+                    setHealthDots(() => 'error', () => 'Health check failed: ' + error.message);
                 }
             }
 
-            function saveDraft() {
-                // Debounce draft saving
-                if (state.draftSaveTimer) {
-                    clearTimeout(state.draftSaveTimer);
+            // =================================================================
+            // MULTI-STATEMENT EXECUTION
+            // =================================================================
+
+            // Splits a script into statements on semicolons. A script without semicolons
+            // is split on blank lines instead. Semicolons and blank lines in string literals
+            // and comments do not count; statements holding only comments are dropped.
+            function splitStatements(script) {
+                const semicolons = [];
+                const blankLines = [];
+                const code = [];
+                const blankLine = /\\n[ \\t\\r]*(?=\\n)/y;
+                let i = 0;
+
+                while (i < script.length) {
+                    const pair = script.substring(i, i + 2);
+
+                    if (pair === '--') {
+                        // The newline stays, so a blank line after the comment is still seen
+                        const endIdx = script.indexOf('\\n', i + 2);
+                        i = endIdx === -1 ? script.length : endIdx;
+                    } else if (pair === '/*') {
+                        const endIdx = script.indexOf('*/', i + 2);
+                        i = endIdx === -1 ? script.length : endIdx + 2;
+                    } else if (script[i] === "'") {
+                        code.push(i);
+                        let j = i + 1;
+                        while (j < script.length && !(script[j] === "'" && script[j + 1] !== "'")) {
+                            j += script[j] === "'" ? 2 : 1;
+                        }
+                        i = j + 1;
+                    } else if (script[i] === ';') {
+                        semicolons.push(i);
+                        i++;
+                    } else if (script[i] === '\\n') {
+                        blankLine.lastIndex = i;
+                        if (blankLine.test(script)) {
+                            blankLines.push(i);
+                            i = blankLine.lastIndex;
+                        } else {
+                            i++;
+                        }
+                    } else {
+                        if (!/\\s/.test(script[i])) {
+                            code.push(i);
+                        }
+                        i++;
+                    }
                 }
-                state.draftSaveTimer = setTimeout(() => {
-                    try {
-                        const query = state.editor.getValue();
-                        localStorage.setItem(CONFIG.DRAFT_KEY, query);
-                    } catch (e) {
-                        console.error('Failed to save draft:', e);
+
+                const separators = semicolons.length > 0 ? semicolons : blankLines;
+                const statements = [];
+                let start = 0;
+                let codeIdx = 0;
+
+                separators.concat(script.length).forEach(end => {
+                    while (codeIdx < code.length && code[codeIdx] < start) {
+                        codeIdx++;
                     }
-                }, 1000); // Save after 1 second of inactivity
+
+                    // Skip segments without SQL, such as the one after a trailing semicolon
+                    if (codeIdx < code.length && code[codeIdx] < end) {
+                        const text = script.substring(start, end);
+                        const offset = start + text.length - text.trimStart().length;
+                        const sql = text.trim();
+
+                        statements.push({
+                            sql,
+                            line: script.substring(0, code[codeIdx]).split('\\n').length,
+                            start: offset,
+                            end: offset + sql.length
+                        });
+                    }
+
+                    start = end + 1;
+                });
+
+                return statements;
             }
 
-            function clearDraft() {
+            async function runAllStatements(remoteUrl = null) {
+                const script = getQueryToRun();
+                const statements = splitStatements(script);
+
+                if (statements.length === 0) {
+                    showToast('warning', 'No Query', 'Please enter a query to run.');
+                    return;
+                }
+
+                if (extractParameters(script).length > 0) {
+                    showToast('warning', 'Parameters Not Supported', 'Replace the {{parameters}} with values before running all statements.');
+                    return;
+                }
+
+                const executionContext = resolveExecutionContext(remoteUrl);
+                if (!(await guardProductionRun(script, getQueryOptions(), [executionContext]))) {
+                    return;
+                }
+
+                const disableCache = document.getElementById('optDisableCache')?.checked || false;
+                const options = getQueryOptions();
+                const batch = {
+                    statements: statements.map(statement => Object.assign({ result: { pending: true } }, statement)),
+                    active: 0,
+                    running: null
+                };
+
+                const run = beginRun(null);
+                applyTargetColor(executionContext);
+                state.statementBatch = batch;
+                showStatement(0);
+
                 try {
-                    localStorage.removeItem(CONFIG.DRAFT_KEY);
-                } catch (e) {
-                    console.error('Failed to clear draft:', e);
-                }
-            }
+                    // Statements run one after the other; a failing statement does not stop the others
+                    for (let index = 0; index < batch.statements.length; index++) {
+                        const statement = batch.statements[index];
+                        const query = disableCache ? injectCacheBuster(statement.sql) : statement.sql;
+
+                        // Cancel records the statement that was running
+                        run.query = statement.sql;
+                        run.startTime = Date.now();
+                        batch.running = index;
+                        const result = await executeStatement(query, options, remoteUrl, run.controller.signal);
+
+                        if (run.controller.signal.aborted) {
+                            return;
+                        }
 
-            // =================================================================
-            // AUTOCOMPLETE
-            // =================================================================
+                        statement.result = result;
 
-            function initAutocomplete() {
-                const saved = localStorage.getItem(CONFIG.AUTOCOMPLETE_KEY);
-                state.autocompleteEnabled = saved === 'true';
-                const checkbox = document.getElementById('optAutocomplete');
-                if (checkbox) {
-                    checkbox.checked = state.autocompleteEnabled;
-                }
-                // Apply autocomplete settings to editor if enabled
-                if (state.editor && state.autocompleteEnabled) {
-                    state.editor.setOption('extraKeys', {
-                        ...state.editor.getOption('extraKeys'),
-                        'Ctrl-Space': 'autocomplete',
-                        'Tab': (cm) => {
-                            if (cm.somethingSelected()) {
-                                cm.indentSelection('add');
-                            } else {
-                                cm.replaceSelection('\\t', 'end');
-                            }
+                        Object.assign(statement.result, { statement: index, executionContext, cacheMissForced: disableCache });
+                        if (!statement.result.error) {
+                            statement.result.paging = createPaging(query, [], remoteUrl, options, statement.result);
+                            rememberContextResults(statement.sql, executionContext, statement.result.records);
+                            addToHistory(statement.sql, statement.result);
+                            saveExecutionTime(statement.sql, statement.result.elapsedTime, statement.result.rowCount);
                         }
+
+                        if (index === batch.active) {
+                            showStatement(index);
+                        } else {
+                            updateStatementTabs();
+                        }
+                    }
+
+                    const results = batch.statements.map(statement => statement.result);
+                    const failed = results.filter(result => result.error).length;
+                    const elapsedTime = results.reduce((total, result) => total + (result.elapsedTime || 0), 0);
+
+                    if (failed > 0) {
+                        showToast('warning', 'Statements Completed with Errors',
+                            \`\${failed} of \${results.length} statements failed. See the statement tabs for details.\`);
+                    } else {
+                        showToast('success', 'Statements Complete',
+                            \`Ran \${results.length} statements in \${elapsedTime}ms\${disableCache ? ' (uncached)' : ''}\`);
+                    }
+                } catch (error) {
+                    showError(error.message);
+                } finally {
+                    batch.running = null;
+
+                    // Statements that never ran, or were running, when the run was cancelled
+                    batch.statements.filter(statement => statement.result.pending).forEach(statement => {
+                        statement.result = { cancelled: true };
                     });
-                    state.editor.setOption('hintOptions', {
-                        tables: getTableHints(),
-                        completeSingle: false
-                    });
+                    if (state.statementBatch === batch) {
+                        updateStatementTabs();
+                    }
+
+                    if (endRun(run)) {
+                        applyTargetColor(resolveExecutionContext(null));
+                    }
                 }
             }
 
-            function toggleAutocomplete() {
-                const checkbox = document.getElementById('optAutocomplete');
-                state.autocompleteEnabled = checkbox?.checked || false;
-                localStorage.setItem(CONFIG.AUTOCOMPLETE_KEY, state.autocompleteEnabled);
+            async function executeStatement(query, options, remoteUrl, signal) {
+                const startTime = Date.now();
 
-                // Update editor with autocomplete settings
-                if (state.editor && state.autocompleteEnabled) {
-                    // Enable autocomplete on Ctrl-Space
-                    state.editor.setOption('extraKeys', {
-                        ...state.editor.getOption('extraKeys'),
-                        'Ctrl-Space': 'autocomplete',
-                        'Tab': (cm) => {
-                            if (cm.somethingSelected()) {
-                                cm.indentSelection('add');
-                            } else {
-                                cm.replaceSelection('\\t', 'end');
-                            }
-                        }
-                    });
-                    state.editor.setOption('hintOptions', {
-                        tables: getTableHints(),
-                        completeSingle: false
-                    });
-                    showToast('info', 'Autocomplete Enabled', 'Press Ctrl+Space to trigger suggestions.');
-                } else if (state.editor) {
-                    showToast('info', 'Autocomplete Disabled', 'Code completion is now off.');
+                try {
+                    const data = await postQuery({
+                        query: query,
+                        rowBegin: options.rowBegin,
+                        rowEnd: options.rowEnd,
+                        paginationEnabled: options.paginationEnabled,
+                        fetchAll: options.fetchAll,
+                        viewsEnabled: options.viewsEnabled,
+                        returnTotals: options.returnTotals,
+                        remoteUrl: remoteUrl
+                    }, signal);
+
+                    if (data.error) {
+                        return { error: formatRemoteError(data.error), elapsedTime: Date.now() - startTime };
+                    }
+
+                    return data;
+                } catch (error) {
+                    return { error: error.message, elapsedTime: Date.now() - startTime };
                 }
             }
 
-            function initCompactToolbar() {
-                const saved = localStorage.getItem(CONFIG.COMPACT_TOOLBAR_KEY);
-                const isCompact = saved === 'true';
-                const checkbox = document.getElementById('optCompactToolbar');
-                if (checkbox) {
-                    checkbox.checked = isCompact;
+            function showStatement(index) {
+                const batch = state.statementBatch;
+                const statement = batch.statements[index];
+                batch.active = index;
+
+                if (statement.result.records) {
+                    state.results = statement.result;
+                    state.lastExecutedQuery = statement.sql;
+                    columnOrder = []; // Reset column order for the other result
+                    renderResults(statement.result);
+                    return;
                 }
-                updateCompactToolbar(isCompact);
+
+                // Failed, pending and cancelled statements have no results to export or view
+                state.results = null;
+
+                const status = statement.result.error
+                    ? { icon: 'bi-exclamation-triangle', title: \`Statement \${index + 1} Failed\`, message: statement.result.error, error: true }
+                    : statement.result.cancelled
+                        ? { icon: 'bi-slash-circle', title: 'Not Run', message: 'The run was cancelled before this statement.' }
+                        : index === batch.running
+                            ? { icon: 'bi-hourglass-split', title: 'Running', message: 'This statement is running.' }
+                            : { icon: 'bi-hourglass-split', title: 'Waiting', message: 'This statement runs after the statements before it.' };
+
+                document.getElementById('resultsPanel').innerHTML = renderStatementTabs() + \`
+                    <div style="overflow: auto; height: 100%;">
+                        <div class="sqt-empty-state"\${status.error ? ' style="color: var(--sqt-danger);"' : ''}>
+                            <i class="bi \${status.icon}"></i>
+                            <h3>\${status.title}</h3>
+                            <p style="font-family: var(--sqt-editor-font); white-space: pre-wrap; text-align: left; max-width: 600px;">\${escapeHtml(status.message)}</p>
+                            <pre class="sqt-statement-sql">\${escapeHtml(statement.sql)}</pre>
+                        </div>
+                    </div>
+                \`;
             }
 
-            function toggleCompactToolbar() {
-                const checkbox = document.getElementById('optCompactToolbar');
-                const isCompact = checkbox?.checked || false;
-                localStorage.setItem(CONFIG.COMPACT_TOOLBAR_KEY, isCompact);
-                updateCompactToolbar(isCompact);
+            function renderStatementTabs() {
+                const batch = state.statementBatch;
+
+                return \`
+                    <div class="sqt-statement-tabs" id="statementTabs" role="tablist">
+                        \${batch.statements.map((statement, index) => {
+                            const result = statement.result;
+                            const status = result.error ? 'error'
+                                : result.cancelled ? 'cancelled'
+                                : result.pending ? 'pending'
+                                : 'success';
+                            const icon = { error: 'bi-exclamation-triangle', cancelled: 'bi-slash-circle', pending: 'bi-hourglass-split', success: 'bi-check-circle' }[status];
+
+                            return \`
+                                <button type="button" class="sqt-statement-tab \${status}\${index === batch.active ? ' active' : ''}" role="tab"
+                                        onclick="SQT.showStatement(\${index})" title="Line \${statement.line}: \${escapeHtml(statement.sql.substring(0, 200))}">
+                                    <i class="bi \${icon}"></i>
+                                    <span>Statement \${index + 1}</span>
+                                    \${status === 'success' ? \`<span class="sqt-statement-tab-info">\${result.rowCount} rows &middot; \${result.elapsedTime}ms</span>\` : ''}
+                                    \${status === 'error' ? \`<span class="sqt-statement-tab-info">\${result.elapsedTime}ms</span>\` : ''}
+                                </button>
+                            \`;
+                        }).join('')}
+                    </div>
+                \`;
             }
 
-            function updateCompactToolbar(isCompact) {
-                const toolbar = document.querySelector('.sqt-toolbar');
-                if (toolbar) {
-                    toolbar.classList.toggle('sqt-toolbar-compact', isCompact);
+            function updateStatementTabs() {
+                const tabs = document.getElementById('statementTabs');
+                if (tabs) {
+                    tabs.outerHTML = renderStatementTabs();
                 }
             }
 
-            function initToolbarVisibility() {
-                const saved = localStorage.getItem(CONFIG.TOOLBAR_VISIBILITY_KEY);
-                const defaults = { format: true, ai: true, more: true, tables: true };
-                const visibility = saved ? JSON.parse(saved) : defaults;
+            // =================================================================
+            // MULTI-ACCOUNT EXECUTION
+            // =================================================================
 
-                // Set checkbox states
-                const checkboxes = {
-                    format: document.getElementById('optShowFormat'),
-                    ai: document.getElementById('optShowAI'),
-                    more: document.getElementById('optShowMore'),
-                    tables: document.getElementById('optShowTables')
-                };
+            // Column added to every combined row to identify its source account
+            const ACCOUNT_COLUMN = 'executioncontext';
 
-                Object.keys(checkboxes).forEach(key => {
-                    if (checkboxes[key]) {
-                        checkboxes[key].checked = visibility[key] !== false;
-                    }
+            function showMultiAccountModal() {
+                const content = document.getElementById('multiAccountContent');
+                const targets = [
+                    { url: '', description: state.currentAccountDescription, account: state.currentAccountId },
+                    ...state.remoteAccounts
+                ];
+
+                let html = '<p class="text-muted small mb-3">The current query will be run against each selected account and the results combined.</p>';
+                targets.forEach((target, index) => {
+                    html += \`
+                        <div class="form-check mb-2">
+                            <input class="form-check-input" type="checkbox" id="multiAccount_\${index}"
+                                   data-url="\${escapeHtml(target.url)}" checked>
+                            <label class="form-check-label" for="multiAccount_\${index}">
+                                \${escapeHtml(target.description)}
+                                <small class="text-muted">(\${escapeHtml(target.account)})</small>
+                            </label>
+                        </div>
+                    \`;
                 });
 
-                applyToolbarVisibility(visibility);
+                content.innerHTML = html;
+                new bootstrap.Modal(document.getElementById('multiAccountModal')).show();
             }
 
-            function updateToolbarVisibility() {
-                const visibility = {
-                    format: document.getElementById('optShowFormat')?.checked !== false,
-                    ai: document.getElementById('optShowAI')?.checked !== false,
-                    more: document.getElementById('optShowMore')?.checked !== false,
-                    tables: document.getElementById('optShowTables')?.checked !== false
-                };
-
-                localStorage.setItem(CONFIG.TOOLBAR_VISIBILITY_KEY, JSON.stringify(visibility));
-                applyToolbarVisibility(visibility);
-            }
+            async function runOnMultipleAccounts() {
+                const remoteUrls = Array.from(document.querySelectorAll('#multiAccountContent input[data-url]:checked'))
+                    .map(input => input.dataset.url || null);
 
-            function applyToolbarVisibility(visibility) {
-                const elements = {
-                    format: document.getElementById('toolbarFormat'),
-                    ai: document.getElementById('toolbarAI'),
-                    more: document.getElementById('toolbarMore'),
-                    tables: document.getElementById('toolbarTablesGroup'),
-                    tablesDivider: document.getElementById('toolbarTablesDivider')
-                };
+                if (remoteUrls.length === 0) {
+                    showToast('warning', 'No Accounts', 'Please select at least one account.');
+                    return;
+                }
 
-                if (elements.format) elements.format.style.display = visibility.format ? '' : 'none';
-                if (elements.ai) elements.ai.style.display = visibility.ai ? '' : 'none';
-                if (elements.more) elements.more.style.display = visibility.more ? '' : 'none';
-                if (elements.tables) elements.tables.style.display = visibility.tables ? '' : 'none';
-                if (elements.tablesDivider) elements.tablesDivider.style.display = visibility.tables ? '' : 'none';
-            }
+                let query = getQueryToRun();
 
-            function initEditorFontSize() {
-                const saved = localStorage.getItem(CONFIG.FONT_SIZE_KEY);
-                const fontSize = saved || '12';
-                const select = document.getElementById('optFontSize');
-                if (select) {
-                    select.value = fontSize;
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to run.');
+                    return;
                 }
-                applyEditorFontSize(fontSize);
-            }
-
-            function changeEditorFontSize() {
-                const select = document.getElementById('optFontSize');
-                const fontSize = select?.value || '12';
-                localStorage.setItem(CONFIG.FONT_SIZE_KEY, fontSize);
-                applyEditorFontSize(fontSize);
-            }
 
-            function applyEditorFontSize(fontSize) {
-                const cm = document.querySelector('.CodeMirror');
-                if (cm) {
-                    cm.style.fontSize = fontSize + 'px';
-                    // Refresh editor to recalculate line heights
-                    if (state.editor) {
-                        state.editor.refresh();
-                    }
+                if (extractParameters(query).length > 0) {
+                    showToast('warning', 'Parameters Not Supported', 'Replace the {{parameters}} with values before running on multiple accounts.');
+                    return;
                 }
-            }
 
-            function getTableHints() {
-                // NetSuite tables for autocomplete - extracted from query library
-                return {
-                    'Transaction': ['id', 'tranid', 'trandate', 'entity', 'type', 'status', 'posting', 'voided', 'void', 'duedate', 'foreigntotal', 'foreignamountunpaid', 'foreignamountpaid', 'otherrefnum', 'employee', 'memo', 'postingperiod', 'createdby', 'currency', 'shipdate', 'actualshipdate', 'totalcostestimate', 'estgrossprofit', 'estgrossprofitpercent', 'paymentmethod', 'shipcarrier', 'shippingaddress', 'trackingnumberlist', 'approvalstatus', 'createddate'],
-                    'TransactionLine': ['id', 'transaction', 'mainline', 'item', 'quantity', 'rate', 'netamount', 'foreignamount', 'createdfrom', 'linesequencenumber', 'isinventoryaffecting', 'taxline', 'location', 'memo', 'itemtype', 'subsidiary', 'department', 'uniquekey'],
-                    'TransactionAccountingLine': ['transaction', 'transactionline', 'account', 'debit', 'credit', 'amount', 'posting', 'amountunpaid', 'paymentamountunused', 'accountingbook'],
-                    'Item': ['id', 'itemid', 'itemtype', 'parent', 'description', 'fullname', 'isinactive', 'isonline', 'externalid', 'createddate', 'lastmodifieddate', 'purchasedescription', 'quantityonhand', 'quantityavailable', 'quantitycommitted', 'quantityonorder', 'quantitybackordered', 'reorderpoint', 'preferredstocklevel', 'cost', 'averagecost', 'lastpurchaseprice', 'leadtime', 'matrixtype', 'manufacturer'],
-                    'Customer': ['id', 'entityid', 'companyname', 'altname', 'firstname', 'lastname', 'email', 'phone', 'title', 'isperson', 'isinactive', 'terms', 'salesrep', 'creditlimit', 'oncredithold', 'balancesearch', 'overduebalancesearch', 'unbilledorderssearch', 'datecreated', 'lastmodifieddate', 'searchstage', 'defaultshippingaddress'],
-                    'Employee': ['id', 'firstname', 'lastname', 'email', 'title', 'isinactive', 'giveaccess', 'supervisor', 'issalesrep'],
-                    'Vendor': ['id', 'companyname', 'isinactive', 'accountnumber', 'balance', 'email', 'phone', 'terms', 'contact', 'creditlimit', 'datecreated', 'lastmodifieddate', 'externalid'],
-                    'Account': ['id', 'accttype', 'acctnumber', 'displaynamewithHierarchy', 'accountsearchdisplayname', 'balance', 'description', 'isinactive', 'legalname', 'parent'],
-                    'AccountingPeriod': ['id', 'periodname', 'parent', 'startdate', 'enddate', 'isposting', 'isadjust', 'isinactive', 'isquarter', 'alllocked', 'arlocked', 'aplocked', 'allownonglchanges', 'lastmodifieddate', 'closed', 'closedondate'],
-                    'Entity': ['id', 'type', 'altname', 'entitytitle'],
-                    'EntityAddress': ['nkey', 'addressee', 'addr1', 'addr2', 'addr3', 'city', 'state', 'zip', 'country', 'attention'],
-                    'EntityAddressbook': ['entity', 'addressbookaddress', 'defaultbilling', 'defaultshipping'],
-                    'Bin': ['id', 'binnumber', 'location', 'memo'],
-                    'ItemBinQuantity': ['bin', 'item', 'location', 'onhand', 'onhandavail', 'preferredbin'],
-                    'Location': ['id', 'name', 'fullname', 'externalid', 'isinactive', 'mainaddress', 'latitude', 'longitude'],
-                    'LocationMainAddress': ['nkey', 'addressee', 'addr1', 'addr2', 'addr3', 'city', 'state', 'zip', 'attention'],
-                    'Role': ['id', 'name', 'isinactive'],
-                    'RolePermissions': ['role', 'name', 'permlevel'],
-                    'EmployeeRolesForSearch': ['entity', 'role'],
-                    'LoginAudit': ['user', 'date', 'role'],
-                    'SupportCase': ['id', 'casenumber', 'startdate', 'company', 'status', 'title', 'issue', 'category', 'assigned', 'origin', 'priority', 'timeelapsed', 'timeopen', 'timetoassign', 'timetoclose'],
-                    'ItemPrice': ['item', 'price', 'isinactive', 'pricelevelname'],
-                    'ItemVendor': ['item', 'vendor', 'preferredvendor', 'purchaseprice'],
-                    'ItemMember': ['item', 'parentitem', 'quantity', 'memberunit'],
-                    'AssemblyItemMember': ['parentitem', 'item', 'linenumber', 'quantity', 'memberunit', 'itemsource'],
-                    'PreviousTransactionLineLink': ['previousdoc', 'previousline', 'nextdoc', 'nextline', 'nexttype', 'linktype', 'foreignamount'],
-                    'NextTransactionLink': ['previousdoc', 'nextdoc', 'linktype'],
-                    'Currency': ['id', 'symbol', 'name', 'exchangerate', 'displaysymbol', 'symbolplacement', 'currencyprecision', 'isbasecurrency', 'isinactive'],
-                    'CurrencyRate': ['basecurrency', 'transactioncurrency', 'exchangerate', 'effectivedate', 'lastmodifieddate'],
-                    'File': ['id', 'name', 'folder', 'createddate', 'lastmodifieddate', 'filetype', 'filesize', 'url'],
-                    'MediaItemFolder': ['id', 'name', 'istoplevel', 'appfolder'],
-                    'Script': ['scriptid', 'name', 'scripttype', 'owner', 'scriptfile'],
-                    'ClientScript': ['id', 'name', 'scriptid', 'description', 'apiversion', 'scriptfile', 'owner', 'isinactive'],
-                    'CustomField': ['scriptid', 'name', 'fieldtype', 'fieldvaluetype', 'owner', 'lastmodifieddate'],
-                    'CustomList': ['name', 'description', 'scriptid', 'owner', 'isordered', 'isinactive'],
-                    'CustomRecordType': ['internalid', 'name', 'scriptid', 'description', 'owner'],
-                    'CustomSegment': ['name', 'recordtype', 'glimpact', 'isinactive'],
-                    'DeletedRecord': ['deleteddate', 'type', 'recordid', 'deletedby', 'context'],
-                    'EmployeeEmergencyContact': ['employee', 'contact', 'relationship', 'address', 'phone'],
-                    'CompanyContactRelationship': ['company', 'contact', 'role'],
-                    'CompanyFeatureSetup': ['id', 'name', 'isavailable', 'isactive'],
-                    'Country': ['id', 'name', 'edition', 'nationality'],
-                    'State': ['id', 'shortname', 'fullname', 'country'],
-                    'PhoneCall': ['id', 'externalid', 'createddate', 'startdate', 'completeddate', 'owner', 'assigned', 'company', 'contact', 'transaction', 'relateditem', 'supportcase', 'priority', 'status', 'phone', 'title', 'message'],
-                    'Pricing': ['pricelevel', 'item', 'priceqty', 'unitprice'],
-                    'PriceLevel': ['id', 'name', 'isinactive'],
-                    'InventoryNumber': ['item', 'inventorynumber', 'quantityonhand', 'expirationdate'],
-                    'AggregateItemLocation': ['item', 'location', 'quantityonhand', 'quantityavailable', 'quantitycommitted', 'quantityonorder', 'quantitybackordered', 'quantityintransit', 'qtyintransitexternal', 'onhandvaluemli', 'averagecostmli', 'lastpurchasepricemli', 'preferredstocklevel', 'leadtime', 'safetystocklevel', 'leadtimeoffset', 'lastinvtcountdate', 'nextinvtcountdate', 'invtcountinterval', 'invtclassification', 'costinglotsize', 'lastquantityavailablechange'],
-                    'ItemInventoryBalance': ['item', 'quantityavailable'],
-                    'UpsellItem': ['customer', 'purchaseditem', 'item', 'corrrelationfld', 'countfld'],
-                    'TransactionShipment': ['doc', 'sourceaddress', 'destinationaddress', 'shippingmethod', 'weight', 'shippingrate', 'handlingrate'],
-                    'TrackingNumber': ['id', 'trackingnumber'],
-                    'TrackingNumberMap': ['transaction', 'trackingnumber'],
-                    'InboundShipment': ['id', 'shipmentstatus', 'expectedshippingdate', 'actualshippingdate', 'expecteddeliverydate', 'shipmentmemo', 'externaldocumentnumber', 'billoflading'],
-                    'InboundShipmentItem': ['inboundshipment', 'receivinglocation', 'shipmentitemdescription', 'quantityexpected', 'unit', 'expectedrate', 'purchaseordertransaction', 'shipmentitemtransaction'],
-                    'OutboundRequest': ['time', 'key', 'requestid', 'elapsed', 'host', 'port', 'url', 'statuscode', 'error', 'requestcontenttype', 'requestcontentlength', 'responsecontenttype', 'responsecontentlength', 'scriptdeploymenturl', 'scriptid'],
-                    'PaymentMethod': ['id', 'name', 'methodtype', 'merchantaccounts', 'isinactive'],
-                    'Term': ['id', 'name', 'isinactive'],
-                    'AccountSubsidiaryMap': ['account', 'subsidiary'],
-                    'Contact': ['id', 'entityid', 'firstname', 'lastname', 'email', 'phone', 'company', 'isinactive'],
-                    'Department': ['id', 'name', 'fullname', 'parent', 'isinactive'],
-                    'Subsidiary': ['id', 'name', 'fullname', 'parent', 'isinactive', 'country', 'currency'],
-                    'Dual': []
-                };
-            }
+                bootstrap.Modal.getInstance(document.getElementById('multiAccountModal')).hide();
 
-            // =================================================================
-            // EXECUTION TIME TRACKING
-            // =================================================================
+                const executionContexts = remoteUrls.map(remoteUrl => resolveExecutionContext(remoteUrl));
+                if (!(await guardProductionRun(query, getQueryOptions(), executionContexts))) {
+                    return;
+                }
+
+                const sourceQuery = query;
+
+                // Inject cache buster if option is enabled
+                const disableCache = document.getElementById('optDisableCache')?.checked || false;
+                if (disableCache) {
+                    query = injectCacheBuster(query);
+                }
+
+                const run = beginRun(sourceQuery);
+                columnOrder = []; // Reset column order for new results
+
+                const options = getQueryOptions();
+                const startTime = Date.now();
 
-            function loadExecutionTimes() {
                 try {
-                    const saved = localStorage.getItem(CONFIG.TIMES_KEY);
-                    if (saved) {
-                        state.executionTimes = JSON.parse(saved);
+                    // Accounts are queried in parallel; a failure in one account
+                    // is reported in the summary and does not abort the others.
+                    const accountResults = await Promise.all(
+                        remoteUrls.map(remoteUrl => executeOnAccount(query, options, remoteUrl, run.controller.signal))
+                    );
+
+                    if (run.controller.signal.aborted) {
+                        return;
                     }
-                } catch (e) {
-                    console.error('Failed to load execution times:', e);
+
+                    accountResults
+                        .filter(r => !r.error)
+                        .forEach(r => rememberContextResults(sourceQuery, r.executionContext, r.records));
+
+                    const data = combineAccountResults(accountResults);
+                    data.elapsedTime = Date.now() - startTime;
+                    data.cacheMissForced = disableCache;
+
+                    state.results = data;
+                    state.lastExecutedQuery = query;
+                    renderResults(data);
+                    addToHistory(query, data);
+
+                    const failed = accountResults.filter(r => r.error).length;
+                    if (failed > 0) {
+                        showToast('warning', 'Query Completed with Errors',
+                            \`\${failed} of \${accountResults.length} accounts failed. See the account summary for details.\`);
+                    } else {
+                        showToast('success', 'Query Complete',
+                            \`Retrieved \${data.rowCount} rows from \${accountResults.length} accounts in \${data.elapsedTime}ms\`);
+                    }
+                } catch (error) {
+                    showError(error.message);
+                } finally {
+                    endRun(run);
                 }
             }
 
-            function saveExecutionTime(query, elapsedTime, rowCount) {
-                const entry = {
-                    query: query.substring(0, 100),
-                    elapsedTime,
-                    rowCount,
-                    timestamp: new Date().toISOString()
+            async function executeOnAccount(query, options, remoteUrl, signal) {
+                const executionContext = resolveExecutionContext(remoteUrl);
+                const result = {
+                    executionContext,
+                    label: executionContext.accountDescription + ' (' + executionContext.accountId + ')',
+                    records: [],
+                    rowCount: 0,
+                    elapsedTime: null,
+                    error: null
                 };
 
-                state.executionTimes.unshift(entry);
+                try {
+                    const data = await postQuery({
+                        query: query,
+                        rowBegin: options.rowBegin,
+                        rowEnd: options.rowEnd,
+                        paginationEnabled: options.paginationEnabled,
+                        fetchAll: options.fetchAll,
+                        viewsEnabled: options.viewsEnabled,
+                        returnTotals: options.returnTotals,
+                        remoteUrl: remoteUrl
+                    }, signal);
 
-                // Limit stored entries
-                if (state.executionTimes.length > CONFIG.MAX_EXECUTION_TIMES) {
-                    state.executionTimes = state.executionTimes.slice(0, CONFIG.MAX_EXECUTION_TIMES);
+                    if (data.error) {
+                        result.error = formatRemoteError(data.error);
+                    } else {
+                        result.records = data.records || [];
+                        result.rowCount = data.rowCount;
+                        result.elapsedTime = data.elapsedTime;
+                        result.totalRecordCount = data.totalRecordCount;
+                        result.retryCount = data.retryCount;
+                    }
+                } catch (error) {
+                    result.error = error.message;
                 }
 
-                try {
-                    localStorage.setItem(CONFIG.TIMES_KEY, JSON.stringify(state.executionTimes));
-                } catch (e) {
-                    console.error('Failed to save execution times:', e);
-                }
+                return result;
+            }
+
+            function combineAccountResults(accountResults) {
+                // Tag each row with its account, placing the tag in the first column
+                const records = [];
+                accountResults.forEach(result => {
+                    result.records.forEach(record => {
+                        records.push(Object.assign({ [ACCOUNT_COLUMN]: result.label }, record));
+                    });
+                });
+
+                return {
+                    records,
+                    rowCount: records.length,
+                    executionContext: {
+                        type: 'multi',
+                        accountDescription: accountResults.length + ' accounts',
+                        accountId: accountResults.map(r => r.executionContext.accountId).join(', ')
+                    },
+                    // Per-account summary; the rows themselves live in records
+                    accountResults: accountResults.map(({ records, ...summary }) => summary)
+                };
+            }
+
+            function renderAccountSummary(data) {
+                return \`
+                    <div class="sqt-account-summary">
+                        \${data.accountResults.map(r => \`
+                            <div class="sqt-account-summary-item\${r.error ? ' error' : ''}" title="\${escapeHtml(r.error || '')}">
+                                <i class="bi \${r.error ? 'bi-exclamation-triangle' : 'bi-check-circle'}"></i>
+                                <strong>\${escapeHtml(r.executionContext.accountDescription)}</strong>
+                                <span class="text-muted">(\${escapeHtml(r.executionContext.accountId)})</span>
+                                \${renderEnvironmentTag(r.executionContext)}
+                                \${r.error
+                                    ? \`<span class="sqt-account-summary-error">\${escapeHtml(r.error)}</span>\`
+                                    : \`<span>\${r.rowCount} rows\${r.totalRecordCount ? ' of ' + r.totalRecordCount : ''} &middot; \${r.elapsedTime}ms</span>\`}
+                                \${r.retryCount ? \`<span class="sqt-retry-badge">\${r.retryCount} \${r.retryCount === 1 ? 'retry' : 'retries'}</span>\` : ''}
+                            </div>
+                        \`).join('')}
+                    </div>
+                \`;
             }
 
             // =================================================================
-            // QUERY SHARING
+            // RESULTS RENDERING
             // =================================================================
 
-            function checkUrlParams() {
-                const params = new URLSearchParams(window.location.search);
-                const sharedQuery = params.get('query');
-                if (sharedQuery && state.editor) {
-                    try {
-                        const query = decodeURIComponent(sharedQuery);
-                        state.editor.setValue(query);
-                        showToast('info', 'Query Loaded', 'Shared query has been loaded.');
-                    } catch (e) {
-                        console.error('Failed to load shared query:', e);
-                    }
+            function clearResults() {
+                // Skip if no results to clear
+                if (!state.results) {
+                    return;
+                }
+
+                // Confirm before clearing
+                if (!confirm('Clear the current results?')) {
+                    return;
+                }
+
+                state.results = null;
+                const panel = document.getElementById('resultsPanel');
+                panel.innerHTML = \`
+                    <div class="sqt-empty-state" id="emptyState">
+                        <i class="bi bi-terminal"></i>
+                        <h3>Ready to query</h3>
+                        <p>Write a SuiteQL query above and click <strong>Run Query</strong> or press <span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></p>
+                    </div>
+                \`;
+
+                // Exit maximized mode if active
+                if (state.resultsMaximized) {
+                    toggleResultsMaximized();
                 }
+
+                showToast('info', 'Cleared', 'Results have been cleared.');
             }
 
-            function showShareModal() {
-                const query = state.editor.getValue();
-                if (!query.trim()) {
-                    showToast('warning', 'No Query', 'Please enter a query to share.');
+            function renderResults(data) {
+                const panel = document.getElementById('resultsPanel');
+
+                // Results of Run All keep the tabs of the other statements above them
+                const statementTabs = data.statement !== undefined && state.statementBatch ? renderStatementTabs() : '';
+
+                const hasRecords = data.records && data.records.length > 0;
+                if (!hasRecords && !(state.viewMode === 'diff' && getDiffContexts().length >= 2)) {
+                    panel.innerHTML = statementTabs + (data.accountResults ? renderAccountSummary(data) : '') + \`
+                        <div class="sqt-empty-state">
+                            <i class="bi bi-inbox"></i>
+                            <h3>No results</h3>
+                            <p>The query returned no records.</p>
+                            \${getDiffContexts().length >= 2 ? \`
+                                <button type="button" class="sqt-btn sqt-btn-secondary" onclick="SQT.setViewMode('diff')" style="margin-top: 16px;">
+                                    <i class="bi bi-file-diff"></i> Compare with Other Accounts
+                                </button>
+                            \` : ''}
+                        </div>
+                    \`;
                     return;
                 }
 
-                const encodedQuery = encodeURIComponent(query);
-                // Build full URL using current page location
-                const baseUrl = window.location.origin + window.location.pathname + window.location.search;
-                const separator = baseUrl.includes('?') ? '&' : '?';
-                const url = baseUrl + separator + 'query=' + encodedQuery;
+                // Check if AI results chat is available
+                const aiSettings = loadAISettings();
+                const aiConfigured = aiSettings && (aiSettings.apiKey || state.aiApiKey);
+                const showAIResultsBtn = CONFIG.AI_RESULTS_CHAT_ENABLED && aiConfigured;
 
-                document.getElementById('shareUrl').textContent = url;
-                new bootstrap.Modal(document.getElementById('shareModal')).show();
+                // Diff view needs results of this query from at least two accounts
+                const diffAvailable = getDiffContexts().length >= 2;
+                const viewMode = state.viewMode === 'diff' && !diffAvailable ? 'table' : state.viewMode;
+
+                // Build header with view toggle
+                const headerHtml = \`
+                    <div class="sqt-results-header\${data.executionContext.color ? ' sqt-env-colored' : ''}" style="--sqt-env-color: \${escapeHtml(data.executionContext.color || '')}">
+                        <div class="sqt-results-info">
+                            <div class="sqt-results-info-item">
+                                <i class="bi bi-table"></i>
+                                <span>\${data.paging ? getPageRowRange(data) : data.rowCount + ' rows'}</span>
+                                \${data.totalRecordCount ? \`<span class="text-muted">of \${data.totalRecordCount} total</span>\` : ''}
+                            </div>
+                            <div class="sqt-results-info-item">
+                                <i class="bi bi-clock"></i>
+                                <span>\${data.elapsedTime}ms</span>
+                                \${data.cacheMissForced ? '<span class="sqt-cache-miss-badge" title="Cache miss was forced for this query">uncached</span>' : ''}
+                            </div>    
+                            <div class="sqt-results-info-item">
+                                <i class="bi bi-diagram-3"></i>
+                                <span>\${{ remote: 'Remote', multi: 'Multiple' }[data.executionContext.type] || 'Local'}: \${escapeHtml(data.executionContext.accountDescription)} (\${escapeHtml(data.executionContext.accountId)})
+                                </span>
+                                \${renderEnvironmentTag(data.executionContext)}
+                                \${data.retryCount ? \`<span class="sqt-retry-badge" title="The remote request was retried after a request limit or server error">\${data.retryCount} \${data.retryCount === 1 ? 'retry' : 'retries'}</span>\` : ''}
+                            </div>
+                        </div>
+                        \${data.paging ? renderPager(data.paging) : ''}
+                        <div class="sqt-results-actions">
+                            <div class="sqt-view-toggle">
+                                <button type="button" class="sqt-view-toggle-btn \${viewMode === 'table' ? 'active' : ''}" onclick="SQT.setViewMode('table')" title="Table view">
+                                    <i class="bi bi-table"></i> Table
+                                </button>
+                                <button type="button" class="sqt-view-toggle-btn \${viewMode === 'datatable' ? 'active' : ''}" onclick="SQT.setViewMode('datatable')" title="DataTable view with sorting">
+                                    <i class="bi bi-filter"></i> DataTable
+                                </button>
+                                <button type="button" class="sqt-view-toggle-btn \${viewMode === 'json' ? 'active' : ''}" onclick="SQT.setViewMode('json')" title="JSON view">
+                                    <i class="bi bi-braces"></i> JSON
+                                </button>
+                                \${diffAvailable ? \`
+                                    <button type="button" class="sqt-view-toggle-btn \${viewMode === 'diff' ? 'active' : ''}" onclick="SQT.setViewMode('diff')" title="Compare results between accounts">
+                                        <i class="bi bi-file-diff"></i> Diff
+                                    </button>
+                                \` : ''}
+                            </div>
+                            \${showAIResultsBtn ? \`
+                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.askAIAboutResults()" title="Ask AI about these results">
+                                    <i class="bi bi-stars"></i>
+                                    <span>Ask AI</span>
+                                </button>
+                            \` : ''}
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showExportModal()">
+                                <i class="bi bi-download"></i>
+                                <span>Export</span>
+                            </button>
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.clearResults()" title="Clear results">
+                                <i class="bi bi-x-lg"></i>
+                            </button>
+                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon sqt-results-maximize-btn" onclick="SQT.toggleResultsMaximized()" title="Maximize results (Shift+R)">
+                                <i class="bi bi-arrows-fullscreen"></i>
+                            </button>
+                        </div>
+                    </div>
+                \`;
+
+                // Render based on view mode
+                let contentHtml = data.accountResults ? renderAccountSummary(data) : '';
+                switch (viewMode) {
+                    case 'datatable':
+                        contentHtml += renderDataTableView(data);
+                        break;
+                    case 'json':
+                        contentHtml += renderJsonView(data);
+                        break;
+                    case 'diff':
+                        contentHtml += renderDiffView();
+                        break;
+                    default:
+                        contentHtml += renderTableView(data);
+                }
+
+                panel.innerHTML = statementTabs + headerHtml + contentHtml;
+
+                // Initialize DataTable if needed
+                if (viewMode === 'datatable') {
+                    try {
+                        new DataTable('#resultsDataTable', {
+                            pageLength: 25,
+                            lengthMenu: [10, 25, 50, 100, 250, 500],
+                            scrollX: true,
+                            order: []
+                        });
+                    } catch (e) {
+                        console.error('DataTable initialization error:', e);
+                    }
+                }
+
+                // Initialize column drag for table view
+                if (viewMode === 'table') {
+                    initColumnDrag();
+                    initPinnedColumns();
+                }
             }
 
-            function copyShareUrl() {
-                const url = document.getElementById('shareUrl').textContent;
-                navigator.clipboard.writeText(url).then(() => {
-                    bootstrap.Modal.getInstance(document.getElementById('shareModal')).hide();
-                    showToast('success', 'URL Copied', 'Share URL copied to clipboard.');
-                }).catch(err => {
-                    showToast('error', 'Copy Failed', 'Failed to copy URL to clipboard.');
+            function initPinnedColumns() {
+                const table = document.querySelector('.sqt-results-table');
+                if (!table) return;
+
+                const pinnedHeaders = table.querySelectorAll('th.sqt-pinned');
+                if (pinnedHeaders.length === 0) return;
+
+                // Calculate cumulative left positions
+                let leftPos = 0;
+                pinnedHeaders.forEach((th, index) => {
+                    const width = th.offsetWidth;
+                    th.style.left = leftPos + 'px';
+
+                    // Apply same left to all cells in this column
+                    const colIndex = Array.from(th.parentNode.children).indexOf(th);
+                    table.querySelectorAll('tbody tr, tfoot tr').forEach(row => {
+                        const cell = row.children[colIndex];
+                        if (cell && cell.classList.contains('sqt-pinned')) {
+                            cell.style.left = leftPos + 'px';
+                        }
+                    });
+
+                    leftPos += width;
                 });
             }
 
-            // =================================================================
-            // ROW DETAILS
-            // =================================================================
+            function renderTableView(data) {
+                const filteredColumns = getOrderedColumns(data.records);
+                const hideRowNumbers = document.getElementById('optHideRowNumbers')?.checked;
+                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+                const showStats = document.getElementById('optShowStats')?.checked;
+                const pinColumns = parseInt(document.getElementById('optPinColumns')?.value) || 0;
 
-            function showRowDetails(index) {
-                if (!state.results || !state.results.records || !state.results.records[index]) {
-                    return;
-                }
+                // Calculate column statistics
+                const stats = showStats ? calculateColumnStats(data.records) : null;
+
+                // Helper to get pinned class for a column index
+                const getPinnedClass = (colIndex, isLast = false) => {
+                    if (pinColumns === 0) return '';
+                    // If row numbers are visible, they take index 0
+                    const effectiveIndex = hideRowNumbers ? colIndex : colIndex + 1;
+                    if (effectiveIndex < pinColumns) {
+                        const lastClass = isLast ? ' sqt-pinned-last' : '';
+                        return ' sqt-pinned' + lastClass;
+                    }
+                    return '';
+                };
 
-                state.selectedRowIndex = index;
-                renderRowDetails();
-                new bootstrap.Modal(document.getElementById('rowDetailsModal')).show();
-            }
+                // Determine which column index is the last pinned one
+                const lastPinnedIndex = hideRowNumbers ? pinColumns - 1 : pinColumns - 2;
 
-            function renderRowDetails() {
-                const record = state.results.records[state.selectedRowIndex];
-                if (!record) return;
+                // Row number pinned class
+                const rowNumPinnedClass = (!hideRowNumbers && pinColumns > 0)
+                    ? ' sqt-pinned' + (pinColumns === 1 ? ' sqt-pinned-last' : '')
+                    : '';
 
-                const columns = Object.keys(record).filter(c => c !== 'rownumber');
-                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+                let html = \`
+                    <div class="sqt-results-container">
+                        <table class="sqt-results-table">
+                            <thead>
+                                <tr>
+                                    \${!hideRowNumbers ? '<th class="row-number' + rowNumPinnedClass + '">#</th>' : ''}
+                                    \${filteredColumns.map((c, i) => \`<th class="sqt-draggable\${getPinnedClass(i, i === lastPinnedIndex)}" data-column="\${escapeHtml(c)}">\${escapeHtml(c)}</th>\`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                \`;
 
-                let html = '<table class="table table-sm">';
-                columns.forEach(col => {
-                    const value = record[col];
-                    let displayValue;
-                    if (value === null || value === undefined) {
-                        displayValue = nullDisplay === 'blank' ? '' : '<span class="sqt-null-value">null</span>';
-                    } else {
-                        displayValue = escapeHtml(String(value));
+                data.records.forEach((record, index) => {
+                    html += \`<tr class="sqt-row-clickable" onclick="SQT.showRowDetails(\${index})" title="Click to view all fields">\`;
+                    if (!hideRowNumbers) {
+                        html += \`<td class="row-number\${rowNumPinnedClass}">\${index + 1}</td>\`;
                     }
-                    html += \`
-                        <tr>
-                            <th style="width: 30%; font-weight: 600;">\${escapeHtml(col)}</th>
-                            <td style="word-break: break-all;">\${displayValue}</td>
-                        </tr>
-                    \`;
+                    filteredColumns.forEach((col, colIndex) => {
+                        const value = record[col];
+                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${formatCellValue(value, nullDisplay)}</td>\`;
+                    });
+                    html += '</tr>';
                 });
-                html += '</table>';
 
-                document.getElementById('rowDetailsContent').innerHTML = html;
-                document.getElementById('rowDetailsIndex').textContent =
-                    \`Row \${state.selectedRowIndex + 1} of \${state.results.records.length}\`;
-            }
+                html += '</tbody>';
 
-            function prevRow() {
-                if (state.selectedRowIndex > 0) {
-                    state.selectedRowIndex--;
-                    renderRowDetails();
-                }
-            }
+                // Add statistics footer if enabled
+                if (stats) {
+                    html += '<tfoot>';
 
-            function nextRow() {
-                if (state.results && state.selectedRowIndex < state.results.records.length - 1) {
-                    state.selectedRowIndex++;
-                    renderRowDetails();
-                }
-            }
+                    // Sum row
+                    html += '<tr class="sqt-stats-row">';
+                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">SUM</td>';
+                    filteredColumns.forEach((col, colIndex) => {
+                        const colStats = stats[col];
+                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.sum) : '-'}</td>\`;
+                    });
+                    html += '</tr>';
 
-            // =================================================================
-            // COLUMN STATISTICS
-            // =================================================================
+                    // Avg row
+                    html += '<tr class="sqt-stats-row">';
+                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">AVG</td>';
+                    filteredColumns.forEach((col, colIndex) => {
+                        const colStats = stats[col];
+                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.avg) : '-'}</td>\`;
+                    });
+                    html += '</tr>';
 
-            function calculateColumnStats(records) {
-                if (!records || records.length === 0) return null;
+                    // Min row
+                    html += '<tr class="sqt-stats-row">';
+                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">MIN</td>';
+                    filteredColumns.forEach((col, colIndex) => {
+                        const colStats = stats[col];
+                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.min) : '-'}</td>\`;
+                    });
+                    html += '</tr>';
 
-                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
-                const stats = {};
+                    // Max row
+                    html += '<tr class="sqt-stats-row">';
+                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">MAX</td>';
+                    filteredColumns.forEach((col, colIndex) => {
+                        const colStats = stats[col];
+                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.max) : '-'}</td>\`;
+                    });
+                    html += '</tr>';
 
-                columns.forEach(col => {
-                    const values = records.map(r => r[col]).filter(v => v !== null && v !== undefined);
-                    const numericValues = values.filter(v => !isNaN(parseFloat(v)) && isFinite(v)).map(v => parseFloat(v));
+                    html += '</tfoot>';
+                }
 
-                    stats[col] = {
-                        count: values.length,
-                        nullCount: records.length - values.length,
-                        isNumeric: numericValues.length > 0 && numericValues.length === values.length
-                    };
+                html += \`
+                        </table>
+                    </div>
+                \`;
 
-                    if (stats[col].isNumeric && numericValues.length > 0) {
-                        stats[col].sum = numericValues.reduce((a, b) => a + b, 0);
-                        stats[col].min = Math.min(...numericValues);
-                        stats[col].max = Math.max(...numericValues);
-                        stats[col].avg = stats[col].sum / numericValues.length;
-                    }
+                return html;
+            }
+
+            function renderDataTableView(data) {
+                const columns = Object.keys(data.records[0]).filter(c => c !== 'rownumber');
+                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+
+                let html = \`
+                    <div class="sqt-results-container" style="padding: 16px;">
+                        <table id="resultsDataTable" class="table table-striped table-bordered" style="width: 100%;">
+                            <thead>
+                                <tr>
+                                    \${columns.map(c => \`<th>\${escapeHtml(c)}</th>\`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                \`;
+
+                data.records.forEach(record => {
+                    html += '<tr>';
+                    columns.forEach(col => {
+                        const value = record[col];
+                        html += \`<td>\${formatCellValue(value, nullDisplay)}</td>\`;
+                    });
+                    html += '</tr>';
                 });
 
-                return stats;
+                html += \`
+                            </tbody>
+                        </table>
+                    </div>
+                \`;
+
+                return html;
             }
 
-            function formatStatValue(value, decimals = 2) {
-                if (value === undefined || value === null) return '-';
-                if (Math.abs(value) >= 1000000) {
-                    return (value / 1000000).toFixed(1) + 'M';
-                } else if (Math.abs(value) >= 1000) {
-                    return (value / 1000).toFixed(1) + 'K';
-                } else if (Number.isInteger(value)) {
-                    return value.toLocaleString();
-                } else {
-                    return value.toFixed(decimals);
-                }
+            function renderJsonView(data) {
+                const jsonString = JSON.stringify(data.records, null, 2);
+                return \`
+                    <div class="sqt-json-container">
+                        <pre class="sqt-json-pre">\${escapeHtml(jsonString)}</pre>
+                    </div>
+                \`;
             }
 
             // =================================================================
-            // FILE IMPORT (DRAG & DROP)
+            // PAGED RESULTS
             // =================================================================
 
-            function initDragDrop() {
-                const editorPanel = document.querySelector('.sqt-editor-panel');
-                const overlay = document.getElementById('dropOverlay');
-
-                ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-                    editorPanel.addEventListener(eventName, preventDefaults);
-                    document.body.addEventListener(eventName, preventDefaults);
-                });
+            function getPageSize() {
+                const saved = parseInt(localStorage.getItem(CONFIG.PAGE_SIZE_KEY), 10);
+                return CONFIG.PAGE_SIZES.includes(saved) ? saved : CONFIG.PAGE_SIZE_DEFAULT;
+            }
 
-                function preventDefaults(e) {
-                    e.preventDefault();
-                    e.stopPropagation();
+            function createPaging(query, params, remoteUrl, options, data) {
+                if (!options.pagedResults) {
+                    return null;
                 }
 
-                ['dragenter', 'dragover'].forEach(eventName => {
-                    editorPanel.addEventListener(eventName, () => {
-                        overlay.classList.add('active');
-                    });
-                });
-
-                ['dragleave', 'drop'].forEach(eventName => {
-                    editorPanel.addEventListener(eventName, () => {
-                        overlay.classList.remove('active');
-                    });
-                });
+                return {
+                    query,
+                    params,
+                    remoteUrl,
+                    viewsEnabled: options.viewsEnabled,
+                    page: 1,
+                    pageSize: options.pageSize,
+                    totalRecordCount: data.totalRecordCount || 0
+                };
+            }
 
-                editorPanel.addEventListener('drop', handleDrop);
+            function getPageCount(paging) {
+                return Math.max(1, Math.ceil(paging.totalRecordCount / paging.pageSize));
             }
 
-            function handleDrop(e) {
-                const files = e.dataTransfer.files;
-                if (files.length > 0) {
-                    readSqlFile(files[0]);
+            function getPageRowRange(data) {
+                if (data.rowCount === 0) {
+                    return '0 rows';
                 }
-            }
 
-            function importSqlFile() {
-                document.getElementById('sqlFileInput').click();
+                const firstRow = (data.paging.page - 1) * data.paging.pageSize + 1;
+                return \`Rows \${firstRow.toLocaleString()}&ndash;\${(firstRow + data.rowCount - 1).toLocaleString()}\`;
             }
 
-            function handleFileSelect(e) {
-                const file = e.target.files[0];
-                if (file) {
-                    readSqlFile(file);
-                }
-                // Reset input so same file can be selected again
-                e.target.value = '';
-            }
+            function renderPager(paging) {
+                const pageCount = getPageCount(paging);
+                const isFirst = paging.page <= 1;
+                const isLast = paging.page >= pageCount;
 
-            function readSqlFile(file) {
-                const validExtensions = ['.sql', '.txt'];
-                const extension = '.' + file.name.split('.').pop().toLowerCase();
+                return \`
+                    <div class="sqt-pager">
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.goToPage(1)" title="First page" \${isFirst ? 'disabled' : ''}>
+                            <i class="bi bi-chevron-bar-left"></i>
+                        </button>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.goToPage(\${paging.page - 1})" title="Previous page" \${isFirst ? 'disabled' : ''}>
+                            <i class="bi bi-chevron-left"></i>
+                        </button>
+                        <span class="sqt-pager-info">Page \${paging.page.toLocaleString()} of \${pageCount.toLocaleString()}</span>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.goToPage(\${paging.page + 1})" title="Next page" \${isLast ? 'disabled' : ''}>
+                            <i class="bi bi-chevron-right"></i>
+                        </button>
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.goToPage(\${pageCount})" title="Last page" \${isLast ? 'disabled' : ''}>
+                            <i class="bi bi-chevron-bar-right"></i>
+                        </button>
+                        <select class="sqt-pager-size" onchange="SQT.setPageSize(this.value)" title="Rows per page" aria-label="Rows per page">
+                            \${CONFIG.PAGE_SIZES.map(size => \`
+                                <option value="\${size}" \${size === paging.pageSize ? 'selected' : ''}>\${size} / page</option>
+                            \`).join('')}
+                        </select>
+                    </div>
+                \`;
+            }
 
-                if (!validExtensions.includes(extension)) {
-                    showToast('warning', 'Invalid File', 'Please select a .sql or .txt file.');
+            async function goToPage(page, pageSize) {
+                const current = state.results;
+                if (!current || !current.paging || state.isRunning) {
                     return;
                 }
 
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const content = e.target.result;
-                    state.editor.setValue(content);
-                    showToast('success', 'File Imported', \`Loaded: \${file.name}\`);
-                };
-                reader.onerror = () => {
-                    showToast('error', 'Read Error', 'Failed to read the file.');
-                };
-                reader.readAsText(file);
-            }
+                const paging = Object.assign({}, current.paging, { pageSize: pageSize || current.paging.pageSize });
+                paging.page = Math.min(Math.max(1, page), getPageCount(paging));
+
+                const run = beginRun(null);
+                applyTargetColor(current.executionContext);
+
+                try {
+                    const data = await postQuery({
+                        query: paging.query,
+                        params: paging.params,
+                        rowBegin: (paging.page - 1) * paging.pageSize + 1,
+                        rowEnd: paging.page * paging.pageSize,
+                        paginationEnabled: true,
+                        viewsEnabled: paging.viewsEnabled,
+                        returnTotals: false,
+                        remoteUrl: paging.remoteUrl
+                    }, run.controller.signal);
+
+                    if (data.error) {
+                        showToast('error', 'Page Failed', data.error.message || data.error);
+                        return;
+                    }
 
-            function downloadQuery() {
-                const query = state.editor.getValue();
-                if (!query.trim()) {
-                    showToast('warning', 'No Query', 'Please enter a query to download.');
-                    return;
-                }
+                    // The total is counted once, when the query is run
+                    Object.assign(data, {
+                        statement: current.statement,
+                        executionContext: current.executionContext,
+                        cacheMissForced: current.cacheMissForced,
+                        totalRecordCount: paging.totalRecordCount,
+                        paging
+                    });
 
-                // Generate filename with timestamp
-                const timestamp = new Date().toISOString().slice(0, 10);
-                const filename = \`query-\${timestamp}.sql\`;
+                    if (current.statement !== undefined && state.statementBatch) {
+                        state.statementBatch.statements[current.statement].result = data;
+                    }
 
-                // Create and download the file
-                const blob = new Blob([query], { type: 'text/plain' });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
+                    state.results = data;
+                    renderResults(data);
 
-                showToast('success', 'Query Downloaded', \`Saved as \${filename}\`);
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        showToast('error', 'Page Failed', error.message);
+                    }
+                } finally {
+                    if (endRun(run)) {
+                        applyTargetColor(resolveExecutionContext(null));
+                    }
+                }
+            }
+
+            function setPageSize(value) {
+                const pageSize = parseInt(value, 10);
+                localStorage.setItem(CONFIG.PAGE_SIZE_KEY, pageSize);
+
+                const paging = state.results && state.results.paging;
+                if (paging) {
+                    // Stay on the page that holds the first row shown now
+                    const firstRow = (paging.page - 1) * paging.pageSize;
+                    goToPage(Math.floor(firstRow / pageSize) + 1, pageSize);
+                }
             }
 
             // =================================================================
-            // COLUMN REORDERING
+            // RESULTS DIFF
             // =================================================================
 
-            let draggedColumn = null;
-            let columnOrder = [];
+            function rememberContextResults(query, executionContext, records) {
+                const normalized = query.trim();
 
-            function initColumnDrag() {
-                // This is called after rendering results
-                const headers = document.querySelectorAll('.sqt-results-table th.sqt-draggable');
+                // Results are only comparable for the same query text
+                if (state.contextResults.query !== normalized) {
+                    state.contextResults = { query: normalized, entries: {} };
+                }
 
-                headers.forEach(header => {
-                    header.setAttribute('draggable', 'true');
+                const label = executionContext.accountDescription + ' (' + executionContext.accountId + ')';
+                state.contextResults.entries[label] = { executionContext, records: records || [] };
+            }
 
-                    header.addEventListener('dragstart', (e) => {
-                        draggedColumn = header;
-                        header.classList.add('sqt-dragging');
-                        e.dataTransfer.effectAllowed = 'move';
+            function getDiffContexts() {
+                return Object.keys(state.contextResults.entries);
+            }
+
+            function getDiffColumns(leftRecords, rightRecords) {
+                const columns = [];
+                [leftRecords[0], rightRecords[0]].forEach(record => {
+                    if (!record) return;
+                    Object.keys(record).forEach(col => {
+                        if (col !== 'rownumber' && col !== ACCOUNT_COLUMN && !columns.includes(col)) {
+                            columns.push(col);
+                        }
                     });
+                });
+                return columns;
+            }
 
-                    header.addEventListener('dragend', () => {
-                        header.classList.remove('sqt-dragging');
-                        document.querySelectorAll('.sqt-drag-over').forEach(el => {
-                            el.classList.remove('sqt-drag-over');
-                        });
-                        draggedColumn = null;
+            function normalizeDiffValue(value) {
+                return value === null || value === undefined ? null : String(value);
+            }
+
+            function computeResultDiff(leftRecords, rightRecords, keyColumn, columns) {
+                // Group rows by key; duplicate keys are paired in the order they appear
+                const groupByKey = (records) => {
+                    const groups = new Map();
+                    records.forEach(record => {
+                        const key = normalizeDiffValue(record[keyColumn]);
+                        if (!groups.has(key)) groups.set(key, []);
+                        groups.get(key).push(record);
                     });
+                    return groups;
+                };
 
-                    header.addEventListener('dragover', (e) => {
-                        e.preventDefault();
-                        if (draggedColumn && draggedColumn !== header) {
-                            header.classList.add('sqt-drag-over');
+                const leftGroups = groupByKey(leftRecords);
+                const rightGroups = groupByKey(rightRecords);
+                const keys = [...new Set([...leftGroups.keys(), ...rightGroups.keys()])];
+                const rows = [];
+
+                keys.forEach(key => {
+                    const lefts = leftGroups.get(key) || [];
+                    const rights = rightGroups.get(key) || [];
+                    const count = Math.max(lefts.length, rights.length);
+
+                    for (let i = 0; i < count; i++) {
+                        const left = lefts[i];
+                        const right = rights[i];
+
+                        if (!right) {
+                            rows.push({ status: 'removed', key, left, right: null, changed: [] });
+                        } else if (!left) {
+                            rows.push({ status: 'added', key, left: null, right, changed: [] });
+                        } else {
+                            const changed = columns.filter(col =>
+                                normalizeDiffValue(left[col]) !== normalizeDiffValue(right[col])
+                            );
+                            rows.push({ status: changed.length > 0 ? 'changed' : 'unchanged', key, left, right, changed });
                         }
-                    });
+                    }
+                });
 
-                    header.addEventListener('dragleave', () => {
-                        header.classList.remove('sqt-drag-over');
-                    });
+                return rows;
+            }
 
-                    header.addEventListener('drop', (e) => {
-                        e.preventDefault();
-                        header.classList.remove('sqt-drag-over');
+            function renderDiffView() {
+                const contexts = getDiffContexts();
+                const entries = state.contextResults.entries;
+                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+                const diff = state.diff;
 
-                        if (draggedColumn && draggedColumn !== header) {
-                            reorderColumns(draggedColumn.dataset.column, header.dataset.column);
+                // Fall back to the first two contexts when the selection is stale
+                if (!contexts.includes(diff.left)) {
+                    diff.left = contexts[0];
+                }
+                if (!contexts.includes(diff.right)) {
+                    diff.right = contexts.find(c => c !== diff.left);
+                }
+
+                const leftRecords = entries[diff.left].records;
+                const rightRecords = entries[diff.right].records;
+                const columns = getDiffColumns(leftRecords, rightRecords);
+
+                if (!columns.includes(diff.key)) {
+                    diff.key = columns.includes('id') ? 'id' : columns[0];
+                }
+
+                const rows = computeResultDiff(leftRecords, rightRecords, diff.key, columns);
+
+                const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+                rows.forEach(row => counts[row.status]++);
+
+                const visibleRows = diff.showUnchanged ? rows : rows.filter(row => row.status !== 'unchanged');
+
+                const contextOptions = (selected) => contexts.map(c =>
+                    \`<option value="\${escapeHtml(c)}" \${c === selected ? 'selected' : ''}>\${escapeHtml(c)}</option>\`
+                ).join('');
+
+                let html = \`
+                    <div class="sqt-diff-toolbar">
+                        <label for="diffLeft">Compare</label>
+                        <select id="diffLeft" class="form-select form-select-sm" onchange="SQT.updateDiffOptions()">\${contextOptions(diff.left)}</select>
+                        <label for="diffRight">with</label>
+                        <select id="diffRight" class="form-select form-select-sm" onchange="SQT.updateDiffOptions()">\${contextOptions(diff.right)}</select>
+                        <label for="diffKey">matching on</label>
+                        <select id="diffKey" class="form-select form-select-sm" onchange="SQT.updateDiffOptions()">
+                            \${columns.map(c => \`<option value="\${escapeHtml(c)}" \${c === diff.key ? 'selected' : ''}>\${escapeHtml(c)}</option>\`).join('')}
+                        </select>
+                        <label class="sqt-diff-toggle">
+                            <input type="checkbox" id="diffShowUnchanged" \${diff.showUnchanged ? 'checked' : ''} onchange="SQT.updateDiffOptions()">
+                            Show unchanged
+                        </label>
+                        <div class="sqt-diff-counts">
+                            <span class="sqt-diff-count added">+\${counts.added} added</span>
+                            <span class="sqt-diff-count removed">-\${counts.removed} removed</span>
+                            <span class="sqt-diff-count changed">~\${counts.changed} changed</span>
+                            <span class="sqt-diff-count">\${counts.unchanged} unchanged</span>
+                        </div>
+                    </div>
+                \`;
+
+                if (diff.left === diff.right) {
+                    return html + '<div class="sqt-empty-state"><p>Select two different accounts to compare.</p></div>';
+                }
+
+                if (visibleRows.length === 0) {
+                    return html + \`
+                        <div class="sqt-empty-state">
+                            <i class="bi bi-check2-all"></i>
+                            <h3>No differences</h3>
+                            <p>Both accounts returned the same rows for this query.</p>
+                        </div>
+                    \`;
+                }
+
+                html += \`
+                    <div class="sqt-results-container">
+                        <table class="sqt-results-table sqt-diff-table">
+                            <thead>
+                                <tr>
+                                    <th class="row-number"></th>
+                                    \${columns.map(c => \`<th>\${escapeHtml(c)}</th>\`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                \`;
+
+                const markers = { added: '+', removed: '-', changed: '~', unchanged: '' };
+                visibleRows.forEach(row => {
+                    const record = row.right || row.left;
+                    html += \`<tr class="sqt-diff-\${row.status}">\`;
+                    html += \`<td class="row-number" title="\${row.status}">\${markers[row.status]}</td>\`;
+                    columns.forEach(col => {
+                        if (row.changed.includes(col)) {
+                            html += \`
+                                <td class="sqt-diff-cell-changed" title="\${escapeHtml(diff.left)} &rarr; \${escapeHtml(diff.right)}">
+                                    <span class="sqt-diff-old">\${formatCellValue(row.left[col], nullDisplay)}</span>
+                                    <span class="sqt-diff-new">\${formatCellValue(row.right[col], nullDisplay)}</span>
+                                </td>
+                            \`;
+                        } else {
+                            html += \`<td>\${formatCellValue(record[col], nullDisplay)}</td>\`;
                         }
                     });
+                    html += '</tr>';
                 });
+
+                html += \`
+                            </tbody>
+                        </table>
+                    </div>
+                \`;
+
+                return html;
             }
 
-            function reorderColumns(fromCol, toCol) {
-                if (!state.results || !state.results.records) return;
+            function updateDiffOptions() {
+                state.diff.left = document.getElementById('diffLeft').value;
+                state.diff.right = document.getElementById('diffRight').value;
+                state.diff.key = document.getElementById('diffKey').value;
+                state.diff.showUnchanged = document.getElementById('diffShowUnchanged').checked;
+                refreshResults();
+            }
 
-                const columns = Object.keys(state.results.records[0]).filter(c => c !== 'rownumber');
-                const fromIndex = columns.indexOf(fromCol);
-                const toIndex = columns.indexOf(toCol);
+            function setViewMode(mode) {
+                state.viewMode = mode;
+                if (state.results) {
+                    renderResults(state.results);
+                }
+            }
 
-                if (fromIndex === -1 || toIndex === -1) return;
+            function refreshResults() {
+                if (state.results) {
+                    renderResults(state.results);
+                }
+            }
 
-                // Reorder the column array
-                columns.splice(fromIndex, 1);
-                columns.splice(toIndex, 0, fromCol);
+            function formatCellValue(value, nullDisplay) {
+                if (value === null || value === undefined) {
+                    switch (nullDisplay) {
+                        case 'blank': return '';
+                        case 'null': return '<span class="sqt-null-value">null</span>';
+                        default: return '<span class="sqt-null-value">null</span>';
+                    }
+                }
+                return escapeHtml(String(value));
+            }
 
-                // Store new order
-                columnOrder = columns;
+            // Remote execution error categories (see createRemoteError on the server)
+            const REMOTE_ERROR_CATEGORIES = {
+                credentials: {
+                    label: 'No Credentials',
+                    fix: 'Add credentials for this realm under More > Remote Credentials, or in secret.js.'
+                },
+                oauth: {
+                    label: 'Authentication Failed',
+                    fix: 'The access token may be revoked or expired. Create a new token in the remote account and update its credentials.'
+                },
+                rate_limit: {
+                    label: 'Request Limit Exceeded',
+                    fix: 'The remote account is over its concurrent request limit. Wait a moment and run the query again.'
+                },
+                permission: {
+                    label: 'Permission Denied',
+                    fix: 'Check the RESTlet and SuiteAnalytics permissions of the token role, and the proxy table allow-list.'
+                },
+                query: {
+                    label: 'Remote Query Error',
+                    fix: 'The remote account rejected the query. Its fields and enabled features may differ from this account.'
+                },
+                timeout: {
+                    label: 'Remote Timeout',
+                    fix: 'Add filters or enable pagination to reduce the result, or raise the proxy time budget.'
+                },
+                http: {
+                    label: 'Remote RESTlet Error',
+                    fix: 'Check the script and deployment IDs in the account URL, and that the RESTlet deployment is released.'
+                },
+                network: {
+                    label: 'Connection Failed',
+                    fix: 'Check the account URL and that the remote account is reachable.'
+                }
+            };
 
-                // Re-render with new order
-                renderResults(state.results);
-                showToast('info', 'Columns Reordered', \`Moved "\${fromCol}" column.\`);
+            function formatRemoteError(error) {
+                const category = REMOTE_ERROR_CATEGORIES[error.category];
+                return (category ? category.label + ': ' : '') + (error.message || error);
             }
 
-            function getOrderedColumns(records) {
-                if (!records || records.length === 0) return [];
-                const allColumns = Object.keys(records[0]).filter(c => c !== 'rownumber');
+            function showError(message, query, remoteError) {
+                // Store error context for AI help
+                state.lastError = message;
+                state.lastFailedQuery = query || getQueryToRun();
 
-                if (columnOrder.length === 0) return allColumns;
+                // Check if AI is configured
+                const aiSettings = loadAISettings();
+                const aiConfigured = aiSettings && (aiSettings.apiKey || state.aiApiKey);
 
-                // Return columns in stored order, adding any new columns at the end
-                const ordered = [];
-                columnOrder.forEach(col => {
-                    if (allColumns.includes(col)) ordered.push(col);
-                });
-                allColumns.forEach(col => {
-                    if (!ordered.includes(col)) ordered.push(col);
-                });
-                return ordered;
+                const category = remoteError ? REMOTE_ERROR_CATEGORIES[remoteError.category] : null;
+                const account = remoteError
+                    ? state.remoteAccounts.find(acc => String(acc.account).toUpperCase() === remoteError.realm)
+                    : null;
+
+                const panel = document.getElementById('resultsPanel');
+                panel.innerHTML = \`
+                    <div style="overflow: auto; height: 100%; display: flex; align-items: flex-start; justify-content: center;">
+                        <div class="sqt-empty-state" style="color: var(--sqt-danger); justify-content: flex-start; min-height: auto; margin: auto 0;">
+                            <i class="bi bi-exclamation-triangle"></i>
+                            <h3>\${category ? escapeHtml(category.label) : 'Query Error'}</h3>
+                            \${category ? \`
+                                <div class="sqt-remote-error">
+                                    <div><strong>Remote account:</strong> \${escapeHtml(account ? account.description + ' (' + account.account + ')' : remoteError.realm)}</div>
+                                    \${remoteError.httpCode ? \`<div><strong>HTTP status:</strong> \${remoteError.httpCode}</div>\` : ''}
+                                    \${remoteError.code ? \`<div><strong>Error code:</strong> <code>\${escapeHtml(remoteError.code)}</code></div>\` : ''}
+                                    \${remoteError.retryCount ? \`<div><strong>Retries:</strong> \${remoteError.retryCount}</div>\` : ''}
+                                    <div class="sqt-remote-error-fix"><i class="bi bi-lightbulb"></i> \${escapeHtml(category.fix)}</div>
+                                </div>
+                            \` : ''}
+                            <p style="font-family: var(--sqt-editor-font); white-space: pre-wrap; text-align: left; max-width: 600px;">\${escapeHtml(message)}</p>
+                            \${aiConfigured ? \`
+                                <button type="button" class="sqt-btn sqt-btn-secondary" onclick="SQT.askAIForHelp()" style="margin-top: 16px;">
+                                    <i class="bi bi-stars"></i> Ask AI for Help
+                                </button>
+                            \` : ''}
+                        </div>
+                    </div>
+                \`;
+                showToast('error', 'Query Failed', 'See error details in the results panel.');
             }
 
             // =================================================================
-            // QUERY PARAMETERS
+            // QUERY HISTORY
             // =================================================================
 
-            // Storage for last used parameter values
-            const PARAMS_STORAGE_KEY = 'sqt_params';
-
-            function getStoredParams() {
+            function loadHistory() {
                 try {
-                    const stored = localStorage.getItem(PARAMS_STORAGE_KEY);
-                    return stored ? JSON.parse(stored) : {};
+                    const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
+                    if (saved) {
+                        state.history = JSON.parse(saved);
+                        renderHistory();
+                    }
                 } catch (e) {
-                    return {};
+                    console.error('Failed to load history:', e);
                 }
             }
 
-            function saveParams(params) {
-                try {
-                    const existing = getStoredParams();
-                    Object.assign(existing, params);
-                    localStorage.setItem(PARAMS_STORAGE_KEY, JSON.stringify(existing));
-                } catch (e) {
-                    console.error('Failed to save params:', e);
-                }
-            }
+            function addToHistory(query, result) {
+                const entry = {
+                    id: Date.now(),
+                    query: query.trim(),
+                    timestamp: new Date().toISOString(),
+                    rowCount: result.rowCount,
+                    elapsedTime: result.elapsedTime,
+                    cancelled: !!result.cancelled
+                };
 
-            function extractParameters(query) {
-                const params = [];
-                let start = 0;
-                while (true) {
-                    const openIdx = query.indexOf('{{', start);
-                    if (openIdx === -1) break;
-                    const closeIdx = query.indexOf('}}', openIdx + 2);
-                    if (closeIdx === -1) break;
-                    const paramName = query.substring(openIdx + 2, closeIdx).trim();
-                    if (paramName && !params.includes(paramName)) {
-                        params.push(paramName);
-                    }
-                    start = closeIdx + 2;
+                // Remove duplicate if exists
+                state.history = state.history.filter(h => h.query !== entry.query);
+
+                // Add to beginning
+                state.history.unshift(entry);
+
+                // Limit size
+                if (state.history.length > CONFIG.MAX_HISTORY) {
+                    state.history = state.history.slice(0, CONFIG.MAX_HISTORY);
                 }
-                return params;
-            }
 
-            function checkForParameters() {
-                const query = getQueryToRun();
-                const params = extractParameters(query);
+                saveHistory();
+                renderHistory();
+            }
 
-                if (params.length > 0) {
-                    showParametersModal(params);
-                    return true;
+            function saveHistory() {
+                try {
+                    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.history));
+                } catch (e) {
+                    console.error('Failed to save history:', e);
                 }
-                return false;
             }
 
-            function showParametersModal(params) {
-                const content = document.getElementById('parametersContent');
-                const storedParams = getStoredParams();
+            function renderHistory() {
+                const list = document.getElementById('historyList');
 
-                let html = '<p class="text-muted small mb-3">Enter values for the following parameters:</p>';
-                params.forEach((param, index) => {
-                    const storedValue = storedParams[param] || '';
-                    html += \`
-                        <div class="sqt-param-input">
-                            <label for="param_\${index}">\${escapeHtml(param)}</label>
-                            <input type="text" id="param_\${index}" data-param="\${escapeHtml(param)}"
-                                   value="\${escapeHtml(storedValue)}"
-                                   placeholder="Enter value..." \${index === 0 ? 'autofocus' : ''}>
+                if (state.history.length === 0) {
+                    list.innerHTML = \`
+                        <div class="sqt-empty-state" style="padding: 24px;">
+                            <i class="bi bi-clock-history" style="font-size: 24px;"></i>
+                            <p style="margin-top: 8px;">No query history yet</p>
                         </div>
                     \`;
-                });
-
-                content.innerHTML = html;
-                new bootstrap.Modal(document.getElementById('parametersModal')).show();
-            }
-
-            function runWithParameters() {
-                const inputs = document.querySelectorAll('#parametersContent input[data-param]');
-                let query = getQueryToRun();
-                const paramsToSave = {};
-
-                inputs.forEach(input => {
-                    const paramName = input.dataset.param;
-                    const value = input.value;
-                    paramsToSave[paramName] = value;
-
-                    // Simple string replacement - replace all occurrences
-                    const placeholder = '{{' + paramName + '}}';
-                    while (query.includes(placeholder)) {
-                        query = query.replace(placeholder, value);
-                    }
-                });
-
-                // Save parameter values for next time
-                saveParams(paramsToSave);
-
-                bootstrap.Modal.getInstance(document.getElementById('parametersModal')).hide();
+                    return;
+                }
 
-                // Run query with substituted parameters
-                runQueryWithText(query);
+                list.innerHTML = state.history.map(entry => \`
+                    <div class="sqt-history-item" onclick="SQT.loadFromHistory('\${entry.id}')" title="\${escapeHtml(entry.query)}">
+                        <div class="sqt-history-item-query">\${escapeHtml(entry.query.substring(0, 100))}</div>
+                        <div class="sqt-history-item-meta">
+                            \${entry.cancelled ? '<span class="sqt-history-cancelled">Cancelled</span>' : \`<span>\${entry.rowCount} rows</span>\`}
+                            <span>\${entry.elapsedTime}ms</span>
+                            <span>\${formatTimestamp(entry.timestamp)}</span>
+                        </div>
+                    </div>
+                \`).join('');
             }
 
-            async function runQueryWithText(queryText) {
-                if (!queryText.trim()) {
-                    showToast('warning', 'No Query', 'Please enter a query to run.');
-                    return;
+            function loadFromHistory(id) {
+                const entry = state.history.find(h => h.id === parseInt(id));
+                if (entry) {
+                    state.editor.setValue(entry.query);
+                    state.currentFile = null;
+                    showToast('info', 'Query Loaded', 'Query loaded from history.');
                 }
+            }
 
-                // Inject cache buster if option is enabled
-                const disableCache = document.getElementById('optDisableCache')?.checked || false;
-                if (disableCache) {
-                    queryText = injectCacheBuster(queryText);
+            function clearHistory() {
+                if (confirm('Clear all query history?')) {
+                    state.history = [];
+                    saveHistory();
+                    renderHistory();
+                    showToast('info', 'History Cleared', 'Query history has been cleared.');
                 }
+            }
 
-                setRunningState(true);
-                const options = getQueryOptions();
+            // =================================================================
+            // THEME
+            // =================================================================
 
-                try {
-                    const response = await fetch(CONFIG.SCRIPT_URL, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            function: 'queryExecute',
-                            query: queryText,
-                            rowBegin: options.rowBegin,
-                            rowEnd: options.rowEnd,
-                            paginationEnabled: options.paginationEnabled,
-                            viewsEnabled: options.viewsEnabled,
-                            returnTotals: options.returnTotals
-                        })
-                    });
+            function toggleTheme() {
+                const newTheme = state.theme === 'light' ? 'dark' : 'light';
+                setTheme(newTheme);
+            }
 
-                    const data = await response.json();
+            function setTheme(theme) {
+                state.theme = theme;
+                document.documentElement.setAttribute('data-bs-theme', theme);
+                localStorage.setItem(CONFIG.THEME_KEY, theme);
 
-                    if (data.error) {
-                        showError(data.error.message || data.error);
-                    } else {
-                        data.cacheMissForced = disableCache;
-                        state.results = data;
-                        state.lastExecutedQuery = queryText;
-                        columnOrder = []; // Reset column order for new results
-                        renderResults(data);
-                        addToHistory(queryText, data);
-                        saveExecutionTime(queryText, data.elapsedTime, data.rowCount);
-                        showToast('success', 'Query Complete',
-                            \`Retrieved \${data.rowCount} rows in \${data.elapsedTime}ms\${disableCache ? ' (uncached)' : ''}\`);
-                    }
+                // Update CodeMirror theme
+                if (state.editor) {
+                    state.editor.setOption('theme', theme === 'dark' ? 'dracula' : 'eclipse');
+                }
 
-                } catch (error) {
-                    showError(error.message);
-                } finally {
-                    setRunningState(false);
+                // Update icon
+                const icon = document.getElementById('themeIcon');
+                if (icon) {
+                    icon.className = theme === 'dark' ? 'bi bi-sun' : 'bi bi-moon-stars';
                 }
             }
 
             // =================================================================
-            // KEYBOARD SHORTCUTS MODAL
+            // OPTIONS
             // =================================================================
 
-            function showShortcuts() {
-                new bootstrap.Modal(document.getElementById('shortcutsModal')).show();
+            function toggleOptions() {
+                closeAllDropdowns();
+                const panel = document.getElementById('optionsPanel');
+                panel.classList.toggle('show');
             }
 
-            // =================================================================
-            // UNDO/REDO HISTORY
-            // =================================================================
-
-            let undoHistory = [];
-            let undoHistoryIndex = -1;
+            function toggleAIDropdown() {
+                closeAllDropdowns('aiDropdown');
+                const dropdown = document.getElementById('aiDropdown');
+                dropdown.classList.toggle('show');
+            }
+            
+            // function toggleRunDropdown() {
+            //     closeAllDropdowns('runDropdown');
+            //     document.getElementById('runDropdown')?.classList.toggle('show');
+            // }
+            
+            function toggleRunDropdown() {
+                closeAllDropdowns('runDropdown'); // ✅ tells it NOT to close itself
+                const dropdown = document.getElementById('runDropdown');
+                dropdown?.classList.toggle('show');
 
-            function initUndoHistory() {
-                if (!state.editor) return;
+                // Check the remote accounts the first time the dropdown is opened
+                if (dropdown?.classList.contains('show') && state.remoteHealth === null && state.remoteAccounts.length > 0) {
+                    checkRemoteAccountsHealth();
+                }
+            }
+            function toggleMoreDropdown() {
+                closeAllDropdowns('moreDropdown');
+                const dropdown = document.getElementById('moreDropdown');
+                dropdown.classList.toggle('show');
+            }
 
-                // Track changes for undo history visualization
-                state.editor.on('change', (cm, change) => {
-                    if (change.origin && change.origin !== 'setValue') {
-                        trackUndoHistory();
+            function closeAllDropdowns(except = null) {
+                const dropdowns = ['aiDropdown', 'moreDropdown', 'optionsPanel', 'undoHistoryDropdown', 'runDropdown'];
+                dropdowns.forEach(id => {
+                    if (id !== except) {
+                        const el = document.getElementById(id);
+                        if (el) el.classList.remove('show');
                     }
                 });
             }
 
-            function trackUndoHistory() {
-                const content = state.editor.getValue();
-                const preview = content.substring(0, 50).replace(/\\n/g, ' ');
-
-                // Add to history if different from last entry
-                if (undoHistory.length === 0 || undoHistory[undoHistory.length - 1].content !== content) {
-                    undoHistory.push({
-                        content: content,
-                        preview: preview || '(empty)',
-                        timestamp: new Date()
-                    });
+            function updateOptions() {
+                const pagination = document.getElementById('optPagination').checked;
+                document.getElementById('rowRangeOptions').style.display = pagination ? 'flex' : 'none';
+                document.getElementById('pagedResultsOption').style.display = pagination ? 'flex' : 'none';
+                document.getElementById('returnAllOption').style.display = pagination ? 'flex' : 'none';
+                document.getElementById('showTotalsOption').style.display = pagination ? 'flex' : 'none';
 
-                    // Limit history size
-                    if (undoHistory.length > 50) {
-                        undoHistory.shift();
-                    }
+                const returnAll = document.getElementById('optReturnAll')?.checked;
+                if (returnAll) {
+                    document.getElementById('rowRangeOptions').style.display = 'none';
+                }
 
-                    undoHistoryIndex = undoHistory.length - 1;
+                // Paged results use the page size of the pager and always count the total
+                const pagedResults = pagination && document.getElementById('optPagedResults')?.checked;
+                if (pagedResults) {
+                    document.getElementById('rowRangeOptions').style.display = 'none';
+                    document.getElementById('returnAllOption').style.display = 'none';
+                    document.getElementById('showTotalsOption').style.display = 'none';
                 }
             }
 
-            function showUndoHistory() {
-                const dropdown = document.getElementById('undoHistoryDropdown');
-                const list = document.getElementById('undoHistoryList');
-
-                if (undoHistory.length === 0) {
-                    list.innerHTML = '<div class="p-3 text-muted text-center">No edit history yet</div>';
-                } else {
-                    list.innerHTML = undoHistory.slice().reverse().map((entry, revIndex) => {
-                        const index = undoHistory.length - 1 - revIndex;
-                        const isActive = index === undoHistoryIndex;
-                        const timeAgo = formatTimestamp(entry.timestamp.toISOString());
-                        return \`
-                            <div class="sqt-history-dropdown-item \${isActive ? 'active' : ''}"
-                                 onclick="SQT.restoreFromUndoHistory(\${index})">
-                                <span class="sqt-history-dropdown-item-preview">\${escapeHtml(entry.preview)}...</span>
-                                <span class="sqt-history-dropdown-item-time">\${timeAgo}</span>
-                            </div>
-                        \`;
-                    }).join('');
-                }
+            // =================================================================
+            // EXPORT
+            // =================================================================
 
-                dropdown.classList.toggle('show');
+            function showExportModal() {
+                new bootstrap.Modal(document.getElementById('exportModal')).show();
             }
 
-            function closeUndoHistory() {
-                document.getElementById('undoHistoryDropdown').classList.remove('show');
-            }
+            function exportAs(format) {
+                if (!state.results || !state.results.records) {
+                    showToast('warning', 'No Data', 'Run a query first to export results.');
+                    return;
+                }
 
-            function restoreFromUndoHistory(index) {
-                if (index >= 0 && index < undoHistory.length) {
-                    state.editor.setValue(undoHistory[index].content);
-                    undoHistoryIndex = index;
-                    closeUndoHistory();
-                    showToast('info', 'Restored', 'Editor content restored from history.');
+                let content, filename, mimeType;
+
+                if (format === 'csv') {
+                    content = convertToCSV(state.results.records);
+                    filename = 'query-results.csv';
+                    mimeType = 'text/csv';
+                    downloadFile(content, filename, mimeType);
+                } else if (format === 'json') {
+                    content = JSON.stringify(state.results.records, null, 2);
+                    filename = 'query-results.json';
+                    mimeType = 'application/json';
+                    downloadFile(content, filename, mimeType);
+                } else if (format === 'xlsx') {
+                    exportToExcel(state.results.records);
+                    bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
+                    showToast('success', 'Export Complete', 'Results exported as Excel (.xlsx).');
+                    return;
                 }
+
+                bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
+                showToast('success', 'Export Complete', \`Results exported as \${format.toUpperCase()}.\`);
             }
 
             // =================================================================
-            // QUERY EXECUTION
+            // SERVER-SIDE EXPORT
             // =================================================================
 
-            async function runQuery(remoteUrl = null) {
-                let query = getQueryToRun();
+            const SERVER_EXPORT_POLL_MS = 3000;
 
-                if (!query.trim()) {
-                    showToast('warning', 'No Query', 'Please enter a query to run.');
-                    return;
-                }
+            const SERVER_EXPORT_STAGES = {
+                GET_INPUT: 'Counting rows',
+                MAP: 'Writing rows',
+                SHUFFLE: 'Writing rows',
+                REDUCE: 'Writing rows',
+                SUMMARIZE: 'Assembling file'
+            };
 
-                // Check for parameters - if found, show modal and return
-                if (checkForParameters()) {
+            async function startServerExport(format) {
+                if (state.serverExport && !state.serverExport.done) {
+                    showToast('warning', 'Export Running', 'Wait for the current server-side export to finish.');
                     return;
                 }
 
-                // Inject cache buster if option is enabled
-                const disableCache = document.getElementById('optDisableCache')?.checked || false;
-                if (disableCache) {
-                    query = injectCacheBuster(query);
+                const query = getQueryToRun();
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to export.');
+                    return;
                 }
 
-                setRunningState(true);
-                columnOrder = []; // Reset column order for new results
-
-                const options = getQueryOptions();
+                // The export job runs without a user to ask for the values
+                if (extractParameters(query).length > 0) {
+                    showToast('warning', 'Parameters Not Supported', 'Server-side exports cannot fill in {{parameters}}. Replace them with values and export again.');
+                    return;
+                }
 
                 try {
                     const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
-                            function: 'queryExecute',
-                            query: query,
-                            rowBegin: options.rowBegin,
-                            rowEnd: options.rowEnd,
-                            paginationEnabled: options.paginationEnabled,
-                            viewsEnabled: options.viewsEnabled,
-                            returnTotals: options.returnTotals,
-                            remoteUrl: remoteUrl
+                            function: 'exportJobSubmit',
+                            query,
+                            format,
+                            viewsEnabled: getQueryOptions().viewsEnabled
                         })
                     });
-
                     const data = await response.json();
 
                     if (data.error) {
-                        showError(data.error.message || data.error);
-                    } else {
-                                       
-                        // -----------------------------------------------------------------
-                        // Resolve execution context (Local vs Remote)
-                        //
-                        // Responsibility:
-                        // - Attach a clear, immutable execution context to the result payload
-                        // - This context is consumed by the results renderer (renderResults)
-                        // - Must be derived here, where execution identity (remoteUrl) is known
-                        //
-                        // Design notes:
-                        // - \`remoteUrl\` is the execution *identity* for remote queries
-                        // - Presentation metadata (description / account ID) is resolved from
-                        //   pre-injected, immutable client-side configuration (state.remoteAccounts)
-                        // - Local account context is resolved once at bootstrap and reused here
-                        // - Do NOT normalize or resolve configuration in render or execution paths
-                        // -----------------------------------------------------------------
-                        if (remoteUrl) {
-                            // Remote execution:
-                            // Look up the remote account metadata using the execution URL.
-                            // This ensures consistent labeling across all execution entry points
-                            // (toolbar, dropdown, keyboard shortcuts, validation, history replay).
-                            const remote = state.remoteAccounts.find(acc => acc.url === remoteUrl);
-                    
-                            data.executionContext = {
-                                type: 'remote',
-                                accountDescription: remote?.description || 'Unknown Remote',
-                                accountId: remote?.account || 'Unknown'
-                            };
-                        } else {
-                            
-                            // Local execution:
-                            // Use pre-resolved local account context from bootstrap state.
-                            // This avoids repeated lookups and guarantees consistency for
-                            // all local executions during the page lifetime.
-                            data.executionContext = {
-                                type: 'local',
-                                accountDescription: state.currentAccountDescription,
-                                accountId: state.currentAccountId
-                            };
-                        }
-                    
-                        data.cacheMissForced = disableCache;
-                        state.results = data;
-                        state.lastExecutedQuery = query;
-                        renderResults(data);
-                        addToHistory(query, data);
-                        saveExecutionTime(query, data.elapsedTime, data.rowCount);
-                        showToast('success', 'Query Complete',
-                            \`Retrieved \${data.rowCount} rows in \${data.elapsedTime}ms\${disableCache ? ' (uncached)' : ''}\`);
-
-                        // Show optimization banner for slow queries
-                        hideOptimizeBanner(); // Hide any previous banner
-                        if (data.elapsedTime > CONFIG.SLOW_QUERY_THRESHOLD_MS) {
-                            showOptimizeBanner(data.elapsedTime);
-                        }
+                        throw new Error(data.error);
                     }
 
+                    state.serverExport = { jobId: data.jobId, taskId: data.taskId, format, done: false, timer: null };
+                    renderServerExportStatus({ percentComplete: 0 });
+                    showToast('info', 'Export Started', 'The export runs on the server. The download link appears in the export dialog.');
+                    state.serverExport.timer = setTimeout(pollServerExport, SERVER_EXPORT_POLL_MS);
                 } catch (error) {
-                    showError(error.message);
-                } finally {
-                    setRunningState(false);
+                    showToast('error', 'Export Failed', error.message);
                 }
             }
 
-            function getQueryToRun() {
-                const selection = state.editor.getSelection();
-                return selection || state.editor.getValue();
-            }
-
-            function getQueryOptions() {
-                const paginationEnabled = document.getElementById('optPagination').checked;
-                const returnAll = document.getElementById('optReturnAll')?.checked || false;
-
-                return {
-                    paginationEnabled,
-                    rowBegin: returnAll ? 1 : parseInt(document.getElementById('optRowBegin').value) || 1,
-                    rowEnd: returnAll ? 999999 : parseInt(document.getElementById('optRowEnd').value) || ${CONFIG.ROWS_RETURNED_DEFAULT},
-                    returnTotals: document.getElementById('optShowTotals')?.checked || false,
-                    viewsEnabled: document.getElementById('optEnableViews')?.checked || false
-                };
-            }
-
-            function generateUUID() {
-                return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                    const r = Math.random() * 16 | 0;
-                    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                    return v.toString(16);
-                });
-            }
+            async function pollServerExport() {
+                const job = state.serverExport;
 
-            function injectCacheBuster(query) {
-                const uuid = generateUUID();
-                const cacheBuster = "( '" + uuid + "' = '" + uuid + "' )";
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            function: 'exportJobStatus',
+                            jobId: job.jobId,
+                            taskId: job.taskId,
+                            format: job.format
+                        })
+                    });
+                    const data = await response.json();
 
-                // Normalize whitespace for pattern matching
-                const normalized = query.replace(/\\s+/g, ' ').trim();
+                    if (data.error) {
+                        throw new Error(data.error);
+                    }
 
-                // Check if query has a WHERE clause
-                const whereMatch = normalized.match(/\\bWHERE\\b/i);
+                    // Cancelled while this request was under way
+                    if (job.done) {
+                        return;
+                    }
 
-                if (whereMatch) {
-                    // Find WHERE and add AND condition after the first condition
-                    // Insert before ORDER BY, GROUP BY, HAVING, UNION, or end of query
-                    const insertBeforePattern = /\\s+(ORDER\\s+BY|GROUP\\s+BY|HAVING|UNION|LIMIT|OFFSET|$)/i;
-                    const match = query.match(insertBeforePattern);
+                    renderServerExportStatus(data);
 
-                    if (match) {
-                        const insertPos = match.index;
-                        return query.slice(0, insertPos) + '\\n\\tAND ' + cacheBuster + query.slice(insertPos);
+                    if (data.file) {
+                        job.done = true;
+                        showToast('success', 'Export Complete', data.file.name + ' is ready to download.');
                     } else {
-                        // No terminating clause found, append at end
-                        return query + '\\n\\tAND ' + cacheBuster;
+                        job.timer = setTimeout(pollServerExport, SERVER_EXPORT_POLL_MS);
                     }
-                } else {
-                    // No WHERE clause - insert WHERE before ORDER BY, GROUP BY, etc., or at end
-                    const insertBeforePattern = /\\s+(ORDER\\s+BY|GROUP\\s+BY|HAVING|UNION|LIMIT|OFFSET)/i;
-                    const match = query.match(insertBeforePattern);
-
-                    if (match) {
-                        const insertPos = match.index;
-                        return query.slice(0, insertPos) + '\\nWHERE\\n\\t' + cacheBuster + query.slice(insertPos);
-                    } else {
-                        // No terminating clause, append at end
-                        return query + '\\nWHERE\\n\\t' + cacheBuster;
+                } catch (error) {
+                    if (job.done) {
+                        return;
                     }
+
+                    job.done = true;
+                    renderServerExportStatus({ error: error.message });
+                    showToast('error', 'Export Failed', error.message);
                 }
             }
 
-            function setRunningState(running) {
-                state.isRunning = running;
-                const btn = document.getElementById('runButton');
-                const dot = document.getElementById('statusDot');
-                const text = document.getElementById('statusText');
+            async function cancelServerExport() {
+                const job = state.serverExport;
+                if (!job || job.done) {
+                    return;
+                }
 
-                if (running) {
-                    btn.disabled = true;
-                    btn.innerHTML = '<div class="sqt-spinner" style="width: 14px; height: 14px; border-width: 2px; margin: 0;"></div><span>Running...</span>';
-                    dot.classList.add('running');
-                    text.textContent = 'Running query...';
-                } else {
-                    btn.disabled = false;
-                    btn.innerHTML = '<i class="bi bi-play-fill"></i><span>Run</span> <i class="bi bi-chevron-down"></i>';
-                    dot.classList.remove('running');
-                    text.textContent = 'Ready';
+                job.done = true;
+                clearTimeout(job.timer);
+
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            function: 'exportJobCancel',
+                            jobId: job.jobId,
+                            taskId: job.taskId
+                        })
+                    });
+                    const data = await response.json();
+
+                    if (data.error) {
+                        throw new Error(data.error);
+                    }
+
+                    renderServerExportStatus({ cancelled: true });
+                    showToast('info', 'Export Cancelled', 'The export stops after the pages already being written. No export file is created.');
+                } catch (error) {
+                    // Still running, or already finished: follow it again
+                    job.done = false;
+                    pollServerExport();
+                    showToast('error', 'Cancel Failed', error.message);
                 }
             }
 
-            // =================================================================
-            // RESULTS RENDERING
-            // =================================================================
+            function renderServerExportStatus(status) {
+                const container = document.getElementById('serverExportStatus');
+                container.style.display = '';
 
-            function clearResults() {
-                // Skip if no results to clear
-                if (!state.results) {
+                if (status.cancelled) {
+                    container.innerHTML = '<div class="text-muted"><i class="bi bi-slash-circle me-1"></i>Cancelled</div>';
                     return;
                 }
 
-                // Confirm before clearing
-                if (!confirm('Clear the current results?')) {
+                if (status.error) {
+                    container.innerHTML = \`<div class="text-danger"><i class="bi bi-x-circle me-1"></i>\${escapeHtml(status.error)}</div>\`;
                     return;
                 }
 
-                state.results = null;
-                const panel = document.getElementById('resultsPanel');
-                panel.innerHTML = \`
-                    <div class="sqt-empty-state" id="emptyState">
-                        <i class="bi bi-terminal"></i>
-                        <h3>Ready to query</h3>
-                        <p>Write a SuiteQL query above and click <strong>Run Query</strong> or press <span class="sqt-kbd">Ctrl</span> + <span class="sqt-kbd">Enter</span></p>
-                    </div>
-                \`;
-
-                // Exit maximized mode if active
-                if (state.resultsMaximized) {
-                    toggleResultsMaximized();
-                }
-
-                showToast('info', 'Cleared', 'Results have been cleared.');
-            }
-
-            function renderResults(data) {
-                const panel = document.getElementById('resultsPanel');
-
-                if (!data.records || data.records.length === 0) {
-                    panel.innerHTML = \`
-                        <div class="sqt-empty-state">
-                            <i class="bi bi-inbox"></i>
-                            <h3>No results</h3>
-                            <p>The query returned no records.</p>
-                        </div>
+                if (status.file) {
+                    const sizeKb = Math.max(1, Math.round(status.file.size / 1024)).toLocaleString();
+                    container.innerHTML = \`
+                        <i class="bi bi-check-circle-fill text-success me-1"></i>
+                        <a href="\${escapeHtml(status.file.url)}" target="_blank" rel="noopener">\${escapeHtml(status.file.name)}</a>
+                        (\${sizeKb} KB)
                     \`;
                     return;
                 }
 
-                // Check if AI results chat is available
-                const aiSettings = loadAISettings();
-                const aiConfigured = aiSettings && (aiSettings.apiKey || state.aiApiKey);
-                const showAIResultsBtn = CONFIG.AI_RESULTS_CHAT_ENABLED && aiConfigured;
-
-                // Build header with view toggle
-                const headerHtml = \`
-                    <div class="sqt-results-header">
-                        <div class="sqt-results-info">
-                            <div class="sqt-results-info-item">
-                                <i class="bi bi-table"></i>
-                                <span>\${data.rowCount} rows</span>
-                                \${data.totalRecordCount ? \`<span class="text-muted">of \${data.totalRecordCount} total</span>\` : ''}
-                            </div>
-                            <div class="sqt-results-info-item">
-                                <i class="bi bi-clock"></i>
-                                <span>\${data.elapsedTime}ms</span>
-                                \${data.cacheMissForced ? '<span class="sqt-cache-miss-badge" title="Cache miss was forced for this query">uncached</span>' : ''}
-                            </div>    
-                            <div class="sqt-results-info-item">
-                                <i class="bi bi-diagram-3"></i>
-                                <span>\${data.executionContext.type === 'remote' ? 'Remote' : 'Local'}: \${escapeHtml(data.executionContext.accountDescription)} (\${escapeHtml(data.executionContext.accountId)})
-                                </span>
-                            </div>
-                        </div>
-                        <div class="sqt-results-actions">
-                            <div class="sqt-view-toggle">
-                                <button type="button" class="sqt-view-toggle-btn \${state.viewMode === 'table' ? 'active' : ''}" onclick="SQT.setViewMode('table')" title="Table view">
-                                    <i class="bi bi-table"></i> Table
-                                </button>
-                                <button type="button" class="sqt-view-toggle-btn \${state.viewMode === 'datatable' ? 'active' : ''}" onclick="SQT.setViewMode('datatable')" title="DataTable view with sorting">
-                                    <i class="bi bi-filter"></i> DataTable
-                                </button>
-                                <button type="button" class="sqt-view-toggle-btn \${state.viewMode === 'json' ? 'active' : ''}" onclick="SQT.setViewMode('json')" title="JSON view">
-                                    <i class="bi bi-braces"></i> JSON
-                                </button>
-                            </div>
-                            \${showAIResultsBtn ? \`
-                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.askAIAboutResults()" title="Ask AI about these results">
-                                    <i class="bi bi-stars"></i>
-                                    <span>Ask AI</span>
-                                </button>
-                            \` : ''}
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="SQT.showExportModal()">
-                                <i class="bi bi-download"></i>
-                                <span>Export</span>
-                            </button>
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon" onclick="SQT.clearResults()" title="Clear results">
-                                <i class="bi bi-x-lg"></i>
-                            </button>
-                            <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm sqt-btn-icon sqt-results-maximize-btn" onclick="SQT.toggleResultsMaximized()" title="Maximize results (Shift+R)">
-                                <i class="bi bi-arrows-fullscreen"></i>
-                            </button>
-                        </div>
+                const percent = Math.round(status.percentComplete || 0);
+                container.innerHTML = \`
+                    <div class="d-flex justify-content-between mb-1">
+                        <span>\${SERVER_EXPORT_STAGES[status.stage] || 'Queued'}</span>
+                        <span>
+                            \${percent}%
+                            <a href="#" class="ms-2" onclick="SQT.cancelServerExport(); return false;">Cancel</a>
+                        </span>
+                    </div>
+                    <div class="progress">
+                        <div class="progress-bar" style="width: \${percent}%"></div>
                     </div>
                 \`;
+            }
 
-                // Render based on view mode
-                let contentHtml;
-                switch (state.viewMode) {
-                    case 'datatable':
-                        contentHtml = renderDataTableView(data);
-                        break;
-                    case 'json':
-                        contentHtml = renderJsonView(data);
-                        break;
-                    default:
-                        contentHtml = renderTableView(data);
+            // =================================================================
+            // DOCUMENT EXPORT
+            // =================================================================
+
+            const DOCUMENT_STYLES = [
+                'body { font-family: sans-serif; font-size: 9pt; }',
+                'h1 { font-size: 14pt; margin-bottom: 2px; }',
+                '.generated { color: #6b7280; font-size: 8pt; }',
+                'table { width: 100%; border-collapse: collapse; margin-top: 8px; }',
+                'th { background-color: #e5e7eb; font-weight: bold; text-align: left; }',
+                'th, td { padding: 4px; border-bottom: 0.5pt solid #d1d5db; }',
+                'tr.group td { background-color: #f3f4f6; font-weight: bold; }'
+            ].join('\\n');
+
+            const DOCUMENT_HEADER = [
+                '<h1>\${results.title?html}</h1>',
+                '<p class="generated">Generated \${results.generated} &#8226; \${results.records?size} rows</p>'
+            ];
+
+            const DOCUMENT_STARTERS = {
+                table: {
+                    label: 'Table report',
+                    body: [
+                        ...DOCUMENT_HEADER,
+                        '<#if results.records?has_content>',
+                        '<table>',
+                        '<thead><tr><#list results.columns as column><th>\${column?html}</th></#list></tr></thead>',
+                        '<#list results.records as record>',
+                        '<tr><#list results.columns as column><td>\${(record[column]!"")?string?html}</td></#list></tr>',
+                        '</#list>',
+                        '</table>',
+                        '<#else>',
+                        '<p>No rows.</p>',
+                        '</#if>'
+                    ]
+                },
+                grouped: {
+                    label: 'Grouped report',
+                    body: [
+                        '<#-- Groups rows by the first column. Order the query by that column. -->',
+                        ...DOCUMENT_HEADER,
+                        '<#if results.records?has_content && results.columns?size gt 1>',
+                        '<#assign groupColumn = results.columns[0]>',
+                        '<#assign currentGroup = "">',
+                        '<#assign first = true>',
+                        '<table>',
+                        '<thead><tr><#list results.columns[1..] as column><th>\${column?html}</th></#list></tr></thead>',
+                        '<#list results.records as record>',
+                        '<#assign group = (record[groupColumn]!"")?string>',
+                        '<#if first || group != currentGroup>',
+                        '<tr class="group"><td colspan="\${results.columns?size - 1}">\${groupColumn?html}: \${group?html}</td></tr>',
+                        '<#assign currentGroup = group>',
+                        '<#assign first = false>',
+                        '</#if>',
+                        '<tr><#list results.columns[1..] as column><td>\${(record[column]!"")?string?html}</td></#list></tr>',
+                        '</#list>',
+                        '</table>',
+                        '<#else>',
+                        '<p>No rows, or only one column to group by.</p>',
+                        '</#if>'
+                    ]
                 }
+            };
 
-                panel.innerHTML = headerHtml + contentHtml;
+            // PDFs are rendered by BFO, which expects its own XML document
+            function buildStarterTemplate(kind, format) {
+                const body = DOCUMENT_STARTERS[kind].body.join('\\n');
+
+                if (format === 'pdf') {
+                    return [
+                        '<?xml version="1.0"?>',
+                        '<!DOCTYPE pdf PUBLIC "-//big.faceless.org//report" "report-1.1.dtd">',
+                        '<pdf>',
+                        '<head>',
+                        '<style type="text/css">',
+                        DOCUMENT_STYLES,
+                        '</style>',
+                        '</head>',
+                        '<body size="A4-landscape" padding="0.5in">',
+                        body,
+                        '</body>',
+                        '</pdf>'
+                    ].join('\\n');
+                }
+
+                return [
+                    '<!DOCTYPE html>',
+                    '<html>',
+                    '<head>',
+                    '<meta charset="utf-8">',
+                    '<title>\${results.title?html}</title>',
+                    '<style>',
+                    DOCUMENT_STYLES,
+                    '</style>',
+                    '</head>',
+                    '<body>',
+                    body,
+                    '</body>',
+                    '</html>'
+                ].join('\\n');
+            }
+
+            function showDocumentModal() {
+                const query = getQueryToRun();
 
-                // Initialize DataTable if needed
-                if (state.viewMode === 'datatable') {
-                    try {
-                        new DataTable('#resultsDataTable', {
-                            pageLength: 25,
-                            lengthMenu: [10, 25, 50, 100, 250, 500],
-                            scrollX: true,
-                            order: []
-                        });
-                    } catch (e) {
-                        console.error('DataTable initialization error:', e);
-                    }
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to export.');
+                    return;
                 }
 
-                // Initialize column drag for table view
-                if (state.viewMode === 'table') {
-                    initColumnDrag();
-                    initPinnedColumns();
+                if (extractParameters(query).length > 0) {
+                    showToast('warning', 'Parameters Not Supported', 'Replace the {{parameters}} with values before exporting a document.');
+                    return;
                 }
-            }
-
-            function initPinnedColumns() {
-                const table = document.querySelector('.sqt-results-table');
-                if (!table) return;
-
-                const pinnedHeaders = table.querySelectorAll('th.sqt-pinned');
-                if (pinnedHeaders.length === 0) return;
-
-                // Calculate cumulative left positions
-                let leftPos = 0;
-                pinnedHeaders.forEach((th, index) => {
-                    const width = th.offsetWidth;
-                    th.style.left = leftPos + 'px';
-
-                    // Apply same left to all cells in this column
-                    const colIndex = Array.from(th.parentNode.children).indexOf(th);
-                    table.querySelectorAll('tbody tr, tfoot tr').forEach(row => {
-                        const cell = row.children[colIndex];
-                        if (cell && cell.classList.contains('sqt-pinned')) {
-                            cell.style.left = leftPos + 'px';
-                        }
-                    });
-
-                    leftPos += width;
-                });
-            }
-
-            function renderTableView(data) {
-                const filteredColumns = getOrderedColumns(data.records);
-                const hideRowNumbers = document.getElementById('optHideRowNumbers')?.checked;
-                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
-                const showStats = document.getElementById('optShowStats')?.checked;
-                const pinColumns = parseInt(document.getElementById('optPinColumns')?.value) || 0;
 
-                // Calculate column statistics
-                const stats = showStats ? calculateColumnStats(data.records) : null;
+                bootstrap.Modal.getInstance(document.getElementById('exportModal'))?.hide();
 
-                // Helper to get pinned class for a column index
-                const getPinnedClass = (colIndex, isLast = false) => {
-                    if (pinColumns === 0) return '';
-                    // If row numbers are visible, they take index 0
-                    const effectiveIndex = hideRowNumbers ? colIndex : colIndex + 1;
-                    if (effectiveIndex < pinColumns) {
-                        const lastClass = isLast ? ' sqt-pinned-last' : '';
-                        return ' sqt-pinned' + lastClass;
-                    }
-                    return '';
-                };
+                const select = document.getElementById('documentTemplateSelect');
+                if (!select.value) {
+                    renderDocumentTemplateOptions([]);
+                    selectDocumentTemplate('starter:table');
+                }
 
-                // Determine which column index is the last pinned one
-                const lastPinnedIndex = hideRowNumbers ? pinColumns - 1 : pinColumns - 2;
+                new bootstrap.Modal(document.getElementById('documentModal')).show();
+                loadDocumentTemplates();
+            }
 
-                // Row number pinned class
-                const rowNumPinnedClass = (!hideRowNumbers && pinColumns > 0)
-                    ? ' sqt-pinned' + (pinColumns === 1 ? ' sqt-pinned-last' : '')
-                    : '';
+            function renderDocumentTemplateOptions(files) {
+                const select = document.getElementById('documentTemplateSelect');
+                const selected = select.value;
 
-                let html = \`
-                    <div class="sqt-results-container">
-                        <table class="sqt-results-table">
-                            <thead>
-                                <tr>
-                                    \${!hideRowNumbers ? '<th class="row-number' + rowNumPinnedClass + '">#</th>' : ''}
-                                    \${filteredColumns.map((c, i) => \`<th class="sqt-draggable\${getPinnedClass(i, i === lastPinnedIndex)}" data-column="\${escapeHtml(c)}">\${escapeHtml(c)}</th>\`).join('')}
-                                </tr>
-                            </thead>
-                            <tbody>
+                select.innerHTML = \`
+                    <optgroup label="Starter Templates">
+                        \${Object.keys(DOCUMENT_STARTERS).map(kind =>
+                            \`<option value="starter:\${kind}">\${escapeHtml(DOCUMENT_STARTERS[kind].label)}</option>\`
+                        ).join('')}
+                    </optgroup>
+                    \${files.length > 0 ? \`
+                        <optgroup label="Saved Templates">
+                            \${files.map(f => \`<option value="file:\${f.id}">\${escapeHtml(f.name)}</option>\`).join('')}
+                        </optgroup>
+                    \` : ''}
                 \`;
 
-                data.records.forEach((record, index) => {
-                    html += \`<tr class="sqt-row-clickable" onclick="SQT.showRowDetails(\${index})" title="Click to view all fields">\`;
-                    if (!hideRowNumbers) {
-                        html += \`<td class="row-number\${rowNumPinnedClass}">\${index + 1}</td>\`;
-                    }
-                    filteredColumns.forEach((col, colIndex) => {
-                        const value = record[col];
-                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${formatCellValue(value, nullDisplay)}</td>\`;
+                if (selected && select.querySelector(\`option[value="\${selected}"]\`)) {
+                    select.value = selected;
+                }
+            }
+
+            async function loadDocumentTemplates() {
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'documentTemplatesGet' })
                     });
-                    html += '</tr>';
-                });
+                    const data = await response.json();
 
-                html += '</tbody>';
+                    if (data.error) {
+                        throw new Error(data.error);
+                    }
 
-                // Add statistics footer if enabled
-                if (stats) {
-                    html += '<tfoot>';
+                    renderDocumentTemplateOptions(data.records);
+                } catch (error) {
+                    showToast('error', 'Templates Not Loaded', error.message);
+                }
+            }
 
-                    // Sum row
-                    html += '<tr class="sqt-stats-row">';
-                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">SUM</td>';
-                    filteredColumns.forEach((col, colIndex) => {
-                        const colStats = stats[col];
-                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.sum) : '-'}</td>\`;
-                    });
-                    html += '</tr>';
+            async function selectDocumentTemplate(value) {
+                const textarea = document.getElementById('documentTemplate');
+                document.getElementById('documentTemplateSelect').value = value;
 
-                    // Avg row
-                    html += '<tr class="sqt-stats-row">';
-                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">AVG</td>';
-                    filteredColumns.forEach((col, colIndex) => {
-                        const colStats = stats[col];
-                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.avg) : '-'}</td>\`;
-                    });
-                    html += '</tr>';
+                if (value.startsWith('starter:')) {
+                    textarea.value = buildStarterTemplate(value.substring(8), document.getElementById('documentFormat').value);
+                    return;
+                }
 
-                    // Min row
-                    html += '<tr class="sqt-stats-row">';
-                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">MIN</td>';
-                    filteredColumns.forEach((col, colIndex) => {
-                        const colStats = stats[col];
-                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.min) : '-'}</td>\`;
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'documentTemplateLoad', fileID: value.substring(5) })
                     });
-                    html += '</tr>';
+                    const data = await response.json();
 
-                    // Max row
-                    html += '<tr class="sqt-stats-row">';
-                    if (!hideRowNumbers) html += '<td class="row-number' + rowNumPinnedClass + '">MAX</td>';
-                    filteredColumns.forEach((col, colIndex) => {
-                        const colStats = stats[col];
-                        html += \`<td class="\${getPinnedClass(colIndex, colIndex === lastPinnedIndex).trim()}">\${colStats.isNumeric ? formatStatValue(colStats.max) : '-'}</td>\`;
-                    });
-                    html += '</tr>';
+                    if (data.error) {
+                        throw new Error(data.error);
+                    }
 
-                    html += '</tfoot>';
+                    textarea.value = data.template;
+
+                    const nameInput = document.getElementById('documentTemplateName');
+                    if (nameInput) {
+                        nameInput.value = data.file.name.replace(/\\.ftl$/i, '');
+                    }
+
+                    // Saved templates are either BFO XML (PDF) or HTML
+                    document.getElementById('documentFormat').value = data.template.includes('<pdf') ? 'pdf' : 'html';
+                } catch (error) {
+                    showToast('error', 'Template Not Loaded', error.message);
                 }
+            }
 
-                html += \`
-                        </table>
-                    </div>
-                \`;
+            function changeDocumentFormat() {
+                const value = document.getElementById('documentTemplateSelect').value;
+                const textarea = document.getElementById('documentTemplate');
+                const format = document.getElementById('documentFormat').value;
 
-                return html;
+                // Switch an unedited starter template to the matching wrapper
+                if (value.startsWith('starter:')) {
+                    const kind = value.substring(8);
+                    const previous = buildStarterTemplate(kind, format === 'pdf' ? 'html' : 'pdf');
+                    if (textarea.value === previous) {
+                        textarea.value = buildStarterTemplate(kind, format);
+                    }
+                }
             }
 
-            function renderDataTableView(data) {
-                const columns = Object.keys(data.records[0]).filter(c => c !== 'rownumber');
-                const nullDisplay = document.getElementById('optNullDisplay')?.value || 'dimmed';
+            async function submitDocumentInfo() {
+                const template = document.getElementById('documentTemplate').value;
+                if (!template.trim()) {
+                    showToast('warning', 'No Template', 'Please enter a template.');
+                    return false;
+                }
 
-                let html = \`
-                    <div class="sqt-results-container" style="padding: 16px;">
-                        <table id="resultsDataTable" class="table table-striped table-bordered" style="width: 100%;">
-                            <thead>
-                                <tr>
-                                    \${columns.map(c => \`<th>\${escapeHtml(c)}</th>\`).join('')}
-                                </tr>
-                            </thead>
-                            <tbody>
-                \`;
+                const options = getQueryOptions();
 
-                data.records.forEach(record => {
-                    html += '<tr>';
-                    columns.forEach(col => {
-                        const value = record[col];
-                        html += \`<td>\${formatCellValue(value, nullDisplay)}</td>\`;
-                    });
-                    html += '</tr>';
+                const response = await fetch(CONFIG.SCRIPT_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        function: 'documentSubmit',
+                        query: getQueryToRun(),
+                        rowBegin: options.rowBegin,
+                        rowEnd: options.rowEnd,
+                        paginationEnabled: options.paginationEnabled,
+                        viewsEnabled: options.viewsEnabled,
+                        docType: document.getElementById('documentFormat').value,
+                        title: document.getElementById('documentTitle').value.trim(),
+                        template
+                    })
                 });
+                const data = await response.json();
 
-                html += \`
-                            </tbody>
-                        </table>
-                    </div>
-                \`;
+                if (data.error) {
+                    throw new Error(data.error);
+                }
 
-                return html;
+                return true;
             }
 
-            function renderJsonView(data) {
-                const jsonString = JSON.stringify(data.records, null, 2);
-                return \`
-                    <div class="sqt-json-container">
-                        <pre class="sqt-json-pre">\${escapeHtml(jsonString)}</pre>
-                    </div>
-                \`;
+            function getDocumentUrl() {
+                return CONFIG.SCRIPT_URL + '&function=documentGenerate&t=' + Date.now();
             }
 
-            function setViewMode(mode) {
-                state.viewMode = mode;
-                if (state.results) {
-                    renderResults(state.results);
+            async function previewDocument() {
+                try {
+                    if (await submitDocumentInfo()) {
+                        document.getElementById('documentPreview').src = getDocumentUrl();
+                    }
+                } catch (error) {
+                    showToast('error', 'Preview Failed', error.message);
                 }
             }
 
-            function refreshResults() {
-                if (state.results) {
-                    renderResults(state.results);
+            async function openDocument() {
+                // Open the window before the request so popup blockers allow it
+                const win = window.open('', '_blank');
+
+                try {
+                    if (await submitDocumentInfo()) {
+                        win.location = getDocumentUrl();
+                    } else {
+                        win.close();
+                    }
+                } catch (error) {
+                    win.close();
+                    showToast('error', 'Document Failed', error.message);
                 }
             }
 
-            function formatCellValue(value, nullDisplay) {
-                if (value === null || value === undefined) {
-                    switch (nullDisplay) {
-                        case 'blank': return '';
-                        case 'null': return '<span class="sqt-null-value">null</span>';
-                        default: return '<span class="sqt-null-value">null</span>';
+            async function saveDocumentTemplate() {
+                const filename = document.getElementById('documentTemplateName').value.trim();
+                if (!filename) {
+                    showToast('warning', 'Missing Name', 'Please enter a template name.');
+                    return;
+                }
+
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            function: 'documentTemplateSave',
+                            filename,
+                            contents: document.getElementById('documentTemplate').value,
+                            description: document.getElementById('documentTitle').value.trim()
+                        })
+                    });
+                    const data = await response.json();
+
+                    if (data.error) {
+                        throw new Error(data.error);
                     }
+
+                    await loadDocumentTemplates();
+                    document.getElementById('documentTemplateSelect').value = 'file:' + data.fileID;
+                    showToast('success', 'Template Saved', data.filename + ' has been saved.');
+                } catch (error) {
+                    showToast('error', 'Save Failed', error.message);
                 }
-                return escapeHtml(String(value));
             }
 
-            function showError(message, query) {
-                // Store error context for AI help
-                state.lastError = message;
-                state.lastFailedQuery = query || getQueryToRun();
+            function exportToExcel(records) {
+                if (!records || records.length === 0) return;
 
-                // Check if AI is configured
-                const aiSettings = loadAISettings();
-                const aiConfigured = aiSettings && (aiSettings.apiKey || state.aiApiKey);
+                // Filter out rownumber column
+                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
 
-                const panel = document.getElementById('resultsPanel');
-                panel.innerHTML = \`
-                    <div style="overflow: auto; height: 100%; display: flex; align-items: flex-start; justify-content: center;">
-                        <div class="sqt-empty-state" style="color: var(--sqt-danger); justify-content: flex-start; min-height: auto; margin: auto 0;">
-                            <i class="bi bi-exclamation-triangle"></i>
-                            <h3>Query Error</h3>
-                            <p style="font-family: var(--sqt-editor-font); white-space: pre-wrap; text-align: left; max-width: 600px;">\${escapeHtml(message)}</p>
-                            \${aiConfigured ? \`
-                                <button type="button" class="sqt-btn sqt-btn-secondary" onclick="SQT.askAIForHelp()" style="margin-top: 16px;">
-                                    <i class="bi bi-stars"></i> Ask AI for Help
-                                </button>
-                            \` : ''}
-                        </div>
-                    </div>
-                \`;
-                showToast('error', 'Query Failed', 'See error details in the results panel.');
-            }
+                // Create worksheet data
+                const wsData = [columns]; // Header row
+                records.forEach(record => {
+                    const row = columns.map(col => {
+                        const value = record[col];
+                        return value === null || value === undefined ? '' : value;
+                    });
+                    wsData.push(row);
+                });
 
-            // =================================================================
-            // QUERY HISTORY
-            // =================================================================
+                // Create workbook and worksheet
+                const wb = XLSX.utils.book_new();
+                const ws = XLSX.utils.aoa_to_array ? XLSX.utils.aoa_to_sheet(wsData) : XLSX.utils.aoa_to_sheet(wsData);
 
-            function loadHistory() {
-                try {
-                    const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
-                    if (saved) {
-                        state.history = JSON.parse(saved);
-                        renderHistory();
-                    }
-                } catch (e) {
-                    console.error('Failed to load history:', e);
-                }
-            }
+                // Auto-size columns (approximate)
+                const colWidths = columns.map((col, i) => {
+                    let maxLen = col.length;
+                    records.forEach(record => {
+                        const val = record[col];
+                        if (val !== null && val !== undefined) {
+                            maxLen = Math.max(maxLen, String(val).length);
+                        }
+                    });
+                    return { wch: Math.min(maxLen + 2, 50) };
+                });
+                ws['!cols'] = colWidths;
 
-            function addToHistory(query, result) {
-                const entry = {
-                    id: Date.now(),
-                    query: query.trim(),
-                    timestamp: new Date().toISOString(),
-                    rowCount: result.rowCount,
-                    elapsedTime: result.elapsedTime
-                };
+                XLSX.utils.book_append_sheet(wb, ws, 'Query Results');
 
-                // Remove duplicate if exists
-                state.history = state.history.filter(h => h.query !== entry.query);
+                // Generate and download file
+                XLSX.writeFile(wb, 'query-results.xlsx');
+            }
 
-                // Add to beginning
-                state.history.unshift(entry);
+            function convertToCSV(records) {
+                if (!records.length) return '';
 
-                // Limit size
-                if (state.history.length > CONFIG.MAX_HISTORY) {
-                    state.history = state.history.slice(0, CONFIG.MAX_HISTORY);
-                }
+                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
+                const header = columns.map(c => \`"\${c}"\`).join(',');
 
-                saveHistory();
-                renderHistory();
-            }
+                const rows = records.map(record => {
+                    return columns.map(col => {
+                        const value = record[col];
+                        if (value === null || value === undefined) return '""';
+                        return \`"\${String(value).replace(/"/g, '""')}"\`;
+                    }).join(',');
+                });
 
-            function saveHistory() {
-                try {
-                    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.history));
-                } catch (e) {
-                    console.error('Failed to save history:', e);
-                }
+                return [header, ...rows].join('\\n');
             }
 
-            function renderHistory() {
-                const list = document.getElementById('historyList');
+            function downloadFile(content, filename, mimeType) {
+                const blob = new Blob([content], { type: mimeType });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }
 
-                if (state.history.length === 0) {
-                    list.innerHTML = \`
-                        <div class="sqt-empty-state" style="padding: 24px;">
-                            <i class="bi bi-clock-history" style="font-size: 24px;"></i>
-                            <p style="margin-top: 8px;">No query history yet</p>
-                        </div>
-                    \`;
+            function copyToClipboard() {
+                if (!state.results || !state.results.records) {
+                    showToast('warning', 'No Data', 'Run a query first to copy results.');
                     return;
                 }
 
-                list.innerHTML = state.history.map(entry => \`
-                    <div class="sqt-history-item" onclick="SQT.loadFromHistory('\${entry.id}')" title="\${escapeHtml(entry.query)}">
-                        <div class="sqt-history-item-query">\${escapeHtml(entry.query.substring(0, 100))}</div>
-                        <div class="sqt-history-item-meta">
-                            <span>\${entry.rowCount} rows</span>
-                            <span>\${entry.elapsedTime}ms</span>
-                            <span>\${formatTimestamp(entry.timestamp)}</span>
-                        </div>
-                    </div>
-                \`).join('');
+                const csv = convertToCSV(state.results.records);
+                navigator.clipboard.writeText(csv).then(() => {
+                    bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
+                    showToast('success', 'Copied', 'Results copied to clipboard.');
+                }).catch(err => {
+                    showToast('error', 'Copy Failed', 'Failed to copy to clipboard.');
+                });
             }
 
-            function loadFromHistory(id) {
-                const entry = state.history.find(h => h.id === parseInt(id));
-                if (entry) {
-                    state.editor.setValue(entry.query);
-                    showToast('info', 'Query Loaded', 'Query loaded from history.');
+            // =================================================================
+            // QUERY FORMATTING
+            // =================================================================
+
+            function formatQuery() {
+                const query = state.editor.getValue();
+                if (!query.trim()) return;
+
+                try {
+                    const formatted = formatSQL(query);
+                    state.editor.setValue(formatted);
+                    showToast('info', 'Formatted', 'Query has been formatted.');
+                } catch (e) {
+                    showToast('warning', 'Format Error', 'Could not format query. Check syntax.');
+                    console.error('Format error:', e);
                 }
             }
 
-            function clearHistory() {
-                if (confirm('Clear all query history?')) {
-                    state.history = [];
-                    saveHistory();
-                    renderHistory();
-                    showToast('info', 'History Cleared', 'Query history has been cleared.');
-                }
+            /**
+             * Formats SQL query to match preferred style:
+             * - Keywords uppercase
+             * - Tab indentation
+             * - Each SELECT column on its own line
+             * - JOIN conditions on their own lines below the join
+             * - Conditions in parentheses with spaces
+             * - AND/OR at start of lines
+             * - Subqueries indented on their own lines
+             * Comments and string literals are kept where they are (see suiteql_parser.js).
+             */
+            function formatSQL(sql) {
+                return SuiteQLParser.format(sql);
             }
 
             // =================================================================
-            // THEME
+            // TABLES REFERENCE
             // =================================================================
 
-            function toggleTheme() {
-                const newTheme = state.theme === 'light' ? 'dark' : 'light';
-                setTheme(newTheme);
+            function openTablesReference() {
+                window.open(CONFIG.SCRIPT_URL + '&function=tablesReference', '_tablesRef');
             }
 
-            function setTheme(theme) {
-                state.theme = theme;
-                document.documentElement.setAttribute('data-bs-theme', theme);
-                localStorage.setItem(CONFIG.THEME_KEY, theme);
+            // =================================================================
+            // LIBRARY FUNCTIONS
+            // =================================================================
 
-                // Update CodeMirror theme
-                if (state.editor) {
-                    state.editor.setOption('theme', theme === 'dark' ? 'dracula' : 'eclipse');
-                }
+            async function showRemoteLibrary() {
+                const modal = new bootstrap.Modal(document.getElementById('remoteLibraryModal'));
+                modal.show();
 
-                // Update icon
-                const icon = document.getElementById('themeIcon');
-                if (icon) {
-                    icon.className = theme === 'dark' ? 'bi bi-sun' : 'bi bi-moon-stars';
+                const content = document.getElementById('remoteLibraryContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading query library...</span></div>';
+
+                try {
+                    const response = await fetch(CONFIG.REMOTE_LIBRARY_URL + 'index.json?nonce=' + Date.now());
+                    const queries = await response.json();
+
+                    content.innerHTML = \`
+                        <div class="table-responsive">
+                            <table class="table table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Description</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${queries.map(q => \`
+                                        <tr>
+                                            <td>\${escapeHtml(q.name)}</td>
+                                            <td>\${escapeHtml(q.description)}</td>
+                                            <td>
+                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadRemoteQuery('\${q.fileName}')">
+                                                    Load
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    \`;
+                } catch (error) {
+                    content.innerHTML = \`
+                        <div class="alert alert-danger">
+                            Failed to load query library: \${escapeHtml(error.message)}
+                        </div>
+                    \`;
                 }
             }
 
-            // =================================================================
-            // OPTIONS
-            // =================================================================
+            async function loadRemoteQuery(filename) {
+                try {
+                    const response = await fetch(CONFIG.REMOTE_LIBRARY_URL + filename + '?nonce=' + Date.now());
+                    const sql = await response.text();
 
-            function toggleOptions() {
-                closeAllDropdowns();
-                const panel = document.getElementById('optionsPanel');
-                panel.classList.toggle('show');
+                    state.editor.setValue(sql);
+                    state.currentFile = null;
+                    bootstrap.Modal.getInstance(document.getElementById('remoteLibraryModal')).hide();
+                    showToast('success', 'Query Loaded', 'Query loaded from library.');
+                } catch (error) {
+                    showToast('error', 'Load Failed', 'Failed to load query.');
+                }
             }
 
-            function toggleAIDropdown() {
-                closeAllDropdowns('aiDropdown');
-                const dropdown = document.getElementById('aiDropdown');
-                dropdown.classList.toggle('show');
-            }
-            
-            // function toggleRunDropdown() {
-            //     closeAllDropdowns('runDropdown');
-            //     document.getElementById('runDropdown')?.classList.toggle('show');
-            // }
-            
-            function toggleRunDropdown() {
-                closeAllDropdowns('runDropdown'); // ✅ tells it NOT to close itself
-                const dropdown = document.getElementById('runDropdown');
-                dropdown?.classList.toggle('show');
-            }
-            function toggleMoreDropdown() {
-                closeAllDropdowns('moreDropdown');
-                const dropdown = document.getElementById('moreDropdown');
-                dropdown.classList.toggle('show');
-            }
+            async function showLocalLibrary() {
+                const modal = new bootstrap.Modal(document.getElementById('localLibraryModal'));
+                modal.show();
 
-            function closeAllDropdowns(except = null) {
-                const dropdowns = ['aiDropdown', 'moreDropdown', 'optionsPanel', 'undoHistoryDropdown', 'runDropdown'];
-                dropdowns.forEach(id => {
-                    if (id !== except) {
-                        const el = document.getElementById(id);
-                        if (el) el.classList.remove('show');
-                    }
-                });
-            }
+                const content = document.getElementById('localLibraryContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading queries...</span></div>';
 
-            function updateOptions() {
-                const pagination = document.getElementById('optPagination').checked;
-                document.getElementById('rowRangeOptions').style.display = pagination ? 'flex' : 'none';
-                document.getElementById('returnAllOption').style.display = pagination ? 'flex' : 'none';
-                document.getElementById('showTotalsOption').style.display = pagination ? 'flex' : 'none';
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'localLibraryFilesGet' })
+                    });
+                    const data = await response.json();
 
-                const returnAll = document.getElementById('optReturnAll')?.checked;
-                if (returnAll) {
-                    document.getElementById('rowRangeOptions').style.display = 'none';
+                    if (data.error) {
+                        content.innerHTML = \`<div class="alert alert-info">\${data.error}</div>\`;
+                        return;
+                    }
+
+                    content.innerHTML = \`
+                        <div class="table-responsive">
+                            <table class="table table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Description</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${data.records.map(f => \`
+                                        <tr>
+                                            <td>\${escapeHtml(f.name)}</td>
+                                            <td>\${escapeHtml(f.description || '')}</td>
+                                            <td>
+                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadLocalQuery(\${f.id})">
+                                                    Load
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    \`;
+                } catch (error) {
+                    content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
                 }
             }
 
-            // =================================================================
-            // EXPORT
-            // =================================================================
+            async function loadLocalQuery(fileId) {
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'sqlFileLoad', fileID: fileId })
+                    });
+                    const data = await response.json();
 
-            function showExportModal() {
-                new bootstrap.Modal(document.getElementById('exportModal')).show();
+                    if (data.error) {
+                        showToast('error', 'Load Failed', data.error);
+                        return;
+                    }
+
+                    state.editor.setValue(data.sql);
+                    state.currentFile = data.file;
+                    bootstrap.Modal.getInstance(document.getElementById('localLibraryModal')).hide();
+                    showToast('success', 'Query Loaded', \`Loaded: \${data.file.name}\`);
+                } catch (error) {
+                    showToast('error', 'Load Failed', error.message);
+                }
             }
 
-            function exportAs(format) {
-                if (!state.results || !state.results.records) {
-                    showToast('warning', 'No Data', 'Run a query first to export results.');
+            function showSaveModal() {
+                const query = state.editor.getValue();
+                if (!query.trim()) {
+                    showToast('warning', 'No Query', 'Please enter a query to save.');
                     return;
                 }
 
-                let content, filename, mimeType;
-
-                if (format === 'csv') {
-                    content = convertToCSV(state.results.records);
-                    filename = 'query-results.csv';
-                    mimeType = 'text/csv';
-                    downloadFile(content, filename, mimeType);
-                } else if (format === 'json') {
-                    content = JSON.stringify(state.results.records, null, 2);
-                    filename = 'query-results.json';
-                    mimeType = 'application/json';
-                    downloadFile(content, filename, mimeType);
-                } else if (format === 'xlsx') {
-                    exportToExcel(state.results.records);
-                    bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
-                    showToast('success', 'Export Complete', 'Results exported as Excel (.xlsx).');
-                    return;
+                if (state.currentFile) {
+                    document.getElementById('saveFileName').value = state.currentFile.name;
+                    document.getElementById('saveDescription').value = state.currentFile.description || '';
                 }
 
-                bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
-                showToast('success', 'Export Complete', \`Results exported as \${format.toUpperCase()}.\`);
+                new bootstrap.Modal(document.getElementById('saveModal')).show();
             }
 
-            function exportToExcel(records) {
-                if (!records || records.length === 0) return;
+            async function saveQuery() {
+                const filename = document.getElementById('saveFileName').value.trim();
+                const description = document.getElementById('saveDescription').value.trim();
+                const query = state.editor.getValue();
 
-                // Filter out rownumber column
-                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
+                if (!filename) {
+                    showToast('warning', 'Missing Name', 'Please enter a file name.');
+                    return;
+                }
 
-                // Create worksheet data
-                const wsData = [columns]; // Header row
-                records.forEach(record => {
-                    const row = columns.map(col => {
-                        const value = record[col];
-                        return value === null || value === undefined ? '' : value;
+                try {
+                    // Check if file exists
+                    const checkResponse = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'sqlFileExists', filename })
                     });
-                    wsData.push(row);
-                });
-
-                // Create workbook and worksheet
-                const wb = XLSX.utils.book_new();
-                const ws = XLSX.utils.aoa_to_array ? XLSX.utils.aoa_to_sheet(wsData) : XLSX.utils.aoa_to_sheet(wsData);
+                    const checkData = await checkResponse.json();
 
-                // Auto-size columns (approximate)
-                const colWidths = columns.map((col, i) => {
-                    let maxLen = col.length;
-                    records.forEach(record => {
-                        const val = record[col];
-                        if (val !== null && val !== undefined) {
-                            maxLen = Math.max(maxLen, String(val).length);
+                    if (checkData.exists) {
+                        if (!confirm(\`A file named "\${filename}" already exists. Replace it?\`)) {
+                            return;
                         }
-                    });
-                    return { wch: Math.min(maxLen + 2, 50) };
-                });
-                ws['!cols'] = colWidths;
-
-                XLSX.utils.book_append_sheet(wb, ws, 'Query Results');
-
-                // Generate and download file
-                XLSX.writeFile(wb, 'query-results.xlsx');
-            }
-
-            function convertToCSV(records) {
-                if (!records.length) return '';
-
-                const columns = Object.keys(records[0]).filter(c => c !== 'rownumber');
-                const header = columns.map(c => \`"\${c}"\`).join(',');
-
-                const rows = records.map(record => {
-                    return columns.map(col => {
-                        const value = record[col];
-                        if (value === null || value === undefined) return '""';
-                        return \`"\${String(value).replace(/"/g, '""')}"\`;
-                    }).join(',');
-                });
+                    }
 
-                return [header, ...rows].join('\\n');
-            }
+                    // Save file
+                    const saveResponse = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            function: 'sqlFileSave',
+                            filename,
+                            contents: query,
+                            description
+                        })
+                    });
+                    const saveData = await saveResponse.json();
 
-            function downloadFile(content, filename, mimeType) {
-                const blob = new Blob([content], { type: mimeType });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }
+                    if (saveData.error) {
+                        showToast('error', 'Save Failed', saveData.error);
+                        return;
+                    }
 
-            function copyToClipboard() {
-                if (!state.results || !state.results.records) {
-                    showToast('warning', 'No Data', 'Run a query first to copy results.');
-                    return;
+                    state.currentFile = { id: saveData.fileID, name: filename, description };
+                    bootstrap.Modal.getInstance(document.getElementById('saveModal')).hide();
+                    showToast('success', 'Saved', \`Query saved as "\${filename}".\`);
+                } catch (error) {
+                    showToast('error', 'Save Failed', error.message);
                 }
-
-                const csv = convertToCSV(state.results.records);
-                navigator.clipboard.writeText(csv).then(() => {
-                    bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
-                    showToast('success', 'Copied', 'Results copied to clipboard.');
-                }).catch(err => {
-                    showToast('error', 'Copy Failed', 'Failed to copy to clipboard.');
-                });
             }
 
-            // =================================================================
-            // QUERY FORMATTING
-            // =================================================================
+            async function showWorkbooks() {
+                const modal = new bootstrap.Modal(document.getElementById('workbooksModal'));
+                modal.show();
 
-            function formatQuery() {
-                const query = state.editor.getValue();
-                if (!query.trim()) return;
+                const content = document.getElementById('workbooksContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading workbooks...</span></div>';
 
                 try {
-                    const formatted = formatSQL(query);
-                    state.editor.setValue(formatted);
-                    showToast('info', 'Formatted', 'Query has been formatted.');
-                } catch (e) {
-                    showToast('warning', 'Format Error', 'Could not format query. Check syntax.');
-                    console.error('Format error:', e);
-                }
-            }
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'workbooksGet' })
+                    });
+                    const data = await response.json();
 
-            /**
-             * Formats SQL query to match preferred style:
-             * - Keywords uppercase
-             * - Tab indentation
-             * - Each SELECT column on its own line
-             * - JOIN conditions in parentheses with spaces
-             * - WHERE conditions in parentheses
-             * - AND/OR at start of lines
-             */
-            function formatSQL(sql) {
-                // Preserve comments at the top
-                const lines = sql.split('\\n');
-                const comments = [];
-                let queryStart = 0;
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].trim().startsWith('--')) {
-                        comments.push(lines[i].trim());
-                        queryStart = i + 1;
-                    } else if (lines[i].trim()) {
-                        break;
+                    if (data.error) {
+                        content.innerHTML = \`<div class="alert alert-info">\${data.error}</div>\`;
+                        return;
                     }
-                }
 
-                // Get the query without leading comments
-                let q = lines.slice(queryStart).join(' ');
-
-                // Normalize whitespace
-                q = q.replace(/\\s+/g, ' ').trim();
-
-                // Protect string literals by replacing them with placeholders
-                const strings = [];
-                q = q.replace(/'([^']*(?:''[^']*)*)'/g, (match) => {
-                    strings.push(match);
-                    return '{{STR' + (strings.length - 1) + '}}';
-                });
+                    content.innerHTML = \`
+                        <div class="table-responsive">
+                            <table class="table table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Description</th>
+                                        <th>Owner</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${data.records.map(w => \`
+                                        <tr>
+                                            <td>\${escapeHtml(w.name)}</td>
+                                            <td>\${escapeHtml(w.description || '')}</td>
+                                            <td>\${escapeHtml(w.owner)}</td>
+                                            <td>
+                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadWorkbook('\${w.scriptid}')">
+                                                    Load
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    \`;
+                } catch (error) {
+                    content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
+                }
+            }
 
-                // Protect parenthesized expressions (functions, subqueries)
-                // We'll handle these specially
-
-                // Uppercase keywords
-                const keywords = [
-                    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'ORDER BY', 'GROUP BY',
-                    'HAVING', 'INNER JOIN', 'LEFT OUTER JOIN', 'RIGHT OUTER JOIN',
-                    'LEFT JOIN', 'RIGHT JOIN', 'CROSS JOIN', 'FULL OUTER JOIN',
-                    'JOIN', 'ON', 'AS', 'DISTINCT', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
-                    'IN', 'NOT IN', 'EXISTS', 'NOT EXISTS', 'BETWEEN', 'LIKE', 'NOT LIKE',
-                    'IS NULL', 'IS NOT NULL', 'UNION', 'UNION ALL', 'EXCEPT', 'INTERSECT',
-                    'INSERT INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE FROM',
-                    'ASC', 'DESC', 'NULLS FIRST', 'NULLS LAST', 'LIMIT', 'OFFSET',
-                    'COALESCE', 'CAST', 'OVER', 'PARTITION BY', 'ROLLUP', 'CUBE'
-                ];
+            async function loadWorkbook(scriptId) {
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'workbookLoad', scriptID: scriptId })
+                    });
+                    const data = await response.json();
 
-                // Sort by length descending to match longer keywords first
-                keywords.sort((a, b) => b.length - a.length);
+                    if (data.error) {
+                        showToast('error', 'Load Failed', data.error);
+                        return;
+                    }
 
-                for (const kw of keywords) {
-                    const regex = new RegExp('\\\\b' + kw.replace(/ /g, '\\\\s+') + '\\\\b', 'gi');
-                    q = q.replace(regex, kw);
+                    state.editor.setValue(data.sql);
+                    state.currentFile = null;
+                    bootstrap.Modal.getInstance(document.getElementById('workbooksModal')).hide();
+                    showToast('success', 'Workbook Loaded', 'Query loaded from workbook.');
+                } catch (error) {
+                    showToast('error', 'Load Failed', error.message);
                 }
+            }
 
-                // Add newlines before major clauses
-                q = q.replace(/\\s+(SELECT)\\s+/gi, '\\n$1\\n\\t');
-                q = q.replace(/\\s+(FROM)\\s+/gi, '\\n$1\\n\\t');
-                q = q.replace(/\\s+(WHERE)\\s+/gi, '\\n$1\\n\\t');
-                q = q.replace(/\\s+(ORDER BY)\\s+/gi, '\\n$1\\n\\t');
-                q = q.replace(/\\s+(GROUP BY)\\s+/gi, '\\n$1\\n\\t');
-                q = q.replace(/\\s+(HAVING)\\s+/gi, '\\n$1\\n\\t');
-
-                // Handle JOINs - put on new line with tab
-                q = q.replace(/\\s+(INNER JOIN|LEFT OUTER JOIN|RIGHT OUTER JOIN|LEFT JOIN|RIGHT JOIN|CROSS JOIN|FULL OUTER JOIN|JOIN)\\s+/gi, '\\n\\t$1 ');
+            // =================================================================
+            // AUDIT LOG
+            // =================================================================
 
-                // Handle AND/OR in WHERE clause - new line with tab
-                q = q.replace(/\\s+(AND|OR)\\s+(?!\\()/gi, '\\n\\t$1 ');
+            function showAuditLog() {
+                new bootstrap.Modal(document.getElementById('auditLogModal')).show();
+                searchAuditLog();
+            }
 
-                // Format commas - new line with tab for SELECT lists
-                q = q.replace(/,\\s*/g, ',\\n\\t');
+            async function searchAuditLog() {
+                const content = document.getElementById('auditLogContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading audit log...</span></div>';
 
-                // Clean up ON clauses - keep on same line as JOIN
-                q = q.replace(/\\s+ON\\s+/gi, ' ON\\n\\t\\t');
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            function: 'auditLogGet',
+                            search: document.getElementById('auditSearch').value.trim(),
+                            realm: document.getElementById('auditRealm').value.trim(),
+                            errorsOnly: document.getElementById('auditErrorsOnly').checked
+                        })
+                    });
+                    const data = await response.json();
 
-                // Add spaces inside parentheses for conditions
-                // Match conditions like (x = y) and add spaces
-                q = q.replace(/\\(([^()]+)\\)/g, (match, inner) => {
-                    // Check if this looks like a condition (has =, <>, etc.)
-                    if (/[=<>]|\\bIN\\b|\\bLIKE\\b|\\bBETWEEN\\b|\\bIS\\b/i.test(inner)) {
-                        return '( ' + inner.trim() + ' )';
+                    if (data.error) {
+                        content.innerHTML = \`<div class="alert alert-info">\${escapeHtml(data.error)}</div>\`;
+                        return;
                     }
-                    return match;
-                });
-
-                // Restore string literals
-                for (let i = 0; i < strings.length; i++) {
-                    q = q.replace('{{STR' + i + '}}', strings[i]);
-                }
 
-                // Clean up multiple newlines
-                q = q.replace(/\\n\\s*\\n/g, '\\n');
+                    state.auditEntries = data.records;
 
-                // Clean up leading whitespace on first line
-                q = q.replace(/^\\s+/, '');
+                    if (data.records.length === 0) {
+                        content.innerHTML = '<div class="alert alert-info">No audit log entries found.</div>';
+                        return;
+                    }
 
-                // Ensure SELECT is at the start
-                if (!q.startsWith('SELECT') && !q.startsWith('--')) {
-                    q = q.replace(/^\\n*/, '');
+                    content.innerHTML = \`
+                        <div class="table-responsive sqt-audit-table">
+                            <table class="table table-sm table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Time</th>
+                                        <th>User</th>
+                                        <th>Role</th>
+                                        <th>Realm</th>
+                                        <th>Source</th>
+                                        <th>Query</th>
+                                        <th>Rows</th>
+                                        <th>Time (ms)</th>
+                                        <th>Error</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${data.records.map((entry, index) => \`
+                                        <tr class="\${entry.errormessage ? 'table-danger' : ''}">
+                                            <td class="text-nowrap">\${escapeHtml(entry.createdat)}</td>
+                                            <td>\${escapeHtml(entry.username)}</td>
+                                            <td>\${escapeHtml(entry.rolename)}</td>
+                                            <td class="text-nowrap">
+                                                \${escapeHtml(entry.realm)}
+                                                \${entry.remote === 'T' ? '<span class="badge bg-secondary ms-1">remote</span>' : ''}
+                                            </td>
+                                            <td class="text-nowrap">\${escapeHtml((entry.source || 'suitelet').replace('_', ' '))}</td>
+                                            <td>
+                                                <code class="sqt-audit-sql" title="\${escapeHtml(entry.sqltext)}">\${escapeHtml((entry.sqltext || '').substring(0, 120))}</code>
+                                                <div class="sqt-audit-hash">\${escapeHtml(entry.sqlhash)}</div>
+                                            </td>
+                                            <td>\${entry.rowcount ?? ''}</td>
+                                            <td>\${entry.elapsedms ?? ''}</td>
+                                            <td class="sqt-audit-error">\${escapeHtml(entry.errormessage || '')}</td>
+                                            <td>
+                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadAuditQuery(\${index})">
+                                                    Load
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    \`;
+                } catch (error) {
+                    content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
                 }
+            }
 
-                // Add comments back
-                if (comments.length > 0) {
-                    q = comments.join('\\n') + '\\n' + q;
-                }
+            function loadAuditQuery(index) {
+                const entry = state.auditEntries[index];
+                if (!entry) return;
 
-                return q;
+                state.editor.setValue(entry.sqltext || '');
+                state.currentFile = null;
+                bootstrap.Modal.getInstance(document.getElementById('auditLogModal')).hide();
+                showToast('info', 'Query Loaded', 'Query loaded from audit log.');
             }
 
             // =================================================================
-            // TABLES REFERENCE
+            // REMOTE CREDENTIALS
             // =================================================================
 
-            function openTablesReference() {
-                window.open(CONFIG.SCRIPT_URL + '&function=tablesReference', '_tablesRef');
+            function getRealmFromUrl(remoteUrl) {
+                const match = (remoteUrl || '').match(/^https:\\/\\/(.*?)\\./);
+                return match ? match[1].replace('-', '_').toUpperCase() : null;
             }
 
-            // =================================================================
-            // LIBRARY FUNCTIONS
-            // =================================================================
-
-            async function showRemoteLibrary() {
-                const modal = new bootstrap.Modal(document.getElementById('remoteLibraryModal'));
-                modal.show();
+            function showCredentials() {
+                cancelCredentialEdit();
+                new bootstrap.Modal(document.getElementById('credentialsModal')).show();
+                loadCredentials();
+            }
 
-                const content = document.getElementById('remoteLibraryContent');
-                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading query library...</span></div>';
+            async function loadCredentials() {
+                const content = document.getElementById('credentialsContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading credentials...</span></div>';
 
                 try {
-                    const response = await fetch(CONFIG.REMOTE_LIBRARY_URL + 'index.json?nonce=' + Date.now());
-                    const queries = await response.json();
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'credentialsGet' })
+                    });
+                    const data = await response.json();
+
+                    if (data.error) {
+                        content.innerHTML = \`<div class="alert alert-info">\${escapeHtml(data.error)}</div>\`;
+                        return;
+                    }
+
+                    // One row per configured remote account, plus stored realms without an account
+                    const rows = state.remoteAccounts.map(acc => ({
+                        realm: getRealmFromUrl(acc.url),
+                        description: acc.description,
+                        url: acc.url
+                    }));
+                    data.records.forEach(entry => {
+                        if (!rows.some(row => row.realm === entry.realm)) {
+                            rows.push({ realm: entry.realm, description: '', url: null });
+                        }
+                    });
 
                     content.innerHTML = \`
+                        \${!data.storeEnabled ? '<div class="alert alert-warning small">The credential store is disabled (CREDENTIAL_STORE_ENABLED is false). Credentials are read from secret.js only.</div>' : ''}
                         <div class="table-responsive">
-                            <table class="table table-hover">
+                            <table class="table table-sm table-hover align-middle">
                                 <thead>
                                     <tr>
-                                        <th>Name</th>
-                                        <th>Description</th>
+                                        <th>Realm</th>
+                                        <th>Account</th>
+                                        <th>Source</th>
+                                        <th>Last Modified</th>
                                         <th></th>
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    \${queries.map(q => \`
-                                        <tr>
-                                            <td>\${escapeHtml(q.name)}</td>
-                                            <td>\${escapeHtml(q.description)}</td>
-                                            <td>
-                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadRemoteQuery('\${q.fileName}')">
-                                                    Load
-                                                </button>
-                                            </td>
-                                        </tr>
-                                    \`).join('')}
+                                    \${rows.map(row => {
+                                        const entry = data.records.find(r => r.realm === row.realm);
+                                        return \`
+                                            <tr>
+                                                <td><code>\${escapeHtml(row.realm)}</code></td>
+                                                <td>\${escapeHtml(row.description)}</td>
+                                                <td>\${entry
+                                                    ? \`<span class="badge bg-secondary">\${escapeHtml(entry.provider)}</span>\`
+                                                    : '<span class="badge bg-danger">Missing</span>'}</td>
+                                                <td>\${escapeHtml(entry?.lastModified || '')}</td>
+                                                <td class="text-end text-nowrap">
+                                                    \${data.storeEnabled ? \`
+                                                        <button type="button" class="btn btn-sm btn-outline-primary" onclick="SQT.editCredential('\${escapeHtml(row.realm)}')">
+                                                            \${entry ? 'Rotate' : 'Add'}
+                                                        </button>
+                                                    \` : ''}
+                                                    \${row.url ? \`
+                                                        <button type="button" class="btn btn-sm btn-outline-secondary" onclick="SQT.testCredential('\${escapeHtml(row.url)}', this)">
+                                                            Test
+                                                        </button>
+                                                    \` : ''}
+                                                </td>
+                                            </tr>
+                                        \`;
+                                    }).join('')}
                                 </tbody>
                             </table>
                         </div>
+                        \${data.storeEnabled ? \`
+                            <button type="button" class="btn btn-sm btn-outline-primary" onclick="SQT.editCredential('')">
+                                <i class="bi bi-plus-lg me-1"></i>Add Realm
+                            </button>
+                        \` : ''}
                     \`;
                 } catch (error) {
-                    content.innerHTML = \`
-                        <div class="alert alert-danger">
-                            Failed to load query library: \${escapeHtml(error.message)}
-                        </div>
-                    \`;
+                    content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
                 }
             }
 
-            async function loadRemoteQuery(filename) {
+            function editCredential(realm) {
+                const form = document.getElementById('credentialForm');
+                const realmInput = document.getElementById('credRealm');
+
+                form.reset();
+                realmInput.value = realm;
+                realmInput.readOnly = !!realm;
+                document.getElementById('credentialFormTitle').textContent = realm ? 'Rotate credentials for ' + realm : 'Add realm';
+                document.getElementById('credentialFormHint').textContent = realm
+                    ? 'Leave a value empty to keep the stored value.'
+                    : 'All four values are required.';
+                form.style.display = 'block';
+            }
+
+            function cancelCredentialEdit() {
+                const form = document.getElementById('credentialForm');
+                form.reset();
+                form.style.display = 'none';
+            }
+
+            async function saveCredential() {
+                const payload = {
+                    function: 'credentialSave',
+                    realm: document.getElementById('credRealm').value.trim(),
+                    consumerKey: document.getElementById('credConsumerKey').value,
+                    consumerSecret: document.getElementById('credConsumerSecret').value,
+                    tokenId: document.getElementById('credTokenId').value,
+                    tokenSecret: document.getElementById('credTokenSecret').value
+                };
+
+                if (!payload.realm) {
+                    showToast('warning', 'Missing Realm', 'Please enter a realm.');
+                    return;
+                }
+
                 try {
-                    const response = await fetch(CONFIG.REMOTE_LIBRARY_URL + filename + '?nonce=' + Date.now());
-                    const sql = await response.text();
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(payload)
+                    });
+                    const data = await response.json();
 
-                    state.editor.setValue(sql);
-                    bootstrap.Modal.getInstance(document.getElementById('remoteLibraryModal')).hide();
-                    showToast('success', 'Query Loaded', 'Query loaded from library.');
+                    if (data.error) {
+                        showToast('error', 'Save Failed', data.error);
+                        return;
+                    }
+
+                    cancelCredentialEdit();
+                    showToast('success', 'Credentials Saved', 'Credentials for ' + payload.realm.toUpperCase() + ' have been saved.');
+                    loadCredentials();
                 } catch (error) {
-                    showToast('error', 'Load Failed', 'Failed to load query.');
+                    showToast('error', 'Save Failed', error.message);
                 }
             }
 
-            async function showLocalLibrary() {
-                const modal = new bootstrap.Modal(document.getElementById('localLibraryModal'));
-                modal.show();
+            async function testCredential(remoteUrl, button) {
+                const label = button.innerHTML;
+                button.disabled = true;
+                button.innerHTML = '<span class="spinner-border spinner-border-sm"></span>';
 
-                const content = document.getElementById('localLibraryContent');
-                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading queries...</span></div>';
+                try {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ function: 'credentialTest', remoteUrl: remoteUrl })
+                    });
+                    const data = await response.json();
+
+                    if (data.error) {
+                        showToast('error', 'Connection Failed', data.error);
+                    } else {
+                        showToast('success', 'Connection OK',
+                            \`\${data.realm} responded in \${data.elapsedTime}ms using \${data.provider} credentials.\`);
+                    }
+                } catch (error) {
+                    showToast('error', 'Connection Failed', error.message);
+                } finally {
+                    button.disabled = false;
+                    button.innerHTML = label;
+                }
+            }
+
+            // =================================================================
+            // SCHEDULES
+            // =================================================================
+
+            const SCHEDULE_STATUS_BADGES = {
+                success: '<span class="badge bg-success">Success</span>',
+                warning: '<span class="badge bg-warning text-dark">Warning</span>',
+                error: '<span class="badge bg-danger">Error</span>'
+            };
+
+            function showSchedules() {
+                cancelScheduleEdit();
+                new bootstrap.Modal(document.getElementById('schedulesModal')).show();
+                loadSchedules();
+            }
+
+            async function loadSchedules() {
+                const content = document.getElementById('schedulesContent');
+                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading schedules...</span></div>';
 
                 try {
                     const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ function: 'localLibraryFilesGet' })
+                        body: JSON.stringify({ function: 'schedulesGet' })
                     });
                     const data = await response.json();
 
                     if (data.error) {
-                        content.innerHTML = \`<div class="alert alert-info">\${data.error}</div>\`;
+                        content.innerHTML = \`<div class="alert alert-info">\${escapeHtml(data.error)}</div>\`;
                         return;
                     }
 
+                    state.schedules = data.records;
+
                     content.innerHTML = \`
+                        \${data.records.length === 0 ? '<div class="alert alert-info">No schedules yet.</div>' : \`
                         <div class="table-responsive">
-                            <table class="table table-hover">
+                            <table class="table table-sm table-hover align-middle">
                                 <thead>
                                     <tr>
                                         <th>Name</th>
-                                        <th>Description</th>
+                                        <th>Query</th>
+                                        <th>Cadence</th>
+                                        <th>Delivery</th>
+                                        <th>Next Run</th>
+                                        <th>Last Run</th>
+                                        <th>Status</th>
                                         <th></th>
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    \${data.records.map(f => \`
-                                        <tr>
-                                            <td>\${escapeHtml(f.name)}</td>
-                                            <td>\${escapeHtml(f.description || '')}</td>
+                                    \${data.records.map(schedule => \`
+                                        <tr class="\${schedule.active ? '' : 'text-muted'}">
                                             <td>
-                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadLocalQuery(\${f.id})">
-                                                    Load
-                                                </button>
+                                                \${escapeHtml(schedule.name)}
+                                                \${schedule.active ? '' : '<span class="badge bg-secondary ms-1">Paused</span>'}
+                                                <div class="small text-muted">\${escapeHtml(schedule.ownerName || '')}</div>
+                                            </td>
+                                            <td>\${escapeHtml(schedule.queryFileName)}</td>
+                                            <td><code>\${escapeHtml(schedule.cadence)}</code></td>
+                                            <td class="small">
+                                                \${schedule.recipients ? \`<div><i class="bi bi-envelope me-1"></i>\${escapeHtml(schedule.recipients)}</div>\` : ''}
+                                                \${schedule.folder ? \`<div><i class="bi bi-folder me-1"></i>Folder \${escapeHtml(schedule.folder)}</div>\` : ''}
+                                                \${schedule.webhookUrl ? \`<div><i class="bi bi-broadcast me-1"></i>Webhook</div>\` : ''}
+                                                \${schedule.alert ? \`<div><i class="bi bi-bell me-1"></i>\${escapeHtml(schedule.alertDescription)}</div>\` : ''}
+                                                <div class="text-muted">\${escapeHtml((schedule.format || '').toUpperCase())}</div>
+                                            </td>
+                                            <td class="small">\${schedule.active && schedule.nextRun ? escapeHtml(new Date(schedule.nextRun).toLocaleString()) : ''}</td>
+                                            <td class="small">\${schedule.lastRun ? escapeHtml(formatTimestamp(schedule.lastRun)) : ''}</td>
+                                            <td>
+                                                \${SCHEDULE_STATUS_BADGES[schedule.lastStatus] || '<span class="badge bg-secondary">Never run</span>'}
+                                                \${schedule.lastRowCount !== null && schedule.lastRowCount !== undefined && schedule.lastRowCount !== '' ? \`<div class="small text-muted">\${schedule.lastRowCount} rows</div>\` : ''}
+                                                \${schedule.lastAlert ? \`<div class="small text-muted">\${escapeHtml(schedule.lastAlert)}</div>\` : ''}
+                                                \${schedule.lastError ? \`<div class="sqt-schedule-error">\${escapeHtml(schedule.lastError)}</div>\` : ''}
+                                            </td>
+                                            <td class="text-end text-nowrap">
+                                                \${schedule.canManage ? \`
+                                                    <button type="button" class="btn btn-sm btn-outline-secondary" onclick="SQT.runScheduleNow(\${schedule.id}, this)" title="Run now">
+                                                        <i class="bi bi-play-fill"></i>
+                                                    </button>
+                                                    <button type="button" class="btn btn-sm btn-outline-primary" onclick="SQT.editSchedule(\${schedule.id})">Edit</button>
+                                                    <button type="button" class="btn btn-sm btn-outline-danger" onclick="SQT.deleteSchedule(\${schedule.id})" title="Delete">
+                                                        <i class="bi bi-trash"></i>
+                                                    </button>
+                                                \` : ''}
                                             </td>
                                         </tr>
                                     \`).join('')}
                                 </tbody>
                             </table>
                         </div>
+                        \`}
+                        <button type="button" class="btn btn-sm btn-outline-primary" onclick="SQT.editSchedule(null)">
+                            <i class="bi bi-plus-lg me-1"></i>Add Schedule
+                        </button>
                     \`;
                 } catch (error) {
                     content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
                 }
             }
 
-            async function loadLocalQuery(fileId) {
+            async function editSchedule(id) {
+                const schedule = state.schedules.find(entry => entry.id === id) || null;
+                const form = document.getElementById('scheduleForm');
+                const select = document.getElementById('schedQueryFile');
+
+                form.reset();
+                document.getElementById('schedId').value = schedule ? schedule.id : '';
+                document.getElementById('scheduleFormTitle').textContent = schedule ? 'Edit ' + schedule.name : 'Add schedule';
+                select.innerHTML = '<option value="">Loading...</option>';
+                form.style.display = 'block';
+
                 try {
                     const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ function: 'sqlFileLoad', fileID: fileId })
+                        body: JSON.stringify({ function: 'localLibraryFilesGet' })
                     });
                     const data = await response.json();
 
-                    if (data.error) {
-                        showToast('error', 'Load Failed', data.error);
-                        return;
+                    select.innerHTML = (data.records || [])
+                        .filter(f => /\\.sql$/i.test(f.name))
+                        .map(f => \`<option value="\${f.id}">\${escapeHtml(f.name)}</option>\`)
+                        .join('') || '<option value="">No .sql files in the local library</option>';
+                } catch (error) {
+                    select.innerHTML = '<option value="">Failed to load queries</option>';
+                }
+
+                if (schedule) {
+                    select.value = schedule.queryFile;
+                    document.getElementById('schedName').value = schedule.name;
+                    document.getElementById('schedCadence').value = schedule.cadence;
+                    document.getElementById('schedFormat').value = schedule.format;
+                    document.getElementById('schedRecipients').value = schedule.recipients;
+                    document.getElementById('schedFolder').value = schedule.folder || '';
+                    document.getElementById('schedActive').checked = schedule.active;
+
+                    if (schedule.alert) {
+                        document.getElementById('schedAlertMetric').value = schedule.alert.metric;
+                        document.getElementById('schedAlertColumn').value = schedule.alert.column || '';
+                        document.getElementById('schedAlertCondition').value = schedule.alert.condition;
+                        document.getElementById('schedAlertThreshold').value = schedule.alert.threshold;
                     }
 
-                    state.editor.setValue(data.sql);
-                    state.currentFile = data.file;
-                    bootstrap.Modal.getInstance(document.getElementById('localLibraryModal')).hide();
-                    showToast('success', 'Query Loaded', \`Loaded: \${data.file.name}\`);
-                } catch (error) {
-                    showToast('error', 'Load Failed', error.message);
+                    const webhookInput = document.getElementById('schedWebhook');
+                    if (webhookInput) {
+                        webhookInput.value = schedule.webhookUrl;
+                    }
                 }
+
+                updateAlertFields();
             }
 
-            function showSaveModal() {
-                const query = state.editor.getValue();
-                if (!query.trim()) {
-                    showToast('warning', 'No Query', 'Please enter a query to save.');
-                    return;
-                }
+            function updateAlertFields() {
+                const metric = document.getElementById('schedAlertMetric').value;
 
-                if (state.currentFile) {
-                    document.getElementById('saveFileName').value = state.currentFile.name;
-                    document.getElementById('saveDescription').value = state.currentFile.description || '';
+                document.getElementById('schedAlertColumn').disabled = !metric || metric === 'rowCount';
+                document.getElementById('schedAlertCondition').disabled = !metric;
+                document.getElementById('schedAlertThreshold').disabled = !metric;
+
+                const webhookInput = document.getElementById('schedWebhook');
+                if (webhookInput) {
+                    webhookInput.disabled = !metric;
                 }
+            }
 
-                new bootstrap.Modal(document.getElementById('saveModal')).show();
+            function cancelScheduleEdit() {
+                const form = document.getElementById('scheduleForm');
+                form.reset();
+                form.style.display = 'none';
             }
 
-            async function saveQuery() {
-                const filename = document.getElementById('saveFileName').value.trim();
-                const description = document.getElementById('saveDescription').value.trim();
-                const query = state.editor.getValue();
+            function applyCadencePreset() {
+                const preset = document.getElementById('schedCadencePreset');
+                if (preset.value) {
+                    document.getElementById('schedCadence').value = preset.value;
+                }
+                preset.value = '';
+            }
 
-                if (!filename) {
-                    showToast('warning', 'Missing Name', 'Please enter a file name.');
+            async function saveSchedule() {
+                const metric = document.getElementById('schedAlertMetric').value;
+                const webhookInput = document.getElementById('schedWebhook');
+
+                const payload = {
+                    function: 'scheduleSave',
+                    id: document.getElementById('schedId').value || null,
+                    name: document.getElementById('schedName').value.trim(),
+                    fileID: document.getElementById('schedQueryFile').value,
+                    cadence: document.getElementById('schedCadence').value.trim(),
+                    format: document.getElementById('schedFormat').value,
+                    recipients: document.getElementById('schedRecipients').value.trim(),
+                    folderId: document.getElementById('schedFolder').value || null,
+                    alert: metric ? {
+                        metric,
+                        column: document.getElementById('schedAlertColumn').value.trim(),
+                        condition: document.getElementById('schedAlertCondition').value,
+                        threshold: document.getElementById('schedAlertThreshold').value
+                    } : null,
+                    webhookUrl: metric && webhookInput ? webhookInput.value.trim() : '',
+                    active: document.getElementById('schedActive').checked
+                };
+
+                if (!payload.name || !payload.fileID || !payload.cadence) {
+                    showToast('warning', 'Missing Fields', 'Please enter a name, a query and a cadence.');
                     return;
                 }
 
                 try {
-                    // Check if file exists
-                    const checkResponse = await fetch(CONFIG.SCRIPT_URL, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ function: 'sqlFileExists', filename })
-                    });
-                    const checkData = await checkResponse.json();
-
-                    if (checkData.exists) {
-                        if (!confirm(\`A file named "\${filename}" already exists. Replace it?\`)) {
-                            return;
-                        }
-                    }
-
-                    // Save file
-                    const saveResponse = await fetch(CONFIG.SCRIPT_URL, {
+                    const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            function: 'sqlFileSave',
-                            filename,
-                            contents: query,
-                            description
-                        })
+                        body: JSON.stringify(payload)
                     });
-                    const saveData = await saveResponse.json();
+                    const data = await response.json();
 
-                    if (saveData.error) {
-                        showToast('error', 'Save Failed', saveData.error);
+                    if (data.error) {
+                        showToast('error', 'Save Failed', data.error);
                         return;
-                    }
-
-                    state.currentFile = { id: saveData.fileID, name: filename, description };
-                    bootstrap.Modal.getInstance(document.getElementById('saveModal')).hide();
-                    showToast('success', 'Saved', \`Query saved as "\${filename}".\`);
+                    }
+
+                    cancelScheduleEdit();
+                    showToast('success', 'Schedule Saved', payload.name + ' has been saved.');
+                    loadSchedules();
                 } catch (error) {
                     showToast('error', 'Save Failed', error.message);
                 }
             }
 
-            async function showWorkbooks() {
-                const modal = new bootstrap.Modal(document.getElementById('workbooksModal'));
-                modal.show();
-
-                const content = document.getElementById('workbooksContent');
-                content.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading workbooks...</span></div>';
+            async function deleteSchedule(id) {
+                const schedule = state.schedules.find(entry => entry.id === id);
+                if (!schedule || !confirm(\`Delete the schedule "\${schedule.name}"?\`)) {
+                    return;
+                }
 
                 try {
                     const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ function: 'workbooksGet' })
+                        body: JSON.stringify({ function: 'scheduleDelete', id })
                     });
                     const data = await response.json();
 
                     if (data.error) {
-                        content.innerHTML = \`<div class="alert alert-info">\${data.error}</div>\`;
+                        showToast('error', 'Delete Failed', data.error);
                         return;
                     }
 
-                    content.innerHTML = \`
-                        <div class="table-responsive">
-                            <table class="table table-hover">
-                                <thead>
-                                    <tr>
-                                        <th>Name</th>
-                                        <th>Description</th>
-                                        <th>Owner</th>
-                                        <th></th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    \${data.records.map(w => \`
-                                        <tr>
-                                            <td>\${escapeHtml(w.name)}</td>
-                                            <td>\${escapeHtml(w.description || '')}</td>
-                                            <td>\${escapeHtml(w.owner)}</td>
-                                            <td>
-                                                <button type="button" class="btn btn-sm btn-primary" onclick="SQT.loadWorkbook('\${w.scriptid}')">
-                                                    Load
-                                                </button>
-                                            </td>
-                                        </tr>
-                                    \`).join('')}
-                                </tbody>
-                            </table>
-                        </div>
-                    \`;
+                    showToast('success', 'Schedule Deleted', schedule.name + ' has been deleted.');
+                    loadSchedules();
                 } catch (error) {
-                    content.innerHTML = \`<div class="alert alert-danger">Failed to load: \${escapeHtml(error.message)}</div>\`;
+                    showToast('error', 'Delete Failed', error.message);
                 }
             }
 
-            async function loadWorkbook(scriptId) {
+            async function runScheduleNow(id, button) {
+                button.disabled = true;
+
                 try {
                     const response = await fetch(CONFIG.SCRIPT_URL, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ function: 'workbookLoad', scriptID: scriptId })
+                        body: JSON.stringify({ function: 'scheduleRun', id })
                     });
                     const data = await response.json();
 
                     if (data.error) {
-                        showToast('error', 'Load Failed', data.error);
+                        showToast('error', 'Run Failed', data.error);
                         return;
                     }
 
-                    state.editor.setValue(data.sql);
-                    bootstrap.Modal.getInstance(document.getElementById('workbooksModal')).hide();
-                    showToast('success', 'Workbook Loaded', 'Query loaded from workbook.');
+                    showToast('info', 'Schedule Queued', data.queued
+                        ? 'The schedule runs in a moment. Refresh the list to see the result.'
+                        : 'The scheduler is busy; the schedule runs on its next pass.');
+                    loadSchedules();
                 } catch (error) {
-                    showToast('error', 'Load Failed', error.message);
+                    showToast('error', 'Run Failed', error.message);
+                } finally {
+                    button.disabled = false;
                 }
             }
 
@@ -7403,6 +13145,7 @@ Can you help me fix this query?\`;
 
                 // Insert into editor
                 state.editor.setValue(sql);
+                state.currentFile = null;
 
                 showToast('success', 'Query Inserted', 'The generated query has been added to the editor.');
 
@@ -7721,6 +13464,7 @@ Return ONLY the SQL query in a code block, no explanation needed. The query shou
                     } else {
                         // Extract SQL from response
                         const sql = extractSQLFromResponse(data.response);
+                        state.currentFile = null;
                         if (sql) {
                             state.editor.setValue(sql);
                             input.value = '';
@@ -7856,12 +13600,18 @@ Please suggest:
             return {
                 init,
                 runQuery,
+                cancelRun,
+                showMultiAccountModal,
+                checkRemoteAccountsHealth,
+                runOnMultipleAccounts,
                 formatQuery,
                 toggleTheme,
                 toggleSidebar,
                 toggleFocusMode,
                 toggleResultsMaximized,
                 toggleOptions,
+                goToPage,
+                setPageSize,
                 toggleAIDropdown,
                 toggleRunDropdown,
                 toggleMoreDropdown,
@@ -7876,6 +13626,30 @@ Please suggest:
                 saveQuery,
                 showWorkbooks,
                 loadWorkbook,
+                showAuditLog,
+                searchAuditLog,
+                loadAuditQuery,
+                showDocumentModal,
+                selectDocumentTemplate,
+                changeDocumentFormat,
+                previewDocument,
+                openDocument,
+                saveDocumentTemplate,
+                startServerExport,
+                cancelServerExport,
+                showCredentials,
+                editCredential,
+                cancelCredentialEdit,
+                saveCredential,
+                testCredential,
+                showSchedules,
+                editSchedule,
+                cancelScheduleEdit,
+                applyCadencePreset,
+                updateAlertFields,
+                saveSchedule,
+                deleteSchedule,
+                runScheduleNow,
                 showExportModal,
                 exportAs,
                 copyToClipboard,
@@ -7884,14 +13658,40 @@ Please suggest:
                 clearHistory,
                 setViewMode,
                 refreshResults,
+                updateDiffOptions,
                 clearResults,
                 // Feature functions
                 toggleAutocomplete,
+                refreshSchemaCatalog,
+                showJoinPathModal,
+                findJoinPath,
+                insertJoinPath,
+                showQueryBuilder,
+                resetQueryBuilder,
+                setBuilderBase,
+                addBuilderJoin,
+                updateBuilderTable,
+                removeBuilderTable,
+                filterBuilderColumns,
+                toggleBuilderColumn,
+                updateBuilderColumn,
+                removeBuilderColumn,
+                builderDragStart,
+                builderDrop,
+                addBuilderFilter,
+                updateBuilderFilter,
+                removeBuilderFilter,
+                addBuilderSort,
+                updateBuilderSort,
+                removeBuilderSort,
+                insertBuilderQuery,
+                loadBuilderFromEditor,
                 toggleCompactToolbar,
                 updateToolbarVisibility,
                 changeEditorFontSize,
                 showShareModal,
                 copyShareUrl,
+                updateShareUrl,
                 showRowDetails,
                 prevRow,
                 nextRow,
@@ -7901,6 +13701,12 @@ Please suggest:
                 downloadQuery,
                 // Parameters
                 runWithParameters,
+                runAllStatements,
+                showStatement,
+                applyParameterPreset,
+                saveParameterPreset,
+                deleteParameterPreset,
+                copyParameterShareUrl,
                 // Shortcuts & History
                 showShortcuts,
                 showUndoHistory,
@@ -8494,6 +14300,51 @@ function generateTablesReferenceHtml(scriptUrl) {
                 .sqt-focus-mode .sqt-tables-layout {
                     height: calc(100vh - 56px);
                 }
+
+                /* Entity-Relationship Diagram */
+                .sqt-tables-detail.sqt-diagram-mode {
+                    padding: 0;
+                    overflow: hidden;
+                }
+
+                .sqt-diagram {
+                    display: flex;
+                    flex-direction: column;
+                    height: 100%;
+                }
+
+                .sqt-diagram-toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 8px 16px;
+                    border-bottom: 1px solid var(--sqt-border);
+                    background: var(--sqt-bg-primary);
+                }
+
+                .sqt-diagram-toolbar .sqt-search-input {
+                    width: 260px;
+                }
+
+                .sqt-diagram-canvas {
+                    flex: 1;
+                    width: 100%;
+                    cursor: grab;
+                    touch-action: none;
+                    user-select: none;
+                }
+
+                .sqt-diagram-canvas.sqt-dragging {
+                    cursor: grabbing;
+                }
+
+                .sqt-diagram-table {
+                    cursor: move;
+                }
+
+                .sqt-diagram-canvas [data-action] {
+                    cursor: pointer;
+                }
             </style>
         </head>
         <body>
@@ -8507,6 +14358,9 @@ function generateTablesReferenceHtml(scriptUrl) {
                         <span>Tables Reference</span>
                     </div>
                     <div class="sqt-header-actions">
+                        <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="showDiagram()" title="Entity-relationship diagram">
+                            <i class="bi bi-diagram-3"></i>
+                        </button>
                         <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-icon" onclick="showAISettings()" title="AI Settings">
                             <i class="bi bi-gear"></i>
                         </button>
@@ -8667,6 +14521,7 @@ function generateTablesReferenceHtml(scriptUrl) {
                     document.documentElement.setAttribute('data-bs-theme', theme);
                     localStorage.setItem('sqt_theme', theme);
                     updateThemeIcon();
+                    renderDiagram();
                 }
 
                 function updateThemeIcon() {
@@ -8770,17 +14625,22 @@ function generateTablesReferenceHtml(scriptUrl) {
                     renderTablesList(filtered);
                 }
 
+                async function fetchRecordTypeDetail(tableId) {
+                    const url = '/app/recordscatalog/rcendpoint.nl?action=getRecordTypeDetail&data=' +
+                        encodeURIComponent(JSON.stringify({ scriptId: tableId, detailType: 'SS_ANAL' }));
+
+                    const response = await fetch(url);
+                    const data = await response.json();
+                    return data.data;
+                }
+
                 async function loadTableDetail(tableId) {
                     const detail = document.getElementById('tableDetail');
+                    detail.classList.remove('sqt-diagram-mode');
                     detail.innerHTML = '<div class="sqt-loading"><div class="sqt-spinner"></div><span>Loading table details...</span></div>';
 
                     try {
-                        const url = '/app/recordscatalog/rcendpoint.nl?action=getRecordTypeDetail&data=' +
-                            encodeURIComponent(JSON.stringify({ scriptId: tableId, detailType: 'SS_ANAL' }));
-
-                        const response = await fetch(url);
-                        const data = await response.json();
-                        const record = data.data;
+                        const record = await fetchRecordTypeDetail(tableId);
 
                         currentTable = tableId;
                         currentTableData = record;
@@ -8792,9 +14652,14 @@ function generateTablesReferenceHtml(scriptUrl) {
                         const aiConfigured = isAIConfigured();
 
                         let html = \`
-                            <div class="sqt-detail-header">
-                                <div class="sqt-detail-title">\${escapeHtml(record.label)}</div>
-                                <div class="sqt-detail-subtitle">\${escapeHtml(tableId)}</div>
+                            <div class="sqt-detail-header d-flex justify-content-between align-items-start">
+                                <div>
+                                    <div class="sqt-detail-title">\${escapeHtml(record.label)}</div>
+                                    <div class="sqt-detail-subtitle">\${escapeHtml(tableId)}</div>
+                                </div>
+                                <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="addDiagramTable('\${tableId}')">
+                                    <i class="bi bi-diagram-3"></i> Add to Diagram
+                                </button>
                             </div>
                         \`;
 
@@ -8885,6 +14750,7 @@ function generateTablesReferenceHtml(scriptUrl) {
                                                 <th>Label</th>
                                                 <th>Target Table</th>
                                                 <th>Cardinality</th>
+                                                <th style="width: 40px;"></th>
                                             </tr>
                                         </thead>
                                         <tbody>
@@ -8897,6 +14763,11 @@ function generateTablesReferenceHtml(scriptUrl) {
                                                         </a>
                                                     </td>
                                                     <td>\${escapeHtml(j.cardinality)}</td>
+                                                    <td>
+                                                        <button type="button" class="btn btn-sm btn-link p-0" onclick="addDiagramTable('\${j.sourceTargetType.id}')" title="Add to diagram">
+                                                            <i class="bi bi-plus-lg"></i>
+                                                        </button>
+                                                    </td>
                                                 </tr>
                                             \`).join('')}
                                         </tbody>
@@ -8964,6 +14835,577 @@ function generateTablesReferenceHtml(scriptUrl) {
                     document.getElementById('generateQueryBtn').disabled = count === 0 || !isAIConfigured();
                 }
 
+                // ===========================================
+                // ENTITY-RELATIONSHIP DIAGRAM
+                // ===========================================
+                const DIAGRAM_STORAGE_KEY = 'sqt_erd';
+                const DIAGRAM_BOX_WIDTH = 260;
+                const DIAGRAM_HEADER_HEIGHT = 40;
+                const DIAGRAM_ROW_HEIGHT = 20;
+                const DIAGRAM_MAX_COLUMNS = 15;  // Columns shown before "more columns"; join columns are always shown
+                const DIAGRAM_FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+                const DIAGRAM_MONO_FONT = 'ui-monospace, Menlo, Consolas, monospace';
+                const SVG_NS = 'http://www.w3.org/2000/svg';
+
+                const CARDINALITY_LABELS = {
+                    ONE_TO_ONE: '1 : 1',
+                    ONE_TO_MANY: '1 : N',
+                    MANY_TO_ONE: 'N : 1',
+                    MANY_TO_MANY: 'N : N'
+                };
+
+                // Tables in the diagram: id, label, x, y and expanded are stored; columns and joins are loaded
+                let diagramTables = loadDiagram();
+                let diagramView = { x: 0, y: 0, scale: 1 };
+                let diagramDrag = null;
+
+                function loadDiagram() {
+                    try {
+                        return (JSON.parse(localStorage.getItem(DIAGRAM_STORAGE_KEY)) || [])
+                            .map(({ id, label, x, y, expanded }) => ({ id, label, x, y, expanded }));
+                    } catch (e) {
+                        return [];
+                    }
+                }
+
+                function saveDiagram() {
+                    localStorage.setItem(DIAGRAM_STORAGE_KEY, JSON.stringify(
+                        diagramTables.map(({ id, label, x, y, expanded }) => ({ id, label, x, y, expanded }))
+                    ));
+                }
+
+                async function showDiagram() {
+                    const detail = document.getElementById('tableDetail');
+                    detail.classList.add('sqt-diagram-mode');
+                    detail.innerHTML = \`
+                        <div class="sqt-diagram">
+                            <div class="sqt-diagram-toolbar">
+                                <input type="text" class="sqt-search-input" id="diagramTableInput" list="diagramTableList"
+                                       placeholder="Add a table..." onkeydown="if (event.key === 'Enter') addDiagramTableFromInput()">
+                                <datalist id="diagramTableList">
+                                    \${allTables.map(t => \`<option value="\${escapeHtml(t.id)}">\${escapeHtml(t.label)}</option>\`).join('')}
+                                </datalist>
+                                <button type="button" class="sqt-btn sqt-btn-primary sqt-btn-sm" onclick="addDiagramTableFromInput()">
+                                    <i class="bi bi-plus-lg"></i> Add
+                                </button>
+                                <div class="ms-auto d-flex gap-1">
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="zoomDiagram(1.2)" title="Zoom in">
+                                        <i class="bi bi-zoom-in"></i>
+                                    </button>
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="zoomDiagram(1 / 1.2)" title="Zoom out">
+                                        <i class="bi bi-zoom-out"></i>
+                                    </button>
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="fitDiagram()" title="Fit to window">
+                                        <i class="bi bi-arrows-angle-contract"></i>
+                                    </button>
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="exportDiagram('svg')">
+                                        <i class="bi bi-filetype-svg"></i> SVG
+                                    </button>
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="exportDiagram('png')">
+                                        <i class="bi bi-filetype-png"></i> PNG
+                                    </button>
+                                    <button type="button" class="sqt-btn sqt-btn-secondary sqt-btn-sm" onclick="clearDiagram()" title="Remove all tables">
+                                        <i class="bi bi-trash"></i>
+                                    </button>
+                                </div>
+                            </div>
+                            <svg class="sqt-diagram-canvas" id="diagramCanvas" xmlns="http://www.w3.org/2000/svg"></svg>
+                        </div>
+                    \`;
+
+                    const svg = document.getElementById('diagramCanvas');
+                    svg.addEventListener('wheel', handleDiagramWheel, { passive: false });
+                    svg.addEventListener('pointerdown', handleDiagramPointerDown);
+                    svg.addEventListener('pointermove', handleDiagramPointerMove);
+                    svg.addEventListener('pointerup', handleDiagramPointerUp);
+                    svg.addEventListener('click', handleDiagramClick);
+
+                    renderDiagram();
+                    await loadDiagramDetails();
+                    fitDiagram();
+                }
+
+                function isDiagramShown() {
+                    return document.getElementById('diagramCanvas') !== null;
+                }
+
+                // Loads the columns and joins of the tables that do not have them yet
+                async function loadDiagramDetails() {
+                    await Promise.all(diagramTables.filter(t => !t.columns).map(async table => {
+                        try {
+                            const record = await fetchRecordTypeDetail(table.id);
+                            table.label = record.label;
+                            table.columns = record.fields.filter(f => f.isColumn);
+                            table.joins = record.joins || [];
+                        } catch (error) {
+                            table.columns = [];
+                            table.joins = [];
+                            table.failed = true;
+                        }
+                    }));
+
+                    renderDiagram();
+                }
+
+                async function addDiagramTable(tableId) {
+                    if (diagramTables.some(t => t.id.toLowerCase() === tableId.toLowerCase())) {
+                        showToast('info', 'Already in Diagram', tableId + ' is already in the diagram.');
+                        return;
+                    }
+
+                    const known = allTables.find(t => t.id.toLowerCase() === tableId.toLowerCase());
+                    const count = diagramTables.length;
+                    diagramTables.push({
+                        id: known ? known.id : tableId,
+                        label: known ? known.label : tableId,
+                        x: 40 + (count % 4) * (DIAGRAM_BOX_WIDTH + 100),
+                        y: 40 + Math.floor(count / 4) * 480,
+                        expanded: false
+                    });
+                    saveDiagram();
+
+                    if (isDiagramShown()) {
+                        renderDiagram();
+                        await loadDiagramDetails();
+                    } else {
+                        showToast('success', 'Added to Diagram', \`\${tableId} was added. The diagram has \${diagramTables.length} table(s).\`);
+                    }
+                }
+
+                function addDiagramTableFromInput() {
+                    const input = document.getElementById('diagramTableInput');
+                    const value = input.value.trim().toLowerCase();
+                    const table = allTables.find(t => t.id.toLowerCase() === value || t.label.toLowerCase() === value);
+
+                    if (!table) {
+                        showToast('warning', 'Unknown Table', 'Pick a table from the list.');
+                        return;
+                    }
+
+                    input.value = '';
+                    addDiagramTable(table.id);
+                }
+
+                function removeDiagramTable(tableId) {
+                    diagramTables = diagramTables.filter(t => t.id !== tableId);
+                    saveDiagram();
+                    renderDiagram();
+                }
+
+                function clearDiagram() {
+                    if (diagramTables.length > 0 && !confirm('Remove all tables from the diagram?')) {
+                        return;
+                    }
+
+                    diagramTables = [];
+                    saveDiagram();
+                    renderDiagram();
+                }
+
+                // Join pairs are labeled "table.column = table.column"
+                function parseDiagramJoinPair(tableId, label) {
+                    const match = /^\\s*([\\w$]+)\\.([\\w$]+)\\s*=\\s*([\\w$]+)\\.([\\w$]+)\\s*$/.exec(label || '');
+                    if (!match) {
+                        return null;
+                    }
+
+                    return match[1].toLowerCase() === tableId.toLowerCase()
+                        ? { sourceColumn: match[2], targetColumn: match[4] }
+                        : { sourceColumn: match[4], targetColumn: match[2] };
+                }
+
+                // Joins between tables in the diagram. A join listed by both tables,
+                // such as a many-to-one and its one-to-many, is drawn once.
+                function getDiagramEdges() {
+                    const byId = new Map(diagramTables.map(t => [t.id.toLowerCase(), t]));
+                    const seen = new Set();
+                    const edges = [];
+
+                    diagramTables.forEach(source => (source.joins || []).forEach(join => {
+                        const target = byId.get(join.sourceTargetType.id.toLowerCase());
+                        if (!target || target === source) {
+                            return;
+                        }
+
+                        const pairs = (join.sourceTargetType.joinPairs || [])
+                            .map(pair => parseDiagramJoinPair(source.id, pair.label))
+                            .filter(Boolean);
+                        const key = pairs.length > 0
+                            ? pairs.map(pair => [source.id + '.' + pair.sourceColumn, target.id + '.' + pair.targetColumn]
+                                .map(side => side.toLowerCase()).sort().join('=')).sort().join('&')
+                            : [source.id, target.id, join.id].join('|').toLowerCase();
+
+                        if (seen.has(key)) {
+                            return;
+                        }
+                        seen.add(key);
+
+                        edges.push({
+                            source,
+                            target,
+                            sourceColumn: pairs.length > 0 ? pairs[0].sourceColumn : null,
+                            targetColumn: pairs.length > 0 ? pairs[0].targetColumn : null,
+                            label: join.label,
+                            cardinality: join.cardinality
+                        });
+                    }));
+
+                    return edges;
+                }
+
+                // Decides which columns a table shows; columns used by joins are always shown
+                function layoutDiagramTable(table, joinColumns) {
+                    const columns = table.columns || [];
+
+                    table.rows = table.expanded
+                        ? columns
+                        : columns.filter((c, i) => i < DIAGRAM_MAX_COLUMNS || joinColumns.has(c.id.toLowerCase()));
+                    table.hidden = columns.length - table.rows.length;
+
+                    const extraRows = (columns.length > DIAGRAM_MAX_COLUMNS || columns.length === 0) ? 1 : 0;
+                    table.height = DIAGRAM_HEADER_HEIGHT + (table.rows.length + extraRows) * DIAGRAM_ROW_HEIGHT + 6;
+                }
+
+                // Y of the row of a column, or of the header when the column is not shown
+                function getDiagramRowY(table, column) {
+                    const index = column ? table.rows.findIndex(c => c.id.toLowerCase() === column.toLowerCase()) : -1;
+                    return index < 0
+                        ? table.y + DIAGRAM_HEADER_HEIGHT / 2
+                        : table.y + DIAGRAM_HEADER_HEIGHT + index * DIAGRAM_ROW_HEIGHT + DIAGRAM_ROW_HEIGHT / 2;
+                }
+
+                // Theme colors as plain values, so an exported diagram looks the same
+                function getDiagramColors() {
+                    const style = getComputedStyle(document.documentElement);
+                    const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+                    return {
+                        canvas: color('--sqt-bg-secondary', '#f8fafc'),
+                        box: color('--sqt-bg-primary', '#ffffff'),
+                        border: color('--sqt-border', '#e2e8f0'),
+                        header: color('--sqt-primary', '#2563eb'),
+                        text: color('--sqt-text-primary', '#0f172a'),
+                        muted: color('--sqt-text-muted', '#94a3b8')
+                    };
+                }
+
+                function svgElement(name, attributes, parent, text) {
+                    const element = document.createElementNS(SVG_NS, name);
+                    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+                    if (text !== undefined) {
+                        element.textContent = text;
+                    }
+                    parent.appendChild(element);
+                    return element;
+                }
+
+                function truncateText(text, length) {
+                    return text.length > length ? text.substring(0, length - 1) + '\\u2026' : text;
+                }
+
+                function renderDiagram() {
+                    const svg = document.getElementById('diagramCanvas');
+                    if (!svg) {
+                        return;
+                    }
+
+                    const colors = getDiagramColors();
+                    svg.innerHTML = '';
+                    svg.setAttribute('font-family', DIAGRAM_FONT);
+
+                    const viewport = svgElement('g', { id: 'diagramViewport' }, svg);
+                    applyDiagramView();
+
+                    if (diagramTables.length === 0) {
+                        svgElement('text', { x: 40, y: 40, 'font-size': 14, fill: colors.muted }, viewport,
+                            'Add tables to draw their columns and joins.');
+                        return;
+                    }
+
+                    const edges = getDiagramEdges();
+                    const joinColumns = new Map(diagramTables.map(t => [t, new Set(['id'])]));
+                    edges.forEach(edge => {
+                        if (edge.sourceColumn) {
+                            joinColumns.get(edge.source).add(edge.sourceColumn.toLowerCase());
+                            joinColumns.get(edge.target).add(edge.targetColumn.toLowerCase());
+                        }
+                    });
+                    diagramTables.forEach(table => layoutDiagramTable(table, joinColumns.get(table)));
+
+                    // Joins are drawn first, so the tables cover their ends
+                    edges.forEach(edge => renderDiagramEdge(edge, viewport, colors));
+                    diagramTables.forEach(table => renderDiagramTable(table, joinColumns.get(table), viewport, colors));
+                }
+
+                function renderDiagramEdge(edge, parent, colors) {
+                    const { source, target } = edge;
+                    const y1 = getDiagramRowY(source, edge.sourceColumn);
+                    const y2 = getDiagramRowY(target, edge.targetColumn);
+                    let x1, x2, direction1, direction2;
+
+                    if (Math.abs(source.x - target.x) < DIAGRAM_BOX_WIDTH) {
+                        // Tables above each other are connected on their right side
+                        [x1, x2, direction1, direction2] = [source.x + DIAGRAM_BOX_WIDTH, target.x + DIAGRAM_BOX_WIDTH, 1, 1];
+                    } else if (source.x < target.x) {
+                        [x1, x2, direction1, direction2] = [source.x + DIAGRAM_BOX_WIDTH, target.x, 1, -1];
+                    } else {
+                        [x1, x2, direction1, direction2] = [source.x, target.x + DIAGRAM_BOX_WIDTH, -1, 1];
+                    }
+
+                    const c1 = x1 + direction1 * 60;
+                    const c2 = x2 + direction2 * 60;
+                    const group = svgElement('g', {}, parent);
+                    const columns = edge.sourceColumn
+                        ? \` (\${source.id}.\${edge.sourceColumn} = \${target.id}.\${edge.targetColumn})\`
+                        : '';
+
+                    svgElement('title', {}, group, \`\${edge.label}: \${source.id} to \${target.id}\${columns}\`);
+                    svgElement('path', {
+                        d: \`M \${x1} \${y1} C \${c1} \${y1}, \${c2} \${y2}, \${x2} \${y2}\`,
+                        fill: 'none',
+                        stroke: colors.muted,
+                        'stroke-width': 1.5
+                    }, group);
+
+                    const label = CARDINALITY_LABELS[edge.cardinality] || edge.cardinality;
+                    if (label) {
+                        // Midpoint of the curve
+                        const x = (x1 + 3 * c1 + 3 * c2 + x2) / 8;
+                        const y = (y1 + y2) / 2;
+                        const width = label.length * 6 + 12;
+
+                        svgElement('rect', { x: x - width / 2, y: y - 8, width, height: 16, rx: 8, fill: colors.box, stroke: colors.muted }, group);
+                        svgElement('text', { x, y: y + 4, 'text-anchor': 'middle', 'font-size': 10, fill: colors.text }, group, label);
+                    }
+                }
+
+                function renderDiagramTable(table, joinColumns, parent, colors) {
+                    const group = svgElement('g', {
+                        class: 'sqt-diagram-table',
+                        'data-table': table.id,
+                        transform: \`translate(\${table.x}, \${table.y})\`
+                    }, parent);
+
+                    svgElement('rect', { width: DIAGRAM_BOX_WIDTH, height: table.height, rx: 6, fill: colors.box, stroke: colors.border }, group);
+                    svgElement('path', {
+                        d: \`M 0 6 A 6 6 0 0 1 6 0 H \${DIAGRAM_BOX_WIDTH - 6} A 6 6 0 0 1 \${DIAGRAM_BOX_WIDTH} 6 V \${DIAGRAM_HEADER_HEIGHT} H 0 Z\`,
+                        fill: colors.header
+                    }, group);
+
+                    const title = svgElement('text', { x: 10, y: 17, 'font-size': 13, 'font-weight': 600, fill: '#ffffff', 'data-action': 'open' },
+                        group, truncateText(table.label, 30));
+                    svgElement('title', {}, title, 'Show the details of ' + table.id);
+                    svgElement('text', { x: 10, y: 32, 'font-size': 11, 'font-family': DIAGRAM_MONO_FONT, fill: '#ffffff', opacity: 0.8 },
+                        group, truncateText(table.id, 36));
+
+                    const remove = svgElement('text', { x: DIAGRAM_BOX_WIDTH - 10, y: 18, 'font-size': 16, 'text-anchor': 'end', fill: '#ffffff', 'data-action': 'remove' },
+                        group, '\\u00d7');
+                    svgElement('title', {}, remove, 'Remove from diagram');
+
+                    table.rows.forEach((column, i) => {
+                        const y = DIAGRAM_HEADER_HEIGHT + i * DIAGRAM_ROW_HEIGHT + 14;
+                        const isJoinColumn = joinColumns.has(column.id.toLowerCase());
+
+                        svgElement('text', {
+                            x: 10, y, 'font-size': 11, 'font-family': DIAGRAM_MONO_FONT,
+                            'font-weight': isJoinColumn ? 600 : 400,
+                            fill: isJoinColumn ? colors.header : colors.text
+                        }, group, truncateText(column.id, 26));
+                        svgElement('text', { x: DIAGRAM_BOX_WIDTH - 10, y, 'font-size': 10, 'text-anchor': 'end', fill: colors.muted },
+                            group, truncateText(column.dataType || '', 14));
+                    });
+
+                    const y = DIAGRAM_HEADER_HEIGHT + table.rows.length * DIAGRAM_ROW_HEIGHT + 14;
+                    if (!table.columns) {
+                        svgElement('text', { x: 10, y, 'font-size': 11, fill: colors.muted }, group, 'Loading columns...');
+                    } else if (table.failed) {
+                        svgElement('text', { x: 10, y, 'font-size': 11, fill: colors.muted }, group, 'The columns could not be loaded.');
+                    } else if (table.columns.length > DIAGRAM_MAX_COLUMNS) {
+                        svgElement('text', { x: 10, y, 'font-size': 11, fill: colors.header, 'data-action': 'expand' }, group,
+                            table.expanded ? 'Show fewer columns' : \`+ \${table.hidden} more columns\`);
+                    }
+                }
+
+                function applyDiagramView() {
+                    const viewport = document.getElementById('diagramViewport');
+                    if (viewport) {
+                        viewport.setAttribute('transform', \`translate(\${diagramView.x}, \${diagramView.y}) scale(\${diagramView.scale})\`);
+                    }
+                }
+
+                // Zooms around a point of the canvas; the center when no point is given
+                function zoomDiagram(factor, point) {
+                    const svg = document.getElementById('diagramCanvas');
+                    const { x, y } = point || { x: svg.clientWidth / 2, y: svg.clientHeight / 2 };
+                    const scale = Math.min(3, Math.max(0.2, diagramView.scale * factor));
+                    const ratio = scale / diagramView.scale;
+
+                    diagramView = {
+                        x: x - (x - diagramView.x) * ratio,
+                        y: y - (y - diagramView.y) * ratio,
+                        scale
+                    };
+                    applyDiagramView();
+                }
+
+                function fitDiagram() {
+                    const svg = document.getElementById('diagramCanvas');
+                    if (!svg || diagramTables.length === 0) {
+                        diagramView = { x: 0, y: 0, scale: 1 };
+                        applyDiagramView();
+                        return;
+                    }
+
+                    const box = document.getElementById('diagramViewport').getBBox();
+                    const scale = Math.min(1.5, Math.max(0.2, Math.min(
+                        svg.clientWidth / (box.width + 80),
+                        svg.clientHeight / (box.height + 80)
+                    )));
+
+                    diagramView = {
+                        x: (svg.clientWidth - box.width * scale) / 2 - box.x * scale,
+                        y: (svg.clientHeight - box.height * scale) / 2 - box.y * scale,
+                        scale
+                    };
+                    applyDiagramView();
+                }
+
+                function handleDiagramWheel(event) {
+                    event.preventDefault();
+                    const rect = event.currentTarget.getBoundingClientRect();
+                    zoomDiagram(event.deltaY < 0 ? 1.1 : 1 / 1.1, { x: event.clientX - rect.left, y: event.clientY - rect.top });
+                }
+
+                // Dragging a table moves it, dragging the background pans
+                function handleDiagramPointerDown(event) {
+                    if (event.button !== 0 || event.target.closest('[data-action]')) {
+                        return;
+                    }
+
+                    const element = event.target.closest('[data-table]');
+                    const table = element ? diagramTables.find(t => t.id === element.dataset.table) : null;
+
+                    diagramDrag = {
+                        table,
+                        startX: event.clientX,
+                        startY: event.clientY,
+                        x: table ? table.x : diagramView.x,
+                        y: table ? table.y : diagramView.y,
+                        moved: false
+                    };
+                    event.currentTarget.setPointerCapture(event.pointerId);
+                    event.currentTarget.classList.add('sqt-dragging');
+                }
+
+                function handleDiagramPointerMove(event) {
+                    if (!diagramDrag) {
+                        return;
+                    }
+
+                    const dx = event.clientX - diagramDrag.startX;
+                    const dy = event.clientY - diagramDrag.startY;
+                    diagramDrag.moved = true;
+
+                    if (diagramDrag.table) {
+                        diagramDrag.table.x = Math.round(diagramDrag.x + dx / diagramView.scale);
+                        diagramDrag.table.y = Math.round(diagramDrag.y + dy / diagramView.scale);
+                        renderDiagram();
+                    } else {
+                        diagramView.x = diagramDrag.x + dx;
+                        diagramView.y = diagramDrag.y + dy;
+                        applyDiagramView();
+                    }
+                }
+
+                function handleDiagramPointerUp(event) {
+                    if (diagramDrag && diagramDrag.table && diagramDrag.moved) {
+                        saveDiagram();
+                    }
+
+                    diagramDrag = null;
+                    event.currentTarget.classList.remove('sqt-dragging');
+                }
+
+                function handleDiagramClick(event) {
+                    const action = event.target.closest('[data-action]');
+                    if (!action) {
+                        return;
+                    }
+
+                    const tableId = action.closest('[data-table]').dataset.table;
+                    const table = diagramTables.find(t => t.id === tableId);
+
+                    if (action.dataset.action === 'open') {
+                        loadTableDetail(tableId);
+                    } else if (action.dataset.action === 'remove') {
+                        removeDiagramTable(tableId);
+                    } else if (action.dataset.action === 'expand') {
+                        table.expanded = !table.expanded;
+                        saveDiagram();
+                        renderDiagram();
+                    }
+                }
+
+                // Exports the whole diagram, whatever part of it is in view
+                function exportDiagram(format) {
+                    if (diagramTables.length === 0) {
+                        showToast('warning', 'Empty Diagram', 'Add tables to the diagram first.');
+                        return;
+                    }
+
+                    const padding = 20;
+                    const box = document.getElementById('diagramViewport').getBBox();
+                    const width = Math.ceil(box.width + padding * 2);
+                    const height = Math.ceil(box.height + padding * 2);
+
+                    const svg = document.getElementById('diagramCanvas').cloneNode(true);
+                    svg.removeAttribute('class');
+                    svg.removeAttribute('id');
+                    svg.setAttribute('width', width);
+                    svg.setAttribute('height', height);
+                    svg.setAttribute('viewBox', \`\${box.x - padding} \${box.y - padding} \${width} \${height}\`);
+                    svg.querySelector('#diagramViewport').removeAttribute('transform');
+
+                    const background = document.createElementNS(SVG_NS, 'rect');
+                    [['x', box.x - padding], ['y', box.y - padding], ['width', width], ['height', height], ['fill', getDiagramColors().canvas]]
+                        .forEach(([key, value]) => background.setAttribute(key, value));
+                    svg.insertBefore(background, svg.firstChild);
+
+                    const source = new XMLSerializer().serializeToString(svg);
+                    const fileName = 'erd_' + new Date().toISOString().slice(0, 10);
+
+                    if (format === 'svg') {
+                        downloadBlob(new Blob([source], { type: 'image/svg+xml' }), fileName + '.svg');
+                        return;
+                    }
+
+                    // PNG at twice the size, for sharp images in documents
+                    const image = new Image();
+                    image.onload = () => {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = width * 2;
+                        canvas.height = height * 2;
+
+                        const context = canvas.getContext('2d');
+                        context.scale(2, 2);
+                        context.drawImage(image, 0, 0, width, height);
+                        canvas.toBlob(blob => downloadBlob(blob, fileName + '.png'), 'image/png');
+                    };
+                    image.onerror = () => showToast('error', 'Export Failed', 'The diagram could not be converted to PNG.');
+                    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+                }
+
+                function downloadBlob(blob, fileName) {
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = fileName;
+                    document.body.appendChild(link);
+                    link.click();
+                    link.remove();
+                    URL.revokeObjectURL(url);
+                }
+
                 // ===========================================
                 // AI SETTINGS
                 // ===========================================
@@ -0,0 +1,122 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_audit.js
+ *
+ * Audit log of executed queries, stored in the customrecord_sqt_audit_log
+ * custom record of the account the query runs in.
+ *
+ * Written by every script that runs SuiteQL for a user:
+ * - the Suitelet, for queries, health checks and credential tests
+ * - suiteql_proxy.js, for every request received from another account
+ * - suiteql_scheduler.js, for every scheduled run
+ * - suiteql_export.js, for every server-side export
+ *
+ * Each script decides whether the log is enabled; see the README for the
+ * setting of each script.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version, extracted from the Suitelet.
+ *
+ */
+define(['N/crypto', 'N/encode', 'N/log', 'N/record', 'N/runtime'], (crypto, encode, log, record, runtime) => {
+
+    /**
+     * Custom record and field IDs of the audit log.
+     */
+    const AUDIT_LOG_RECORD = Object.freeze({
+        TYPE: 'customrecord_sqt_audit_log',
+        USER: 'custrecord_sqt_audit_user',
+        ROLE: 'custrecord_sqt_audit_role',
+        REALM: 'custrecord_sqt_audit_realm',
+        REMOTE: 'custrecord_sqt_audit_remote',
+        SOURCE: 'custrecord_sqt_audit_source',
+        SQL_HASH: 'custrecord_sqt_audit_sql_hash',
+        SQL: 'custrecord_sqt_audit_sql',
+        ROW_COUNT: 'custrecord_sqt_audit_row_count',
+        ELAPSED_MS: 'custrecord_sqt_audit_elapsed_ms',
+        ERROR: 'custrecord_sqt_audit_error'
+    });
+
+    /** Values written to SOURCE: where the query was run from */
+    const SOURCES = Object.freeze({
+        SUITELET: 'suitelet',
+        PROXY: 'proxy',
+        SCHEDULER: 'scheduler',
+        EXPORT: 'export',
+        HEALTH_CHECK: 'health_check',
+        CREDENTIAL_TEST: 'credential_test'
+    });
+
+    /**
+     * Writes an audit log entry.
+     * Failures are logged but never interrupt the caller.
+     * @param {Object} entry - The audit entry
+     * @param {string} entry.sql - The SQL text as submitted
+     * @param {string} entry.realm - The realm the query was executed against
+     * @param {boolean} entry.remote - Whether the query ran in another account than the one it was submitted in
+     * @param {string} entry.source - One of SOURCES
+     * @param {number} [entry.user] - Employee who ran the query; defaults to the current user
+     * @param {number} [entry.role] - Role the query was run with; defaults to the current role
+     * @param {number} [entry.rowCount] - Number of rows returned
+     * @param {number} [entry.elapsedTime] - Execution time in milliseconds
+     * @param {Object|string} [entry.error] - The error returned, if any
+     */
+    function write(entry) {
+        try {
+            const user = runtime.getCurrentUser();
+            const sql = entry.sql || '';
+            const error = entry.error
+                ? (entry.error.name ? entry.error.name + ': ' : '') + (entry.error.message || entry.error)
+                : '';
+
+            const auditRecord = record.create({ type: AUDIT_LOG_RECORD.TYPE });
+
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.USER, value: entry.user || user.id });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.ROLE, value: entry.role || user.role });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.REALM, value: entry.realm });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.REMOTE, value: !!entry.remote });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.SOURCE, value: entry.source });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.SQL_HASH, value: hashSql(sql) });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.SQL, value: sql.substring(0, 1000000) });
+            auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.ERROR, value: error.substring(0, 4000) });
+
+            if (entry.rowCount !== undefined && entry.rowCount !== null) {
+                auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.ROW_COUNT, value: entry.rowCount });
+            }
+            if (entry.elapsedTime !== undefined && entry.elapsedTime !== null) {
+                auditRecord.setValue({ fieldId: AUDIT_LOG_RECORD.ELAPSED_MS, value: entry.elapsedTime });
+            }
+
+            auditRecord.save();
+        } catch (e) {
+            log.error({ title: 'Audit Log Write Error', details: e });
+        }
+    }
+
+    /**
+     * Computes the SHA-256 hash of a SQL statement.
+     * Whitespace is normalized so reformatted copies of a query share a hash.
+     * @param {string} sql - The SQL text
+     * @returns {string} Hex-encoded hash
+     */
+    function hashSql(sql) {
+        const hash = crypto.createHash({
+            algorithm: crypto.HashAlg.SHA256
+        });
+        hash.update({
+            input: sql.replace(/\s+/g, ' ').trim(),
+            inputEncoding: encode.Encoding.UTF_8
+        });
+        return hash.digest({ outputEncoding: encode.Encoding.HEX }).toLowerCase();
+    }
+
+    return {
+        AUDIT_LOG_RECORD,
+        SOURCES,
+        write,
+        hashSql
+    };
+});
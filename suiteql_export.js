@@ -0,0 +1,309 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_export.js
+ *
+ * Server-side export of query results too large for the browser.
+ *
+ * Submitted by the Suitelet (exportJobSubmit) with a job description in the
+ * custscript_sqt_export_job parameter:
+ *
+ *   { jobId, query, format, fileName, folderId, audit }
+ *
+ * - getInputData emits one page per PAGE_SIZE rows. When the result has a
+ *   unique key column (see suiteql_runner.js findKeyColumn), a page is a key
+ *   range and is fetched with keyset pagination; otherwise it is a ROWNUM window.
+ * - map fetches a page through suiteql_runner.js and writes it to a part file,
+ *   in one of the formats of suiteql_formats.js.
+ * - summarize appends the parts, in page order, to the export file and deletes them.
+ *
+ * When the job fails, summarize writes <jobId>.error.txt to the export folder
+ * instead, so the Suitelet can report the reason.
+ *
+ * N/task cannot stop a Map/Reduce job, so the Suitelet cancels a job by writing
+ * <jobId>.cancel.txt to the export folder (exportJobCancel). getInputData and
+ * map check for it and skip the remaining pages; summarize then deletes the
+ * parts and the marker and writes the error file instead of the export file.
+ *
+ * The script runs with the role of its deployment, whoever started the job, so
+ * it only writes to the folders listed in the custscript_sqt_export_folders
+ * deployment parameter. Jobs for any other folder fail before reading a row.
+ *
+ * When the Suitelet has the audit log enabled, audit holds the query as entered
+ * and the user and role who started the export; summarize then writes the
+ * audit entry with the row count and any error (see suiteql_audit.js).
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Formats moved to suiteql_formats.js.
+ * 1.2        19 Oct 2026    Budy Sutjijati        Key range pages for results with a unique key.
+ * 1.3        19 Oct 2026    Budy Sutjijati        Audit log entry per export.
+ * 1.4        19 Oct 2026    Budy Sutjijati        Folder allow-list (custscript_sqt_export_folders).
+ * 1.5        19 Oct 2026    Budy Sutjijati        Cancel marker file.
+ *
+ */
+define(['N/file', 'N/log', 'N/query', 'N/runtime', 'suiteql_audit', 'suiteql_formats', 'suiteql_runner'],
+    (file, log, query, runtime, audit, formats, runner) => {
+
+    /** Rows per page (and per part file) */
+    const PAGE_SIZE = 5000;
+
+    /** Written to the error file of a cancelled job */
+    const CANCELLED_MESSAGE = 'The export was cancelled.';
+
+    /**
+     * Reads the job description from the script parameter.
+     * @returns {Object} jobId, query, format, fileName, folderId, audit
+     * @throws {Error} When folderId is not in custscript_sqt_export_folders
+     */
+    function getJob() {
+        const script = runtime.getCurrentScript();
+        const job = JSON.parse(script.getParameter({ name: 'custscript_sqt_export_job' }));
+
+        if (!getAllowedFolders(script).includes(String(job.folderId))) {
+            throw new Error(`Folder ${job.folderId} is not listed in custscript_sqt_export_folders of this deployment.`);
+        }
+
+        return job;
+    }
+
+    /**
+     * Reads the folders this deployment may write to.
+     * @param {Object} script - The current script
+     * @returns {Array<string>} Folder IDs; empty when the parameter is not set
+     */
+    function getAllowedFolders(script) {
+        return String(script.getParameter({ name: 'custscript_sqt_export_folders' }) || '')
+            .split(/[\s,]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Returns one entry per page.
+     * @returns {Array<Object>} page (0-based) and either keyColumn, keyFrom, keyTo or rowBegin, rowEnd
+     */
+    const getInputData = () => {
+        const job = getJob();
+        if (findCancelMarker(job)) {
+            return [];
+        }
+
+        const keyColumn = runner.findKeyColumn(job.query);
+
+        if (keyColumn) {
+            return getKeyRangePages(job, keyColumn);
+        }
+
+        const total = runner.getTotalRecordCount(job.query);
+        const pages = [];
+
+        for (let page = 0; page * PAGE_SIZE < total; page++) {
+            pages.push({
+                page,
+                rowBegin: page * PAGE_SIZE + 1,
+                rowEnd: Math.min((page + 1) * PAGE_SIZE, total)
+            });
+        }
+
+        log.audit({ title: 'SuiteQL Export Started', details: `${job.jobId}: ${total} rows in ${pages.length} pages` });
+        return pages;
+    };
+
+    /**
+     * Splits the keys of the result into pages of PAGE_SIZE keys.
+     * Reading only the key column keeps this cheap, and every page is then
+     * fetched by key, so deep pages are as fast as the first.
+     * @param {Object} job - The export job
+     * @param {string} keyColumn - Unique, non-null result column
+     * @returns {Array<Object>} page (0-based), keyColumn, keyFrom, keyTo
+     */
+    function getKeyRangePages(job, keyColumn) {
+        const keys = runner.executeKeysetQuery(`SELECT ${keyColumn} FROM (${job.query}\n)`, keyColumn)
+            .map(record => record[keyColumn]);
+        const pages = [];
+
+        for (let page = 0; page * PAGE_SIZE < keys.length; page++) {
+            pages.push({
+                page,
+                keyColumn,
+                keyFrom: keys[page * PAGE_SIZE],
+                keyTo: keys[Math.min((page + 1) * PAGE_SIZE, keys.length) - 1]
+            });
+        }
+
+        log.audit({ title: 'SuiteQL Export Started', details: `${job.jobId}: ${keys.length} rows in ${pages.length} pages by ${keyColumn}` });
+        return pages;
+    }
+
+    /**
+     * Fetches one page and writes it to a part file.
+     * @param {Object} context - Map context; value is a page from getInputData
+     */
+    const map = (context) => {
+        const job = getJob();
+        const writer = formats.FORMATS[job.format];
+        const { page, rowBegin, rowEnd, keyColumn, keyFrom, keyTo } = JSON.parse(context.value);
+
+        if (findCancelMarker(job)) {
+            return;
+        }
+
+        const records = keyColumn
+            ? runner.executeKeysetQuery(job.query, keyColumn, { keyRange: [keyFrom, keyTo], firstRowNumber: page * PAGE_SIZE + 1 })
+            : runner.executePaginatedQuery(job.query, rowBegin, rowEnd);
+        if (records.length === 0) {
+            return;
+        }
+
+        const columns = formats.getColumns(records);
+
+        const partFile = file.create({
+            name: `${job.jobId}.part${String(page).padStart(5, '0')}`,
+            fileType: file.Type.PLAINTEXT,
+            folder: job.folderId,
+            contents: records.map(record => writer.row(record, columns)).join('\n')
+        });
+
+        context.write({
+            key: String(page).padStart(5, '0'),
+            value: JSON.stringify({ fileId: partFile.save(), columns, rowCount: records.length })
+        });
+    };
+
+    /**
+     * Appends the part files to the export file, or writes the error file when a stage failed.
+     * @param {Object} summary - Map/Reduce summary
+     */
+    const summarize = (summary) => {
+        let job;
+        try {
+            job = getJob();
+        } catch (e) {
+            // Nothing was read, and the job's folder may not be written to
+            log.error({ title: 'SuiteQL Export Rejected', details: e.message });
+            return;
+        }
+        const writer = formats.FORMATS[job.format];
+
+        const errors = [];
+        if (summary.inputSummary.error) {
+            errors.push(errorMessage(summary.inputSummary.error));
+        }
+        summary.mapSummary.errors.iterator().each((key, error) => {
+            errors.push(`Page ${Number(key) + 1}: ${errorMessage(error)}`);
+            return true;
+        });
+
+        const parts = [];
+        summary.output.iterator().each((key, value) => {
+            parts.push(Object.assign({ key }, JSON.parse(value)));
+            return true;
+        });
+        parts.sort((a, b) => a.key.localeCompare(b.key));
+
+        const cancelMarker = findCancelMarker(job);
+        if (cancelMarker) {
+            file.delete({ id: cancelMarker });
+            errors.splice(0, errors.length, CANCELLED_MESSAGE);
+            log.audit({ title: 'SuiteQL Export Cancelled', details: job.jobId });
+        }
+
+        if (errors.length > 0) {
+            parts.forEach(part => file.delete({ id: part.fileId }));
+
+            file.create({
+                name: `${job.jobId}.error.txt`,
+                fileType: file.Type.PLAINTEXT,
+                folder: job.folderId,
+                contents: errors.join('\n')
+            }).save();
+
+            if (!cancelMarker) {
+                log.error({ title: 'SuiteQL Export Failed', details: `${job.jobId}: ${errors.join('; ')}` });
+            }
+            writeAudit(job, summary, null, errors.join('\n'));
+            return;
+        }
+
+        const columns = parts.length > 0 ? parts[0].columns : [];
+        const exportFile = file.create({
+            name: job.fileName,
+            fileType: writer.fileType,
+            folder: job.folderId
+        });
+
+        writer.header(columns).forEach(line => exportFile.appendLine({ value: line }));
+
+        parts.forEach(part => {
+            const partFile = file.load({ id: part.fileId });
+            partFile.lines.iterator().each(line => {
+                exportFile.appendLine({ value: line.value });
+                return true;
+            });
+            file.delete({ id: part.fileId });
+        });
+
+        writer.footer(columns).forEach(line => exportFile.appendLine({ value: line }));
+
+        const fileId = exportFile.save();
+        log.audit({ title: 'SuiteQL Export Complete', details: `${job.jobId}: file ${fileId}` });
+        writeAudit(job, summary, parts.reduce((total, part) => total + part.rowCount, 0), null);
+    };
+
+    /**
+     * Looks for the cancel marker the Suitelet writes to cancel the job.
+     * @param {Object} job - The export job
+     * @returns {number|null} File ID of the marker, or null when the job is not cancelled
+     */
+    function findCancelMarker(job) {
+        const marker = query.runSuiteQL({
+            query: 'SELECT ID FROM File WHERE Folder = ? AND Name = ?',
+            params: [job.folderId, `${job.jobId}.cancel.txt`]
+        }).asMappedResults()[0];
+
+        return marker ? marker.id : null;
+    }
+
+    /**
+     * Writes the audit log entry of the export, when the Suitelet asked for one.
+     * @param {Object} job - The export job
+     * @param {Object} summary - Map/Reduce summary
+     * @param {number|null} rowCount - Rows written to the export file
+     * @param {string|null} error - Why the export failed
+     */
+    function writeAudit(job, summary, rowCount, error) {
+        if (!job.audit) {
+            return;
+        }
+
+        audit.write({
+            sql: job.audit.sql,
+            realm: runtime.accountId,
+            remote: false,
+            source: audit.SOURCES.EXPORT,
+            user: job.audit.user,
+            role: job.audit.role,
+            rowCount,
+            elapsedTime: Date.now() - summary.dateCreated.getTime(),
+            error
+        });
+    }
+
+    /**
+     * Extracts the message from a serialized stage error.
+     * @param {string} error - Error as reported in the summary
+     * @returns {string} Error message
+     */
+    function errorMessage(error) {
+        try {
+            return JSON.parse(error).message || error;
+        } catch (e) {
+            return error;
+        }
+    }
+
+    return { getInputData, map, summarize };
+});
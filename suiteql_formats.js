@@ -0,0 +1,123 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_formats.js
+ *
+ * File formats for query results written on the server.
+ *
+ * Used by suiteql_export.js (server-side export) and suiteql_scheduler.js
+ * (scheduled queries). Every format writes one line per row, so large results
+ * can be appended to a file line by line.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version, extracted from suiteql_export.js.
+ *
+ */
+define(['N/file'], (file) => {
+
+    /**
+     * Line writers per format.
+     * header and footer receive the column names; row receives a record and the column names.
+     */
+    const FORMATS = Object.freeze({
+        csv: {
+            label: 'CSV',
+            extension: '.csv',
+            fileType: file.Type.CSV,
+            header: columns => [columns.map(csvValue).join(',')],
+            row: (record, columns) => columns.map(column => csvValue(record[column])).join(','),
+            footer: () => []
+        },
+        excel: {
+            // SpreadsheetML (XML Spreadsheet 2003) can be written line by line and opens in Excel
+            label: 'Excel (XML)',
+            extension: '.xml',
+            fileType: file.Type.PLAINTEXT,
+            header: columns => [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<?mso-application progid="Excel.Sheet"?>',
+                '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+                '<Worksheet ss:Name="Query Results"><Table>',
+                excelRow(columns.map(column => ({ value: column, type: 'String' })))
+            ],
+            row: (record, columns) => excelRow(columns.map(column => {
+                const value = record[column];
+                return { value, type: typeof value === 'number' ? 'Number' : 'String' };
+            })),
+            footer: () => ['</Table></Worksheet></Workbook>']
+        },
+        jsonl: {
+            label: 'JSONL',
+            extension: '.jsonl',
+            fileType: file.Type.PLAINTEXT,
+            header: () => [],
+            row: (record, columns) => JSON.stringify(
+                columns.reduce((line, column) => Object.assign(line, { [column]: record[column] }), {})
+            ),
+            footer: () => []
+        }
+    });
+
+    /**
+     * Returns the column names of a result, without the pagination row number.
+     * @param {Array<Object>} records - Query results
+     * @returns {Array<string>} Column names
+     */
+    function getColumns(records) {
+        return records.length > 0
+            ? Object.keys(records[0]).filter(column => column !== 'rownumber')
+            : [];
+    }
+
+    /**
+     * Writes a complete result in one format.
+     * @param {string} format - Key of FORMATS
+     * @param {Array<Object>} records - Query results
+     * @returns {string} File contents
+     */
+    function render(format, records) {
+        const writer = FORMATS[format];
+        const columns = getColumns(records);
+
+        return []
+            .concat(writer.header(columns))
+            .concat(records.map(record => writer.row(record, columns)))
+            .concat(writer.footer(columns))
+            .join('\n');
+    }
+
+    /**
+     * Quotes a CSV value the same way as the browser export.
+     * @param {*} value - Cell value
+     * @returns {string} Quoted value
+     */
+    function csvValue(value) {
+        if (value === null || value === undefined) return '""';
+        return `"${String(value).replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Builds a SpreadsheetML row.
+     * @param {Array<{value: *, type: string}>} cells - Cell values and types
+     * @returns {string} Row element
+     */
+    function excelRow(cells) {
+        return '<Row>' + cells.map(cell => {
+            if (cell.value === null || cell.value === undefined) return '<Cell/>';
+            const value = String(cell.value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/\r?\n/g, '&#10;');
+            return `<Cell><Data ss:Type="${cell.type}">${value}</Data></Cell>`;
+        }).join('') + '</Row>';
+    }
+
+    return {
+        FORMATS,
+        getColumns,
+        render
+    };
+});
@@ -0,0 +1,782 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_parser.js
+ *
+ * Tokenizer and parser for SuiteQL, the Oracle dialect of NetSuite, with the
+ * formatter and the query rewriters built on it.
+ *
+ * - tokenize splits SQL into tokens that join back into the exact input:
+ *   whitespace, comments, strings (including q'[...]'), quoted identifiers,
+ *   {{parameters}} and #views stay single tokens, so keywords inside them are
+ *   never seen as SQL.
+ * - parse builds the syntax tree: statements, their clauses (SELECT, FROM,
+ *   WHERE, ...) and parenthesized groups, with subqueries parsed as queries.
+ *   Expressions are kept as token lists.
+ * - format, addCondition, replaceViews and getClauses work on that tree.
+ *
+ * The module has no NetSuite dependencies. suiteql_runner.js and
+ * suiteql_proxy.js use it on the server, and the Suitelet embeds createParser
+ * in the page for the editor. Upload it next to suiteql_runner.js.
+ *
+ * suiteql_parser.test.js holds its tests; run them with node --test.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version, replaces the regular expressions
+ *                                                 of the formatter, cache buster, virtual views and
+ *                                                 parameter scanner.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Unterminated quoted identifiers are flagged, for the
+ *                                                 statement checks of suiteql_proxy.js.
+ * 1.2        19 Oct 2026    Budy Sutjijati        addCondition parenthesizes the existing WHERE condition;
+ *                                                 getClauses for the ORDER BY and WHERE checks.
+ *
+ */
+define([], () => {
+
+    /**
+     * Builds the parser. Self-contained, so the Suitelet can embed it in the page
+     * with createParser.toString().
+     * @returns {Object} tokenize, parse, walk, format, addCondition, replaceViews, getClauses
+     */
+    function createParser() {
+
+        /** Words read as keywords; the formatter uppercases them */
+        const KEYWORDS = new Set([
+            'ALL', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CAST', 'CONNECT', 'CROSS', 'CUBE',
+            'DESC', 'DISTINCT', 'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXISTS', 'FETCH', 'FIRST', 'FOLLOWING',
+            'FROM', 'FULL', 'GROUP', 'GROUPING', 'HAVING', 'IN', 'INNER', 'INTERSECT', 'IS', 'JOIN', 'KEEP',
+            'LAST', 'LEFT', 'LIKE', 'MINUS', 'NATURAL', 'NEXT', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'ONLY',
+            'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PRECEDING', 'PRIOR', 'RIGHT', 'ROLLUP', 'ROWS',
+            'SELECT', 'SETS', 'SOME', 'START', 'THEN', 'UNBOUNDED', 'UNION', 'UNIQUE', 'USING', 'WHEN',
+            'WHERE', 'WITH', 'WITHIN'
+        ]);
+
+        /** Functions the formatter uppercases when they are called */
+        const FUNCTIONS = new Set([
+            'ABS', 'ADD_MONTHS', 'AVG', 'CEIL', 'COALESCE', 'CONCAT', 'COUNT', 'DECODE', 'DENSE_RANK',
+            'EXTRACT', 'FLOOR', 'GREATEST', 'INITCAP', 'INSTR', 'LAG', 'LAST_DAY', 'LEAD', 'LEAST', 'LENGTH',
+            'LISTAGG', 'LOWER', 'LPAD', 'LTRIM', 'MAX', 'MIN', 'MOD', 'MONTHS_BETWEEN', 'NULLIF', 'NVL', 'NVL2',
+            'RANK', 'REGEXP_LIKE', 'REGEXP_REPLACE', 'REGEXP_SUBSTR', 'REPLACE', 'ROUND', 'ROW_NUMBER', 'RPAD',
+            'RTRIM', 'SUBSTR', 'SUM', 'TO_CHAR', 'TO_DATE', 'TO_NUMBER', 'TO_TIMESTAMP', 'TRIM', 'TRUNC', 'UPPER'
+        ]);
+
+        /** Keywords that start a clause; longer ones first */
+        const CLAUSES = [
+            ['UNION', 'ALL'], ['GROUP', 'BY'], ['ORDER', 'BY'], ['CONNECT', 'BY'], ['START', 'WITH'],
+            ['SELECT'], ['FROM'], ['WHERE'], ['HAVING'], ['UNION'], ['MINUS'], ['INTERSECT'], ['EXCEPT'],
+            ['WITH'], ['OFFSET'], ['FETCH']
+        ];
+
+        const SET_OPERATORS = new Set(['UNION', 'UNION ALL', 'MINUS', 'INTERSECT', 'EXCEPT']);
+
+        /** Clauses whose items are separated by commas, one per line */
+        const LIST_CLAUSES = new Set(['SELECT', 'GROUP BY', 'ORDER BY', 'WITH']);
+
+        /** Clauses whose conditions are joined by AND and OR, one per line */
+        const CONDITION_CLAUSES = new Set(['WHERE', 'HAVING', 'CONNECT BY', 'START WITH']);
+
+        /** Clauses kept on the line of their keyword */
+        const INLINE_CLAUSES = new Set(['OFFSET', 'FETCH']);
+
+        const JOIN_WORDS = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL']);
+
+        const OPERATORS = ['<>', '!=', '^=', '>=', '<=', '||', '=>', '=', '<', '>', '+', '-', '*', '/', '%'];
+
+        /** Closing delimiters of q'[...]' strings; other delimiters close themselves */
+        const Q_QUOTE_CLOSE = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+        const WORD = /[A-Za-z_\u00C0-\uFFFF][\w$#\u00C0-\uFFFF]*/y;
+        const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+        /**
+         * Matches a sticky pattern at an offset.
+         * @param {RegExp} pattern - Pattern with the y flag
+         * @param {string} text - Text to match
+         * @param {number} index - Offset of the match
+         * @returns {number} End of the match, or -1
+         */
+        function matchAt(pattern, text, index) {
+            pattern.lastIndex = index;
+            return pattern.test(text) ? pattern.lastIndex : -1;
+        }
+
+        /**
+         * Whitespace and comments.
+         * @param {Object} node - Token or group
+         * @returns {boolean}
+         */
+        function isTrivia(node) {
+            return node.type === 'whitespace' || node.type === 'comment';
+        }
+
+        /**
+         * Whether a node is the given punctuation or keyword.
+         * @param {Object} node - Token or group
+         * @param {string} value - Punctuation character or uppercase keyword
+         * @returns {boolean}
+         */
+        function is(node, value) {
+            return Boolean(node) && (node.type === 'punctuation' || node.type === 'keyword') && node.value === value;
+        }
+
+        /**
+         * Splits SQL into tokens. The text of the tokens joins back into the input.
+         * @param {string} sql - SuiteQL
+         * @returns {Array<Object>} type, text, value, start, end; type is whitespace, comment, string,
+         *          identifier, keyword, number, parameter, view, bind, operator, punctuation or unknown.
+         *          Comments, strings and quoted identifiers that run to the end of the SQL are unterminated.
+         */
+        function tokenize(sql) {
+            const tokens = [];
+            let i = 0;
+            let previous = null;
+
+            const push = (type, end, extra) => {
+                const token = Object.assign({ type, text: sql.substring(i, end), start: i, end }, extra);
+                token.value = token.value || token.text;
+                tokens.push(token);
+                if (!isTrivia(token)) {
+                    previous = token;
+                }
+                i = end;
+            };
+
+            // End of a quoted text, after the closing quote; a doubled quote is part of the text
+            const quotedEnd = (quote, from) => {
+                let j = from;
+                while (j < sql.length) {
+                    if (sql[j] === quote) {
+                        if (sql[j + 1] !== quote) {
+                            return j + 1;
+                        }
+                        j++;
+                    }
+                    j++;
+                }
+                return -1;
+            };
+
+            while (i < sql.length) {
+                const char = sql[i];
+                const pair = sql.substring(i, i + 2);
+                const qQuote = /^[nN]?[qQ]'/.exec(sql.substring(i, i + 3));
+                const wordEnd = matchAt(WORD, sql, char === '#' ? i + 1 : i);
+
+                if (/\s/.test(char)) {
+                    let end = i + 1;
+                    while (end < sql.length && /\s/.test(sql[end])) {
+                        end++;
+                    }
+                    push('whitespace', end);
+                } else if (pair === '--') {
+                    // The line break stays whitespace
+                    const newline = sql.indexOf('\n', i);
+                    push('comment', newline === -1 ? sql.length : newline);
+                } else if (pair === '/*') {
+                    const close = sql.indexOf('*/', i + 2);
+                    push('comment', close === -1 ? sql.length : close + 2, close === -1 ? { unterminated: true } : null);
+                } else if (qQuote && i + qQuote[0].length < sql.length) {
+                    const open = sql[i + qQuote[0].length];
+                    const close = sql.indexOf((Q_QUOTE_CLOSE[open] || open) + "'", i + qQuote[0].length + 1);
+                    push('string', close === -1 ? sql.length : close + 2, close === -1 ? { unterminated: true } : null);
+                } else if (char === "'" || (/[nN]/.test(char) && sql[i + 1] === "'")) {
+                    const end = quotedEnd("'", sql.indexOf("'", i) + 1);
+                    push('string', end === -1 ? sql.length : end, end === -1 ? { unterminated: true } : null);
+                } else if (char === '"') {
+                    const end = quotedEnd('"', i + 1);
+                    push('identifier', end === -1 ? sql.length : end, end === -1 ? { quoted: true, unterminated: true } : { quoted: true });
+                } else if (pair === '{{' && sql.indexOf('}}', i + 2) !== -1) {
+                    push('parameter', sql.indexOf('}}', i + 2) + 2);
+                } else if (char === '#' && wordEnd !== -1) {
+                    push('view', wordEnd, { name: sql.substring(i + 1, wordEnd) });
+                } else if (wordEnd !== -1) {
+                    const upper = sql.substring(i, wordEnd).toUpperCase();
+
+                    // A keyword after a dot is a column name, such as t.start
+                    if (KEYWORDS.has(upper) && !is(previous, '.')) {
+                        push('keyword', wordEnd, { value: upper });
+                    } else {
+                        push('identifier', wordEnd);
+                    }
+                } else if (matchAt(NUMBER, sql, i) !== -1) {
+                    push('number', matchAt(NUMBER, sql, i));
+                } else if (char === '?') {
+                    push('bind', i + 1);
+                } else if ('(),;.'.includes(char)) {
+                    push('punctuation', i + 1);
+                } else {
+                    const operator = OPERATORS.find(op => sql.startsWith(op, i));
+                    push(operator ? 'operator' : 'unknown', i + (operator ? operator.length : 1));
+                }
+            }
+
+            return tokens;
+        }
+
+        /**
+         * Parses SQL into its statements.
+         *
+         * A statement is a query node: { type: 'query', clauses, terminator, start, end }.
+         * Each clause is { type: 'clause', keyword, keywordTokens, items, start, end }; the
+         * first clause has keyword null and holds what comes before the first keyword.
+         * Items are tokens and group nodes: { type: 'group', open, close, query, items, start, end },
+         * where query is set when the group holds a subquery and items otherwise.
+         *
+         * @param {string} sql - SuiteQL
+         * @returns {Object} { type: 'script', statements, tokens }
+         */
+        function parse(sql) {
+            const tokens = tokenize(sql);
+            let position = 0;
+
+            const nextSignificant = index => {
+                while (index < tokens.length && isTrivia(tokens[index])) {
+                    index++;
+                }
+                return index;
+            };
+
+            // The clause starting at index, or null
+            const matchClause = (index, atQueryStart) => {
+                for (const words of CLAUSES) {
+                    let j = index;
+                    const matched = words.every((word, w) => {
+                        j = w === 0 ? j : nextSignificant(j);
+                        return j < tokens.length && tokens[j].type === 'keyword' && tokens[j++].value === word;
+                    });
+                    if (!matched) {
+                        continue;
+                    }
+
+                    const keyword = words.join(' ');
+                    const next = tokens[nextSignificant(j)];
+
+                    if (keyword === 'WITH' && !atQueryStart) {
+                        continue;
+                    }
+                    if (keyword === 'OFFSET' && !(next && ['number', 'bind', 'parameter'].includes(next.type))) {
+                        continue;
+                    }
+                    if (keyword === 'FETCH' && !(is(next, 'FIRST') || is(next, 'NEXT'))) {
+                        continue;
+                    }
+
+                    return { keyword, end: j };
+                }
+                return null;
+            };
+
+            const endOf = (nodes, fallback) => nodes.length > 0 ? nodes[nodes.length - 1].end : fallback;
+
+            const parseNode = () => {
+                const token = tokens[position++];
+                if (!is(token, '(')) {
+                    return token;
+                }
+
+                const group = { type: 'group', open: token, close: null, query: null, items: [], start: token.start, end: token.end };
+                const first = tokens[nextSignificant(position)];
+
+                if (is(first, 'SELECT') || is(first, 'WITH')) {
+                    group.query = parseQuery(true);
+                } else {
+                    while (position < tokens.length && !is(tokens[position], ')')) {
+                        group.items.push(parseNode());
+                    }
+                }
+
+                if (position < tokens.length) {
+                    group.close = tokens[position++];
+                }
+                group.end = position > 0 ? tokens[position - 1].end : token.end;
+                return group;
+            };
+
+            const parseQuery = inGroup => {
+                const start = position < tokens.length ? tokens[position].start : sql.length;
+                const query = { type: 'query', clauses: [], terminator: null, start, end: start };
+                let clause = { type: 'clause', keyword: null, keywordTokens: [], items: [], start, end: start };
+                query.clauses.push(clause);
+
+                while (position < tokens.length) {
+                    const token = tokens[position];
+
+                    if (inGroup && is(token, ')')) {
+                        break;
+                    }
+                    if (!inGroup && is(token, ';')) {
+                        query.terminator = token;
+                        position++;
+                        break;
+                    }
+
+                    const match = isTrivia(token)
+                        ? null
+                        : matchClause(position, query.clauses.length === 1 && clause.items.every(isTrivia));
+
+                    if (match) {
+                        clause.end = endOf(clause.items, endOf(clause.keywordTokens, clause.start));
+                        clause = {
+                            type: 'clause',
+                            keyword: match.keyword,
+                            keywordTokens: tokens.slice(position, match.end),
+                            items: [],
+                            start: token.start,
+                            end: tokens[match.end - 1].end
+                        };
+                        query.clauses.push(clause);
+                        position = match.end;
+                    } else {
+                        clause.items.push(parseNode());
+                    }
+                }
+
+                clause.end = endOf(clause.items, endOf(clause.keywordTokens, clause.start));
+                query.end = position > 0 ? tokens[position - 1].end : start;
+                return query;
+            };
+
+            const statements = [];
+            while (position < tokens.length) {
+                statements.push(parseQuery(false));
+            }
+
+            return { type: 'script', statements, tokens };
+        }
+
+        /**
+         * Calls visit for every node of a tree, parents before children.
+         * @param {Object} node - Script, query, clause, group or token
+         * @param {Function} visit - Called with each node
+         */
+        function walk(node, visit) {
+            visit(node);
+
+            switch (node.type) {
+                case 'script':
+                    node.statements.forEach(statement => walk(statement, visit));
+                    break;
+                case 'query':
+                    node.clauses.forEach(clause => walk(clause, visit));
+                    break;
+                case 'clause':
+                    node.keywordTokens.concat(node.items).forEach(child => walk(child, visit));
+                    break;
+                case 'group':
+                    walk(node.open, visit);
+                    if (node.query) {
+                        walk(node.query, visit);
+                    }
+                    node.items.forEach(child => walk(child, visit));
+                    if (node.close) {
+                        walk(node.close, visit);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * The clauses of the first SELECT of a query, up to its first set operator.
+         * A query in parentheses, such as (SELECT ...) UNION (SELECT ...), is looked into.
+         * @param {Object} query - Query node
+         * @returns {Array<Object>|null} Clauses, or null when the query has no SELECT
+         */
+        function getFirstSelect(query) {
+            const start = query.clauses.findIndex(clause => clause.keyword === 'SELECT');
+
+            if (start === -1) {
+                const group = query.clauses[0].items.find(node => node.type === 'group');
+                return group && group.query ? getFirstSelect(group.query) : null;
+            }
+
+            const clauses = [query.clauses[start]];
+            for (const clause of query.clauses.slice(start + 1)) {
+                if (SET_OPERATORS.has(clause.keyword)) {
+                    break;
+                }
+                clauses.push(clause);
+            }
+            return clauses;
+        }
+
+        /**
+         * End offset of the last significant part of a clause, before trailing whitespace and comments.
+         * @param {Object} clause - Clause node
+         * @returns {number}
+         */
+        function getClauseContentEnd(clause) {
+            const items = clause.items.filter(node => !isTrivia(node));
+            return items.length > 0 ? items[items.length - 1].end : clause.keywordTokens[clause.keywordTokens.length - 1].end;
+        }
+
+        /**
+         * The first statement with a clause keyword or a statement in parentheses; leading
+         * empty statements are skipped.
+         * @param {string} sql - SuiteQL
+         * @returns {Object|undefined} Query node
+         */
+        function getFirstStatement(sql) {
+            return parse(sql).statements.find(s => s.clauses.some(clause => clause.keyword)
+                || s.clauses[0].items.some(node => node.type === 'group' && node.query));
+        }
+
+        /**
+         * The clauses of the first statement, outside subqueries. A statement in
+         * parentheses, such as (SELECT ... ORDER BY 1), is looked into as well.
+         * @param {string} sql - SuiteQL
+         * @returns {Array<Object>} Clause nodes with a keyword; empty when there is no statement
+         */
+        function getClauses(sql) {
+            const clauses = [];
+            let query = getFirstStatement(sql);
+
+            while (query) {
+                clauses.push(...query.clauses.filter(clause => clause.keyword));
+
+                const group = query.clauses[0].items.find(node => node.type === 'group');
+                query = group ? group.query : null;
+            }
+
+            return clauses;
+        }
+
+        /**
+         * Adds a condition to the WHERE clause of the first SELECT of the first statement, or adds
+         * a WHERE clause with it. The rest of the SQL, comments included, is left as it is.
+         * An existing condition is put in parentheses, so an OR in it cannot bypass the new one.
+         * @param {string} sql - SuiteQL
+         * @param {string} condition - Condition to add, such as ( 1 = 1 )
+         * @returns {string} SQL with the condition
+         */
+        function addCondition(sql, condition) {
+            const statement = getFirstStatement(sql);
+            const clauses = statement ? getFirstSelect(statement) : null;
+
+            if (!clauses) {
+                return `SELECT * FROM (${sql}\n) WHERE ${condition}`;
+            }
+
+            const where = clauses.find(clause => clause.keyword === 'WHERE');
+            const first = where ? where.items.find(node => !isTrivia(node)) : null;
+            if (first) {
+                const end = getClauseContentEnd(where);
+                return sql.slice(0, first.start) + '(' + sql.slice(first.start, end) + ')\n\tAND ' + condition + sql.slice(end);
+            }
+            if (where) {
+                const end = getClauseContentEnd(where);
+                return sql.slice(0, end) + '\n\t' + condition + sql.slice(end);
+            }
+
+            // WHERE follows FROM; a SELECT without FROM gets it after its columns
+            const from = clauses.find(clause => clause.keyword === 'FROM') || clauses[0];
+            const end = getClauseContentEnd(from);
+            return sql.slice(0, end) + '\nWHERE\n\t' + condition + sql.slice(end);
+        }
+
+        /**
+         * Replaces the virtual view references (#name) of a query. References in strings and
+         * comments are not views.
+         * @param {string} sql - SuiteQL
+         * @param {Function} resolve - Called with the view name; returns the SQL that replaces the reference
+         * @returns {string} SQL with the views replaced
+         */
+        function replaceViews(sql, resolve) {
+            const views = [];
+            walk(parse(sql), node => {
+                if (node.type === 'view') {
+                    views.push(node);
+                }
+            });
+
+            return views.reduceRight(
+                (result, view) => result.slice(0, view.start) + resolve(view.name) + result.slice(view.end),
+                sql
+            );
+        }
+
+        // =====================================================================
+        // Formatter
+        // =====================================================================
+
+        const tabs = count => '\t'.repeat(count);
+
+        /**
+         * Whether a group is a condition, such as ( a = b ), rather than a function call or list.
+         * @param {Object} group - Group node
+         * @returns {boolean}
+         */
+        function isConditionGroup(group) {
+            return group.items.some(node =>
+                (node.type === 'operator' && ['=', '<>', '!=', '^=', '<', '>', '<=', '>='].includes(node.value)) ||
+                ['IN', 'LIKE', 'BETWEEN', 'IS', 'EXISTS', 'AND', 'OR'].some(keyword => is(node, keyword))
+            );
+        }
+
+        /**
+         * Whether a space goes between two rendered nodes.
+         * @param {Object} previous - Previous significant node
+         * @param {Object} node - Node to render
+         * @param {boolean} afterUnary - The previous node is a unary + or -
+         * @returns {boolean}
+         */
+        function needsSpace(previous, node, afterUnary) {
+            if (afterUnary || is(node, ',') || is(node, ')') || is(node, ';') || is(node, '.') || is(previous, '.') || is(previous, '(')) {
+                return false;
+            }
+
+            // A function call: COUNT(*), BUILTIN.DF(x), CAST(x AS ...), a.id(+)
+            if (node.type === 'group' && (previous.type === 'identifier' || is(previous, 'CAST'))) {
+                return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Renders nodes on one line. Subqueries and line comments continue on the next lines,
+         * indented from the line.
+         * @param {Array<Object>} nodes - Tokens and groups
+         * @param {number} indent - Indentation of the line
+         * @returns {Object} text, and endsWithLineComment when a line break has to follow
+         */
+        function renderInline(nodes, indent) {
+            let text = '';
+            let previous = null;
+            let afterUnary = false;
+            let newlineBefore = false;
+            let lineBreak = false;
+
+            nodes.forEach((node, index) => {
+                if (node.type === 'whitespace') {
+                    newlineBefore = newlineBefore || node.text.includes('\n');
+                    return;
+                }
+
+                const next = nodes.slice(index + 1).find(n => !isTrivia(n));
+                let rendered;
+
+                if (node.type === 'group') {
+                    rendered = renderGroup(node, indent, previous);
+                } else if (node.type === 'keyword') {
+                    rendered = node.value;
+                } else if (node.type === 'identifier' && !node.quoted && next && next.type === 'group' && FUNCTIONS.has(node.text.toUpperCase())) {
+                    rendered = node.text.toUpperCase();
+                } else if (node.type === 'comment') {
+                    rendered = node.text.replace(/\s+$/, '');
+                } else {
+                    rendered = node.text;
+                }
+
+                if (text === '') {
+                    text = rendered;
+                } else if (lineBreak || (node.type === 'comment' && newlineBefore)) {
+                    text += '\n' + tabs(indent) + rendered;
+                } else {
+                    text += (node.type === 'comment' || needsSpace(previous, node, afterUnary) ? ' ' : '') + rendered;
+                }
+
+                // + and - are unary at the start, after an operator, a comma or a keyword (other than END and NULL)
+                afterUnary = node.type === 'operator' && (node.value === '-' || node.value === '+') && (
+                    !previous || previous.type === 'operator' || is(previous, ',') ||
+                    (previous.type === 'keyword' && !is(previous, 'END') && !is(previous, 'NULL'))
+                );
+                lineBreak = node.type === 'comment' && node.text.startsWith('--');
+                newlineBefore = false;
+                if (node.type !== 'comment') {
+                    previous = node;
+                }
+            });
+
+            return { text, endsWithLineComment: lineBreak };
+        }
+
+        /**
+         * Renders a parenthesized group. A subquery goes on its own lines.
+         * @param {Object} group - Group node
+         * @param {number} indent - Indentation of the line
+         * @param {Object} previous - Node before the group
+         * @returns {string}
+         */
+        function renderGroup(group, indent, previous) {
+            const close = group.close ? ')' : '';
+
+            if (group.query) {
+                return '(\n' + formatQuery(group.query, indent + 1) + '\n' + tabs(indent) + close;
+            }
+
+            const inner = renderInline(group.items, indent);
+            const isCall = previous && (previous.type === 'identifier' || is(previous, 'CAST'));
+            const padding = !isCall && inner.text && isConditionGroup(group) ? ' ' : '';
+
+            return '(' + padding + inner.text + (inner.endsWithLineComment ? '\n' + tabs(indent) : padding) + close;
+        }
+
+        /**
+         * Splits the items of a clause into lines: after commas, before AND and OR, or before joins.
+         * A comment on the same line stays with the line before it.
+         * @param {Array<Object>} items - Clause items
+         * @param {string} mode - list, conditions, from or plain
+         * @returns {Array<Array<Object>>} Items per line
+         */
+        function splitLines(items, mode) {
+            const lines = [[]];
+            let caseDepth = 0;
+            let between = false;
+            let previous = null;
+            let afterComma = false;
+
+            items.forEach(node => {
+                const line = lines[lines.length - 1];
+                const significant = !isTrivia(node);
+
+                // Whitespace and a comment on the line of a comma stay with it
+                if (afterComma) {
+                    if (node.type === 'whitespace' && !node.text.includes('\n')) {
+                        line.push(node);
+                        return;
+                    }
+                    if (node.type === 'comment' && !(line.length > 0 && line[line.length - 1].type === 'whitespace' && line[line.length - 1].text.includes('\n'))) {
+                        line.push(node);
+                        return;
+                    }
+                    lines.push([]);
+                    afterComma = false;
+                }
+
+                const current = lines[lines.length - 1];
+
+                if (mode === 'conditions' && (is(node, 'AND') || is(node, 'OR')) && caseDepth === 0 && !(between && is(node, 'AND'))) {
+                    if (current.some(n => !isTrivia(n))) {
+                        lines.push([node]);
+                    } else {
+                        current.push(node);
+                    }
+                } else if (mode === 'from' && node.type === 'keyword' && JOIN_WORDS.has(node.value) && !(previous && previous.type === 'keyword' && JOIN_WORDS.has(previous.value))) {
+                    if (current.some(n => !isTrivia(n))) {
+                        lines.push([node]);
+                    } else {
+                        current.push(node);
+                    }
+                } else {
+                    current.push(node);
+                }
+
+                if (is(node, 'CASE')) {
+                    caseDepth++;
+                } else if (is(node, 'END') && caseDepth > 0) {
+                    caseDepth--;
+                } else if (is(node, 'BETWEEN')) {
+                    between = true;
+                } else if (is(node, 'AND')) {
+                    between = false;
+                }
+
+                if (is(node, ',') && caseDepth === 0 && (mode === 'list' || mode === 'from')) {
+                    afterComma = true;
+                }
+                if (significant) {
+                    previous = node;
+                }
+            });
+
+            return lines.filter(line => line.some(node => node.type !== 'whitespace'));
+        }
+
+        /**
+         * Formats the items of a clause as indented lines.
+         * @param {Array<Object>} items - Clause items
+         * @param {number} indent - Indentation of the lines
+         * @param {string} mode - list, conditions, from or plain
+         * @returns {Array<string>} Lines
+         */
+        function formatLines(items, indent, mode) {
+            const output = [];
+
+            splitLines(items, mode).forEach(line => {
+                const on = mode === 'from' ? line.findIndex(node => is(node, 'ON')) : -1;
+
+                if (on === -1) {
+                    output.push(tabs(indent) + renderInline(line, indent).text);
+                    return;
+                }
+
+                // The join condition goes below the join, one condition per line
+                const join = renderInline(line.slice(0, on), indent);
+                output.push(tabs(indent) + join.text + (join.endsWithLineComment ? '\n' + tabs(indent) : ' ') + 'ON');
+                output.push(...formatLines(line.slice(on + 1), indent + 1, 'conditions'));
+            });
+
+            return output;
+        }
+
+        /**
+         * Formats a query: every clause keyword on its own line, followed by its items.
+         * @param {Object} query - Query node
+         * @param {number} indent - Indentation of the clause keywords
+         * @returns {string}
+         */
+        function formatQuery(query, indent) {
+            const lines = [];
+
+            query.clauses.forEach(clause => {
+                if (clause.keyword === null) {
+                    lines.push(...formatLines(clause.items, indent, 'plain'));
+                    return;
+                }
+
+                let keyword = clause.keyword;
+                let items = clause.items;
+
+                // SELECT DISTINCT stays on one line
+                const first = items.findIndex(node => !isTrivia(node));
+                if (keyword === 'SELECT' && first !== -1 && ['DISTINCT', 'UNIQUE', 'ALL'].some(word => is(items[first], word))) {
+                    keyword += ' ' + items[first].value;
+                    items = items.slice(first + 1);
+                }
+
+                const comments = clause.keywordTokens.filter(token => token.type === 'comment').map(token => ' ' + token.text);
+
+                if (INLINE_CLAUSES.has(keyword)) {
+                    lines.push(tabs(indent) + keyword + ' ' + renderInline(items, indent + 1).text);
+                    return;
+                }
+
+                lines.push(tabs(indent) + keyword + comments.join(''));
+
+                const mode = LIST_CLAUSES.has(clause.keyword) ? 'list'
+                    : CONDITION_CLAUSES.has(clause.keyword) ? 'conditions'
+                        : clause.keyword === 'FROM' ? 'from'
+                            : 'plain';
+                lines.push(...formatLines(items, indent + 1, mode));
+            });
+
+            return lines.join('\n');
+        }
+
+        /**
+         * Formats SuiteQL:
+         * - Keywords uppercase
+         * - Tab indentation
+         * - Each SELECT column on its own line
+         * - Joins on their own line, with the ON conditions below them
+         * - AND/OR at start of lines
+         * - Conditions in parentheses with spaces
+         * - Subqueries indented on their own lines
+         * Comments and string literals are kept as they are.
+         * @param {string} sql - SuiteQL
+         * @returns {string} Formatted SuiteQL
+         */
+        function format(sql) {
+            return parse(sql).statements
+                .map(statement => formatQuery(statement, 0) + (statement.terminator ? ';' : ''))
+                .filter(text => text.trim() !== '' && text !== ';')
+                .join('\n\n');
+        }
+
+        return { tokenize, parse, walk, format, addCondition, replaceViews, getClauses };
+    }
+
+    return Object.assign(createParser(), { createParser });
+});
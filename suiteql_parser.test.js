@@ -0,0 +1,204 @@
+/**
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_parser.test.js
+ *
+ * Tests of suiteql_parser.js, which has no NetSuite dependencies and runs in Node.js.
+ * The module is loaded through a minimal define(). Run from the repository folder:
+ *
+ *   node --test
+ *
+ * Not a SuiteScript file; it does not need to be uploaded.
+ *
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, test } = require('node:test');
+
+/**
+ * Loads suiteql_parser.js the way the SuiteScript loader would.
+ * @returns {Object} The parser module
+ */
+function loadParser() {
+    let parser;
+    const define = (dependencies, factory) => {
+        parser = factory();
+    };
+
+    new Function('define', fs.readFileSync(path.join(__dirname, 'suiteql_parser.js'), 'utf8'))(define);
+    return parser;
+}
+
+const parser = loadParser();
+
+/**
+ * Types and texts of the tokens of some SQL.
+ * @param {string} sql - SuiteQL
+ * @returns {Array<Array<string>>} [type, text] per token
+ */
+const tokensOf = sql => parser.tokenize(sql).map(token => [token.type, token.text]);
+
+describe('tokenize', () => {
+    const samples = [
+        'SELECT id, tranid FROM transaction WHERE id = 1;',
+        "SELECT q'[it's -- not a comment]' AS a, Q'{x}' AS b, nq'<y>' AS c FROM dual",
+        'SELECT /* outer /* inner */ 1 FROM dual -- trailing',
+        "SELECT * FROM transaction WHERE entity = {{customer:int}} AND memo LIKE '%{{memo}}%'",
+        'SELECT "Quoted ""Name""" FROM #open_orders o WHERE o.id = ?',
+        "SELECT 'unterminated",
+        ''
+    ];
+
+    samples.forEach(sql => {
+        test(`joins back into the input: ${JSON.stringify(sql)}`, () => {
+            assert.equal(parser.tokenize(sql).map(token => token.text).join(''), sql);
+        });
+    });
+
+    test('keeps a q-quoted string as one token, whatever it contains', () => {
+        assert.deepEqual(tokensOf("SELECT q'[' FROM transaction --]' AS x"), [
+            ['keyword', 'SELECT'],
+            ['whitespace', ' '],
+            ['string', "q'[' FROM transaction --]'"],
+            ['whitespace', ' '],
+            ['keyword', 'AS'],
+            ['whitespace', ' '],
+            ['identifier', 'x']
+        ]);
+    });
+
+    test('ends a block comment at the first */, as Oracle does', () => {
+        const tokens = tokensOf('/* a /* b */ c */');
+
+        assert.deepEqual(tokens[0], ['comment', '/* a /* b */']);
+        assert.deepEqual(tokens.slice(-2), [['operator', '*'], ['operator', '/']]);
+    });
+
+    test('reads {{parameters}} as parameters and ? as bind markers', () => {
+        const tokens = parser.tokenize("WHERE a = {{a:list(SELECT id FROM t)}} AND b = ? AND c = '{{c}}'");
+
+        assert.deepEqual(tokens.filter(token => token.type === 'parameter').map(token => token.text), ['{{a:list(SELECT id FROM t)}}']);
+        assert.equal(tokens.filter(token => token.type === 'bind').length, 1);
+        assert.equal(tokens[tokens.length - 1].type, 'string');
+    });
+
+    test('flags strings, comments and quoted identifiers that are not closed', () => {
+        ["SELECT 'abc", "SELECT q'[abc", 'SELECT 1 /* abc', 'SELECT "abc'].forEach(sql => {
+            const last = parser.tokenize(sql).pop();
+            assert.equal(last.unterminated, true, sql);
+        });
+    });
+
+    test('reads a keyword after a dot as a column name', () => {
+        assert.deepEqual(tokensOf('t.start'), [['identifier', 't'], ['punctuation', '.'], ['identifier', 'start']]);
+    });
+});
+
+describe('format', () => {
+    test('puts clauses and list items on their own lines', () => {
+        assert.equal(
+            parser.format('select a, b from t where a = 1 and (b = 2 or c = 3) order by a'),
+            'SELECT\n\ta,\n\tb\nFROM\n\tt\nWHERE\n\ta = 1\n\tAND ( b = 2 OR c = 3 )\nORDER BY\n\ta'
+        );
+    });
+
+    test('indents subqueries and keeps comments', () => {
+        assert.equal(
+            parser.format('select a /* keep */ from (select id as a from t) x -- end'),
+            'SELECT\n\ta /* keep */\nFROM\n\t(\n\t\tSELECT\n\t\t\tid AS a\n\t\tFROM\n\t\t\tt\n\t) x -- end'
+        );
+    });
+
+    test('separates statements with a blank line', () => {
+        assert.equal(
+            parser.format('SELECT * FROM t;SELECT 1 FROM dual'),
+            'SELECT\n\t*\nFROM\n\tt;\n\nSELECT\n\t1\nFROM\n\tdual'
+        );
+    });
+
+    test('leaves strings, q-quoted strings and parameters as they are', () => {
+        const formatted = parser.format("select q'[select from]' as a from t where b = {{b:int}} and c = 'where x'");
+
+        assert.match(formatted, /q'\[select from\]' AS a/);
+        assert.match(formatted, /b = \{\{b:int\}\}/);
+        assert.match(formatted, /c = 'where x'/);
+    });
+});
+
+describe('addCondition', () => {
+    const condition = "( 'u' = 'u' )";
+
+    test('adds a WHERE clause after FROM', () => {
+        assert.equal(
+            parser.addCondition('SELECT * FROM t ORDER BY id', condition),
+            "SELECT * FROM t\nWHERE\n\t( 'u' = 'u' ) ORDER BY id"
+        );
+    });
+
+    test('puts the existing condition in parentheses, so OR cannot bypass the new one', () => {
+        assert.equal(
+            parser.addCondition('SELECT * FROM t WHERE a = 1 OR b = 2', condition),
+            "SELECT * FROM t WHERE (a = 1 OR b = 2)\n\tAND ( 'u' = 'u' )"
+        );
+    });
+
+    test('keeps a trailing comment of the WHERE clause outside the parentheses', () => {
+        assert.equal(
+            parser.addCondition('SELECT * FROM t WHERE a = 1 -- note\nORDER BY a', condition),
+            "SELECT * FROM t WHERE (a = 1)\n\tAND ( 'u' = 'u' ) -- note\nORDER BY a"
+        );
+    });
+
+    test('changes the outer query, not a subquery', () => {
+        assert.equal(
+            parser.addCondition('SELECT * FROM (SELECT id FROM t WHERE a = 1) x', condition),
+            "SELECT * FROM (SELECT id FROM t WHERE a = 1) x\nWHERE\n\t( 'u' = 'u' )"
+        );
+    });
+
+    test('ignores WHERE in strings and comments', () => {
+        assert.equal(
+            parser.addCondition("SELECT 'where' AS w FROM t /* where */", condition),
+            "SELECT 'where' AS w FROM t\nWHERE\n\t( 'u' = 'u' ) /* where */"
+        );
+    });
+});
+
+describe('replaceViews', () => {
+    test('replaces #views, but not in strings and comments', () => {
+        assert.equal(
+            parser.replaceViews("SELECT * FROM #open o WHERE x = '#no' -- #nor", name => `(SELECT 1 FROM ${name})`),
+            "SELECT * FROM (SELECT 1 FROM open) o WHERE x = '#no' -- #nor"
+        );
+    });
+
+    test('replaces views in subqueries', () => {
+        const names = [];
+        const sql = parser.replaceViews('SELECT * FROM #a JOIN (SELECT * FROM #b) b ON 1 = 1', name => {
+            names.push(name);
+            return name.toUpperCase();
+        });
+
+        assert.deepEqual(names.sort(), ['a', 'b']);
+        assert.equal(sql, 'SELECT * FROM A JOIN (SELECT * FROM B) b ON 1 = 1');
+    });
+});
+
+describe('getClauses', () => {
+    const keywords = sql => parser.getClauses(sql).map(clause => clause.keyword);
+
+    test('lists the clauses of the outer query', () => {
+        assert.deepEqual(keywords('SELECT a FROM t WHERE a = 1 ORDER BY a'), ['SELECT', 'FROM', 'WHERE', 'ORDER BY']);
+    });
+
+    test('skips subqueries, windows, strings and comments', () => {
+        assert.deepEqual(
+            keywords("SELECT ROW_NUMBER() OVER (ORDER BY x) AS n, 'order by' FROM (SELECT x FROM t WHERE x > 1) -- order by"),
+            ['SELECT', 'FROM']
+        );
+    });
+
+    test('looks into a statement in parentheses', () => {
+        assert.deepEqual(keywords('(SELECT a FROM t ORDER BY a)'), ['SELECT', 'FROM', 'ORDER BY']);
+    });
+});
@@ -8,75 +8,412 @@
  *
  * Version    Date           Author                Remarks
  * 1.0        23 Jan 2026    Budy Sutjijati        Initial version.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Read-only statement enforcement, row cap,
+ *                                                 time budget and per-role table allow-list.
+ * 1.2        19 Oct 2026    Budy Sutjijati        Pagination and totals shared with the Suitelet
+ *                                                 through suiteql_runner.js.
+ * 1.3        19 Oct 2026    Budy Sutjijati        Fetch-all requests.
+ * 1.4        19 Oct 2026    Budy Sutjijati        Bind parameters.
+ * 1.5        19 Oct 2026    Budy Sutjijati        Audit log entry per request.
+ * 1.6        19 Oct 2026    Budy Sutjijati        Statements read with suiteql_parser.js; text that does not
+ *                                                 tokenize cleanly is rejected, and WITH names are only
+ *                                                 excluded from the allow-list where they are in scope.
+ * 1.7        19 Oct 2026    Budy Sutjijati        Groups with query keywords that are not read as a
+ *                                                 subquery are rejected.
  *
  */
-define(['N/query', 'N/log'], (query, log) => {
+define(['N/error', 'N/log', 'N/runtime', 'suiteql_audit', 'suiteql_parser', 'suiteql_runner'], (error, log, runtime, audit, parser, runner) => {
+
+    /**
+     * Default limits. Each can be overridden by a script parameter on the deployment.
+     */
+    const DEFAULTS = Object.freeze({
+        /** Maximum number of rows returned by a single request */
+        MAX_ROWS: 10000,
+
+        /** Maximum time in milliseconds spent fetching result batches */
+        TIME_BUDGET_MS: 60000
+    });
+
+    /** Keywords that may never appear in a proxied statement (includes SELECT ... FOR UPDATE) */
+    const FORBIDDEN_KEYWORDS = [
+        'INSERT', 'UPDATE', 'DELETE', 'MERGE',
+        'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME',
+        'GRANT', 'REVOKE', 'EXECUTE', 'CALL', 'COMMIT', 'ROLLBACK'
+    ];
+
+    /** Keywords after which a FROM clause names its next table */
+    const TABLE_KEYWORDS = ['JOIN', 'APPLY'];
+
+    /** Keywords that only occur in a query; a group holding them must have been read as a subquery */
+    const QUERY_KEYWORDS = ['SELECT', 'WITH'];
+
+    /** Set operators; in a group that is not a subquery, each query they join needs its own parentheses */
+    const SET_OPERATORS = ['UNION', 'MINUS', 'INTERSECT', 'EXCEPT'];
 
     /**
      * Handle POST requests to execute SuiteQL.
      * @param {Object} requestBody - Payload with query and options.
      */
     const post = (requestBody) => {
+        const beginTime = Date.now();
+        const limits = getLimits();
+        let response;
+
         try {
-            const { query: sql, paginationEnabled, rowBegin, rowEnd, returnTotals } = requestBody;
+            const { query: sql, params, paginationEnabled, fetchAll, rowBegin, rowEnd, returnTotals } = requestBody;
+
+            const statement = inspectStatement(sql);
+            enforceTableAllowList(statement.tables, limits.tableAllowList);
+
+            response = runner.run({
+                sql: statement.sql,
+                params: Array.isArray(params) ? params : [],
+                paginationEnabled,
+                fetchAll,
+                rowBegin,
+                rowEnd,
+                returnTotals,
+                maxRows: limits.maxRows,
+                deadline: Date.now() + limits.timeBudgetMs
+            });
+
+        } catch (e) {
+            log.error({ title: 'SuiteQL Proxy Error', details: e });
+            response = { error: { name: e.name, message: e.message } };
+        }
+
+        // Rejected statements are logged too: they are the attempts worth reviewing
+        if (limits.auditLog) {
+            audit.write({
+                sql: String((requestBody && requestBody.query) || ''),
+                realm: runtime.accountId.toUpperCase(),
+                remote: true,
+                source: audit.SOURCES.PROXY,
+                rowCount: response.rowCount,
+                elapsedTime: Date.now() - beginTime,
+                error: response.error
+            });
+        }
+
+        return response;
+    };
+
+    /**
+     * Reads the proxy limits from the deployment's script parameters.
+     *
+     * Parameters (all optional):
+     * - custscript_sqt_proxy_max_rows (Integer)
+     * - custscript_sqt_proxy_time_budget_ms (Integer)
+     * - custscript_sqt_proxy_table_allowlist (Long Text, JSON object mapping a
+     *   role script ID, or "*" for all other roles, to an array of table names)
+     * - custscript_sqt_proxy_audit_log (Check Box, write every request to the audit log)
+     *
+     * @returns {{maxRows: number, timeBudgetMs: number, tableAllowList: Object, auditLog: boolean}}
+     */
+    function getLimits() {
+        const script = runtime.getCurrentScript();
 
-            let records = [];
-            const beginTime = Date.now();
+        const maxRows = parseInt(script.getParameter({ name: 'custscript_sqt_proxy_max_rows' }), 10);
+        const timeBudgetMs = parseInt(script.getParameter({ name: 'custscript_sqt_proxy_time_budget_ms' }), 10);
+        const allowListParam = script.getParameter({ name: 'custscript_sqt_proxy_table_allowlist' });
 
-            if (paginationEnabled) {
-                records = executePaginatedQuery(sql, rowBegin || 1, rowEnd || 1000);
-            } else {
-                records = query.runSuiteQL({ query: sql }).asMappedResults();
+        let tableAllowList = {};
+        if (allowListParam) {
+            try {
+                tableAllowList = JSON.parse(allowListParam);
+            } catch (e) {
+                // Fail closed: a broken allow-list must not silently allow every table
+                log.error({ title: 'Invalid JSON in custscript_sqt_proxy_table_allowlist', details: e });
+                tableAllowList = { '*': [] };
             }
+        }
+
+        return {
+            maxRows: maxRows > 0 ? maxRows : DEFAULTS.MAX_ROWS,
+            timeBudgetMs: timeBudgetMs > 0 ? timeBudgetMs : DEFAULTS.TIME_BUDGET_MS,
+            tableAllowList,
+            auditLog: script.getParameter({ name: 'custscript_sqt_proxy_audit_log' }) === true
+        };
+    }
 
-            const elapsedTime = Date.now() - beginTime;
+    /**
+     * Inspects a statement and rejects anything that is not a single read-only query.
+     * @param {string} sql - The SQL text received from the caller
+     * @returns {{sql: string, tables: Array<string>}} The statement without a trailing
+     *          semicolon, and the tables it reads from
+     */
+    function inspectStatement(sql) {
+        if (typeof sql !== 'string' || !sql.trim()) {
+            throw notAllowed('No query was provided.');
+        }
 
-            const responsePayload = {
-                records,
-                rowCount: records.length,
-                elapsedTime
-            };
+        const tokens = getSignificantTokens(sql);
 
-            if (returnTotals && records.length > 0) {
-                const countSql = `SELECT COUNT(*) AS totalrecordcount FROM (${sql})`;
-                const countResult = query.runSuiteQL({ query: countSql }).asMappedResults();
-                responsePayload.totalRecordCount = countResult[0]?.totalrecordcount || 0;
+        // A single trailing semicolon is tolerated; any other one separates statements
+        const semicolons = tokens.filter(t => t.type === 'punctuation' && t.value === ';');
+        if (semicolons.length > 1 || (semicolons.length === 1 && tokens[tokens.length - 1] !== semicolons[0])) {
+            throw notAllowed('Only a single statement may be executed.');
+        }
+
+        const first = tokens.find(isWord);
+        if (!first || (first.text.toUpperCase() !== 'SELECT' && first.text.toUpperCase() !== 'WITH')) {
+            throw notAllowed('Only SELECT and WITH statements may be executed.');
+        }
+
+        // A word after a dot is a column name, such as t.update
+        const forbidden = tokens.find((t, i) => isWord(t) && FORBIDDEN_KEYWORDS.includes(t.text.toUpperCase())
+            && !(i > 0 && tokens[i - 1].value === '.'));
+        if (forbidden) {
+            throw notAllowed(`The keyword ${forbidden.text.toUpperCase()} is not allowed.`);
+        }
+
+        const statement = semicolons.length === 1 ? sql.substring(0, semicolons[0].start) : sql;
+
+        return {
+            sql: statement,
+            tables: extractTables(parser.parse(statement).statements[0])
+        };
+    }
+
+    /**
+     * Splits SQL into tokens with suiteql_parser.js, without whitespace and comments.
+     * Text the tokenizer cannot read with certainty is rejected, so string literals,
+     * comments and quoted identifiers can never hide part of the statement.
+     * @param {string} sql - The SQL text
+     * @returns {Array<Object>} Tokens of suiteql_parser.js tokenize()
+     */
+    function getSignificantTokens(sql) {
+        const tokens = parser.tokenize(sql);
+        let depth = 0;
+
+        tokens.forEach(token => {
+            if (token.unterminated) {
+                throw notAllowed(`Unterminated ${token.type} at position ${token.start + 1}.`);
+            }
+            if (token.type === 'unknown') {
+                throw notAllowed(`Unexpected character ${token.text} at position ${token.start + 1}.`);
+            }
+            if (token.type === 'parameter' || token.type === 'view') {
+                throw notAllowed(`${token.text} must be resolved before the query is sent.`);
             }
 
-            return responsePayload;
+            depth += token.value === '(' && token.type === 'punctuation' ? 1 : 0;
+            depth -= token.value === ')' && token.type === 'punctuation' ? 1 : 0;
+            if (depth < 0) {
+                throw notAllowed(`Unbalanced ) at position ${token.start + 1}.`);
+            }
+        });
 
-        } catch (e) {
-            log.error({ title: 'SuiteQL Proxy Error', details: e });
-            return { error: { name: e.name, message: e.message } };
+        if (depth !== 0) {
+            throw notAllowed('Unbalanced parentheses.');
         }
-    };
+
+        return tokens.filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+    }
 
     /**
-     * Executes paginated queries.
+     * Collects the tables a query reads after FROM, JOIN and APPLY, in the query itself,
+     * its WITH clause and every subquery.
+     *
+     * A WITH name is only excluded where it is in scope: in the main query and in the
+     * WITH queries after it, never in its own body. A WITH query that reads a table of
+     * its own name is rejected. When in doubt, the text in the table position is
+     * collected, so the allow-list fails closed.
+     * @param {Object} query - Query node of suiteql_parser.js parse()
+     * @param {Set<string>} [scope] - Lower-case WITH names visible to the query
+     * @param {Set<string>} [tables] - Collected lower-case table names
+     * @returns {Array<string>} Lower-case table names
      */
-    function executePaginatedQuery(sql, rowBegin, rowEnd) {
-        let results = [];
-        let more = true;
-        let start = rowBegin;
-
-        while (more) {
-            const paginatedSql = `
-                SELECT * FROM (
-                    SELECT ROWNUM AS ROWNUMBER, * FROM (${sql})
-                ) WHERE ROWNUMBER BETWEEN ${start} AND ${rowEnd}
-            `;
-
-            const batch = query.runSuiteQL({ query: paginatedSql }).asMappedResults();
-            results = results.concat(batch);
-
-            if (batch.length < 5000) {
-                more = false;
+    function extractTables(query, scope = new Set(), tables = new Set()) {
+        const visible = new Set(scope);
+
+        query.clauses.forEach(clause => {
+            if (clause.keyword === 'WITH') {
+                getWithQueries(clause).forEach(({ name, body }) => {
+                    const read = new Set();
+                    extractTables(body, visible, read);
+
+                    if (read.has(name)) {
+                        throw notAllowed(`The WITH query ${name} reads a table of the same name.`);
+                    }
+
+                    read.forEach(table => tables.add(table));
+                    visible.add(name);
+                });
+                return;
             }
-            start += 5000;
+
+            collectTables(clause.items, clause.keyword === 'FROM', visible, tables);
+        });
+
+        return Array.from(tables);
+    }
+
+    /**
+     * Reads the named queries of a WITH clause: name [(columns)] AS (query), ...
+     * @param {Object} clause - WITH clause node
+     * @returns {Array<{name: string, body: Object}>} Lower-case names and query nodes
+     */
+    function getWithQueries(clause) {
+        const nodes = clause.items.filter(node => node.type !== 'whitespace' && node.type !== 'comment');
+        const queries = [];
+
+        for (let i = 0; i < nodes.length; i++) {
+            const name = nodes[i];
+            let index = i + 1;
+
+            if (nodes[index] && nodes[index].type === 'group' && !nodes[index].query) {
+                index++;
+            }
+
+            const as = nodes[index];
+            const body = nodes[index + 1];
+
+            if (name.type !== 'identifier' || !as || as.value !== 'AS' || !body || !body.query) {
+                throw notAllowed('The WITH clause could not be read.');
+            }
+
+            queries.push({ name: identifierName(name), body: body.query });
+
+            i = index + 2;
+            if (i < nodes.length && nodes[i].value !== ',') {
+                throw notAllowed('The WITH clause could not be read.');
+            }
+        }
+
+        return queries;
+    }
+
+    /**
+     * Collects the tables of the items of a clause or group. Subqueries anywhere are read
+     * as queries; in a FROM list, the text after its start, a comma, JOIN or APPLY is a table.
+     * @param {Array<Object>} items - Clause or group items
+     * @param {boolean} isFromList - The items are a FROM clause or a parenthesized join
+     * @param {Set<string>} scope - Lower-case WITH names visible to the items
+     * @param {Set<string>} tables - Collected lower-case table names
+     */
+    function collectTables(items, isFromList, scope, tables) {
+        const nodes = items.filter(node => node.type !== 'whitespace' && node.type !== 'comment');
+
+        nodes.forEach((node, index) => {
+            const previous = nodes[index - 1];
+            const startsTable = isFromList && (!previous || previous.value === ','
+                || (previous.type !== 'group' && TABLE_KEYWORDS.includes(previous.text.toUpperCase())));
+
+            if (node.type === 'group') {
+                if (node.query) {
+                    extractTables(node.query, scope, tables);
+                } else {
+                    rejectHiddenQuery(node, previous);
+                    collectTables(node.items, startsTable, scope, tables);
+                }
+                return;
+            }
+
+            if (!startsTable) {
+                return;
+            }
+
+            // A dotted name is collected as a whole, so it never matches a plain table name
+            let name = identifierName(node);
+            for (let next = index + 1; nodes[next] && nodes[next].value === '.' && nodes[next + 1]; next += 2) {
+                name += '.' + (nodes[next + 1].type === 'group' ? '' : identifierName(nodes[next + 1]));
+            }
+
+            if (!scope.has(name)) {
+                tables.add(name);
+            }
+        });
+    }
+
+    /**
+     * Rejects a group that holds a query the parser did not read as a subquery, such as
+     * ((SELECT ...) UNION SELECT ...): its tables would never be collected.
+     * A set operator passes only between queries in their own parentheses, which are walked as subqueries.
+     * FROM is allowed in the arguments of a function call, as in EXTRACT(YEAR FROM trandate).
+     * @param {Object} group - Group node that is not a subquery
+     * @param {Object} [previous] - The node before the group
+     */
+    function rejectHiddenQuery(group, previous) {
+        const isCall = Boolean(previous) && previous.type === 'identifier';
+        const nodes = group.items.filter(node => node.type !== 'whitespace' && node.type !== 'comment');
+        const isQueryAt = index => Boolean(nodes[index]) && nodes[index].type === 'group' && Boolean(nodes[index].query);
+
+        const keyword = nodes.find((node, index) => {
+            if (node.type !== 'keyword') {
+                return false;
+            }
+            if (SET_OPERATORS.includes(node.value)) {
+                const next = nodes[index + 1] && ['ALL', 'DISTINCT'].includes(nodes[index + 1].value) ? index + 2 : index + 1;
+                return !isQueryAt(index - 1) || !isQueryAt(next);
+            }
+            return QUERY_KEYWORDS.includes(node.value) || (node.value === 'FROM' && !isCall);
+        });
+
+        if (keyword) {
+            throw notAllowed(`${keyword.value} at position ${keyword.start + 1} is not at the start of a subquery. `
+                + 'Put each query of a set operation in its own parentheses.');
         }
+    }
 
-        return results;
+    /**
+     * Whether a token is a keyword or an unquoted name.
+     * @param {Object} token - Token of suiteql_parser.js tokenize()
+     * @returns {boolean}
+     */
+    function isWord(token) {
+        return token.type === 'keyword' || (token.type === 'identifier' && !token.quoted);
+    }
+
+    /**
+     * The lower-case name of an identifier token, without the quotes of a quoted identifier.
+     * @param {Object} token - Token of suiteql_parser.js tokenize()
+     * @returns {string} Name
+     */
+    function identifierName(token) {
+        const text = token.quoted ? token.text.slice(1, -1).replace(/""/g, '"') : token.text;
+        return text.toLowerCase();
+    }
+
+    /**
+     * Rejects tables that are not on the allow-list of the calling token's role.
+     * Roles without an entry (and no "*" entry) are not restricted.
+     * @param {Array<string>} tables - Lower-case table names
+     * @param {Object} tableAllowList - Map of role script ID to allowed tables
+     */
+    function enforceTableAllowList(tables, tableAllowList) {
+        const roleId = runtime.getCurrentUser().roleId;
+        const allowed = tableAllowList[roleId] || tableAllowList['*'];
+
+        if (!allowed) {
+            return;
+        }
+
+        const allowedTables = allowed.map(table => String(table).toLowerCase());
+        const denied = tables.filter(table => !allowedTables.includes(table));
+
+        if (denied.length > 0) {
+            throw error.create({
+                name: 'SQT_TABLE_NOT_ALLOWED',
+                message: `Access to the following tables is not allowed for role ${roleId}: ${denied.join(', ')}`,
+                notifyOff: true
+            });
+        }
+    }
+
+    /**
+     * Creates the error thrown for statements that are not a single read-only query.
+     * @param {string} message - Reason for the rejection
+     * @returns {Error} NetSuite error
+     */
+    function notAllowed(message) {
+        return error.create({
+            name: 'SQT_STATEMENT_NOT_ALLOWED',
+            message: message,
+            notifyOff: true
+        });
     }
 
     return { post };
-});
\ No newline at end of file
+});
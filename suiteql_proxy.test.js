@@ -0,0 +1,138 @@
+/**
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_proxy.test.js
+ *
+ * Tests of the statement checks and table allow-list of suiteql_proxy.js.
+ * The RESTlet is loaded through a minimal define() with stubs for the N/ modules,
+ * suiteql_audit.js and suiteql_runner.js; suiteql_parser.js is the real one.
+ * Run from the repository folder:
+ *
+ *   node --test
+ *
+ * Not a SuiteScript file; it does not need to be uploaded.
+ *
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, test } = require('node:test');
+
+/** Script parameters of the proxy deployment */
+const parameters = {
+    custscript_sqt_proxy_table_allowlist: JSON.stringify({ '*': ['customer', 'dual'] })
+};
+
+/** Statements the stubbed runner received */
+const executed = [];
+
+const stubs = {
+    'N/error': { create: ({ name, message }) => Object.assign(new Error(message), { name }) },
+    'N/log': { error: () => {}, audit: () => {}, debug: () => {} },
+    'N/runtime': {
+        accountId: 'TSTDRV1',
+        getCurrentUser: () => ({ id: 1, role: 1001, roleId: 'customrole_proxy' }),
+        getCurrentScript: () => ({ getParameter: ({ name }) => parameters[name] })
+    },
+    'suiteql_audit': { SOURCES: {}, write: () => {} },
+    'suiteql_runner': {
+        run: options => {
+            executed.push(options.sql);
+            return { records: [], rowCount: 0 };
+        }
+    }
+};
+
+/**
+ * Loads a module of this folder the way the SuiteScript loader would, with stubs for its dependencies.
+ * @param {string} name - Module name, without .js
+ * @returns {Object} The module
+ */
+function load(name) {
+    if (stubs[name]) {
+        return stubs[name];
+    }
+
+    let module;
+    const define = (dependencies, factory) => {
+        module = factory(...dependencies.map(load));
+    };
+
+    new Function('define', fs.readFileSync(path.join(__dirname, name + '.js'), 'utf8'))(define);
+    return module;
+}
+
+const proxy = load('suiteql_proxy');
+
+/**
+ * Posts a statement to the proxy.
+ * @param {string} sql - SuiteQL
+ * @returns {Object} The response, with error.name when the statement was refused
+ */
+const post = sql => proxy.post({ query: sql });
+
+describe('table allow-list', () => {
+    test('allows the listed tables', () => {
+        const response = post('SELECT id FROM customer WHERE id IN (SELECT id FROM customer)');
+        assert.equal(response.error, undefined);
+    });
+
+    test('refuses a table in a subquery', () => {
+        const response = post('SELECT * FROM customer WHERE id IN (SELECT id FROM employee)');
+        assert.equal(response.error.name, 'SQT_TABLE_NOT_ALLOWED');
+    });
+
+    test('refuses a set operation that is not a subquery of its own', () => {
+        executed.length = 0;
+        const response = post('SELECT * FROM customer WHERE id IN ((SELECT id FROM customer) UNION SELECT id FROM employee)');
+
+        assert.equal(response.error.name, 'SQT_STATEMENT_NOT_ALLOWED');
+        assert.equal(executed.length, 0);
+    });
+
+    test('reads each query of a set operation in its own parentheses', () => {
+        const allowed = post('SELECT * FROM customer WHERE id IN ((SELECT id FROM customer) UNION (SELECT id FROM dual))');
+        const denied = post('SELECT * FROM customer WHERE id IN ((SELECT id FROM customer) UNION ALL (SELECT id FROM employee))');
+
+        assert.equal(allowed.error, undefined);
+        assert.equal(denied.error.name, 'SQT_TABLE_NOT_ALLOWED');
+    });
+
+    test('allows FROM in the arguments of a function', () => {
+        const response = post("SELECT EXTRACT(YEAR FROM datecreated), TRIM(BOTH ' ' FROM companyname) FROM customer");
+        assert.equal(response.error, undefined);
+    });
+
+    test('refuses FROM in a group that is not a function call', () => {
+        const response = post('SELECT * FROM customer WHERE id IN (id FROM employee)');
+        assert.equal(response.error.name, 'SQT_STATEMENT_NOT_ALLOWED');
+    });
+
+    test('refuses a WITH query that hides the table of its own name', () => {
+        const response = post('WITH employee AS (SELECT * FROM employee) SELECT * FROM employee');
+        assert.equal(response.error.name, 'SQT_STATEMENT_NOT_ALLOWED');
+    });
+
+    test('refuses a table hidden behind a q-quoted string', () => {
+        const response = post("SELECT q'[' FROM customer --]' AS x, id FROM employee");
+        assert.equal(response.error.name, 'SQT_TABLE_NOT_ALLOWED');
+    });
+});
+
+describe('statement checks', () => {
+    test('refuses more than one statement', () => {
+        const response = post('SELECT id FROM customer; SELECT id FROM dual');
+        assert.equal(response.error.name, 'SQT_STATEMENT_NOT_ALLOWED');
+    });
+
+    test('refuses text that does not tokenize cleanly', () => {
+        ["SELECT 'abc FROM customer", 'SELECT id FROM customer WHERE id = @a', 'SELECT * FROM customer WHERE (id = 1'].forEach(sql => {
+            assert.equal(post(sql).error.name, 'SQT_STATEMENT_NOT_ALLOWED', sql);
+        });
+    });
+
+    test('sends the statement without its trailing semicolon', () => {
+        executed.length = 0;
+        post('SELECT id FROM customer;');
+        assert.deepEqual(executed, ['SELECT id FROM customer']);
+    });
+});
@@ -0,0 +1,427 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_runner.js
+ *
+ * Runs SuiteQL with the pagination and totals options of the query tool.
+ *
+ * Used by both the Suitelet (local execution) and suiteql_proxy.js (remote
+ * execution), so a query returns the same rows and totals wherever it runs.
+ * The export and scheduler scripts use it as well.
+ *
+ * Whichever way they are fetched (ROWNUM windows, keyset or runSuiteQLPaged),
+ * rows start with a rownumber column, so callers can strip it the same way.
+ * Upload this file and suiteql_parser.js next to the Suitelet and next to the
+ * proxy RESTlet in every remote account.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version, extracted from the
+ *                                                 Suitelet and suiteql_proxy.js.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Virtual view expansion, moved from the Suitelet
+ *                                                 for the scheduler.
+ * 1.2        19 Oct 2026    Budy Sutjijati        No extra query once the row range is filled.
+ * 1.3        19 Oct 2026    Budy Sutjijati        Fetch-all with keyset pagination or runSuiteQLPaged.
+ * 1.4        19 Oct 2026    Budy Sutjijati        Bind parameters.
+ * 1.5        19 Oct 2026    Budy Sutjijati        Virtual views found by suiteql_parser.js.
+ * 1.6        19 Oct 2026    Budy Sutjijati        Every fetch numbers its rows in a rownumber column.
+ * 1.7        19 Oct 2026    Budy Sutjijati        hasParameters, for scripts that cannot ask for values.
+ * 1.8        19 Oct 2026    Budy Sutjijati        ORDER BY found by suiteql_parser.js.
+ * 1.9        19 Oct 2026    Budy Sutjijati        A capped row range is only flagged truncated when rows were cut off.
+ *
+ */
+define(['N/error', 'N/file', 'N/query', 'suiteql_parser'], (error, file, query, parser) => {
+
+    /** Rows fetched per ROWNUM batch (the SuiteQL maximum per runSuiteQL call) */
+    const BATCH_SIZE = 5000;
+
+    /** Row range used when pagination is enabled without a range */
+    const DEFAULT_ROW_BEGIN = 1;
+    const DEFAULT_ROW_END = 1000;
+
+    /** Rows per page of runSuiteQLPaged (the N/query maximum) */
+    const PAGED_PAGE_SIZE = 1000;
+
+    /** Result columns tried, in order, as the unique key for keyset pagination (TransactionLine.id repeats per transaction) */
+    const KEY_COLUMNS = ['id', 'uniquekey'];
+
+    /**
+     * Runs a query and builds the response payload returned to the client.
+     * @param {Object} options
+     * @param {string} options.sql - The SQL to run (views already expanded)
+     * @param {Array} [options.params] - Values for the ? markers in the SQL
+     * @param {boolean} [options.fetchAll] - Fetch every row with fetchAll() (ignores the row range)
+     * @param {boolean} [options.paginationEnabled] - Fetch rowBegin..rowEnd with ROWNUM
+     * @param {number} [options.rowBegin] - First row (1-based)
+     * @param {number} [options.rowEnd] - Last row
+     * @param {boolean} [options.returnTotals] - Add totalRecordCount
+     * @param {number} [options.maxRows] - Cap on returned rows; the payload is flagged truncated when hit
+     * @param {number} [options.deadline] - Timestamp after which no further batch is fetched
+     * @returns {Object} records, rowCount, elapsedTime and optionally totalRecordCount, truncated, maxRows,
+     *          fetchStrategy
+     */
+    function run(options) {
+        const { sql, fetchAll: fetchAllRows, paginationEnabled, returnTotals, maxRows, deadline } = options;
+        const params = options.params || [];
+        const beginTime = Date.now();
+
+        let records = [];
+        let truncated = false;
+        let fetchStrategy = null;
+
+        if (fetchAllRows) {
+            // One row more than the cap tells whether the result was cut off
+            const result = fetchAll(sql, { maxRows: maxRows ? maxRows + 1 : null, deadline, params });
+
+            records = result.records;
+            fetchStrategy = result.strategy;
+
+            if (maxRows && records.length > maxRows) {
+                records = records.slice(0, maxRows);
+                truncated = true;
+            }
+        } else if (paginationEnabled) {
+            const rowBegin = options.rowBegin || DEFAULT_ROW_BEGIN;
+            const requestedEnd = options.rowEnd || DEFAULT_ROW_END;
+            const rowEnd = maxRows ? Math.min(requestedEnd, rowBegin + maxRows - 1) : requestedEnd;
+
+            // When the cap shortens the range, one row more tells whether the result was cut off
+            const capped = requestedEnd > rowEnd;
+            records = executePaginatedQuery(sql, rowBegin, capped ? rowEnd + 1 : rowEnd, deadline, params);
+
+            if (records.length > rowEnd - rowBegin + 1) {
+                records = records.slice(0, rowEnd - rowBegin + 1);
+                truncated = true;
+            }
+        } else {
+            records = query.runSuiteQL({ query: sql, params }).asMappedResults();
+
+            if (maxRows && records.length > maxRows) {
+                records = records.slice(0, maxRows);
+                truncated = true;
+            }
+        }
+
+        const responsePayload = {
+            records,
+            elapsedTime: Date.now() - beginTime,
+            rowCount: records.length
+        };
+
+        if (truncated) {
+            responsePayload.truncated = true;
+            responsePayload.maxRows = maxRows;
+        }
+
+        if (fetchStrategy) {
+            responsePayload.fetchStrategy = fetchStrategy;
+        }
+
+        if (returnTotals && records.length > 0) {
+            responsePayload.totalRecordCount = getTotalRecordCount(sql, params);
+        }
+
+        return responsePayload;
+    }
+
+    /**
+     * Executes a query in ROWNUM batches.
+     * @param {string} sql - The SQL query
+     * @param {number} rowBegin - Starting row number
+     * @param {number} rowEnd - Ending row number
+     * @param {number} [deadline] - Stops with SQT_TIME_BUDGET_EXCEEDED when passed between batches
+     * @param {Array} [params] - Values for the ? markers in the SQL
+     * @returns {Array<Object>} Query results
+     */
+    function executePaginatedQuery(sql, rowBegin, rowEnd, deadline, params = []) {
+        let records = [];
+        let moreRecords = true;
+        let currentBegin = rowBegin;
+
+        while (moreRecords) {
+            checkDeadline(deadline, records.length);
+
+            // The line break keeps a trailing -- comment from swallowing the closing parenthesis
+            const paginatedSql = `
+                SELECT * FROM (
+                    SELECT ROWNUM AS ROWNUMBER, * FROM (${sql}
+                    )
+                ) WHERE ROWNUMBER BETWEEN ${currentBegin} AND ${rowEnd}
+            `;
+
+            const results = query.runSuiteQL({
+                query: paginatedSql,
+                params
+            }).asMappedResults();
+
+            records = records.concat(results);
+            currentBegin += BATCH_SIZE;
+
+            // A page within one batch (the paged results mode) costs a single query
+            if (results.length < BATCH_SIZE || currentBegin > rowEnd) {
+                moreRecords = false;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Fetches every row of a query in linear time.
+     *
+     * ROWNUM windows re-run the query from the first row for every batch, so
+     * deep batches get slower and slower. When the result has a unique key
+     * column (see findKeyColumn), batches continue after the last key instead:
+     *
+     *   SELECT * FROM (<sql>) WHERE id > ? ORDER BY id
+     *
+     * Otherwise the query is run once with runSuiteQLPaged and read page by page.
+     * @param {string} sql - The SQL query
+     * @param {Object} [options]
+     * @param {number} [options.maxRows] - Stop after this many rows
+     * @param {number} [options.deadline] - Stops with SQT_TIME_BUDGET_EXCEEDED when passed between batches
+     * @param {Array} [options.params] - Values for the ? markers in the SQL
+     * @returns {{records: Array<Object>, strategy: string, keyColumn: string|null}} strategy is 'keyset' or 'paged'
+     */
+    function fetchAll(sql, options = {}) {
+        const keyColumn = findKeyColumn(sql, options.params);
+        const records = keyColumn
+            ? executeKeysetQuery(sql, keyColumn, options)
+            : executePagedQuery(sql, options);
+
+        return {
+            records,
+            strategy: keyColumn ? 'keyset' : 'paged',
+            keyColumn
+        };
+    }
+
+    /**
+     * Finds a column keyset pagination can page on: one of KEY_COLUMNS that is
+     * never null and unique in the result. Queries with ORDER BY get no key,
+     * because keyset pagination returns the rows in key order. ORDER BY in a
+     * subquery, an OVER (...) window, a string or a comment does not count.
+     * @param {string} sql - The SQL query
+     * @param {Array} [params] - Values for the ? markers in the SQL
+     * @returns {string|null} Key column, or null when there is none
+     */
+    function findKeyColumn(sql, params = []) {
+        if (parser.getClauses(sql).some(clause => clause.keyword === 'ORDER BY')) {
+            return null;
+        }
+
+        const firstRow = query.runSuiteQL({
+            query: `SELECT * FROM (${sql}\n) WHERE ROWNUM <= 1`,
+            params
+        }).asMappedResults()[0];
+
+        const candidates = firstRow ? KEY_COLUMNS.filter(column => column in firstRow) : [];
+
+        // COUNT(DISTINCT) skips nulls, so equal counts mean unique and never null
+        return candidates.find(keyColumn => {
+            try {
+                const counts = query.runSuiteQL({
+                    query: `SELECT COUNT(*) AS totalrows, COUNT(DISTINCT ${keyColumn}) AS distinctkeys FROM (${sql}\n)`,
+                    params
+                }).asMappedResults()[0];
+
+                return counts.totalrows === counts.distinctkeys;
+            } catch (e) {
+                // E.g. two result columns named id; the caller falls back to runSuiteQLPaged
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Fetches a query in key order, BATCH_SIZE rows at a time, each batch
+     * continuing after the last key of the previous one.
+     * @param {string} sql - The SQL query
+     * @param {string} keyColumn - Unique, non-null result column
+     * @param {Object} [options]
+     * @param {number} [options.maxRows] - Stop after this many rows
+     * @param {number} [options.deadline] - Stops with SQT_TIME_BUDGET_EXCEEDED when passed between batches
+     * @param {Array} [options.keyRange] - Only rows with a key from keyRange[0] to keyRange[1]
+     * @param {Array} [options.params] - Values for the ? markers in the SQL
+     * @param {number} [options.firstRowNumber] - rownumber of the first row (default 1), e.g. for a key range
+     * @returns {Array<Object>} Query results
+     */
+    function executeKeysetQuery(sql, keyColumn, options = {}) {
+        const { maxRows, deadline, keyRange } = options;
+        const firstRowNumber = options.firstRowNumber || 1;
+        const records = [];
+        let lastKey = null;
+
+        while (true) {
+            checkDeadline(deadline, records.length);
+
+            const limit = maxRows ? Math.min(BATCH_SIZE, maxRows - records.length) : BATCH_SIZE;
+            if (limit <= 0) {
+                break;
+            }
+
+            // The key conditions follow the query, so their values follow its own
+            const conditions = [];
+            const params = (options.params || []).slice();
+            if (lastKey !== null) {
+                conditions.push(`${keyColumn} > ?`);
+                params.push(lastKey);
+            } else if (keyRange) {
+                conditions.push(`${keyColumn} >= ?`);
+                params.push(keyRange[0]);
+            }
+            if (keyRange) {
+                conditions.push(`${keyColumn} <= ?`);
+                params.push(keyRange[1]);
+            }
+
+            const results = query.runSuiteQL({
+                query: `
+                    SELECT * FROM (
+                        SELECT * FROM (${sql}
+                        )${conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : ''}
+                        ORDER BY ${keyColumn}
+                    ) WHERE ROWNUM <= ${limit}
+                `,
+                params
+            }).asMappedResults();
+
+            results.forEach(record => records.push(numberRow(record, firstRowNumber + records.length)));
+
+            if (results.length < limit) {
+                break;
+            }
+
+            lastKey = results[results.length - 1][keyColumn];
+            if (keyRange && lastKey === keyRange[1]) {
+                break;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Fetches a query with runSuiteQLPaged, which runs it once and reads the
+     * result PAGED_PAGE_SIZE rows at a time.
+     * @param {string} sql - The SQL query
+     * @param {Object} [options]
+     * @param {number} [options.maxRows] - Stop after this many rows
+     * @param {number} [options.deadline] - Stops with SQT_TIME_BUDGET_EXCEEDED when passed between pages
+     * @param {Array} [options.params] - Values for the ? markers in the SQL
+     * @returns {Array<Object>} Query results
+     */
+    function executePagedQuery(sql, options = {}) {
+        const { maxRows, deadline } = options;
+        const records = [];
+
+        const pagedData = query.runSuiteQLPaged({ query: sql, params: options.params || [], pageSize: PAGED_PAGE_SIZE });
+
+        for (const pageRange of pagedData.pageRanges) {
+            checkDeadline(deadline, records.length);
+
+            const results = pagedData.fetch({ index: pageRange.index }).data.asMappedResults();
+            results.forEach(record => records.push(numberRow(record, records.length + 1)));
+
+            if (maxRows && records.length >= maxRows) {
+                return records.slice(0, maxRows);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Adds the rownumber column that ROWNUM pagination returns, as the first column.
+     * @param {Object} record - A result row
+     * @param {number} rowNumber - Its 1-based position in the result
+     * @returns {Object} The row with rownumber
+     */
+    function numberRow(record, rowNumber) {
+        return Object.assign({ rownumber: rowNumber }, record);
+    }
+
+    /**
+     * Stops a long fetch once its time budget is spent.
+     * @param {number} [deadline] - Timestamp of the end of the budget
+     * @param {number} rowCount - Rows fetched so far
+     * @throws {Error} SQT_TIME_BUDGET_EXCEEDED
+     */
+    function checkDeadline(deadline, rowCount) {
+        if (deadline && Date.now() > deadline) {
+            throw error.create({
+                name: 'SQT_TIME_BUDGET_EXCEEDED',
+                message: `Query exceeded the time budget after ${rowCount} rows. Narrow the query or lower the row range.`,
+                notifyOff: true
+            });
+        }
+    }
+
+    /**
+     * Counts the rows a query returns.
+     * @param {string} sql - The SQL query
+     * @param {Array} [params] - Values for the ? markers in the SQL
+     * @returns {number} Total number of rows
+     */
+    function getTotalRecordCount(sql, params = []) {
+        const countResult = query.runSuiteQL({
+            query: `SELECT COUNT(*) AS totalrecordcount FROM (${sql}\n)`,
+            params
+        }).asMappedResults();
+
+        return countResult[0]?.totalrecordcount || 0;
+    }
+
+    /**
+     * Checks whether a query still has {{parameters}}, which only the Suitelet's
+     * parameters dialog can fill in. Scripts without a user to ask reject such queries.
+     * @param {string} sql - The SQL as entered
+     * @returns {boolean} True when the SQL has a {{parameter}}, also inside a string literal
+     */
+    function hasParameters(sql) {
+        return parser.tokenize(sql).some(token => token.type === 'parameter'
+            || (token.type === 'string' && /\{\{[\s\S]*?\}\}/.test(token.text)));
+    }
+
+    /**
+     * Expands virtual view references (#name) with the SQL of name.sql.
+     * References in string literals and comments are left alone.
+     * @param {string} sql - The SQL with potential view references
+     * @param {number|string} folderId - File Cabinet folder holding the view files
+     * @returns {string} SQL with views expanded
+     */
+    function expandVirtualViews(sql, folderId) {
+        const views = {};
+
+        return parser.replaceViews(sql, name => {
+            if (!views[name]) {
+                const viewFileName = name + '.sql';
+                const files = query.runSuiteQL({
+                    query: 'SELECT ID FROM File WHERE Folder = ? AND Name = ?',
+                    params: [folderId, viewFileName]
+                }).asMappedResults();
+
+                if (files.length !== 1) {
+                    throw new Error(`Unresolved view: ${viewFileName}`);
+                }
+
+                // A line comment at the end of the view must not swallow the closing parenthesis
+                views[name] = `(${file.load({ id: files[0].id }).getContents()}\n) AS ${name}`;
+            }
+
+            return views[name];
+        });
+    }
+
+    return {
+        run,
+        hasParameters,
+        fetchAll,
+        findKeyColumn,
+        executeKeysetQuery,
+        executePaginatedQuery,
+        getTotalRecordCount,
+        expandVirtualViews
+    };
+});
@@ -0,0 +1,277 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType ScheduledScript
+ * @NModuleScope SameAccount
+ * @author Budy Sutjijati <budy@sutjijati.nl>
+ * @file suiteql_scheduler.js
+ *
+ * Runs the scheduled queries that are due (see schedules.js).
+ *
+ * Deploy it to run every 15 minutes. Every run executes the schedules whose
+ * next run has passed, delivers their results and stores the outcome on the
+ * schedule. When governance runs low, the script resubmits itself and
+ * continues with the remaining schedules.
+ *
+ * Schedules with an alert rule only deliver when the rule is triggered, and
+ * then also post the outcome to their webhook URL. A failing webhook does not
+ * undo the delivery: the run ends with a warning and the value is kept.
+ *
+ * With the custscript_sqt_sched_audit_log parameter checked, every run is
+ * written to the audit log in the name of the schedule's owner.
+ *
+ * The script runs with the role of its deployment, so before a schedule runs
+ * its owner, recipients, output folder and webhook are checked against the
+ * delivery policy of the deployment (custscript_sqt_sched_recipient_domains,
+ * custscript_sqt_sched_folders and custscript_sqt_sched_webhook_hosts), and its
+ * query file must be in the query library (custscript_sqt_sched_query_folder).
+ * Schedules edited on the record itself are held to the same policy as
+ * schedules saved from the Suitelet.
+ *
+ *
+ * Version    Date           Author                Remarks
+ * 1.0        19 Oct 2026    Budy Sutjijati        Initial version.
+ * 1.1        19 Oct 2026    Budy Sutjijati        Alert rules and webhook delivery.
+ * 1.2        19 Oct 2026    Budy Sutjijati        Audit log entry per run.
+ * 1.3        19 Oct 2026    Budy Sutjijati        Delivery policy checked before every run.
+ * 1.4        19 Oct 2026    Budy Sutjijati        Queries with {{parameters}} are rejected.
+ * 1.5        19 Oct 2026    Budy Sutjijati        Webhook host and query folder checked before every run;
+ *                                                 a failing webhook ends the run with a warning.
+ *
+ */
+define(['N/email', 'N/file', 'N/https', 'N/log', 'N/runtime', 'N/task', 'schedules', 'suiteql_audit', 'suiteql_formats', 'suiteql_runner'],
+    (email, file, https, log, runtime, task, schedules, audit, formats, runner) => {
+
+    /**
+     * Default limits. Each can be overridden by a script parameter on the deployment.
+     */
+    const DEFAULTS = Object.freeze({
+        /** Maximum number of rows delivered per run */
+        MAX_ROWS: 50000,
+
+        /** Governance units kept in reserve; below this the script resubmits itself */
+        MIN_REMAINING_USAGE: 1000
+    });
+
+    /**
+     * Runs the due schedules.
+     */
+    const execute = () => {
+        const script = runtime.getCurrentScript();
+        const maxRows = parseInt(script.getParameter({ name: 'custscript_sqt_sched_max_rows' }), 10) || DEFAULTS.MAX_ROWS;
+        const auditEnabled = script.getParameter({ name: 'custscript_sqt_sched_audit_log' }) === true;
+        const policy = {
+            recipientDomains: splitList(script.getParameter({ name: 'custscript_sqt_sched_recipient_domains' })),
+            folderIds: splitList(script.getParameter({ name: 'custscript_sqt_sched_folders' })),
+            webhookHosts: splitList(script.getParameter({ name: 'custscript_sqt_sched_webhook_hosts' }))
+        };
+        const queryFolderId = script.getParameter({ name: 'custscript_sqt_sched_query_folder' });
+        const due = schedules.getDue(new Date());
+
+        log.audit({ title: 'SuiteQL Scheduler', details: `${due.length} schedule(s) due` });
+
+        for (const schedule of due) {
+            if (script.getRemainingUsage() < DEFAULTS.MIN_REMAINING_USAGE) {
+                resubmit();
+                return;
+            }
+
+            runSchedule(schedule, maxRows, auditEnabled, policy, queryFolderId);
+        }
+    };
+
+    /**
+     * Splits a comma-separated script parameter.
+     * @param {string|null} value - Parameter value
+     * @returns {Array<string>} Entries; empty when the parameter is not set
+     */
+    function splitList(value) {
+        return String(value || '').split(/[\s,]+/).filter(Boolean);
+    }
+
+    /**
+     * Runs one schedule, delivers the result and records the outcome.
+     * A failing schedule never stops the others.
+     * @param {Object} schedule - Schedule from schedules.getDue()
+     * @param {number} maxRows - Maximum number of rows delivered
+     * @param {boolean} auditEnabled - Write the run to the audit log
+     * @param {Object} policy - Delivery policy (recipientDomains, folderIds, webhookHosts)
+     * @param {string|null} queryFolderId - Folder of the query library
+     */
+    function runSchedule(schedule, maxRows, auditEnabled, policy, queryFolderId) {
+        const ranAt = new Date();
+        const run = { ranAt, status: schedules.RUN_STATUS.SUCCESS, rowCount: null, error: '', nextRun: null };
+        let queryText = '';
+
+        try {
+            if (!schedule.owner) {
+                throw new Error('The schedule has no owner.');
+            }
+            schedules.checkDelivery(schedules.parseRecipients(schedule.recipients), schedule.folder, policy, schedule.webhookUrl);
+
+            // The query file field can be set to any file on the record itself
+            const queryFile = file.load({ id: schedule.queryFile });
+            if (!queryFolderId || String(queryFile.folder) !== String(queryFolderId)) {
+                throw new Error('The query file is not in the query library (custscript_sqt_sched_query_folder).');
+            }
+            queryText = queryFile.getContents();
+            if (runner.hasParameters(queryText)) {
+                throw new Error('The query has {{parameters}}, which a schedule cannot fill in. Replace them with values.');
+            }
+            const sql = runner.expandVirtualViews(queryText + '\n', queryFile.folder);
+
+            // One row more than delivered tells whether the result was cut off
+            let { records } = runner.run({ sql, paginationEnabled: true, rowBegin: 1, rowEnd: maxRows + 1 });
+            const truncated = records.length > maxRows;
+            if (truncated) {
+                records = records.slice(0, maxRows);
+                run.status = schedules.RUN_STATUS.WARNING;
+                run.error = `The result was cut off at ${maxRows} rows.`;
+            }
+
+            const outcome = schedule.alert
+                ? schedules.evaluateAlert(schedule.alert, records, schedule.lastValue)
+                : null;
+
+            if (outcome) {
+                run.alert = outcome.message;
+            }
+
+            if (!outcome || outcome.triggered) {
+                deliver(schedule, queryFile.name, records, [outcome && outcome.message, run.error]);
+
+                if (outcome && schedule.webhookUrl) {
+                    // The result is delivered by now, so a failing webhook must not make the next run deliver it again
+                    try {
+                        callWebhook(schedule, queryFile.name, records, outcome, ranAt);
+                    } catch (e) {
+                        log.error({ title: `Schedule ${schedule.id} Webhook Failed`, details: e });
+                        run.status = schedules.RUN_STATUS.WARNING;
+                        run.error = [run.error, `Webhook failed: ${e.message}`].filter(Boolean).join('\n');
+                    }
+                }
+            }
+
+            // Kept only once delivered, so a failed delivery is retried by the next run
+            run.value = outcome ? outcome.value : null;
+            run.rowCount = records.length;
+        } catch (e) {
+            log.error({ title: `Schedule ${schedule.id} Failed`, details: e });
+            run.status = schedules.RUN_STATUS.ERROR;
+            run.error = (e.name ? e.name + ': ' : '') + e.message;
+        }
+
+        if (auditEnabled) {
+            audit.write({
+                sql: queryText,
+                realm: runtime.accountId,
+                remote: false,
+                source: audit.SOURCES.SCHEDULER,
+                user: schedule.owner,
+                rowCount: run.rowCount,
+                elapsedTime: Date.now() - ranAt.getTime(),
+                error: run.status === schedules.RUN_STATUS.ERROR ? run.error : null
+            });
+        }
+
+        try {
+            run.nextRun = schedules.getNextRun(schedule.cadence, ranAt);
+        } catch (e) {
+            // A cadence edited on the record itself may be invalid; the schedule stops until it is fixed
+            run.status = schedules.RUN_STATUS.ERROR;
+            run.error = [run.error, e.message].filter(Boolean).join('\n');
+        }
+
+        schedules.recordRun(schedule.id, run);
+    }
+
+    /**
+     * Emails the result and/or writes it to the output folder.
+     * Empty results are not written; the email is sent without attachment.
+     * @param {Object} schedule - The schedule
+     * @param {string} queryFileName - Name of the .sql file
+     * @param {Array<Object>} records - Query results
+     * @param {Array<string>} notes - Added to the email; empty entries are skipped
+     */
+    function deliver(schedule, queryFileName, records, notes) {
+        const format = formats.FORMATS[schedule.format] ? schedule.format : 'csv';
+        const writer = formats.FORMATS[format];
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').substring(0, 13);
+        const fileName = `${queryFileName.replace(/\.sql$/i, '')}_${timestamp}${writer.extension}`;
+        const contents = formats.render(format, records);
+
+        if (schedule.folder && records.length > 0) {
+            file.create({
+                name: fileName,
+                fileType: writer.fileType,
+                folder: schedule.folder,
+                contents
+            }).save();
+        }
+
+        const recipients = schedules.parseRecipients(schedule.recipients);
+        if (recipients.length > 0) {
+            email.send({
+                author: schedule.owner,
+                recipients,
+                subject: `${schedule.alert ? 'SuiteQL alert' : 'SuiteQL'}: ${schedule.name}`,
+                body: [
+                    `Scheduled query "${schedule.name}" (${queryFileName}) returned ${records.length} row(s).`
+                ].concat(notes).filter(Boolean).join('\n\n'),
+                attachments: records.length > 0
+                    ? [file.create({ name: fileName, fileType: writer.fileType, contents })]
+                    : []
+            });
+        }
+    }
+
+    /**
+     * Posts a triggered alert to the webhook URL of the schedule.
+     * The text property makes the payload readable by chat webhooks as well.
+     * @param {Object} schedule - The schedule
+     * @param {string} queryFileName - Name of the .sql file
+     * @param {Array<Object>} records - Query results
+     * @param {Object} outcome - Result of schedules.evaluateAlert()
+     * @param {Date} ranAt - Start of the run
+     */
+    function callWebhook(schedule, queryFileName, records, outcome, ranAt) {
+        const response = https.post({
+            url: schedule.webhookUrl,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                text: `SuiteQL alert "${schedule.name}": ${outcome.message}`,
+                schedule: schedule.name,
+                query: queryFileName,
+                rule: schedule.alertDescription,
+                value: outcome.value,
+                previousValue: schedule.lastValue,
+                rowCount: records.length,
+                ranAt: ranAt.toISOString()
+            })
+        });
+
+        if (response.code < 200 || response.code >= 300) {
+            throw new Error(`The webhook returned HTTP ${response.code}.`);
+        }
+    }
+
+    /**
+     * Queues this deployment again to continue with the remaining schedules.
+     */
+    function resubmit() {
+        const script = runtime.getCurrentScript();
+
+        try {
+            task.create({
+                taskType: task.TaskType.SCHEDULED_SCRIPT,
+                scriptId: script.id,
+                deploymentId: script.deploymentId
+            }).submit();
+            log.audit({ title: 'SuiteQL Scheduler', details: 'Governance low, resubmitted' });
+        } catch (e) {
+            // The next scheduled run picks up the remaining schedules
+            log.error({ title: 'SuiteQL Scheduler Resubmit Failed', details: e });
+        }
+    }
+
+    return { execute };
+});